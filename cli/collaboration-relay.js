@@ -0,0 +1,413 @@
+#!/usr/bin/env node
+/**
+ * WebSocket relay for the real-time collaboration of Piskel clients, see
+ * src/js/service/collaboration/CollaborationService.js. Meant for local testing or for a
+ * trusted network: there is no authentication and rooms only live in memory.
+ *
+ * Usage:
+ *   node cli/collaboration-relay.js --port 9902
+ *
+ * Options:
+ *   --port, -p     Port to listen on (default: 9902)
+ *   --host         Host to bind (default: 0.0.0.0)
+ *   --help, -h     Show this help
+ *
+ * The relay orders the actions of the clients of a room. Each action contains the id of the
+ * last structural action known by its author ("base"): actions with an outdated base are
+ * rejected, the author then requests a snapshot of the sprite from another client.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+
+const DEFAULTS = {
+  port: 9902,
+  host: '0.0.0.0'
+};
+
+// Maximum size of a message, snapshots contain the whole sprite.
+const MAX_MESSAGE_SIZE = 50 * 1024 * 1024;
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const OPCODES = {
+  CONTINUATION: 0x0,
+  TEXT: 0x1,
+  CLOSE: 0x8,
+  PING: 0x9,
+  PONG: 0xA
+};
+
+// Colors of the cursors of the clients, in order of arrival.
+const COLORS = ['#e74c3c', '#3498db', '#2ecc71', '#f39c12', '#9b59b6', '#1abc9c', '#e84393', '#7f8c8d'];
+
+// ============================================================================
+// WebSocket
+// ============================================================================
+
+function encodeFrame(opcode, payload) {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Minimal server side WebSocket connection: text messages, fragmentation, ping and close.
+ */
+class Connection {
+  constructor(socket) {
+    this.socket = socket;
+    this.buffer = Buffer.alloc(0);
+    this.fragments = [];
+    this.fragmentsSize = 0;
+    this.onmessage = () => {};
+    this.onclose = () => {};
+
+    socket.on('data', data => this.onData(data));
+    socket.on('close', () => this.onclose());
+    socket.on('error', () => socket.destroy());
+  }
+
+  send(text) {
+    if (!this.socket.destroyed) {
+      this.socket.write(encodeFrame(OPCODES.TEXT, Buffer.from(text)));
+    }
+  }
+
+  close() {
+    if (!this.socket.destroyed) {
+      this.socket.end(encodeFrame(OPCODES.CLOSE, Buffer.alloc(0)));
+    }
+  }
+
+  onData(data) {
+    this.buffer = Buffer.concat([this.buffer, data]);
+    let frame;
+    while (!this.socket.destroyed && (frame = this.readFrame())) {
+      this.onFrame(frame);
+    }
+  }
+
+  /**
+   * @return {Object} the first complete frame of the buffer, as {fin, opcode, payload}, or
+   *         null if the buffer does not contain a complete frame
+   */
+  readFrame() {
+    const buffer = this.buffer;
+    if (buffer.length < 2) {
+      return null;
+    }
+
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+    if (length === 126) {
+      if (buffer.length < 4) {
+        return null;
+      }
+      length = buffer.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (buffer.length < 10) {
+        return null;
+      }
+      length = Number(buffer.readBigUInt64BE(2));
+      offset = 10;
+    }
+
+    if (length > MAX_MESSAGE_SIZE) {
+      this.socket.destroy();
+      return null;
+    }
+
+    const maskOffset = offset;
+    if (masked) {
+      offset += 4;
+    }
+    if (buffer.length < offset + length) {
+      return null;
+    }
+
+    const payload = Buffer.from(buffer.subarray(offset, offset + length));
+    if (masked) {
+      for (let i = 0; i < payload.length; i++) {
+        payload[i] ^= buffer[maskOffset + (i % 4)];
+      }
+    }
+    this.buffer = buffer.subarray(offset + length);
+
+    return {
+      fin: (buffer[0] & 0x80) !== 0,
+      opcode: buffer[0] & 0x0f,
+      payload: payload
+    };
+  }
+
+  onFrame(frame) {
+    if (frame.opcode === OPCODES.TEXT || frame.opcode === OPCODES.CONTINUATION) {
+      // The limit applies to the whole message, not only to each of its frames.
+      this.fragmentsSize += frame.payload.length;
+      if (this.fragmentsSize > MAX_MESSAGE_SIZE) {
+        this.fragments = [];
+        this.socket.destroy();
+        return;
+      }
+      this.fragments.push(frame.payload);
+      if (frame.fin) {
+        const message = Buffer.concat(this.fragments).toString('utf-8');
+        this.fragments = [];
+        this.fragmentsSize = 0;
+        this.onmessage(message);
+      }
+    } else if (frame.opcode === OPCODES.PING) {
+      this.socket.write(encodeFrame(OPCODES.PONG, frame.payload));
+    } else if (frame.opcode === OPCODES.CLOSE) {
+      this.close();
+    }
+  }
+}
+
+function acceptUpgrade(req, socket) {
+  const key = req.headers['sec-websocket-key'];
+  if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return null;
+  }
+
+  const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    'Sec-WebSocket-Accept: ' + accept,
+    '',
+    ''
+  ].join('\r\n'));
+  return new Connection(socket);
+}
+
+// ============================================================================
+// Rooms
+// ============================================================================
+
+function getPeerInfo(client) {
+  return { id: client.id, name: client.name, color: client.color };
+}
+
+class Relay {
+  constructor() {
+    this.rooms = new Map();
+    this.clientCounter = 0;
+  }
+
+  addConnection(connection) {
+    const client = { id: null, connection: connection, room: null };
+    connection.onmessage = text => {
+      let message;
+      try {
+        message = JSON.parse(text);
+      } catch (e) {
+        return;
+      }
+      // Ignore valid JSON which is not a message, eg null or a string.
+      if (!message || typeof message !== 'object' || Array.isArray(message)) {
+        return;
+      }
+      this.onMessage(client, message);
+    };
+    connection.onclose = () => this.onClose(client);
+  }
+
+  send(client, message) {
+    client.connection.send(JSON.stringify(message));
+  }
+
+  broadcast(room, message, except) {
+    room.clients.filter(client => client !== except).forEach(client => this.send(client, message));
+  }
+
+  onMessage(client, message) {
+    if (message.type === 'join') {
+      this.onJoin(client, message);
+      return;
+    }
+
+    const room = client.room;
+    if (!room) {
+      return;
+    }
+
+    if (message.type === 'action') {
+      if (message.base !== room.head) {
+        this.send(client, { type: 'reject', id: message.id });
+        return;
+      }
+      if (message.structural) {
+        room.head = message.id;
+      }
+      room.seq++;
+      this.broadcast(room, Object.assign({}, message, { seq: room.seq, from: client.id }));
+    } else if (message.type === 'cursor') {
+      this.broadcast(room, { type: 'cursor', from: client.id, cursor: message.cursor }, client);
+    } else if (message.type === 'sync-request') {
+      this.dispatchSyncRequest(room, client.id);
+    } else if (message.type === 'snapshot') {
+      room.syncRequests = room.syncRequests.filter(request => {
+        return request.provider !== client.id || request.requester !== message.to;
+      });
+      const requester = room.clients.find(c => c.id === message.to);
+      if (requester) {
+        this.send(requester, {
+          type: 'snapshot',
+          seq: message.seq,
+          head: message.head,
+          piskel: message.piskel
+        });
+      }
+    }
+  }
+
+  onJoin(client, message) {
+    if (client.room || !message.room) {
+      return;
+    }
+
+    let room = this.rooms.get(message.room);
+    if (!room) {
+      room = { name: message.room, clients: [], head: null, seq: 0, syncRequests: [] };
+      this.rooms.set(message.room, room);
+    }
+
+    this.clientCounter++;
+    client.id = 'c' + this.clientCounter;
+    client.name = String(message.name || 'Anonymous');
+    client.color = COLORS[this.clientCounter % COLORS.length];
+    client.room = room;
+
+    this.send(client, {
+      type: 'welcome',
+      id: client.id,
+      room: room.name,
+      head: room.head,
+      seq: room.seq,
+      peers: room.clients.map(getPeerInfo)
+    });
+    this.broadcast(room, { type: 'peer-joined', peer: getPeerInfo(client) });
+    room.clients.push(client);
+    console.log(client.name + ' joined ' + room.name + ' (' + room.clients.length + ' clients)');
+  }
+
+  /**
+   * Ask the oldest client of the room, which is not syncing itself, to send a snapshot to
+   * the requester. Without such a client, the requester keeps its own sprite.
+   */
+  dispatchSyncRequest(room, requesterId) {
+    const isSyncing = client => room.syncRequests.some(request => request.requester === client.id);
+    const provider = room.clients.find(client => client.id !== requesterId && !isSyncing(client));
+    const requester = room.clients.find(client => client.id === requesterId);
+    if (!requester) {
+      return;
+    }
+
+    if (!provider) {
+      this.send(requester, { type: 'snapshot', seq: room.seq, head: room.head, piskel: null });
+      return;
+    }
+
+    room.syncRequests.push({ requester: requesterId, provider: provider.id });
+    this.send(provider, { type: 'sync-request', requester: requesterId });
+  }
+
+  onClose(client) {
+    const room = client.room;
+    if (!room) {
+      return;
+    }
+
+    room.clients = room.clients.filter(c => c !== client);
+    console.log(client.name + ' left ' + room.name + ' (' + room.clients.length + ' clients)');
+    if (!room.clients.length) {
+      this.rooms.delete(room.name);
+      return;
+    }
+
+    this.broadcast(room, { type: 'peer-left', id: client.id });
+
+    // Requests waiting for a snapshot from this client are sent to another client.
+    const orphans = room.syncRequests.filter(request => request.provider === client.id);
+    room.syncRequests = room.syncRequests.filter(request => {
+      return request.provider !== client.id && request.requester !== client.id;
+    });
+    orphans.forEach(request => this.dispatchSyncRequest(room, request.requester));
+  }
+}
+
+/**
+ * @return {http.Server} the relay server, not listening yet
+ */
+function createServer() {
+  const relay = new Relay();
+  const server = http.createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('Piskel collaboration relay, connect with a WebSocket.');
+  });
+  server.on('upgrade', (req, socket) => {
+    const connection = acceptUpgrade(req, socket);
+    if (connection) {
+      relay.addConnection(connection);
+    }
+  });
+  return server;
+}
+
+// ============================================================================
+// CLI
+// ============================================================================
+
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (arg === '--port' || arg === '-p') {
+      options.port = parseInt(argv[++i], 10);
+    } else if (arg === '--host') {
+      options.host = argv[++i];
+    } else {
+      console.error('Unknown option: ' + arg);
+      options.help = true;
+    }
+  }
+  return options;
+}
+
+function main() {
+  const options = Object.assign({}, DEFAULTS, parseArgs(process.argv.slice(2)));
+  if (options.help) {
+    console.log('Usage: node cli/collaboration-relay.js [--port PORT] [--host HOST]');
+    return;
+  }
+
+  createServer().listen(options.port, options.host, () => {
+    console.log('Piskel collaboration relay listening on ws://' + options.host + ':' + options.port);
+  });
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  createServer
+};
@@ -0,0 +1,248 @@
+/**
+ * Palette matching helpers shared by the palette-match and png-to-piskel scripts.
+ * Same distance metrics and dithering algorithms as PaletteMatchingService and
+ * ColorDistanceUtils in the editor.
+ */
+
+const METRICS = ['redmean', 'weighted-rgb', 'cielab', 'ciede2000'];
+const DITHERING = ['none', 'floyd-steinberg', 'atkinson', 'ordered'];
+
+// Error diffusion kernels, as lists of [column offset, row offset, weight].
+const DIFFUSION_KERNELS = {
+  'floyd-steinberg': [[1, 0, 7 / 16], [-1, 1, 3 / 16], [0, 1, 5 / 16], [1, 1, 1 / 16]],
+  'atkinson': [[1, 0, 1 / 8], [2, 0, 1 / 8], [-1, 1, 1 / 8], [0, 1, 1 / 8], [1, 1, 1 / 8], [0, 2, 1 / 8]]
+};
+
+// 4x4 Bayer matrix, used for ordered dithering.
+const BAYER_4 = [0, 8, 2, 10, 12, 4, 14, 6, 3, 11, 1, 9, 15, 7, 13, 5];
+
+// ============================================================================
+// Color Distances
+// ============================================================================
+
+function toLinear(c) {
+  c = c / 255;
+  return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+function labCurve(t) {
+  return t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116;
+}
+
+function rgbToLab(r, g, b) {
+  const lr = toLinear(r);
+  const lg = toLinear(g);
+  const lb = toLinear(b);
+  const fx = labCurve((lr * 0.4124564 + lg * 0.3575761 + lb * 0.1804375) / 0.95047);
+  const fy = labCurve(lr * 0.2126729 + lg * 0.7151522 + lb * 0.0721750);
+  const fz = labCurve((lr * 0.0193339 + lg * 0.1191920 + lb * 0.9503041) / 1.08883);
+  return { l: 116 * fy - 16, a: 500 * (fx - fy), b: 200 * (fy - fz) };
+}
+
+function redmean(c1, c2) {
+  const rMean = (c1.r + c2.r) / 2;
+  const dr = c1.r - c2.r;
+  const dg = c1.g - c2.g;
+  const db = c1.b - c2.b;
+  return (512 + rMean) * dr * dr / 256 + 4 * dg * dg + (767 - rMean) * db * db / 256;
+}
+
+function weightedRgb(c1, c2) {
+  const dr = c1.r - c2.r;
+  const dg = c1.g - c2.g;
+  const db = c1.b - c2.b;
+  return 0.299 * dr * dr + 0.587 * dg * dg + 0.114 * db * db;
+}
+
+function cie76(lab1, lab2) {
+  const dl = lab1.l - lab2.l;
+  const da = lab1.a - lab2.a;
+  const db = lab1.b - lab2.b;
+  return dl * dl + da * da + db * db;
+}
+
+function ciede2000(lab1, lab2) {
+  const rad = Math.PI / 180;
+  const hue = (b, a) => {
+    const h = Math.atan2(b, a) / rad;
+    return h < 0 ? h + 360 : h;
+  };
+
+  const c1 = Math.hypot(lab1.a, lab1.b);
+  const c2 = Math.hypot(lab2.a, lab2.b);
+  const cMean7 = Math.pow((c1 + c2) / 2, 7);
+  const g = 0.5 * (1 - Math.sqrt(cMean7 / (cMean7 + Math.pow(25, 7))));
+
+  const a1 = (1 + g) * lab1.a;
+  const a2 = (1 + g) * lab2.a;
+  const cp1 = Math.hypot(a1, lab1.b);
+  const cp2 = Math.hypot(a2, lab2.b);
+  const hp1 = cp1 === 0 ? 0 : hue(lab1.b, a1);
+  const hp2 = cp2 === 0 ? 0 : hue(lab2.b, a2);
+
+  let dh = 0;
+  if (cp1 * cp2 !== 0) {
+    dh = hp2 - hp1;
+    if (dh > 180) dh -= 360;
+    else if (dh < -180) dh += 360;
+  }
+  const dL = lab2.l - lab1.l;
+  const dC = cp2 - cp1;
+  const dH = 2 * Math.sqrt(cp1 * cp2) * Math.sin(dh / 2 * rad);
+
+  const lMean = (lab1.l + lab2.l) / 2;
+  const cpMean = (cp1 + cp2) / 2;
+  let hpMean = hp1 + hp2;
+  if (cp1 * cp2 !== 0) {
+    if (Math.abs(hp1 - hp2) > 180) {
+      hpMean += hpMean < 360 ? 360 : -360;
+    }
+    hpMean = hpMean / 2;
+  }
+
+  const t = 1 - 0.17 * Math.cos((hpMean - 30) * rad) + 0.24 * Math.cos(2 * hpMean * rad) +
+    0.32 * Math.cos((3 * hpMean + 6) * rad) - 0.20 * Math.cos((4 * hpMean - 63) * rad);
+  const lMean50 = (lMean - 50) * (lMean - 50);
+  const sl = 1 + 0.015 * lMean50 / Math.sqrt(20 + lMean50);
+  const sc = 1 + 0.045 * cpMean;
+  const sh = 1 + 0.015 * cpMean * t;
+  const cpMean7 = Math.pow(cpMean, 7);
+  const rc = 2 * Math.sqrt(cpMean7 / (cpMean7 + Math.pow(25, 7)));
+  const rt = -Math.sin(2 * 30 * Math.exp(-Math.pow((hpMean - 275) / 25, 2)) * rad) * rc;
+
+  const l = dL / sl;
+  const c = dC / sc;
+  const h = dH / sh;
+  return Math.sqrt(l * l + c * c + h * h + rt * c * h);
+}
+
+const DISTANCES = {
+  'redmean': redmean,
+  'weighted-rgb': weightedRgb,
+  'cielab': (c1, c2) => cie76(c1.lab, c2.lab),
+  'ciede2000': (c1, c2) => ciede2000(c1.lab, c2.lab)
+};
+
+/**
+ * Create a function returning the palette color nearest to RGB components, results are cached.
+ * @param {Array} palette list of {r, g, b} colors
+ * @param {String} metric one of METRICS
+ */
+function createMatcher(palette, metric) {
+  const distance = DISTANCES[metric] || redmean;
+  const useLab = metric === 'cielab' || metric === 'ciede2000';
+  const colors = palette.map(color => useLab ? Object.assign({ lab: rgbToLab(color.r, color.g, color.b) }, color) : color);
+  const cache = new Map();
+
+  return function findNearestColor(r, g, b) {
+    const key = (r << 16) | (g << 8) | b;
+    if (cache.has(key)) {
+      return cache.get(key);
+    }
+
+    const target = useLab ? { r, g, b, lab: rgbToLab(r, g, b) } : { r, g, b };
+    let minDist = Infinity;
+    let nearest = palette[0];
+    for (let i = 0; i < colors.length; i++) {
+      const dist = distance(target, colors[i]);
+      if (dist < minDist) {
+        minDist = dist;
+        nearest = palette[i];
+        if (dist === 0) break;
+      }
+    }
+    cache.set(key, nearest);
+    return nearest;
+  };
+}
+
+// ============================================================================
+// Dithering
+// ============================================================================
+
+function clamp(value) {
+  return Math.max(0, Math.min(255, Math.round(value)));
+}
+
+/**
+ * Match RGBA image data to a palette, in place. Transparent pixels are skipped.
+ * @param {Buffer|Uint8Array} data RGBA pixels
+ * @param {Number} width width of the image
+ * @param {Number} height height of the image
+ * @param {Array} palette list of {r, g, b} colors
+ * @param {Object} options {
+ *   dithering: one of DITHERING (default 'none'),
+ *   metric: one of METRICS (default 'redmean'),
+ *   cellWidth, cellHeight: size of the frames of a sprite sheet, the error is not diffused
+ *     across frames (default: the whole image)
+ * }
+ * @return {Boolean} true if some pixels were modified
+ */
+function matchImageData(data, width, height, palette, options = {}) {
+  const findNearestColor = options.matcher || createMatcher(palette, options.metric);
+  const dithering = options.dithering || 'none';
+  const cellWidth = options.cellWidth || width;
+  const cellHeight = options.cellHeight || height;
+  const kernel = DIFFUSION_KERNELS[dithering];
+  const errors = kernel ? new Float32Array(width * height * 3) : null;
+  const spread = 255 / Math.cbrt(Math.max(2, palette.length));
+  let modified = false;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      if (data[i * 4 + 3] === 0) continue;
+
+      let r = data[i * 4];
+      let g = data[i * 4 + 1];
+      let b = data[i * 4 + 2];
+      if (errors) {
+        r = clamp(r + errors[i * 3]);
+        g = clamp(g + errors[i * 3 + 1]);
+        b = clamp(b + errors[i * 3 + 2]);
+      } else if (dithering === 'ordered') {
+        const threshold = (BAYER_4[(y % cellHeight % 4) * 4 + (x % cellWidth % 4)] + 0.5) / 16;
+        const bias = (threshold - 0.5) * spread;
+        r = clamp(r + bias);
+        g = clamp(g + bias);
+        b = clamp(b + bias);
+      }
+
+      const nearest = findNearestColor(r, g, b);
+      if (data[i * 4] !== nearest.r || data[i * 4 + 1] !== nearest.g || data[i * 4 + 2] !== nearest.b) {
+        data[i * 4] = nearest.r;
+        data[i * 4 + 1] = nearest.g;
+        data[i * 4 + 2] = nearest.b;
+        modified = true;
+      }
+
+      if (errors) {
+        const cellX = Math.floor(x / cellWidth);
+        const cellY = Math.floor(y / cellHeight);
+        for (const [dx, dy, weight] of kernel) {
+          const nx = x + dx;
+          const ny = y + dy;
+          if (nx < 0 || nx >= width || ny >= height ||
+              Math.floor(nx / cellWidth) !== cellX || Math.floor(ny / cellHeight) !== cellY) {
+            continue;
+          }
+          const offset = (ny * width + nx) * 3;
+          errors[offset] += (r - nearest.r) * weight;
+          errors[offset + 1] += (g - nearest.g) * weight;
+          errors[offset + 2] += (b - nearest.b) * weight;
+        }
+      }
+    }
+  }
+
+  return modified;
+}
+
+module.exports = {
+  METRICS,
+  DITHERING,
+  createMatcher,
+  matchImageData,
+  rgbToLab,
+  ciede2000
+};
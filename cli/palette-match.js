@@ -11,12 +11,15 @@
  *   --palette, -p   Palette file (.gpl, .pal, .txt, .png, .jpg)
  *   --output, -o    Output directory (default: overwrites input)
  *   --suffix, -s    Add suffix to output filename (e.g., "-matched")
+ *   --dither, -d    Dithering: none, floyd-steinberg, atkinson, ordered (default: none)
+ *   --metric, -m    Color distance: redmean, weighted-rgb, cielab, ciede2000 (default: redmean)
  *   --help, -h      Show this help
  */
 
 const fs = require('fs');
 const path = require('path');
 const { PNG } = require('pngjs');
+const paletteDithering = require('./palette-dithering');
 
 // ============================================================================
 // Palette Parsing
@@ -138,35 +141,6 @@ async function loadPalette(filePath) {
   }
 }
 
-// ============================================================================
-// Color Matching (same algorithm as PaletteMatchingService)
-// ============================================================================
-
-function colorDistance(r1, g1, b1, r2, g2, b2) {
-  // Redmean weighted distance (no sqrt needed for comparison)
-  const rMean = (r1 + r2) >> 1;
-  const dr = r1 - r2;
-  const dg = g1 - g2;
-  const db = b1 - b2;
-  return ((512 + rMean) * dr * dr >> 8) + 4 * dg * dg + ((767 - rMean) * db * db >> 8);
-}
-
-function findNearestColor(r, g, b, palette) {
-  let minDist = Infinity;
-  let nearest = palette[0];
-
-  for (const color of palette) {
-    const dist = colorDistance(r, g, b, color.r, color.g, color.b);
-    if (dist < minDist) {
-      minDist = dist;
-      nearest = color;
-      if (dist === 0) break;
-    }
-  }
-
-  return nearest;
-}
-
 // ============================================================================
 // Piskel Processing
 // ============================================================================
@@ -197,34 +171,9 @@ function encodePng(png) {
   });
 }
 
-async function matchPngToPalette(base64Data, palette, colorCache) {
+async function matchPngToPalette(base64Data, palette, options) {
   const png = await decodePng(base64Data);
-  let modified = false;
-
-  for (let i = 0; i < png.data.length; i += 4) {
-    const a = png.data[i + 3];
-    if (a === 0) continue;
-
-    const r = png.data[i];
-    const g = png.data[i + 1];
-    const b = png.data[i + 2];
-    const key = (r << 16) | (g << 8) | b;
-
-    let nearest;
-    if (colorCache.has(key)) {
-      nearest = colorCache.get(key);
-    } else {
-      nearest = findNearestColor(r, g, b, palette);
-      colorCache.set(key, nearest);
-    }
-
-    if (png.data[i] !== nearest.r || png.data[i + 1] !== nearest.g || png.data[i + 2] !== nearest.b) {
-      png.data[i] = nearest.r;
-      png.data[i + 1] = nearest.g;
-      png.data[i + 2] = nearest.b;
-      modified = true;
-    }
-  }
+  const modified = paletteDithering.matchImageData(png.data, png.width, png.height, palette, options);
 
   if (modified) {
     return encodePng(png);
@@ -232,11 +181,15 @@ async function matchPngToPalette(base64Data, palette, colorCache) {
   return base64Data;
 }
 
-async function processPiskelFile(inputPath, outputPath, palette) {
+async function processPiskelFile(inputPath, outputPath, palette, matchOptions) {
   const content = fs.readFileSync(inputPath, 'utf-8');
   const data = JSON.parse(content);
 
-  const colorCache = new Map();
+  // Chunks are sprite sheets, errors should not be diffused from a frame to the next one.
+  const options = Object.assign({
+    cellWidth: data.piskel.width,
+    cellHeight: data.piskel.height
+  }, matchOptions);
   let layersModified = 0;
 
   for (let i = 0; i < data.piskel.layers.length; i++) {
@@ -245,11 +198,11 @@ async function processPiskelFile(inputPath, outputPath, palette) {
     if (layerData.chunks) {
       for (const chunk of layerData.chunks) {
         if (chunk.base64PNG) {
-          chunk.base64PNG = await matchPngToPalette(chunk.base64PNG, palette, colorCache);
+          chunk.base64PNG = await matchPngToPalette(chunk.base64PNG, palette, options);
         }
       }
     } else if (layerData.base64PNG) {
-      layerData.base64PNG = await matchPngToPalette(layerData.base64PNG, palette, colorCache);
+      layerData.base64PNG = await matchPngToPalette(layerData.base64PNG, palette, options);
     }
 
     data.piskel.layers[i] = JSON.stringify(layerData);
@@ -257,7 +210,7 @@ async function processPiskelFile(inputPath, outputPath, palette) {
   }
 
   fs.writeFileSync(outputPath, JSON.stringify(data, null, 2));
-  return { layersModified, colorsMatched: colorCache.size };
+  return { layersModified };
 }
 
 // ============================================================================
@@ -275,12 +228,15 @@ Options:
   --palette, -p   Palette file (.gpl, .pal, .txt, .png)  [required]
   --output, -o    Output directory (default: overwrite input files)
   --suffix, -s    Add suffix to output filename (e.g., "-matched")
+  --dither, -d    Dithering: none, floyd-steinberg, atkinson, ordered (default: none)
+  --metric, -m    Color distance: redmean, weighted-rgb, cielab, ciede2000 (default: redmean)
   --help, -h      Show this help
 
 Examples:
   node cli/palette-match.js -p colors.gpl sprite.piskel
   node cli/palette-match.js -p palette.png -o ./output/ *.piskel
   node cli/palette-match.js -p colors.txt -s "-matched" sprite.piskel
+  node cli/palette-match.js -p colors.gpl -d floyd-steinberg -m ciede2000 photo.piskel
 `);
 }
 
@@ -289,6 +245,8 @@ function parseArgs(args) {
     palette: null,
     output: null,
     suffix: '',
+    dither: 'none',
+    metric: 'redmean',
     files: [],
     help: false
   };
@@ -303,6 +261,10 @@ function parseArgs(args) {
       result.output = args[++i];
     } else if (arg === '--suffix' || arg === '-s') {
       result.suffix = args[++i];
+    } else if (arg === '--dither' || arg === '-d') {
+      result.dither = args[++i];
+    } else if (arg === '--metric' || arg === '-m') {
+      result.metric = args[++i];
     } else if (!arg.startsWith('-')) {
       result.files.push(arg);
     }
@@ -319,6 +281,15 @@ async function main() {
     process.exit(args.help ? 0 : 1);
   }
 
+  if (!paletteDithering.DITHERING.includes(args.dither)) {
+    console.error(`Unknown dithering: ${args.dither} (${paletteDithering.DITHERING.join(', ')})`);
+    process.exit(1);
+  }
+  if (!paletteDithering.METRICS.includes(args.metric)) {
+    console.error(`Unknown color metric: ${args.metric} (${paletteDithering.METRICS.join(', ')})`);
+    process.exit(1);
+  }
+
   // Load palette
   console.log(`Loading palette: ${args.palette}`);
   let palette;
@@ -330,6 +301,12 @@ async function main() {
   }
   console.log(`  Found ${palette.length} colors`);
 
+  // The matcher caches the nearest colors, it is shared by all the files.
+  const matchOptions = {
+    dithering: args.dither,
+    matcher: paletteDithering.createMatcher(palette, args.metric)
+  };
+
   // Create output directory if specified
   if (args.output && !fs.existsSync(args.output)) {
     fs.mkdirSync(args.output, { recursive: true });
@@ -360,8 +337,8 @@ async function main() {
 
     try {
       console.log(`Processing: ${inputFile}`);
-      const result = await processPiskelFile(inputFile, outputFile, palette);
-      console.log(`  -> ${outputFile} (${result.layersModified} layers, ${result.colorsMatched} unique colors)`);
+      const result = await processPiskelFile(inputFile, outputFile, palette, matchOptions);
+      console.log(`  -> ${outputFile} (${result.layersModified} layers)`);
       processed++;
     } catch (err) {
       console.error(`  Error: ${err.message}`);
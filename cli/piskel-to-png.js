@@ -6,11 +6,13 @@
  *   node cli/piskel-to-png.js sprite.piskel
  *   node cli/piskel-to-png.js --scale 4 sprite.piskel
  *   node cli/piskel-to-png.js --frame 0 sprite.piskel
+ *   node cli/piskel-to-png.js --tag walk sprite.piskel
  *
  * Options:
  *   --scale N        Scale factor (default: 1)
  *   --frame N        Export single frame (default: all as spritesheet)
  *   --columns N      Spritesheet columns (default: all frames in one row)
+ *   --tag NAME       Only export the frames of the tag NAME
  *   --output, -o     Output directory
  *   --help, -h       Show this help
  */
@@ -95,6 +97,16 @@ function extractFrames(piskelData) {
   return frames;
 }
 
+function filterFramesByTag(piskelData, frames, tagName) {
+  const tags = piskelData.piskel.tags || [];
+  const tag = tags.find(t => t.name === tagName);
+  if (!tag) {
+    const available = tags.map(t => t.name).join(', ') || 'none';
+    throw new Error(`Tag "${tagName}" not found (available tags: ${available})`);
+  }
+  return frames.slice(tag.from, tag.to + 1);
+}
+
 function createSpritesheet(frames, columns) {
   if (frames.length === 0) return null;
 
@@ -134,7 +146,10 @@ function exportPiskel(inputPath, outputPath, options) {
   const content = fs.readFileSync(inputPath, 'utf-8');
   const data = JSON.parse(content);
 
-  const frames = extractFrames(data);
+  let frames = extractFrames(data);
+  if (options.tag) {
+    frames = filterFramesByTag(data, frames, options.tag);
+  }
 
   let outputPng;
   if (options.frame !== null && options.frame !== undefined) {
@@ -182,6 +197,7 @@ Options:
   --scale N        Scale factor (default: 1)
   --frame N        Export single frame (default: spritesheet)
   --columns N      Spritesheet columns (default: all in one row)
+  --tag NAME       Only export the frames of the tag NAME
   --output, -o     Output directory
   --help, -h       Show this help
 
@@ -190,6 +206,7 @@ Examples:
   node cli/piskel-to-png.js --scale 4 sprite.piskel
   node cli/piskel-to-png.js --frame 0 --scale 2 sprite.piskel
   node cli/piskel-to-png.js --columns 4 -o ./export/ *.piskel
+  node cli/piskel-to-png.js --tag walk --columns 4 sprite.piskel
 `);
 }
 
@@ -198,6 +215,7 @@ function parseArgs(args) {
     scale: 1,
     frame: null,
     columns: null,
+    tag: null,
     output: null,
     files: [],
     help: false
@@ -213,6 +231,8 @@ function parseArgs(args) {
       result.frame = parseInt(args[++i]);
     } else if (arg === '--columns') {
       result.columns = parseInt(args[++i]);
+    } else if (arg === '--tag') {
+      result.tag = args[++i];
     } else if (arg === '--output' || arg === '-o') {
       result.output = args[++i];
     } else if (!arg.startsWith('-')) {
@@ -246,7 +266,10 @@ function main() {
 
     let outputFile;
     const basename = path.basename(inputFile, '.piskel');
-    const suffix = args.frame !== null ? `-frame${args.frame}` : '';
+    let suffix = args.tag ? `-${args.tag}` : '';
+    if (args.frame !== null) {
+      suffix += `-frame${args.frame}`;
+    }
 
     if (args.output) {
       outputFile = path.join(args.output, `${basename}${suffix}.png`);
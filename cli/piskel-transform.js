@@ -6,10 +6,12 @@
  *   node cli/piskel-transform.js --resize 64x64 sprite.piskel
  *   node cli/piskel-transform.js --crop sprite.piskel
  *   node cli/piskel-transform.js --scale 2 sprite.piskel
+ *   node cli/piskel-transform.js --scale 4 --algorithm xbr sprite.piskel
  *
  * Options:
  *   --resize WxH     Resize to exact dimensions (e.g., 32x32)
  *   --scale N        Scale by factor (e.g., 2 = double size)
+ *   --algorithm, -a  Scaling algorithm: nearest (default), scale2x, scale3x, epx, hq2x, hq3x, xbr
  *   --crop           Crop to content (remove transparent borders)
  *   --output, -o     Output directory
  *   --suffix, -s     Add suffix to filename
@@ -19,6 +21,7 @@
 const fs = require('fs');
 const path = require('path');
 const { PNG } = require('pngjs');
+const { ALGORITHMS, resizeImageData } = require('./pixel-upscalers');
 
 // ============================================================================
 // PNG Utilities
@@ -85,23 +88,10 @@ function cropPng(png, bounds) {
   return cropped;
 }
 
-function resizePng(png, newWidth, newHeight) {
+function resizePng(png, newWidth, newHeight, algorithm) {
   const resized = new PNG({ width: newWidth, height: newHeight });
-
-  // Nearest-neighbor scaling (pixel-perfect for pixel art)
-  for (let y = 0; y < newHeight; y++) {
-    for (let x = 0; x < newWidth; x++) {
-      const srcX = Math.floor(x * png.width / newWidth);
-      const srcY = Math.floor(y * png.height / newHeight);
-      const srcIdx = (png.width * srcY + srcX) << 2;
-      const dstIdx = (newWidth * y + x) << 2;
-      resized.data[dstIdx] = png.data[srcIdx];
-      resized.data[dstIdx + 1] = png.data[srcIdx + 1];
-      resized.data[dstIdx + 2] = png.data[srcIdx + 2];
-      resized.data[dstIdx + 3] = png.data[srcIdx + 3];
-    }
-  }
-
+  // Nearest-neighbor scaling by default (pixel-perfect for pixel art)
+  resizeImageData(png.data, png.width, png.height, newWidth, newHeight, algorithm).copy(resized.data);
   return resized;
 }
 
@@ -216,7 +206,7 @@ function transformPiskel(inputPath, outputPath, options) {
 
           // Resize if needed
           if (framePng.width !== newWidth || framePng.height !== newHeight) {
-            framePng = resizePng(framePng, newWidth, newHeight);
+            framePng = resizePng(framePng, newWidth, newHeight, options.algorithm);
           }
 
           // Copy to new spritesheet
@@ -264,6 +254,8 @@ Usage:
 Options:
   --resize WxH     Resize to exact dimensions (e.g., 32x32)
   --scale N        Scale by factor (e.g., 2 = double size)
+  --algorithm, -a  Scaling algorithm used by --resize and --scale:
+                   ${ALGORITHMS.join(', ')} (default: nearest)
   --crop           Crop to content (remove transparent borders)
   --output, -o     Output directory
   --suffix, -s     Add suffix to filename (e.g., "-small")
@@ -273,6 +265,7 @@ Examples:
   node cli/piskel-transform.js --crop sprite.piskel
   node cli/piskel-transform.js --resize 16x16 sprite.piskel
   node cli/piskel-transform.js --scale 2 -s "-2x" sprite.piskel
+  node cli/piskel-transform.js --scale 4 -a xbr -s "-hd" sprite.piskel
   node cli/piskel-transform.js --crop --resize 32x32 -o ./out/ *.piskel
 `);
 }
@@ -281,6 +274,7 @@ function parseArgs(args) {
   const result = {
     resize: null,
     scale: null,
+    algorithm: 'nearest',
     crop: false,
     output: null,
     suffix: '',
@@ -296,6 +290,8 @@ function parseArgs(args) {
       result.resize = args[++i];
     } else if (arg === '--scale') {
       result.scale = parseFloat(args[++i]);
+    } else if (arg === '--algorithm' || arg === '-a') {
+      result.algorithm = args[++i];
     } else if (arg === '--crop') {
       result.crop = true;
     } else if (arg === '--output' || arg === '-o') {
@@ -323,6 +319,11 @@ function main() {
     process.exit(1);
   }
 
+  if (!ALGORITHMS.includes(args.algorithm)) {
+    console.error(`Error: Unknown algorithm "${args.algorithm}", expected one of: ${ALGORITHMS.join(', ')}`);
+    process.exit(1);
+  }
+
   if (args.output && !fs.existsSync(args.output)) {
     fs.mkdirSync(args.output, { recursive: true });
   }
@@ -0,0 +1,280 @@
+/**
+ * Pixel-art upscaling algorithms shared by the cli scripts.
+ * Same algorithms and output as UpscaleUtils in the editor.
+ */
+
+const ALGORITHMS = ['nearest', 'scale2x', 'scale3x', 'epx', 'hq2x', 'hq3x', 'xbr'];
+
+// Thresholds used by hqx to decide if two colors are different, in the YUV color space.
+const YUV_THRESHOLD = { y: 48, u: 7, v: 6 };
+
+// Weights of the YUV components in the color distance used by xBR.
+const XBR_WEIGHTS = { y: 48, u: 7, v: 6 };
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Blend ABGR colors, color channels are weighted by the alpha of each color.
+ */
+function blend(colors, weights) {
+  let r = 0, g = 0, b = 0, a = 0, total = 0;
+  for (let i = 0; i < colors.length; i++) {
+    const color = colors[i];
+    const alpha = (color >>> 24) * weights[i];
+    r += (color & 0xff) * alpha;
+    g += ((color >>> 8) & 0xff) * alpha;
+    b += ((color >>> 16) & 0xff) * alpha;
+    a += alpha;
+    total += weights[i];
+  }
+  if (a === 0) return 0;
+  return ((Math.round(a / total) << 24) | (Math.round(b / a) << 16) |
+    (Math.round(g / a) << 8) | Math.round(r / a)) >>> 0;
+}
+
+/**
+ * Pixels reader with clamped coordinates and cached YUV components.
+ */
+function createSource(pixels, width, height) {
+  const yuv = [];
+  const index = (x, y) => {
+    x = Math.max(0, Math.min(width - 1, x));
+    y = Math.max(0, Math.min(height - 1, y));
+    return y * width + x;
+  };
+  const getYuv = (x, y) => {
+    const i = index(x, y);
+    if (!yuv[i]) {
+      const color = pixels[i];
+      const r = color & 0xff;
+      const g = (color >>> 8) & 0xff;
+      const b = (color >>> 16) & 0xff;
+      yuv[i] = [
+        0.299 * r + 0.587 * g + 0.114 * b,
+        -0.169 * r - 0.331 * g + 0.5 * b,
+        0.5 * r - 0.419 * g - 0.081 * b,
+        color >>> 24
+      ];
+    }
+    return yuv[i];
+  };
+
+  return {
+    width,
+    height,
+    get: (x, y) => pixels[index(x, y)],
+    isDifferent(x1, y1, x2, y2) {
+      const c1 = getYuv(x1, y1);
+      const c2 = getYuv(x2, y2);
+      if (c1[3] === 0 || c2[3] === 0) return c1[3] !== c2[3];
+      return Math.abs(c1[0] - c2[0]) > YUV_THRESHOLD.y ||
+        Math.abs(c1[1] - c2[1]) > YUV_THRESHOLD.u ||
+        Math.abs(c1[2] - c2[2]) > YUV_THRESHOLD.v ||
+        Math.abs(c1[3] - c2[3]) > YUV_THRESHOLD.y;
+    },
+    distance(x1, y1, x2, y2) {
+      const c1 = getYuv(x1, y1);
+      const c2 = getYuv(x2, y2);
+      return XBR_WEIGHTS.y * Math.abs(c1[0] - c2[0]) + XBR_WEIGHTS.u * Math.abs(c1[1] - c2[1]) +
+        XBR_WEIGHTS.v * Math.abs(c1[2] - c2[2]) + XBR_WEIGHTS.y * Math.abs(c1[3] - c2[3]);
+    }
+  };
+}
+
+// ============================================================================
+// Algorithms
+// ============================================================================
+
+function scale2x(src) {
+  const w = src.width;
+  const result = new Uint32Array(w * src.height * 4);
+  for (let y = 0; y < src.height; y++) {
+    for (let x = 0; x < w; x++) {
+      const e = src.get(x, y);
+      const b = src.get(x, y - 1);
+      const d = src.get(x - 1, y);
+      const f = src.get(x + 1, y);
+      const h = src.get(x, y + 1);
+      const edge = b !== h && d !== f;
+      const i = (y * 2) * w * 2 + x * 2;
+      result[i] = edge && d === b ? d : e;
+      result[i + 1] = edge && b === f ? f : e;
+      result[i + w * 2] = edge && d === h ? d : e;
+      result[i + w * 2 + 1] = edge && h === f ? f : e;
+    }
+  }
+  return result;
+}
+
+function scale3x(src) {
+  const w = src.width;
+  const result = new Uint32Array(w * src.height * 9);
+  for (let y = 0; y < src.height; y++) {
+    for (let x = 0; x < w; x++) {
+      const [a, b, c] = [src.get(x - 1, y - 1), src.get(x, y - 1), src.get(x + 1, y - 1)];
+      const [d, e, f] = [src.get(x - 1, y), src.get(x, y), src.get(x + 1, y)];
+      const [g, h, i] = [src.get(x - 1, y + 1), src.get(x, y + 1), src.get(x + 1, y + 1)];
+
+      const out = [e, e, e, e, e, e, e, e, e];
+      if (b !== h && d !== f) {
+        out[0] = d === b ? d : e;
+        out[1] = (d === b && e !== c) || (b === f && e !== a) ? b : e;
+        out[2] = b === f ? f : e;
+        out[3] = (d === b && e !== g) || (d === h && e !== a) ? d : e;
+        out[5] = (b === f && e !== i) || (h === f && e !== c) ? f : e;
+        out[6] = d === h ? d : e;
+        out[7] = (d === h && e !== i) || (h === f && e !== g) ? h : e;
+        out[8] = h === f ? f : e;
+      }
+      for (let k = 0; k < 9; k++) {
+        result[(y * 3 + Math.floor(k / 3)) * w * 3 + x * 3 + (k % 3)] = out[k];
+      }
+    }
+  }
+  return result;
+}
+
+function hqxCorner(src, x, y, sx, sy) {
+  const e = src.get(x, y);
+  const h = src.get(x + sx, y);
+  const v = src.get(x, y + sy);
+  const c = src.get(x + sx, y + sy);
+  const diffH = src.isDifferent(x, y, x + sx, y);
+  const diffV = src.isDifferent(x, y, x, y + sy);
+
+  if (diffH && diffV && !src.isDifferent(x + sx, y, x, y + sy)) {
+    // Diagonal edge between the pixel and its corner.
+    if (!src.isDifferent(x + sx, y, x + sx, y + sy)) return blend([e, h, v], [2, 3, 3]);
+    return blend([e, h, v], [2, 1, 1]);
+  }
+  if (!diffH && !diffV && src.isDifferent(x, y, x + sx, y + sy)) return blend([e, c], [3, 1]);
+  if (diffH && !diffV) return blend([e, h], [3, 1]);
+  if (diffV && !diffH) return blend([e, v], [3, 1]);
+  return e;
+}
+
+function hqxSide(src, x, y, sx, sy) {
+  const e = src.get(x, y);
+  if (!src.isDifferent(x, y, x + sx, y + sy)) return e;
+  const isEdge = !src.isDifferent(x + sx, y + sy, x + sy, y + sx) ||
+    !src.isDifferent(x + sx, y + sy, x - sy, y - sx);
+  return isEdge ? blend([e, src.get(x + sx, y + sy)], [3, 1]) : e;
+}
+
+function hqx(src, factor) {
+  const size = src.width * factor;
+  const result = new Uint32Array(size * src.height * factor);
+  const last = factor - 1;
+  for (let y = 0; y < src.height; y++) {
+    for (let x = 0; x < src.width; x++) {
+      const i = y * factor * size + x * factor;
+      result[i] = hqxCorner(src, x, y, -1, -1);
+      result[i + last] = hqxCorner(src, x, y, 1, -1);
+      result[i + last * size] = hqxCorner(src, x, y, -1, 1);
+      result[i + last * size + last] = hqxCorner(src, x, y, 1, 1);
+      if (factor === 3) {
+        result[i + 1] = hqxSide(src, x, y, 0, -1);
+        result[i + size] = hqxSide(src, x, y, -1, 0);
+        result[i + size + 1] = src.get(x, y);
+        result[i + size + 2] = hqxSide(src, x, y, 1, 0);
+        result[i + 2 * size + 1] = hqxSide(src, x, y, 0, 1);
+      }
+    }
+  }
+  return result;
+}
+
+function xbrCorner(src, x, y, sx, sy) {
+  const px = (dx, dy) => src.get(x + dx * sx, y + dy * sy);
+  const dist = (dx1, dy1, dx2, dy2) => src.distance(x + dx1 * sx, y + dy1 * sy, x + dx2 * sx, y + dy2 * sy);
+
+  const e = px(0, 0);
+  const [b, c, d, f] = [px(0, -1), px(1, -1), px(-1, 0), px(1, 0)];
+  const [g, h, i] = [px(-1, 1), px(0, 1), px(1, 1)];
+  if (e === f || e === h) return e;
+
+  // Weighted distances along the two diagonals crossing the corner.
+  const alongEdge = dist(0, 0, 1, -1) + dist(0, 0, -1, 1) + dist(1, 1, 2, 0) + dist(1, 1, 0, 2) +
+    4 * dist(0, 1, 1, 0);
+  const acrossEdge = dist(0, 1, -1, 0) + dist(0, 1, 1, 2) + dist(1, 0, 2, 1) + dist(1, 0, 0, -1) +
+    4 * dist(0, 0, 1, 1);
+  const isEdge = alongEdge < acrossEdge && (
+    (f !== b && h !== d) ||
+    (e === i && f !== px(2, 1) && h !== px(1, 2)) ||
+    e === g || e === c);
+  if (!isEdge) return e;
+
+  const closest = dist(0, 0, 1, 0) <= dist(0, 0, 0, 1) ? f : h;
+  return blend([e, closest], [1, 1]);
+}
+
+function xbr(src) {
+  const size = src.width * 2;
+  const result = new Uint32Array(size * src.height * 2);
+  for (let y = 0; y < src.height; y++) {
+    for (let x = 0; x < src.width; x++) {
+      const i = y * 2 * size + x * 2;
+      result[i] = xbrCorner(src, x, y, -1, -1);
+      result[i + 1] = xbrCorner(src, x, y, 1, -1);
+      result[i + size] = xbrCorner(src, x, y, -1, 1);
+      result[i + size + 1] = xbrCorner(src, x, y, 1, 1);
+    }
+  }
+  return result;
+}
+
+const UPSCALERS = {
+  'scale2x': { factor: 2, run: scale2x },
+  'epx': { factor: 2, run: scale2x },
+  'scale3x': { factor: 3, run: scale3x },
+  'hq2x': { factor: 2, run: src => hqx(src, 2) },
+  'hq3x': { factor: 3, run: src => hqx(src, 3) },
+  'xbr': { factor: 2, run: xbr }
+};
+
+function nearest(pixels, width, height, targetWidth, targetHeight) {
+  const result = new Uint32Array(targetWidth * targetHeight);
+  for (let y = 0; y < targetHeight; y++) {
+    const srcY = Math.floor(y * height / targetHeight);
+    for (let x = 0; x < targetWidth; x++) {
+      result[y * targetWidth + x] = pixels[srcY * width + Math.floor(x * width / targetWidth)];
+    }
+  }
+  return result;
+}
+
+/**
+ * Resize RGBA pixels: the algorithm is applied as many times as possible without exceeding
+ * the target size, the remaining scaling uses nearest neighbor.
+ * @param {Buffer|Uint8Array} data RGBA pixels
+ * @param {Number} width width of the image
+ * @param {Number} height height of the image
+ * @param {Number} targetWidth
+ * @param {Number} targetHeight
+ * @param {String} algorithm one of ALGORITHMS (default 'nearest')
+ * @return {Buffer} RGBA pixels of the resized image
+ */
+function resizeImageData(data, width, height, targetWidth, targetHeight, algorithm) {
+  // Copy the data to get an aligned buffer, one ABGR integer per pixel.
+  let pixels = new Uint32Array(new Uint8Array(data).buffer);
+  const upscaler = UPSCALERS[algorithm];
+  if (upscaler) {
+    while (width * upscaler.factor <= targetWidth && height * upscaler.factor <= targetHeight) {
+      pixels = upscaler.run(createSource(pixels, width, height));
+      width *= upscaler.factor;
+      height *= upscaler.factor;
+    }
+  }
+
+  if (width !== targetWidth || height !== targetHeight) {
+    pixels = nearest(pixels, width, height, targetWidth, targetHeight);
+  }
+  return Buffer.from(pixels.buffer);
+}
+
+module.exports = {
+  ALGORITHMS,
+  resizeImageData
+};
@@ -11,6 +11,8 @@
  *   --output, -o    Output directory (default: same as input)
  *   --name, -n      Sprite name (default: filename)
  *   --palette, -p   Apply palette matching after import
+ *   --dither, -d    Dithering used with --palette: none, floyd-steinberg, atkinson, ordered
+ *   --metric, -m    Color distance used with --palette: redmean, weighted-rgb, cielab, ciede2000
  *   --fps, -f       Frames per second (default: 12)
  *   --help, -h      Show this help
  */
@@ -18,6 +20,7 @@
 const fs = require('fs');
 const path = require('path');
 const { PNG } = require('pngjs');
+const paletteDithering = require('./palette-dithering');
 
 // ============================================================================
 // Piskel File Generation
@@ -118,56 +121,6 @@ function loadPalette(filePath) {
   }
 }
 
-function colorDistance(r1, g1, b1, r2, g2, b2) {
-  const rMean = (r1 + r2) >> 1;
-  const dr = r1 - r2;
-  const dg = g1 - g2;
-  const db = b1 - b2;
-  return ((512 + rMean) * dr * dr >> 8) + 4 * dg * dg + ((767 - rMean) * db * db >> 8);
-}
-
-function findNearestColor(r, g, b, palette) {
-  let minDist = Infinity;
-  let nearest = palette[0];
-  for (const color of palette) {
-    const dist = colorDistance(r, g, b, color.r, color.g, color.b);
-    if (dist < minDist) {
-      minDist = dist;
-      nearest = color;
-      if (dist === 0) break;
-    }
-  }
-  return nearest;
-}
-
-function applyPaletteToImageData(imageData, palette) {
-  const colorCache = new Map();
-
-  for (let i = 0; i < imageData.length; i += 4) {
-    const a = imageData[i + 3];
-    if (a === 0) continue;
-
-    const r = imageData[i];
-    const g = imageData[i + 1];
-    const b = imageData[i + 2];
-    const key = (r << 16) | (g << 8) | b;
-
-    let nearest;
-    if (colorCache.has(key)) {
-      nearest = colorCache.get(key);
-    } else {
-      nearest = findNearestColor(r, g, b, palette);
-      colorCache.set(key, nearest);
-    }
-
-    imageData[i] = nearest.r;
-    imageData[i + 1] = nearest.g;
-    imageData[i + 2] = nearest.b;
-  }
-
-  return imageData;
-}
-
 // ============================================================================
 // PNG Processing
 // ============================================================================
@@ -190,11 +143,14 @@ function loadPng(filePath) {
 async function convertPngToPiskel(inputPath, outputPath, options) {
   const png = await loadPng(inputPath);
 
-  let imageData = png.data;
+  const imageData = png.data;
 
   // Apply palette matching if specified
   if (options.palette) {
-    imageData = applyPaletteToImageData(imageData, options.palette);
+    paletteDithering.matchImageData(imageData, png.width, png.height, options.palette, {
+      dithering: options.dither,
+      matcher: options.matcher
+    });
   }
 
   const piskelContent = createPiskelFile(imageData, {
@@ -224,6 +180,8 @@ Options:
   --output, -o    Output directory (default: same as input file)
   --name, -n      Sprite name (default: input filename)
   --palette, -p   Apply palette matching during import (.gpl, .txt)
+  --dither, -d    Dithering: none, floyd-steinberg, atkinson, ordered (default: none)
+  --metric, -m    Color distance: redmean, weighted-rgb, cielab, ciede2000 (default: redmean)
   --fps, -f       Frames per second (default: 12)
   --help, -h      Show this help
 
@@ -231,6 +189,7 @@ Examples:
   node cli/png-to-piskel.js sprite.png
   node cli/png-to-piskel.js -o ./sprites/ *.png
   node cli/png-to-piskel.js -p colors.gpl -n "Hero" hero.png
+  node cli/png-to-piskel.js -p colors.gpl -d atkinson -m cielab render.png
 `);
 }
 
@@ -239,6 +198,8 @@ function parseArgs(args) {
     output: null,
     name: null,
     palette: null,
+    dither: 'none',
+    metric: 'redmean',
     fps: 12,
     files: [],
     help: false
@@ -254,6 +215,10 @@ function parseArgs(args) {
       result.name = args[++i];
     } else if (arg === '--palette' || arg === '-p') {
       result.palette = args[++i];
+    } else if (arg === '--dither' || arg === '-d') {
+      result.dither = args[++i];
+    } else if (arg === '--metric' || arg === '-m') {
+      result.metric = args[++i];
     } else if (arg === '--fps' || arg === '-f') {
       result.fps = parseInt(args[++i]) || 12;
     } else if (!arg.startsWith('-')) {
@@ -272,13 +237,24 @@ async function main() {
     process.exit(args.help ? 0 : 1);
   }
 
+  if (!paletteDithering.DITHERING.includes(args.dither)) {
+    console.error(`Unknown dithering: ${args.dither} (${paletteDithering.DITHERING.join(', ')})`);
+    process.exit(1);
+  }
+  if (!paletteDithering.METRICS.includes(args.metric)) {
+    console.error(`Unknown color metric: ${args.metric} (${paletteDithering.METRICS.join(', ')})`);
+    process.exit(1);
+  }
+
   // Load palette if specified
   let palette = null;
+  let matcher = null;
   if (args.palette) {
     console.log(`Loading palette: ${args.palette}`);
     try {
       palette = loadPalette(args.palette);
       console.log(`  Found ${palette.length} colors`);
+      matcher = paletteDithering.createMatcher(palette, args.metric);
     } catch (err) {
       console.error(`Error loading palette: ${err.message}`);
       process.exit(1);
@@ -321,7 +297,9 @@ async function main() {
       const result = await convertPngToPiskel(inputFile, outputFile, {
         name: args.name,
         fps: args.fps,
-        palette: palette
+        palette: palette,
+        dither: args.dither,
+        matcher: matcher
       });
       console.log(`  -> ${outputFile} (${result.width}x${result.height})`);
       processed++;
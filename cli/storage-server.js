@@ -0,0 +1,310 @@
+#!/usr/bin/env node
+/**
+ * Self-hostable storage server for Piskel sprites, used by the "Save on Server" option
+ * of the Save panel (see src/js/service/storage/RemoteStorageService.js).
+ *
+ * Usage:
+ *   node cli/storage-server.js --dir ./sprites --port 9901 --token secret
+ *
+ * Options:
+ *   --dir, -d      Directory where the sprites are stored (default: ./piskel-sprites)
+ *   --port, -p     Port to listen on (default: 9901)
+ *   --host         Host to bind (default: 0.0.0.0)
+ *   --token, -t    Access token required in the Authorization header, can also be set
+ *                  with the PISKEL_STORAGE_TOKEN environment variable
+ *   --origin       Value of the Access-Control-Allow-Origin header (default: *)
+ *   --help, -h     Show this help
+ *
+ * API:
+ *   GET    /sprites        list of {name, description, date}
+ *   GET    /sprites/:name  {name, description, date, serialized}
+ *   PUT    /sprites/:name  save {name, description, date, serialized}
+ *   DELETE /sprites/:name
+ *
+ * Responses for a sprite contain an ETag header. PUT and DELETE requests with an If-Match
+ * header fail with 412 if the sprite changed since, PUT requests with If-None-Match: *
+ * fail with 412 if the sprite already exists.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const DEFAULTS = {
+  dir: './piskel-sprites',
+  port: 9901,
+  host: '0.0.0.0',
+  token: process.env.PISKEL_STORAGE_TOKEN || '',
+  origin: '*'
+};
+
+// Maximum size of a saved sprite, in bytes.
+const MAX_BODY_SIZE = 20 * 1024 * 1024;
+const SPRITE_FILE_EXTENSION = '.json';
+
+// ============================================================================
+// Sprite files
+// ============================================================================
+
+function getSpritePath(dir, name) {
+  // encodeURIComponent keeps the file inside of dir: '/' and '\' are encoded.
+  return path.join(dir, encodeURIComponent(name).replace(/^\./, '%2E') + SPRITE_FILE_EXTENSION);
+}
+
+function getEtag(content) {
+  return '"' + crypto.createHash('sha1').update(content).digest('hex') + '"';
+}
+
+function readSprite(dir, name) {
+  const spritePath = getSpritePath(dir, name);
+  if (!fs.existsSync(spritePath)) {
+    return null;
+  }
+  const content = fs.readFileSync(spritePath, 'utf-8');
+  return { content: content, etag: getEtag(content) };
+}
+
+function listSprites(dir) {
+  return fs.readdirSync(dir)
+    .filter(filename => path.extname(filename) === SPRITE_FILE_EXTENSION)
+    .map(filename => {
+      let sprite;
+      try {
+        sprite = JSON.parse(fs.readFileSync(path.join(dir, filename), 'utf-8'));
+      } catch (e) {
+        // Corrupt or foreign file, not listed.
+        return null;
+      }
+      if (!isPlainObject(sprite) || typeof sprite.name !== 'string') {
+        return null;
+      }
+      return {
+        name: sprite.name,
+        description: sprite.description,
+        date: sprite.date
+      };
+    })
+    .filter(sprite => sprite);
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// ============================================================================
+// HTTP
+// ============================================================================
+
+function send(res, status, body, headers) {
+  res.writeHead(status, Object.assign({ 'Content-Type': 'application/json' }, headers));
+  res.end(typeof body === 'undefined' ? '' : JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+    req.on('error', reject);
+  });
+}
+
+function isAuthorized(req, token) {
+  if (!token) {
+    return true;
+  }
+  const expected = Buffer.from('Bearer ' + token);
+  const actual = Buffer.from(req.headers.authorization || '');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * @return {Boolean} true if the preconditions of the request are met for the current
+ *         ETag of the sprite, null if the sprite does not exist.
+ */
+function checkPreconditions(req, etag) {
+  const ifMatch = req.headers['if-match'];
+  const ifNoneMatch = req.headers['if-none-match'];
+  if (ifMatch && ifMatch !== '*' && ifMatch !== etag) {
+    return false;
+  }
+  if (ifMatch === '*' && !etag) {
+    return false;
+  }
+  if (ifNoneMatch === '*' && etag) {
+    return false;
+  }
+  return true;
+}
+
+async function handleSprite(req, res, options, name) {
+  const sprite = readSprite(options.dir, name);
+  const etag = sprite ? sprite.etag : null;
+
+  if (req.method === 'GET') {
+    if (!sprite) {
+      return send(res, 404, { error: 'Not found' });
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json', 'ETag': etag });
+    return res.end(sprite.content);
+  }
+
+  if (req.method === 'PUT') {
+    const body = await readBody(req);
+    let data;
+    try {
+      data = JSON.parse(body);
+    } catch (e) {
+      return send(res, 400, { error: 'Invalid JSON' });
+    }
+    if (!isPlainObject(data) || typeof data.serialized !== 'string') {
+      return send(res, 400, { error: 'Missing serialized sprite' });
+    }
+
+    // Checked after reading the body, the sprite might have been saved in the meantime.
+    const current = readSprite(options.dir, name);
+    const currentEtag = current ? current.etag : null;
+    if (!checkPreconditions(req, currentEtag)) {
+      return send(res, 412, { error: 'Precondition failed' });
+    }
+
+    const content = JSON.stringify({
+      name: name,
+      description: data.description || '',
+      date: data.date || Date.now(),
+      serialized: data.serialized
+    });
+    fs.writeFileSync(getSpritePath(options.dir, name), content);
+    return send(res, current ? 200 : 201, { name: name }, { 'ETag': getEtag(content) });
+  }
+
+  if (req.method === 'DELETE') {
+    if (!sprite) {
+      return send(res, 404, { error: 'Not found' });
+    }
+    if (!checkPreconditions(req, etag)) {
+      return send(res, 412, { error: 'Precondition failed' });
+    }
+    fs.unlinkSync(getSpritePath(options.dir, name));
+    return send(res, 204);
+  }
+
+  return send(res, 405, { error: 'Method not allowed' });
+}
+
+async function handleRequest(req, res, options) {
+  res.setHeader('Access-Control-Allow-Origin', options.origin);
+  res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type, If-Match, If-None-Match');
+  res.setHeader('Access-Control-Expose-Headers', 'ETag');
+
+  if (req.method === 'OPTIONS') {
+    return send(res, 204);
+  }
+
+  if (!isAuthorized(req, options.token)) {
+    return send(res, 401, { error: 'Unauthorized' });
+  }
+
+  const url = new URL(req.url, 'http://localhost');
+  const segments = url.pathname.split('/').filter(segment => segment);
+  if (segments[0] !== 'sprites' || segments.length > 2) {
+    return send(res, 404, { error: 'Not found' });
+  }
+
+  if (segments.length === 1) {
+    if (req.method !== 'GET') {
+      return send(res, 405, { error: 'Method not allowed' });
+    }
+    return send(res, 200, listSprites(options.dir));
+  }
+
+  let name;
+  try {
+    name = decodeURIComponent(segments[1]);
+  } catch (e) {
+    return send(res, 400, { error: 'Invalid sprite name' });
+  }
+  return handleSprite(req, res, options, name);
+}
+
+/**
+ * @param  {Object} options see DEFAULTS
+ * @return {http.Server} the server, not listening yet
+ */
+function createServer(options) {
+  options = Object.assign({}, DEFAULTS, options);
+  fs.mkdirSync(options.dir, { recursive: true });
+
+  return http.createServer((req, res) => {
+    handleRequest(req, res, options).catch(error => {
+      if (!res.headersSent) {
+        send(res, error.status || 500, { error: error.message });
+      }
+    });
+  });
+}
+
+// ============================================================================
+// CLI
+// ============================================================================
+
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (arg === '--dir' || arg === '-d') {
+      options.dir = argv[++i];
+    } else if (arg === '--port' || arg === '-p') {
+      options.port = parseInt(argv[++i], 10);
+    } else if (arg === '--host') {
+      options.host = argv[++i];
+    } else if (arg === '--token' || arg === '-t') {
+      options.token = argv[++i];
+    } else if (arg === '--origin') {
+      options.origin = argv[++i];
+    } else {
+      console.error('Unknown option: ' + arg);
+      options.help = true;
+    }
+  }
+  return options;
+}
+
+function main() {
+  const options = Object.assign({}, DEFAULTS, parseArgs(process.argv.slice(2)));
+  if (options.help) {
+    console.log('Usage: node cli/storage-server.js [--dir DIR] [--port PORT] [--host HOST] ' +
+      '[--token TOKEN] [--origin ORIGIN]');
+    return;
+  }
+
+  if (!options.token) {
+    console.warn('No access token set, anyone who can reach this server can modify the sprites.');
+  }
+
+  createServer(options).listen(options.port, options.host, () => {
+    console.log('Piskel storage server listening on http://' + options.host + ':' + options.port);
+    console.log('Sprites are stored in ' + path.resolve(options.dir));
+  });
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  createServer
+};
@@ -7,11 +7,17 @@ var Constants = {
     LAYER_OPACITY : 0.2
   },
 
-  MODEL_VERSION : 2,
+  MODEL_VERSION : 3,
 
   MAX_HEIGHT : 1024,
   MAX_WIDTH : 1024,
 
+  // Frame durations are stored on 16 bits in the binary export formats.
+  MAX_FRAME_DURATION : 65535,
+
+  // Colors assigned to new animation tags, in order.
+  TAG_COLORS : ['#f2c94c', '#eb5757', '#6fcf97', '#56ccf2', '#bb6bd9', '#f2994a'],
+
   MAX_PALETTE_COLORS : 256,
   // allow current colors service to get up to 256 colors.
   // GIF generation is different if the color count goes over 256.
@@ -27,6 +33,7 @@ var Constants = {
   SEAMLESS_MODE_OVERLAY_COLOR : 'rgba(255, 255, 255, 0)',
 
   CURRENT_COLORS_PALETTE_ID : '__current-colors',
+  INDEXED_PALETTE_ID : '__indexed-palette',
 
   /*
    * Fake semi-transparent color used to highlight transparent
@@ -44,6 +44,8 @@ var Events = {
   HISTORY_STATE_LOADED: 'HISTORY_STATE_LOADED',
 
   PEN_SIZE_CHANGED: 'PEN_SIZE_CHANGED',
+  DITHERING_OPTIONS_CHANGED: 'DITHERING_OPTIONS_CHANGED',
+  FREE_TRANSFORM_CHANGED: 'FREE_TRANSFORM_CHANGED',
 
   /**
    * Fired when a Piskel is successfully saved
@@ -61,6 +63,18 @@ var Events = {
   FRAME_SIZE_CHANGED: 'FRAME_SIZE_CHANGED',
   FPS_CHANGED: 'FPS_CHANGED',
 
+  /**
+   * Fired when the user selects a tag to play in the animated preview.
+   * The payload will be the name of the tag, or null to play all frames.
+   */
+  PREVIEWED_TAG_CHANGED: 'PREVIEWED_TAG_CHANGED',
+
+  /**
+   * Fired when the tile used by the tile brush tool changes.
+   * The payload will be the index of the tile in the tileset.
+   */
+  SELECTED_TILE_CHANGED: 'SELECTED_TILE_CHANGED',
+
   SELECTION_CREATED: 'SELECTION_CREATED',
   SELECTION_MOVE_REQUEST: 'SELECTION_MOVE_REQUEST',
   SELECTION_DISMISSED: 'SELECTION_DISMISSED',
@@ -78,11 +92,18 @@ var Events = {
 
   ZOOM_CHANGED: 'ZOOM_CHANGED',
   EXPORT_SCALE_CHANGED: 'EXPORT_SCALE_CHANGED',
+  EXPORT_TAG_CHANGED: 'EXPORT_TAG_CHANGED',
 
   CURRENT_COLORS_UPDATED: 'CURRENT_COLORS_UPDATED',
 
   PERFORMANCE_REPORT_CHANGED: 'PERFORMANCE_REPORT_CHANGED',
 
+  /**
+   * Fired when the client joins or leaves a collaboration session, or when other clients
+   * join or leave the session.
+   */
+  COLLABORATION_STATUS_CHANGED: 'COLLABORATION_STATUS_CHANGED',
+
   PISKEL_FILE_IMPORT_FAILED: 'PISKEL_FILE_IMPORT_FAILED',
 
   // Tests
@@ -43,8 +43,13 @@
 
       this.paletteService = new pskl.service.palette.PaletteService();
       this.paletteService.addDynamicPalette(new pskl.service.palette.CurrentColorsPalette());
+      this.paletteService.addDynamicPalette(new pskl.service.palette.IndexedPalette());
+
+      this.tilemapService = new pskl.service.TilemapService(this.piskelController);
+      this.tilemapService.init();
 
       this.paletteMatchingService = new pskl.service.palette.PaletteMatchingService(this.piskelController);
+      this.paletteMatchingService.init();
 
       this.selectedColorsService = new pskl.service.SelectedColorsService();
       this.selectedColorsService.init();
@@ -86,9 +91,15 @@
         document.querySelector('#preview-list-wrapper'));
       this.framesListController.init();
 
+      this.tagsListController = new pskl.controller.TagsListController(this.piskelController);
+      this.tagsListController.init();
+
       this.layersListController = new pskl.controller.LayersListController(this.piskelController);
       this.layersListController.init();
 
+      this.tilesetController = new pskl.controller.TilesetController(this.piskelController, this.tilemapService);
+      this.tilesetController.init();
+
       this.settingsController = new pskl.controller.settings.SettingsController(this.piskelController);
       this.settingsController.init();
 
@@ -104,6 +115,11 @@
       this.historyService = new pskl.service.HistoryService(this.piskelController);
       this.historyService.init();
 
+      this.historyListController = new pskl.controller.HistoryListController(
+        this.piskelController,
+        this.historyService);
+      this.historyListController.init();
+
       this.notificationController = new pskl.controller.NotificationController();
       this.notificationController.init();
 
@@ -131,9 +147,15 @@
       this.galleryStorageService = new pskl.service.storage.GalleryStorageService(this.piskelController);
       this.galleryStorageService.init();
 
+      this.remoteStorageService = new pskl.service.storage.RemoteStorageService(this.piskelController);
+      this.remoteStorageService.init();
+
       this.storageService = new pskl.service.storage.StorageService(this.piskelController);
       this.storageService.init();
 
+      this.collaborationService = new pskl.service.collaboration.CollaborationService(this.piskelController);
+      this.collaborationService.init();
+
       this.importService = new pskl.service.ImportService(this.piskelController);
       this.importService.init();
 
@@ -159,6 +181,18 @@
       this.penSizeController = new pskl.controller.PenSizeController();
       this.penSizeController.init();
 
+      this.ditheringService = new pskl.service.dithering.DitheringService();
+      this.ditheringService.init();
+
+      this.ditheringOptionsController = new pskl.controller.DitheringOptionsController();
+      this.ditheringOptionsController.init();
+
+      this.freeTransformOptionsController = new pskl.controller.FreeTransformOptionsController();
+      this.freeTransformOptionsController.init();
+
+      this.selectionOptionsController = new pskl.controller.SelectionOptionsController();
+      this.selectionOptionsController.init();
+
       this.fileDropperService = new pskl.service.FileDropperService(this.piskelController);
       this.fileDropperService.init();
 
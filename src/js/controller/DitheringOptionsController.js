@@ -0,0 +1,73 @@
+(function () {
+  var ns = $.namespace('pskl.controller');
+
+  /**
+   * Options of the dithering tool displayed in the tools section, see
+   * pskl.service.dithering.DitheringService.
+   */
+  ns.DitheringOptionsController = function () {};
+
+  ns.DitheringOptionsController.prototype.init = function () {
+    this.container = document.querySelector('.dithering-options');
+    this.patternSelect = this.container.querySelector('.dithering-pattern-select');
+    this.densityInput = this.container.querySelector('.dithering-density-input');
+    this.algorithmSelect = this.container.querySelector('.dithering-algorithm-select');
+
+    this.patternSelect.addEventListener('change', this.onPatternChange_.bind(this));
+    this.densityInput.addEventListener('change', this.onDensityChange_.bind(this));
+    this.algorithmSelect.addEventListener('change', this.onAlgorithmChange_.bind(this));
+    this.container.addEventListener('click', this.onClick_.bind(this));
+
+    $.subscribe(Events.DITHERING_OPTIONS_CHANGED, this.updateOptions_.bind(this));
+    this.updateOptions_();
+  };
+
+  ns.DitheringOptionsController.prototype.onPatternChange_ = function () {
+    pskl.app.ditheringService.setOptions({pattern : this.patternSelect.value});
+  };
+
+  ns.DitheringOptionsController.prototype.onDensityChange_ = function () {
+    pskl.app.ditheringService.setOptions({density : this.densityInput.value / 100});
+  };
+
+  ns.DitheringOptionsController.prototype.onAlgorithmChange_ = function () {
+    pskl.app.ditheringService.setOptions({algorithm : this.algorithmSelect.value});
+  };
+
+  ns.DitheringOptionsController.prototype.onClick_ = function (evt) {
+    var target = evt.target;
+    var mode = target.dataset.mode;
+    var cellIndex = target.dataset.cellIndex;
+    if (mode) {
+      pskl.app.ditheringService.setOptions({mode : mode});
+    } else if (cellIndex) {
+      var customPattern = pskl.app.ditheringService.getOptions().customPattern;
+      customPattern[cellIndex] = !customPattern[cellIndex];
+      pskl.app.ditheringService.setOptions({customPattern : customPattern});
+    }
+  };
+
+  ns.DitheringOptionsController.prototype.updateOptions_ = function () {
+    var options = pskl.app.ditheringService.getOptions();
+    var utils = pskl.utils.DitheringUtils;
+    var isGradient = options.mode === pskl.service.dithering.DitheringService.MODES.GRADIENT;
+
+    this.container.classList.toggle('dithering-options-bayer', utils.getBayerSize(options.pattern) > 0);
+    this.container.classList.toggle('dithering-options-custom', options.pattern === utils.PATTERNS.CUSTOM);
+    this.container.classList.toggle('dithering-options-gradient', isGradient);
+
+    this.patternSelect.value = options.pattern;
+    this.densityInput.value = Math.round(options.density * 100);
+    this.algorithmSelect.value = options.algorithm;
+
+    var modeButtons = this.container.querySelectorAll('.dithering-mode-button');
+    Array.prototype.forEach.call(modeButtons, function (button) {
+      button.classList.toggle('selected', button.dataset.mode === options.mode);
+    });
+
+    var cells = this.container.querySelectorAll('.dithering-custom-cell');
+    Array.prototype.forEach.call(cells, function (cell, index) {
+      cell.classList.toggle('dithering-custom-cell-primary', options.customPattern[index]);
+    });
+  };
+})();
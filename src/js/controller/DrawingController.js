@@ -17,6 +17,12 @@
      */
     this.overlayFrame = pskl.model.Frame.createEmptyFromFrame(piskelController.getCurrentFrame());
 
+    /**
+     * @private
+     * Frame displayed instead of the current frame when the current layer is hidden.
+     */
+    this.hiddenFrame = pskl.model.Frame.createEmptyFromFrame(piskelController.getCurrentFrame());
+
     /**
      * @private
      */
@@ -37,6 +43,10 @@
     cfg.supportGridRendering = true;
     this.renderer = new pskl.rendering.frame.CachedFrameRenderer(this.container, cfg, ['drawing-canvas']);
 
+    // Border of the selection mask, displayed over the overlay frame.
+    this.marchingAnts = new pskl.selection.MarchingAnts();
+    this.remoteCursors = new pskl.service.collaboration.RemoteCursors();
+
     this.compositeRenderer = new pskl.rendering.CompositeRenderer();
     this.compositeRenderer
       .add(this.overlayRenderer)
@@ -171,9 +181,17 @@
     } else if (event.altKey && !this.currentToolBehavior.supportsAlt()) {
       this.currentToolBehavior.hideHighlightedPixel(this.overlayFrame);
       this.isPickingColor = true;
+    } else if (this.piskelController.isCurrentLayerLocked() || !this.piskelController.isCurrentLayerVisible()) {
+      this.isClicked = false;
+      var reason = this.piskelController.isCurrentLayerLocked() ? 'locked' : 'hidden';
+      $.publish(Events.SHOW_NOTIFICATION, [{
+        'content': 'The current layer is ' + reason,
+        'hideDelay': 2000
+      }]);
     } else {
       this.currentToolBehavior.hideHighlightedPixel(this.overlayFrame);
       $.publish(Events.TOOL_PRESSED);
+      this.startMaskedOperation_(event);
       this.currentToolBehavior.applyToolAt(
         coords.x,
         coords.y,
@@ -181,6 +199,7 @@
         this.overlayFrame,
         event
       );
+      pskl.app.selectionManager.applyMask();
     }
   };
 
@@ -229,6 +248,7 @@
           this.overlayFrame,
           event
         );
+        pskl.app.selectionManager.applyMask();
       }
     } else {
       this.currentToolBehavior.moveUnactiveToolAt(
@@ -364,12 +384,54 @@
         this.overlayFrame,
         event
       );
+      pskl.app.selectionManager.endMaskedOperation();
       $.publish(Events.TOOL_RELEASED);
     }
 
     $.publish(Events.MOUSE_EVENT, [event, this]);
   };
 
+  /**
+   * Limit the modifications of the current tool to the current selection. The modifier keys
+   * select the frames and layers modified by some tools (shift for all the frames, ctrl for
+   * all the layers), all of them are protected.
+   * @private
+   */
+  ns.DrawingController.prototype.startMaskedOperation_ = function (event) {
+    if (!this.currentToolBehavior.usesSelectionMask) {
+      pskl.app.selectionManager.startMaskedOperation([]);
+      return;
+    }
+
+    var allLayers = pskl.utils.UserAgent.isMac ? event.metaKey : event.ctrlKey;
+    var frames = pskl.tools.ToolsHelper.getTargetFrames(allLayers, event.shiftKey);
+    pskl.app.selectionManager.startMaskedOperation(frames.concat([this.overlayFrame]));
+  };
+
+  /**
+   * @return {pskl.model.Frame} the overlay frame, with the border of the selection mask
+   *         when the current tool is limited to the selection, and the cursors of the
+   *         other clients of the collaboration session
+   * @private
+   */
+  ns.DrawingController.prototype.getOverlayFrame_ = function () {
+    var overlayFrame = this.overlayFrame;
+    var mask = pskl.app.selectionManager.getMask();
+    if (mask && this.currentToolBehavior.usesSelectionMask) {
+      overlayFrame = this.marchingAnts.decorate(overlayFrame, mask);
+    }
+
+    var collaborationService = pskl.app.collaborationService;
+    if (collaborationService && collaborationService.isConnected()) {
+      var frameIndex = this.piskelController.getCurrentFrameIndex();
+      var cursors = collaborationService.getRemoteCursors(frameIndex);
+      if (cursors.length) {
+        overlayFrame = this.remoteCursors.decorate(overlayFrame, cursors);
+      }
+    }
+    return overlayFrame;
+  };
+
   /**
    * Send a COLOR selection event for the color contained at the provided coordinates.
    * No-op if the coordinate is outside of the drawing canvas.
@@ -431,6 +493,13 @@
       this.overlayFrame = pskl.model.Frame.createEmptyFromFrame(currentFrame);
     }
 
+    if (!this.piskelController.isCurrentLayerVisible()) {
+      if (!currentFrame.isSameSize(this.hiddenFrame)) {
+        this.hiddenFrame = pskl.model.Frame.createEmptyFromFrame(currentFrame);
+      }
+      currentFrame = this.hiddenFrame;
+    }
+
     if (pskl.UserSettings.get(pskl.UserSettings.ONION_SKIN)) {
       this.onionSkinRenderer.render();
     }
@@ -440,7 +509,7 @@
     }
 
     this.renderer.render(currentFrame);
-    this.overlayRenderer.render(this.overlayFrame);
+    this.overlayRenderer.render(this.getOverlayFrame_());
   };
 
   /**
@@ -6,7 +6,17 @@
     CLONE : 'clone',
     DELETE : 'delete',
     NEW_FRAME : 'newframe',
-    TOGGLE: 'toggle'
+    TOGGLE: 'toggle',
+    DURATION: 'duration'
+  };
+
+  // Actions applied to all the selected frames, see onSelectionActionClick_.
+  var SELECTION_ACTION = {
+    DUPLICATE : 'duplicate',
+    DELETE : 'delete',
+    REVERSE : 'reverse',
+    TOGGLE : 'toggle',
+    COPY_TO_LAYER : 'layer'
   };
 
   ns.FramesListController = function (piskelController, container) {
@@ -19,6 +29,9 @@
     this.regenerateDomFlag = true;
     this.justDropped = false;
 
+    // Indexes of the frames selected with shift+click and ctrl+click, see getSelectedFrames.
+    this.selectedFrames = [];
+
     this.cachedFrameProcessor = new pskl.model.frame.CachedFrameProcessor();
     this.cachedFrameProcessor.setFrameProcessor(this.frameToPreviewCanvas_.bind(this));
     this.cachedFrameProcessor.setOutputCloner(this.clonePreviewCanvas_.bind(this));
@@ -37,6 +50,9 @@
     this.previewListScroller.addEventListener('scroll', this.updateScrollerOverflows.bind(this));
     this.container.addEventListener('click', this.onContainerClick_.bind(this));
     this.updateScrollerOverflows();
+
+    this.selectionActions = document.querySelector('.frames-selection-actions');
+    this.selectionActions.addEventListener('click', this.onSelectionActionClick_.bind(this));
   };
 
   ns.FramesListController.prototype.flagForRedraw_ = function (regenerateDom) {
@@ -96,6 +112,24 @@
     var action = target.dataset.tileAction;
     var index = parseInt(target.dataset.tileNumber, 10);
 
+    // The buttons of a selected frame apply to all the selected frames.
+    var isSelected = this.getSelectedFrames().indexOf(index) !== -1;
+    if (isSelected && action === ACTION.CLONE) {
+      this.applySelectionAction_(SELECTION_ACTION.DUPLICATE);
+      return;
+    } else if (isSelected && action === ACTION.DELETE) {
+      this.applySelectionAction_(SELECTION_ACTION.DELETE);
+      return;
+    } else if (isSelected && action === ACTION.TOGGLE) {
+      this.applySelectionAction_(SELECTION_ACTION.TOGGLE);
+      return;
+    }
+
+    if (action !== ACTION.SELECT && action !== ACTION.TOGGLE && action !== ACTION.DURATION) {
+      // The indexes of the selected frames are about to change.
+      this.setSelectedFrames_([]);
+    }
+
     if (action === ACTION.CLONE) {
       this.piskelController.duplicateFrameAt(index);
       var clonedTile = this.createPreviewTile_(index + 1);
@@ -108,7 +142,14 @@
       this.tiles.splice(index, 1);
       this.updateScrollerOverflows();
     } else if (action === ACTION.SELECT && !this.justDropped) {
-      this.piskelController.setCurrentFrameIndex(index);
+      if (event.shiftKey) {
+        this.selectFrameRange_(this.piskelController.getCurrentFrameIndex(), index);
+      } else if (pskl.utils.UserAgent.isMac ? event.metaKey : event.ctrlKey) {
+        this.toggleFrameSelection_(index);
+      } else {
+        this.setSelectedFrames_([]);
+        this.piskelController.setCurrentFrameIndex(index);
+      }
     } else if (action === ACTION.NEW_FRAME) {
       this.piskelController.addFrame();
       var newtile = this.createPreviewTile_(this.tiles.length);
@@ -117,6 +158,8 @@
       this.updateScrollerOverflows();
     } else if (action == ACTION.TOGGLE) {
       this.piskelController.toggleFrameVisibilityAt(index);
+    } else if (action == ACTION.DURATION) {
+      this.promptFrameDuration_(index);
     }
 
     this.flagForRedraw_();
@@ -142,6 +185,14 @@
         this.tiles[i].querySelector('.tile-count').classList.add('toggled');
       }
 
+      // Update duration
+      var durationButton = this.tiles[i].querySelector('.frame-duration-action');
+      durationButton.setAttribute('data-tile-number', i);
+      var duration = this.piskelController.getFrameDurationAt(i);
+      // Frames without a custom duration have no duration when the FPS is 0.
+      durationButton.innerHTML = isFinite(duration) ? Math.round(duration) + 'ms' : '&mdash;';
+      durationButton.classList.toggle('custom-duration', this.piskelController.hasCustomFrameDurationAt(i));
+
       // Check if any tile is updated
       var hash = this.piskelController.getCurrentLayer().getFrameAt(i).getHash();
       if (this.tiles[i].getAttribute('data-tile-hash') !== hash) {
@@ -167,6 +218,116 @@
 
     // Add selected class
     this.tiles[this.piskelController.getCurrentFrameIndex()].classList.add('selected');
+
+    var selectedFrames = this.getSelectedFrames();
+    for (i = 0, length = this.tiles.length; i < length; i++) {
+      this.tiles[i].classList.toggle('multi-selected', selectedFrames.indexOf(i) !== -1);
+    }
+
+    this.selectionActions.classList.toggle('hidden', selectedFrames.length === 0);
+    this.selectionActions.querySelector('.frames-selection-count').innerHTML = selectedFrames.length + ' frames';
+    var deleteButton = this.selectionActions.querySelector('[data-frames-action="delete"]');
+    deleteButton.disabled = selectedFrames.length >= this.piskelController.getFrameCount();
+  };
+
+  /**
+   * @private
+   */
+  ns.FramesListController.prototype.onSelectionActionClick_ = function (event) {
+    var target = pskl.utils.Dom.getParentWithData(event.target, 'framesAction');
+    if (target) {
+      this.applySelectionAction_(target.dataset.framesAction);
+    }
+  };
+
+  /**
+   * Apply an action to all the selected frames, each action is saved as a single history state.
+   * @param {String} action one of SELECTION_ACTION
+   * @private
+   */
+  ns.FramesListController.prototype.applySelectionAction_ = function (action) {
+    var selectedFrames = this.getSelectedFrames();
+    if (!selectedFrames.length) {
+      return;
+    }
+
+    if (action === SELECTION_ACTION.DUPLICATE) {
+      this.piskelController.duplicateFramesAt(selectedFrames);
+      // Select the copies, inserted after the last selected frame.
+      var firstCopy = selectedFrames[selectedFrames.length - 1] + 1;
+      this.selectFrameRange_(firstCopy, firstCopy + selectedFrames.length - 1);
+    } else if (action === SELECTION_ACTION.DELETE) {
+      this.setSelectedFrames_([]);
+      this.piskelController.removeFramesAt(selectedFrames);
+    } else if (action === SELECTION_ACTION.REVERSE) {
+      this.piskelController.reverseFramesAt(selectedFrames);
+    } else if (action === SELECTION_ACTION.TOGGLE) {
+      this.piskelController.toggleFramesVisibilityAt(selectedFrames);
+    } else if (action === SELECTION_ACTION.COPY_TO_LAYER) {
+      this.piskelController.copyFramesToNewLayer(selectedFrames);
+    }
+
+    this.flagForRedraw_(true);
+  };
+
+  /**
+   * Add or remove a frame from the selected frames. The current frame is always selected.
+   * @private
+   */
+  ns.FramesListController.prototype.toggleFrameSelection_ = function (index) {
+    var currentIndex = this.piskelController.getCurrentFrameIndex();
+    if (index === currentIndex) {
+      return;
+    }
+
+    var selectedFrames = this.getSelectedFrames();
+    if (!selectedFrames.length) {
+      selectedFrames = [currentIndex];
+    }
+
+    var position = selectedFrames.indexOf(index);
+    if (position === -1) {
+      selectedFrames.push(index);
+    } else {
+      selectedFrames.splice(position, 1);
+    }
+    selectedFrames.sort(function (a, b) {
+      return a - b;
+    });
+    this.setSelectedFrames_(selectedFrames.length > 1 ? selectedFrames : []);
+  };
+
+  /**
+   * The frames selected with shift+click, only valid as long as they contain the current frame.
+   * @return {Array} the sorted indexes of the selected frames, or an empty array if only the
+   *         current frame is selected
+   */
+  ns.FramesListController.prototype.getSelectedFrames = function () {
+    var currentIndex = this.piskelController.getCurrentFrameIndex();
+    var frameCount = this.piskelController.getFrameCount();
+    var isValid = this.selectedFrames.indexOf(currentIndex) !== -1 && this.selectedFrames.every(function (index) {
+      return index < frameCount;
+    });
+    return isValid ? this.selectedFrames.slice(0) : [];
+  };
+
+  /**
+   * Select all the frames between the two provided indexes, the current frame is unchanged.
+   * @private
+   */
+  ns.FramesListController.prototype.selectFrameRange_ = function (fromIndex, toIndex) {
+    var indexes = [];
+    for (var i = Math.min(fromIndex, toIndex) ; i <= Math.max(fromIndex, toIndex) ; i++) {
+      indexes.push(i);
+    }
+    this.setSelectedFrames_(indexes.length > 1 ? indexes : []);
+  };
+
+  /**
+   * @private
+   */
+  ns.FramesListController.prototype.setSelectedFrames_ = function (indexes) {
+    this.selectedFrames = indexes;
   };
 
   ns.FramesListController.prototype.createPreviews_ = function () {
@@ -222,6 +383,13 @@
     var tiles = document.querySelectorAll('.preview-tile');
     var targetInsertionId = Array.prototype.indexOf.call(tiles, movedItem);
 
+    var selectedFrames = this.getSelectedFrames();
+    if (selectedFrames.indexOf(originFrameId) !== -1) {
+      this.moveSelectedFrames_(selectedFrames, originFrameId, tiles, targetInsertionId);
+      return;
+    }
+
+    this.setSelectedFrames_([]);
     this.piskelController.moveFrame(originFrameId, targetInsertionId);
     this.piskelController.setCurrentFrameIndex(targetInsertionId);
 
@@ -230,6 +398,22 @@
     this.flagForRedraw_();
   };
 
+  /**
+   * Move all the selected frames with the dragged frame.
+   * @private
+   */
+  ns.FramesListController.prototype.moveSelectedFrames_ = function (selectedFrames, draggedIndex, tiles, tileIndex) {
+    // Index of the dragged frame among the frames which are not selected.
+    var toIndex = Array.prototype.slice.call(tiles, 0, tileIndex).filter(function (tile) {
+      return selectedFrames.indexOf(parseInt(tile.dataset.tileNumber, 10)) === -1;
+    }).length;
+
+    this.piskelController.moveFramesAt(selectedFrames, toIndex);
+    this.piskelController.setCurrentFrameIndex(toIndex + selectedFrames.indexOf(draggedIndex));
+    this.selectFrameRange_(toIndex, toIndex + selectedFrames.length - 1);
+    this.flagForRedraw_(true);
+  };
+
   /**
    * @private
    */
@@ -310,9 +494,32 @@
     tileCount.innerHTML = tileNumber + 1;
     previewTileRoot.appendChild(tileCount);
 
+    // Add frame duration button, the duration itself is updated in updatePreviews_
+    var durationButton = document.createElement('button');
+    durationButton.setAttribute('rel', 'tooltip');
+    durationButton.setAttribute('data-placement', 'right');
+    durationButton.setAttribute('title', 'Set frame duration');
+    durationButton.setAttribute('data-tile-number', tileNumber);
+    durationButton.setAttribute('data-tile-action', ACTION.DURATION);
+    durationButton.className = 'tile-overlay frame-duration-action';
+    previewTileRoot.appendChild(durationButton);
+
     return previewTileRoot;
   };
 
+  ns.FramesListController.prototype.promptFrameDuration_ = function (index) {
+    var duration = '';
+    if (this.piskelController.hasCustomFrameDurationAt(index)) {
+      duration = this.piskelController.getFrameDurationAt(index);
+    }
+
+    duration = window.prompt('Set frame duration in milliseconds (leave empty to use the animation FPS)', duration);
+    // Prompt returns null if the user cancelled.
+    if (duration !== null) {
+      this.piskelController.setFrameDurationAt(index, duration);
+    }
+  };
+
   ns.FramesListController.prototype.getCanvasForFrame = function (frame) {
     var canvas = this.cachedFrameProcessor.get(frame, this.zoom);
     return canvas;
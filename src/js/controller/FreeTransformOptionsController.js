@@ -0,0 +1,98 @@
+(function () {
+  var ns = $.namespace('pskl.controller');
+
+  /**
+   * Options of the free transform tool displayed in the tools section, see
+   * pskl.tools.drawing.FreeTransform.
+   */
+  ns.FreeTransformOptionsController = function () {};
+
+  ns.FreeTransformOptionsController.prototype.init = function () {
+    this.container = document.querySelector('.free-transform-options');
+    this.targetSelect = this.container.querySelector('.free-transform-target-select');
+    this.algorithmSelect = this.container.querySelector('.free-transform-algorithm-select');
+    this.angleInput = this.container.querySelector('.free-transform-angle-input');
+    this.scaleXInput = this.container.querySelector('.free-transform-scale-x-input');
+    this.scaleYInput = this.container.querySelector('.free-transform-scale-y-input');
+    this.applyButton = this.container.querySelector('.free-transform-apply-button');
+    this.cancelButton = this.container.querySelector('.free-transform-cancel-button');
+
+    this.targetSelect.addEventListener('change', this.onOptionsChange_.bind(this));
+    this.algorithmSelect.addEventListener('change', this.onOptionsChange_.bind(this));
+    this.angleInput.addEventListener('change', this.onTransformChange_.bind(this));
+    this.scaleXInput.addEventListener('change', this.onTransformChange_.bind(this));
+    this.scaleYInput.addEventListener('change', this.onTransformChange_.bind(this));
+    this.applyButton.addEventListener('click', this.onApplyClick_.bind(this));
+    this.cancelButton.addEventListener('click', this.onCancelClick_.bind(this));
+
+    $.subscribe(Events.FREE_TRANSFORM_CHANGED, this.updateOptions_.bind(this));
+    $.subscribe(Events.TOOL_SELECTED, this.updateOptions_.bind(this));
+  };
+
+  /**
+   * @return {pskl.tools.drawing.FreeTransform} the free transform tool if it is the current tool
+   * @private
+   */
+  ns.FreeTransformOptionsController.prototype.getTool_ = function () {
+    var tool = pskl.app.drawingController.currentToolBehavior;
+    return tool instanceof pskl.tools.drawing.FreeTransform ? tool : null;
+  };
+
+  ns.FreeTransformOptionsController.prototype.onOptionsChange_ = function () {
+    var tool = this.getTool_();
+    if (tool) {
+      tool.setOptions({
+        target : this.targetSelect.value,
+        algorithm : this.algorithmSelect.value
+      });
+    }
+  };
+
+  ns.FreeTransformOptionsController.prototype.onTransformChange_ = function () {
+    var tool = this.getTool_();
+    var angle = parseFloat(this.angleInput.value);
+    var scaleX = parseFloat(this.scaleXInput.value);
+    var scaleY = parseFloat(this.scaleYInput.value);
+    if (tool && !isNaN(angle) && !isNaN(scaleX) && !isNaN(scaleY)) {
+      tool.setTransform({
+        angle : angle,
+        scaleX : scaleX / 100,
+        scaleY : scaleY / 100
+      });
+    } else {
+      this.updateOptions_();
+    }
+  };
+
+  ns.FreeTransformOptionsController.prototype.onApplyClick_ = function () {
+    var tool = this.getTool_();
+    if (tool) {
+      tool.commit();
+    }
+  };
+
+  ns.FreeTransformOptionsController.prototype.onCancelClick_ = function () {
+    var tool = this.getTool_();
+    if (tool) {
+      tool.cancel();
+    }
+  };
+
+  ns.FreeTransformOptionsController.prototype.updateOptions_ = function () {
+    var tool = this.getTool_();
+    if (!tool) {
+      return;
+    }
+
+    var options = tool.getOptions();
+    var transform = tool.getTransform();
+    this.targetSelect.value = options.target;
+    this.algorithmSelect.value = options.algorithm;
+    this.angleInput.value = transform.angle;
+    this.scaleXInput.value = Math.round(transform.scaleX * 100);
+    this.scaleYInput.value = Math.round(transform.scaleY * 100);
+
+    this.applyButton.disabled = !tool.hasSession();
+    this.cancelButton.disabled = !tool.hasSession();
+  };
+})();
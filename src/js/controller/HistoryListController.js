@@ -0,0 +1,121 @@
+(function () {
+  var ns = $.namespace('pskl.controller');
+
+  // Size of the state previews in the history panel, in pixels.
+  var THUMBNAIL_SIZE = 24;
+  // Indentation of the alternate branches of the undo tree, in pixels.
+  var BRANCH_INDENT = 8;
+  var MAX_BRANCH_LEVEL = 4;
+  // The list is rendered at most once per RENDER_DELAY (in milliseconds) while drawing.
+  var RENDER_DELAY = 200;
+
+  /**
+   * Panel listing the states of the undo tree of the HistoryService. Clicking on a state
+   * loads it, including states of branches left by undoing and drawing something else.
+   */
+  ns.HistoryListController = function (piskelController, historyService) {
+    this.piskelController = piskelController;
+    this.historyService = historyService;
+    this.renderTimer_ = null;
+  };
+
+  ns.HistoryListController.prototype.init = function () {
+    this.itemTemplate_ = pskl.utils.Template.get('history-item-template');
+    this.rootEl = document.querySelector('.history-list-container');
+    this.historyListEl = document.querySelector('.history-list');
+
+    this.rootEl.addEventListener('click', this.onClick_.bind(this));
+
+    $.subscribe(Events.HISTORY_STATE_SAVED, this.onHistoryStateChanged_.bind(this));
+    $.subscribe(Events.HISTORY_STATE_LOADED, this.onHistoryStateChanged_.bind(this));
+
+    this.onHistoryStateChanged_();
+  };
+
+  ns.HistoryListController.prototype.onHistoryStateChanged_ = function () {
+    // The thumbnail has to be created now, while the piskel matches the current state.
+    // Thumbnails are not saved in backups: states restored from a backup get their
+    // thumbnail when they are loaded again.
+    var state = this.historyService.getCurrentState();
+    if (state && !state.thumbnail) {
+      this.historyService.setThumbnail(state.uuid, this.createThumbnail_());
+    }
+    this.scheduleRender_();
+  };
+
+  ns.HistoryListController.prototype.scheduleRender_ = function () {
+    if (this.renderTimer_) {
+      return;
+    }
+    this.renderTimer_ = window.setTimeout(function () {
+      this.renderTimer_ = null;
+      this.renderHistoryList_();
+    }.bind(this), RENDER_DELAY);
+  };
+
+  ns.HistoryListController.prototype.renderHistoryList_ = function () {
+    var current = this.historyService.getCurrentState();
+    var branch = this.historyService.stateQueue;
+    var redoStates = branch.slice(this.historyService.currentIndex + 1);
+    var levels = this.getBranchLevels_();
+
+    var html = this.historyService.getStates().map(function (state) {
+      var level = Math.min(levels[state.uuid], MAX_BRANCH_LEVEL);
+      return pskl.utils.Template.replace(this.itemTemplate_, {
+        'id' : state.uuid,
+        'label' : state.label,
+        'date' : pskl.utils.DateUtils.format(state.date, '{{H}}:{{m}}:{{s}}'),
+        'thumbnail' : state.thumbnail || '',
+        'branch' : branch.indexOf(state) === -1 ? '\u21b3' : '',
+        'indent' : level * BRANCH_INDENT,
+        'iscurrent:history-item-current' : state === current,
+        'isredo:history-item-redo' : redoStates.indexOf(state) !== -1,
+        'isunavailable:history-item-unavailable' : !this.historyService.isStateLoadable(state)
+      });
+    }.bind(this)).join('');
+    this.historyListEl.innerHTML = html;
+
+    var currentEl = this.historyListEl.querySelector('.history-item-current');
+    if (currentEl) {
+      currentEl.scrollIntoView({block : 'nearest'});
+    }
+  };
+
+  /**
+   * @return {Object} the branch level of each state, by uuid: the first child of a state
+   *         continues its branch, other children start a new branch
+   */
+  ns.HistoryListController.prototype.getBranchLevels_ = function () {
+    var levels = {};
+    this.historyService.getStates().forEach(function (state) {
+      var parentLevel = state.parent ? levels[state.parent.uuid] : 0;
+      var isFirstChild = !state.parent || state.parent.children[0] === state;
+      levels[state.uuid] = isFirstChild ? parentLevel : parentLevel + 1;
+    });
+    return levels;
+  };
+
+  ns.HistoryListController.prototype.createThumbnail_ = function () {
+    var piskel = this.piskelController.getPiskel();
+    var frameIndex = this.piskelController.getCurrentFrameIndex();
+    var frame = pskl.utils.LayerUtils.mergeFrameAt(piskel.getLayers(), frameIndex);
+    var zoom = Math.min(THUMBNAIL_SIZE / piskel.getWidth(), THUMBNAIL_SIZE / piskel.getHeight());
+    return pskl.utils.FrameUtils.toImage(frame, zoom).toDataURL('image/png');
+  };
+
+  ns.HistoryListController.prototype.onClick_ = function (evt) {
+    var el = evt.target || evt.srcElement;
+    var stateId = pskl.utils.Dom.getData(el, 'stateId');
+    if (stateId) {
+      this.historyService.loadStateById(stateId);
+      return;
+    }
+
+    var action = el.getAttribute('data-action');
+    if (action === 'undo') {
+      this.historyService.undo();
+    } else if (action === 'redo') {
+      this.historyService.redo();
+    }
+  };
+})();
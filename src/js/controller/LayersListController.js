@@ -6,18 +6,26 @@
     this.layerPreviewShortcut = pskl.service.keyboard.Shortcuts.MISC.LAYER_PREVIEW;
     this.startRenamingCurrentLayer_ = this.startRenamingCurrentLayer_.bind(this);
     this.onRenameInput_ = this.onRenameInput_.bind(this);
+    // Index of the layer currently dragged in the list, null if no layer is dragged.
+    this.draggedLayerIndex_ = null;
   };
 
   ns.LayersListController.prototype.init = function () {
     this.isRenaming = false;
 
     this.layerItemTemplate_ = pskl.utils.Template.get('layer-item-template');
+    this.layerGroupItemTemplate_ = pskl.utils.Template.get('layer-group-item-template');
     this.layerNameInputTemplate_ = pskl.utils.Template.get('layer-name-input-template');
     this.rootEl = document.querySelector('.layers-list-container');
     this.layersListEl = document.querySelector('.layers-list');
     this.toggleLayerPreviewEl = document.querySelector('.layers-toggle-preview');
 
     this.rootEl.addEventListener('click', this.onClick_.bind(this));
+    this.rootEl.addEventListener('dblclick', this.onDoubleClick_.bind(this));
+    this.layersListEl.addEventListener('dragstart', this.onDragStart_.bind(this));
+    this.layersListEl.addEventListener('dragover', this.onDragOver_.bind(this));
+    this.layersListEl.addEventListener('drop', this.onDrop_.bind(this));
+    this.layersListEl.addEventListener('dragend', this.onDragEnd_.bind(this));
     this.toggleLayerPreviewEl.addEventListener('click', this.toggleLayerPreview_.bind(this));
 
     this.createButtonTooltips_();
@@ -36,7 +44,25 @@
 
     this.layersListEl.innerHTML = '';
     var layers = this.piskelController.getLayers();
-    layers.forEach(this.addLayerItem.bind(this));
+
+    // Layers are listed from top to bottom. Each group item is displayed above the layers
+    // of the group, and the content of collapsed groups is not displayed.
+    var openGroups = [];
+    for (var i = layers.length - 1 ; i >= 0 ; i--) {
+      var ancestors = this.getGroupAncestors_(layers[i]);
+      while (openGroups.length > 0 && openGroups[openGroups.length - 1] !== ancestors[openGroups.length - 1]) {
+        openGroups.pop();
+      }
+      for (var depth = openGroups.length ; depth < ancestors.length ; depth++) {
+        openGroups.push(ancestors[depth]);
+        if (!this.isCollapsed_(ancestors.slice(0, depth))) {
+          this.addGroupItem_(ancestors[depth], depth);
+        }
+      }
+      if (!this.isCollapsed_(ancestors)) {
+        this.addLayerItem(layers[i], i, ancestors.length);
+      }
+    }
     this.updateButtonStatus_();
 
     // Restore scroll
@@ -49,6 +75,25 @@
     }
   };
 
+  /**
+   * @return {Array<pskl.model.LayerGroup>} the groups containing the layer, top level group first
+   */
+  ns.LayersListController.prototype.getGroupAncestors_ = function (layer) {
+    var ancestors = [];
+    var group = layer.getGroup();
+    while (group) {
+      ancestors.unshift(group);
+      group = group.getParent();
+    }
+    return ancestors;
+  };
+
+  ns.LayersListController.prototype.isCollapsed_ = function (groups) {
+    return groups.some(function (group) {
+      return group.isCollapsed();
+    });
+  };
+
   ns.LayersListController.prototype.createButtonTooltips_ = function () {
     var addTooltip = pskl.utils.TooltipFormatter.format('Create a layer', null, [
       { key: 'shift', description: 'Clone current layer' }
@@ -82,13 +127,15 @@
     var layers = this.piskelController.getLayers();
     var index = this.piskelController.getCurrentLayerIndex();
 
-    var isLast = index === 0;
+    // Layers in a group can always be moved out of their group.
+    var isGrouped = !!layers[index] && !!layers[index].getGroup();
+    var isLast = index === 0 && !isGrouped;
     var isOnly = layers.length === 1;
-    var isFirst = index === layers.length - 1;
+    var isFirst = index === layers.length - 1 && !isGrouped;
 
     this.toggleButtonDisabledState_('up', isFirst);
     this.toggleButtonDisabledState_('down', isLast);
-    this.toggleButtonDisabledState_('merge', isLast);
+    this.toggleButtonDisabledState_('merge', !this.piskelController.canMergeDownLayerAt(index));
     this.toggleButtonDisabledState_('delete', isOnly);
   };
 
@@ -118,17 +165,43 @@
     }
   };
 
-  ns.LayersListController.prototype.addLayerItem = function (layer, index) {
+  ns.LayersListController.prototype.addGroupItem_ = function (group, depth) {
+    var groupItemHtml = pskl.utils.Template.replace(this.layerGroupItemTemplate_, {
+      'groupname': group.getName(),
+      'groupindex': this.piskelController.getGroups().indexOf(group),
+      'indent': depth * 12,
+      'opacity': group.getOpacity(),
+      'iscollapsed:layer-group-item-collapsed': group.isCollapsed(),
+      'ishidden:layer-group-item-hidden': !group.isVisible(),
+      'islocked:layer-group-item-locked': group.isLocked()
+    });
+    this.layersListEl.appendChild(pskl.utils.Template.createFromHTML(groupItemHtml));
+  };
+
+  /**
+   * @param {pskl.model.Layer} layer
+   * @param {Number} index index of the layer in the piskel
+   * @param {Number} depth number of groups containing the layer, used to indent the item
+   */
+  ns.LayersListController.prototype.addLayerItem = function (layer, index, depth) {
     var isSelected = this.piskelController.getCurrentLayer() === layer;
     var isRenaming = isSelected && this.isRenaming;
     var layerItemHtml = pskl.utils.Template.replace(this.layerItemTemplate_, {
       'layername': layer.getName(),
       'layerindex': index,
       'isselected:current-layer-item': isSelected,
-      'opacity': layer.getOpacity()
+      'ishidden:layer-item-hidden': !layer.isVisible(),
+      'islocked:layer-item-locked': layer.isLocked(),
+      'isnamehidden:layer-name-hidden': !layer.isEffectivelyVisible(),
+      'isnamelocked:layer-name-locked': layer.isEffectivelyLocked(),
+      'indent': 10 + (depth || 0) * 12,
+      'opacity': layer.getOpacity(),
+      'blendmode': layer.getBlendMode(),
+      'blendmodelabel': this.getBlendModeLabel_(layer.getBlendMode()),
+      'isblended:layer-item-blended': layer.hasBlendMode()
     });
     var layerItem = pskl.utils.Template.createFromHTML(layerItemHtml);
-    this.layersListEl.insertBefore(layerItem, this.layersListEl.firstChild);
+    this.layersListEl.appendChild(layerItem);
     if (layerItem.offsetWidth < layerItem.scrollWidth) {
       var layerNameEl = layerItem.querySelector('.layer-name');
       layerNameEl.classList.add('overflowing-name');
@@ -166,7 +239,11 @@
   ns.LayersListController.prototype.onClick_ = function (evt) {
     var el = evt.target || evt.srcElement;
     var index;
-    if (el.classList.contains('layer-name')) {
+    var groupAction = pskl.utils.Dom.getData(el, 'groupAction');
+    if (groupAction) {
+      index = parseInt(pskl.utils.Dom.getData(el, 'groupIndex'), 10);
+      this.onGroupAction_(groupAction, index);
+    } else if (el.classList.contains('layer-name')) {
       var currentIndex = this.piskelController.getCurrentLayerIndex();
       index = pskl.utils.Dom.getData(el, 'layerIndex');
       if (index != currentIndex) {
@@ -179,6 +256,15 @@
       var layer = this.piskelController.getLayerAt(parseInt(index, 10));
       var opacity = window.prompt('Set layer opacity (value between 0 and 1)', layer.getOpacity());
       this.piskelController.setLayerOpacityAt(index, opacity);
+    } else if (el.classList.contains('layer-item-visibility')) {
+      index = pskl.utils.Dom.getData(el, 'layerIndex');
+      this.piskelController.toggleLayerVisibilityAt(parseInt(index, 10));
+    } else if (el.classList.contains('layer-item-lock')) {
+      index = pskl.utils.Dom.getData(el, 'layerIndex');
+      this.piskelController.toggleLayerLockAt(parseInt(index, 10));
+    } else if (el.classList.contains('layer-item-blend-mode')) {
+      index = pskl.utils.Dom.getData(el, 'layerIndex');
+      this.cycleBlendModeAt_(parseInt(index, 10), evt.shiftKey);
     } else {
       var containingButton = el.closest('.button');
       if (containingButton && containingButton.classList.contains('button')) {
@@ -187,6 +273,127 @@
     }
   };
 
+  ns.LayersListController.prototype.onDoubleClick_ = function (evt) {
+    var el = evt.target || evt.srcElement;
+    if (pskl.utils.Dom.getData(el, 'groupAction') !== 'select') {
+      return;
+    }
+
+    var index = parseInt(pskl.utils.Dom.getData(el, 'groupIndex'), 10);
+    var group = this.piskelController.getGroupAt(index);
+    var name = window.prompt('Set group name', group.getName());
+    if (name) {
+      this.piskelController.renameGroupAt(index, name);
+    }
+  };
+
+  ns.LayersListController.prototype.onGroupAction_ = function (action, index) {
+    var group = this.piskelController.getGroupAt(index);
+    if (!group) {
+      return;
+    }
+
+    if (action === 'select') {
+      // Select the topmost layer of the group.
+      var groupLayers = this.piskelController.getLayersInGroup(group);
+      var topLayer = groupLayers[groupLayers.length - 1];
+      this.piskelController.setCurrentLayerIndex(this.piskelController.getLayers().indexOf(topLayer));
+    } else if (action === 'collapse') {
+      this.piskelController.toggleGroupCollapseAt(index);
+      this.renderLayerList_();
+    } else if (action === 'visibility') {
+      this.piskelController.toggleGroupVisibilityAt(index);
+    } else if (action === 'lock') {
+      this.piskelController.toggleGroupLockAt(index);
+    } else if (action === 'opacity') {
+      var opacity = window.prompt('Set group opacity (value between 0 and 1)', group.getOpacity());
+      this.piskelController.setGroupOpacityAt(index, opacity);
+    } else if (action === 'ungroup') {
+      this.piskelController.ungroupAt(index);
+    }
+  };
+
+  ns.LayersListController.prototype.onDragStart_ = function (evt) {
+    var index = pskl.utils.Dom.getData(evt.target, 'layerIndex');
+    if (typeof index === 'undefined') {
+      return;
+    }
+
+    this.draggedLayerIndex_ = parseInt(index, 10);
+    evt.dataTransfer.effectAllowed = 'move';
+    // Firefox only starts the drag if some data is set.
+    evt.dataTransfer.setData('text/plain', index);
+  };
+
+  ns.LayersListController.prototype.onDragOver_ = function (evt) {
+    var item = this.getDropTarget_(evt.target);
+    if (item && this.draggedLayerIndex_ !== null) {
+      evt.preventDefault();
+      evt.dataTransfer.dropEffect = 'move';
+      pskl.utils.Dom.removeClass('layer-item-drop-target', this.layersListEl);
+      item.classList.add('layer-item-drop-target');
+    }
+  };
+
+  ns.LayersListController.prototype.onDrop_ = function (evt) {
+    var item = this.getDropTarget_(evt.target);
+    if (item && this.draggedLayerIndex_ !== null) {
+      evt.preventDefault();
+      this.moveDraggedLayerAbove_(item);
+    }
+    this.onDragEnd_();
+  };
+
+  ns.LayersListController.prototype.onDragEnd_ = function () {
+    this.draggedLayerIndex_ = null;
+    pskl.utils.Dom.removeClass('layer-item-drop-target', this.layersListEl);
+  };
+
+  ns.LayersListController.prototype.getDropTarget_ = function (el) {
+    return el && el.closest ? el.closest('.layer-item') : null;
+  };
+
+  /**
+   * Move the dragged layer above the layer item it was dropped on, in the group of this
+   * layer. Dropping a layer on a group item moves it to the top of the group.
+   */
+  ns.LayersListController.prototype.moveDraggedLayerAbove_ = function (item) {
+    var layers = this.piskelController.getLayers();
+    var groups = this.piskelController.getGroups();
+    var index = this.draggedLayerIndex_;
+
+    var targetIndex;
+    var group;
+    if (item.dataset.groupIndex) {
+      group = groups[parseInt(item.dataset.groupIndex, 10)];
+      var groupLayers = this.piskelController.getLayersInGroup(group);
+      targetIndex = layers.indexOf(groupLayers[groupLayers.length - 1]);
+    } else {
+      targetIndex = parseInt(item.dataset.layerIndex, 10);
+      group = layers[targetIndex].getGroup();
+    }
+
+    // The dragged layer is removed before being inserted back at the new index.
+    var toIndex = index <= targetIndex ? targetIndex : targetIndex + 1;
+    this.piskelController.moveLayerToGroup(index, toIndex, groups.indexOf(group));
+  };
+
+  /**
+   * Switch to the next blend mode of the layer, or to the previous one if reverse is true.
+   */
+  ns.LayersListController.prototype.cycleBlendModeAt_ = function (index, reverse) {
+    var layer = this.piskelController.getLayerAt(index);
+    var blendModes = pskl.model.Layer.BLEND_MODES;
+    var offset = reverse ? blendModes.length - 1 : 1;
+    var blendModeIndex = (blendModes.indexOf(layer.getBlendMode()) + offset) % blendModes.length;
+    this.piskelController.setLayerBlendModeAt(index, blendModes[blendModeIndex]);
+  };
+
+  ns.LayersListController.prototype.getBlendModeLabel_ = function (blendMode) {
+    // Short label displayed in the layer item, for instance "Mul" for multiply.
+    return blendMode.charAt(0).toUpperCase() + blendMode.substring(1, 3);
+  };
+
   ns.LayersListController.prototype.startRenamingCurrentLayer_ = function () {
     this.isRenaming = true;
     this.renderLayerList_();
@@ -234,6 +441,8 @@
       this.piskelController.removeCurrentLayer();
     } else if (action == 'merge') {
       this.mergeDownCurrentLayer_();
+    } else if (action == 'group') {
+      this.piskelController.groupLayerAt(this.piskelController.getCurrentLayerIndex());
     } else if (action == 'edit') {
       this.startRenamingCurrentLayer_();
     }
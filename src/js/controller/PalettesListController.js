@@ -11,6 +11,7 @@
 
   ns.PalettesListController.prototype.init = function () {
     this.paletteColorTemplate_ = pskl.utils.Template.get('palette-color-template');
+    this.paletteCycleTemplate_ = pskl.utils.Template.get('palette-cycle-template');
 
     this.colorListContainer_ = document.querySelector('.palettes-list-colors');
     this.colorPaletteSelect_ = document.querySelector('.palettes-list-select');
@@ -18,20 +19,31 @@
     var createPaletteButton_ = document.querySelector('.create-palette-button');
     var editPaletteButton_ = document.querySelector('.edit-palette-button');
     var applyPaletteButton_ = document.querySelector('.apply-palette-button');
+    this.indexPaletteButton_ = document.querySelector('.index-palette-button');
+    this.colorPicker_ = document.querySelector('.palettes-list-color-picker');
+    this.cyclesContainer_ = document.querySelector('.palettes-list-cycles');
+    this.cyclesList_ = document.querySelector('.palettes-list-cycles-list');
+    var addCycleButton_ = document.querySelector('.palettes-list-add-cycle-button');
 
     this.colorPaletteSelect_.addEventListener('change', this.onPaletteSelected_.bind(this));
     this.colorListContainer_.addEventListener('mouseup', this.onColorContainerMouseup.bind(this));
     this.colorListContainer_.addEventListener('contextmenu', this.onColorContainerContextMenu.bind(this));
+    this.colorListContainer_.addEventListener('dblclick', this.onColorContainerDoubleClick_.bind(this));
+    this.colorPicker_.addEventListener('input', this.onColorPickerInput_.bind(this));
+    this.cyclesList_.addEventListener('click', this.onCyclesListClick_.bind(this));
+    addCycleButton_.addEventListener('click', this.onAddCycleClick_.bind(this));
 
     createPaletteButton_.addEventListener('click', this.onCreatePaletteClick_.bind(this));
     editPaletteButton_.addEventListener('click', this.onEditPaletteClick_.bind(this));
     applyPaletteButton_.addEventListener('click', this.onApplyPaletteClick_.bind(this));
+    this.indexPaletteButton_.addEventListener('click', this.onIndexPaletteClick_.bind(this));
 
     $.subscribe(Events.PALETTE_LIST_UPDATED, this.onPaletteListUpdated.bind(this));
     $.subscribe(Events.CURRENT_COLORS_UPDATED, this.fillColorListContainer.bind(this));
     $.subscribe(Events.PRIMARY_COLOR_SELECTED, this.highlightSelectedColors.bind(this));
     $.subscribe(Events.SECONDARY_COLOR_SELECTED, this.highlightSelectedColors.bind(this));
     $.subscribe(Events.USER_SETTINGS_CHANGED, this.onUserSettingsChange_.bind(this));
+    $.subscribe(Events.PISKEL_RESET, this.onPiskelReset_.bind(this));
 
     var shortcuts = pskl.service.keyboard.Shortcuts;
     pskl.app.shortcutService.registerShortcut(shortcuts.COLOR.PREVIOUS_COLOR, this.selectPreviousColor_.bind(this));
@@ -41,6 +53,7 @@
     this.fillPaletteList();
     this.updateFromUserSettings();
     this.fillColorListContainer();
+    this.updateIndexPaletteButton_();
   };
 
   ns.PalettesListController.prototype.fillPaletteList = function () {
@@ -75,6 +88,77 @@
     // If we have more than 10 colors, use tiny mode, where 10 colors will fit on the same
     // line.
     this.colorListContainer_.classList.toggle('tiny', colors.length > 10);
+
+    this.fillCyclesList_();
+  };
+
+  /**
+   * Color cycles are only displayed for the indexed palette of the sprite.
+   */
+  ns.PalettesListController.prototype.fillCyclesList_ = function () {
+    var palette = pskl.app.piskelController.getIndexedPalette();
+    var isVisible = !!palette && this.isIndexedPaletteSelected_();
+    this.cyclesContainer_.classList.toggle('visible', isVisible);
+    if (!isVisible) {
+      this.cyclesList_.innerHTML = '';
+      return;
+    }
+
+    this.cyclesList_.innerHTML = palette.getCycles().map(function (cycle, index) {
+      return pskl.utils.Template.replace(this.paletteCycleTemplate_, {
+        cycleindex : index,
+        // Palette colors are displayed 1-based, as in the colors list.
+        from : cycle.from + 1,
+        to : cycle.to + 1,
+        rate : cycle.rate
+      });
+    }.bind(this)).join('');
+  };
+
+  ns.PalettesListController.prototype.onAddCycleClick_ = function () {
+    var cycle = this.promptCycle_(1, pskl.app.piskelController.getIndexedPalette().size(), 4);
+    if (cycle) {
+      pskl.app.piskelController.addPaletteCycle(cycle.from, cycle.to, cycle.rate);
+    }
+  };
+
+  ns.PalettesListController.prototype.onCyclesListClick_ = function (evt) {
+    var action = pskl.utils.Dom.getData(evt.target, 'cycleAction');
+    var index = parseInt(pskl.utils.Dom.getData(evt.target, 'cycleIndex'), 10);
+    var cycle = pskl.app.piskelController.getIndexedPalette().getCycleAt(index);
+    if (!cycle) {
+      return;
+    }
+
+    if (action === 'edit') {
+      var properties = this.promptCycle_(cycle.from + 1, cycle.to + 1, cycle.rate);
+      if (properties) {
+        pskl.app.piskelController.updatePaletteCycleAt(index, properties);
+      }
+    } else if (action === 'delete') {
+      pskl.app.piskelController.removePaletteCycleAt(index);
+    }
+  };
+
+  /**
+   * Ask the user for a range of 1-based palette colors and a rate, such as "2-5 4". The rate is
+   * limited to ColorCycle.MAX_RATE steps per second.
+   * @return {Object} the cycle as {from, to, rate} with 0-based indexes, or null if the input was invalid
+   */
+  ns.PalettesListController.prototype.promptCycle_ = function (from, to, rate) {
+    var input = window.prompt('Set the cycled colors and the steps per second (for instance 2-5 4)',
+      from + '-' + to + ' ' + rate);
+    var match = /^\s*(\d+)\s*-\s*(\d+)\s+(-?\d+(?:\.\d+)?)\s*$/.exec(input || '');
+    if (!match) {
+      return null;
+    }
+
+    var maxRate = pskl.model.palette.ColorCycle.MAX_RATE;
+    return {
+      from : parseInt(match[1], 10) - 1,
+      to : parseInt(match[2], 10) - 1,
+      rate : pskl.utils.Math.minmax(parseFloat(match[3]), -maxRate, maxRate)
+    };
   };
 
   ns.PalettesListController.prototype.selectPalette = function (paletteId) {
@@ -184,13 +268,85 @@
 
     // Save state for undo
     $.publish(Events.PISKEL_SAVE_STATE, {
-      type: pskl.service.HistoryService.SNAPSHOT
+      type: pskl.service.HistoryService.SNAPSHOT,
+      label: 'Apply palette'
     });
 
     $.publish(Events.SHOW_NOTIFICATION, [{'content': 'Palette applied to sprite'}]);
     window.setTimeout($.publish.bind($, Events.HIDE_NOTIFICATION), 2000);
   };
 
+  /**
+   * Switch the sprite to indexed colors using the selected palette, or back to RGBA colors.
+   */
+  ns.PalettesListController.prototype.onIndexPaletteClick_ = function (evt) {
+    var piskelController = pskl.app.piskelController;
+    if (piskelController.isIndexed()) {
+      if (window.confirm('Unlink the sprite pixels from the indexed palette ?')) {
+        pskl.app.paletteMatchingService.convertToRGBA();
+      }
+      return;
+    }
+
+    var palette = this.getSelectedPalette_();
+    if (!palette || palette.getColors().length === 0) {
+      $.publish(Events.SHOW_NOTIFICATION, [{'content': 'Select a palette with colors first', 'hideDelay': 2000}]);
+      return;
+    }
+
+    // Dynamic palettes are computed on the fly, the sprite needs a palette of its own.
+    var uuid = pskl.utils.Uuid.generate();
+    var colors = palette.getColors().slice(0, Constants.MAX_PALETTE_COLORS);
+    pskl.app.paletteMatchingService.convertToIndexed(new pskl.model.Palette(uuid, palette.name, colors));
+    this.selectPalette(Constants.INDEXED_PALETTE_ID);
+  };
+
+  ns.PalettesListController.prototype.onPiskelReset_ = function () {
+    this.updateIndexPaletteButton_();
+    if (this.isIndexedPaletteSelected_()) {
+      this.fillColorListContainer();
+    }
+  };
+
+  ns.PalettesListController.prototype.updateIndexPaletteButton_ = function () {
+    var isIndexed = pskl.app.piskelController.isIndexed();
+    this.indexPaletteButton_.classList.toggle('indexed-palette-active', isIndexed);
+  };
+
+  ns.PalettesListController.prototype.isIndexedPaletteSelected_ = function () {
+    var paletteId = pskl.UserSettings.get(pskl.UserSettings.SELECTED_PALETTE);
+    return paletteId === Constants.INDEXED_PALETTE_ID;
+  };
+
+  /**
+   * Colors of the indexed palette can be edited with a double click, all the pixels linked to
+   * the palette entry are recolored.
+   */
+  ns.PalettesListController.prototype.onColorContainerDoubleClick_ = function (event) {
+    var index = parseInt(pskl.utils.Dom.getData(event.target, 'colorIndex'), 10) - 1;
+    if (!this.isIndexedPaletteSelected_() || isNaN(index)) {
+      return;
+    }
+
+    var colors = this.getSelectedPaletteColors_();
+    this.editedColorIndex_ = index;
+    this.colorPicker_.value = window.tinycolor(colors[index]).toHexString();
+    this.colorPicker_.click();
+  };
+
+  /**
+   * Pixels are recolored while the color is being picked. Each picked color is saved in the
+   * history: the picker does not always fire a change event when it is closed.
+   */
+  ns.PalettesListController.prototype.onColorPickerInput_ = function () {
+    var palette = pskl.app.piskelController.getPiskel().getPalette();
+    var color = this.colorPicker_.value;
+    if (!palette || pskl.utils.colorToInt(palette.get(this.editedColorIndex_)) === pskl.utils.colorToInt(color)) {
+      return;
+    }
+    pskl.app.piskelController.setPaletteColorAt(this.editedColorIndex_, color);
+  };
+
   ns.PalettesListController.prototype.onColorContainerContextMenu = function (event) {
     event.preventDefault();
   };
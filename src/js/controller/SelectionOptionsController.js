@@ -0,0 +1,48 @@
+(function () {
+  var ns = $.namespace('pskl.controller');
+
+  /**
+   * Selection commands displayed in the tools section when a selection tool is selected,
+   * see pskl.selection.SelectionManager.
+   */
+  ns.SelectionOptionsController = function () {};
+
+  ns.SelectionOptionsController.prototype.init = function () {
+    this.container = document.querySelector('.selection-options');
+    this.distanceInput = this.container.querySelector('.selection-distance-input');
+
+    this.container.addEventListener('click', this.onClick_.bind(this));
+
+    $.subscribe(Events.TOOL_SELECTED, this.onToolSelected_.bind(this));
+  };
+
+  ns.SelectionOptionsController.prototype.onClick_ = function (evt) {
+    var command = evt.target.dataset.command;
+    var selectionManager = pskl.app.selectionManager;
+    if (command === 'select-all') {
+      selectionManager.selectAll();
+    } else if (command === 'invert') {
+      selectionManager.invert();
+    } else if (command === 'color') {
+      selectionManager.selectByColor(pskl.app.selectedColorsService.getPrimaryColor());
+    } else if (command === 'grow') {
+      selectionManager.grow(this.getDistance_());
+    } else if (command === 'shrink') {
+      selectionManager.shrink(this.getDistance_());
+    }
+  };
+
+  ns.SelectionOptionsController.prototype.getDistance_ = function () {
+    var distance = parseInt(this.distanceInput.value, 10);
+    if (isNaN(distance) || distance < 1) {
+      distance = 1;
+      this.distanceInput.value = distance;
+    }
+    return distance;
+  };
+
+  ns.SelectionOptionsController.prototype.onToolSelected_ = function (evt, tool) {
+    var isSelectionTool = tool instanceof pskl.tools.drawing.selection.BaseSelect;
+    this.container.classList.toggle('hidden', !isSelectionTool);
+  };
+})();
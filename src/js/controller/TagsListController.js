@@ -0,0 +1,147 @@
+(function () {
+  var ns = $.namespace('pskl.controller');
+
+  var DIRECTION = pskl.model.piskel.Tag.DIRECTION;
+
+  // Display order of the tag directions, clicking on the direction icon cycles through them.
+  var DIRECTIONS = [DIRECTION.FORWARD, DIRECTION.REVERSE, DIRECTION.PINGPONG];
+
+  var DIRECTION_ICONS = {};
+  DIRECTION_ICONS[DIRECTION.FORWARD] = '\u2192';
+  DIRECTION_ICONS[DIRECTION.REVERSE] = '\u2190';
+  DIRECTION_ICONS[DIRECTION.PINGPONG] = '\u21c4';
+
+  ns.TagsListController = function (piskelController) {
+    this.piskelController = piskelController;
+    // Name of the tag currently played in the animated preview.
+    this.previewedTagName = null;
+  };
+
+  ns.TagsListController.prototype.init = function () {
+    this.tagItemTemplate_ = pskl.utils.Template.get('tag-item-template');
+    this.rootEl = document.querySelector('.tags-list-container');
+    this.tagsListEl = document.querySelector('.tags-list');
+    this.addTagButton = document.querySelector('.add-tag-button');
+
+    this.rootEl.addEventListener('click', this.onClick_.bind(this));
+    this.rootEl.addEventListener('dblclick', this.onDoubleClick_.bind(this));
+
+    this.renderTagsList_();
+
+    $.subscribe(Events.PISKEL_RESET, this.renderTagsList_.bind(this));
+  };
+
+  ns.TagsListController.prototype.renderTagsList_ = function () {
+    // Stop previewing tags which have been removed or renamed.
+    if (this.previewedTagName && !this.piskelController.getTagByName(this.previewedTagName)) {
+      this.setPreviewedTag_(null);
+    }
+
+    this.tagsListEl.innerHTML = '';
+    this.piskelController.getTags().forEach(this.addTagItem_.bind(this));
+  };
+
+  ns.TagsListController.prototype.addTagItem_ = function (tag, index) {
+    var tagItemHtml = pskl.utils.Template.replace(this.tagItemTemplate_, {
+      'name' : tag.name,
+      'tagindex' : index,
+      'color' : tag.color,
+      // Frame indexes are displayed 1-based, as in the frames list.
+      'from' : tag.from + 1,
+      'to' : tag.to + 1,
+      'direction' : tag.direction,
+      'directionicon' : DIRECTION_ICONS[tag.direction],
+      'isselected:previewed-tag-item' : tag.name === this.previewedTagName
+    });
+    this.tagsListEl.appendChild(pskl.utils.Template.createFromHTML(tagItemHtml));
+  };
+
+  ns.TagsListController.prototype.onClick_ = function (evt) {
+    var el = evt.target || evt.srcElement;
+    if (el === this.addTagButton) {
+      this.createTag_();
+      return;
+    }
+
+    var action = pskl.utils.Dom.getData(el, 'tagAction');
+    var index = parseInt(pskl.utils.Dom.getData(el, 'tagIndex'), 10);
+    var tag = this.piskelController.getTagAt(index);
+    if (!tag) {
+      return;
+    }
+
+    if (action === 'preview') {
+      this.setPreviewedTag_(tag.name === this.previewedTagName ? null : tag.name);
+      this.renderTagsList_();
+    } else if (action === 'range') {
+      var range = this.promptRange_(tag.from, tag.to);
+      if (range) {
+        this.piskelController.updateTagAt(index, range);
+      }
+    } else if (action === 'direction') {
+      var direction = DIRECTIONS[(DIRECTIONS.indexOf(tag.direction) + 1) % DIRECTIONS.length];
+      this.piskelController.updateTagAt(index, {direction : direction});
+    } else if (action === 'color') {
+      var colors = Constants.TAG_COLORS;
+      var color = colors[(colors.indexOf(tag.color) + 1) % colors.length];
+      this.piskelController.updateTagAt(index, {color : color});
+    } else if (action === 'delete') {
+      this.piskelController.removeTagAt(index);
+    }
+  };
+
+  ns.TagsListController.prototype.onDoubleClick_ = function (evt) {
+    var el = evt.target || evt.srcElement;
+    if (pskl.utils.Dom.getData(el, 'tagAction') !== 'preview') {
+      return;
+    }
+
+    var index = parseInt(pskl.utils.Dom.getData(el, 'tagIndex'), 10);
+    var tag = this.piskelController.getTagAt(index);
+    var name = window.prompt('Set tag name', tag.name);
+    if (name) {
+      if (tag.name === this.previewedTagName) {
+        this.setPreviewedTag_(name);
+      }
+      this.piskelController.updateTagAt(index, {name : name});
+    }
+  };
+
+  ns.TagsListController.prototype.createTag_ = function () {
+    var tagCount = this.piskelController.getTags().length;
+    var name = window.prompt('Set tag name', 'Tag ' + (tagCount + 1));
+    if (!name) {
+      return;
+    }
+
+    var currentIndex = this.piskelController.getCurrentFrameIndex();
+    var range = this.promptRange_(currentIndex, currentIndex);
+    if (range) {
+      this.piskelController.addTag(name, range.from, range.to);
+    }
+  };
+
+  /**
+   * Ask the user for a frame range, using 1-based frame numbers such as "2-5".
+   * @return {Object} the 0-based range as {from, to}, or null if the input was invalid
+   */
+  ns.TagsListController.prototype.promptRange_ = function (from, to) {
+    var range = window.prompt('Set tag frames (for instance 2-5)', (from + 1) + '-' + (to + 1));
+    var match = /^\s*(\d+)\s*(?:-\s*(\d+))?\s*$/.exec(range || '');
+    if (!match) {
+      return null;
+    }
+
+    from = parseInt(match[1], 10) - 1;
+    to = match[2] ? parseInt(match[2], 10) - 1 : from;
+    return {
+      from : Math.min(from, to),
+      to : Math.max(from, to)
+    };
+  };
+
+  ns.TagsListController.prototype.setPreviewedTag_ = function (name) {
+    this.previewedTagName = name;
+    $.publish(Events.PREVIEWED_TAG_CHANGED, [name]);
+  };
+})();
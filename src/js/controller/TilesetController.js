@@ -0,0 +1,111 @@
+(function () {
+  var ns = $.namespace('pskl.controller');
+
+  // Size of the tile previews in the tileset panel, in pixels.
+  var TILE_PREVIEW_SIZE = 32;
+
+  ns.TilesetController = function (piskelController, tilemapService) {
+    this.piskelController = piskelController;
+    this.tilemapService = tilemapService;
+  };
+
+  ns.TilesetController.prototype.init = function () {
+    this.tileTemplate_ = pskl.utils.Template.get('tileset-tile-template');
+    this.noTilesTemplate_ = pskl.utils.Template.get('tileset-no-tiles-partial');
+    this.rootEl = document.querySelector('.tileset-container');
+    this.tilesEl = document.querySelector('.tileset-tiles');
+    this.convertButton = this.rootEl.querySelector('[data-action="convert"]');
+
+    this.rootEl.addEventListener('click', this.onClick_.bind(this));
+
+    this.renderTileset_();
+
+    $.subscribe(Events.PISKEL_RESET, this.renderTileset_.bind(this));
+    $.subscribe(Events.PISKEL_SAVE_STATE, this.renderTileset_.bind(this));
+    $.subscribe(Events.SELECTED_TILE_CHANGED, this.renderTileset_.bind(this));
+  };
+
+  ns.TilesetController.prototype.renderTileset_ = function () {
+    var tileset = this.piskelController.getTileset();
+    var isTilemap = this.piskelController.getCurrentLayer().isTilemap();
+    this.convertButton.classList.toggle('tileset-layer-active', isTilemap);
+
+    this.tilesEl.innerHTML = '';
+    if (!tileset || tileset.size() === 0) {
+      var message = tileset ? 'No tile in this tileset' : 'Create a tilemap layer to start a tileset';
+      this.tilesEl.innerHTML = pskl.utils.Template.replace(this.noTilesTemplate_, {message : message});
+      return;
+    }
+
+    var selectedTile = this.tilemapService.getSelectedTile();
+    var zoom = Math.max(1, Math.floor(TILE_PREVIEW_SIZE / tileset.getTileSize()));
+    tileset.getTiles().forEach(function (tile, index) {
+      var tileHtml = pskl.utils.Template.replace(this.tileTemplate_, {
+        'index' : index,
+        'isselected:tileset-tile-selected' : index === selectedTile
+      });
+      var tileEl = pskl.utils.Template.createFromHTML(tileHtml);
+      tileEl.appendChild(pskl.utils.FrameUtils.toImage(tile, zoom));
+      this.tilesEl.appendChild(tileEl);
+    }.bind(this));
+  };
+
+  ns.TilesetController.prototype.onClick_ = function (evt) {
+    var el = evt.target || evt.srcElement;
+    var tileIndex = pskl.utils.Dom.getData(el, 'tileIndex');
+    if (tileIndex) {
+      this.tilemapService.selectTile(parseInt(tileIndex, 10));
+      return;
+    }
+
+    var action = el.getAttribute('data-action');
+    var selectedTile = this.tilemapService.getSelectedTile();
+    if (action === 'create-layer') {
+      var tileSize = this.getTileSize_();
+      if (tileSize) {
+        this.piskelController.createTilemapLayer(tileSize);
+      }
+    } else if (action === 'convert') {
+      this.toggleCurrentLayerTilemap_();
+    } else if (action === 'add-tile' && this.piskelController.getTileset()) {
+      this.piskelController.addTile();
+      this.tilemapService.selectTile(this.piskelController.getTileset().size() - 1);
+    } else if (action === 'duplicate-tile' && this.hasTileAt_(selectedTile)) {
+      this.piskelController.duplicateTileAt(selectedTile);
+      this.tilemapService.selectTile(this.piskelController.getTileset().size() - 1);
+    } else if (action === 'delete-tile' && this.hasTileAt_(selectedTile)) {
+      this.piskelController.removeTileAt(selectedTile);
+    }
+  };
+
+  ns.TilesetController.prototype.toggleCurrentLayerTilemap_ = function () {
+    var index = this.piskelController.getCurrentLayerIndex();
+    if (this.piskelController.getCurrentLayer().isTilemap()) {
+      this.piskelController.convertTilemapToLayerAt(index);
+    } else {
+      var tileSize = this.getTileSize_();
+      if (tileSize) {
+        this.piskelController.convertLayerToTilemapAt(index, tileSize);
+      }
+    }
+  };
+
+  /**
+   * Get the tile size of the tileset, the user is asked for a tile size if the piskel has no
+   * tileset yet.
+   * @return {Number} the tile size, null if the input was invalid
+   */
+  ns.TilesetController.prototype.getTileSize_ = function () {
+    var tileset = this.piskelController.getTileset();
+    if (tileset) {
+      return tileset.getTileSize();
+    }
+    var tileSize = parseInt(window.prompt('Set tile size (in pixels)', '16'), 10);
+    return tileSize > 0 ? tileSize : null;
+  };
+
+  ns.TilesetController.prototype.hasTileAt_ = function (index) {
+    var tileset = this.piskelController.getTileset();
+    return !!(tileset && tileset.getTileAt(index));
+  };
+})();
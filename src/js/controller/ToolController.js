@@ -13,12 +13,15 @@
       new pskl.tools.drawing.Rectangle(),
       new pskl.tools.drawing.Circle(),
       new pskl.tools.drawing.Move(),
+      new pskl.tools.drawing.FreeTransform(),
       new pskl.tools.drawing.selection.ShapeSelect(),
       new pskl.tools.drawing.selection.RectangleSelect(),
       new pskl.tools.drawing.selection.LassoSelect(),
       new pskl.tools.drawing.Lighten(),
       new pskl.tools.drawing.DitheringTool(),
-      new pskl.tools.drawing.ColorPicker()
+      new pskl.tools.drawing.ColorPicker(),
+      new pskl.tools.drawing.TileBrush(),
+      new pskl.tools.drawing.TilePicker()
     ];
 
     this.toolIconBuilder = new pskl.tools.ToolIconBuilder();
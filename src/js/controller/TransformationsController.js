@@ -31,11 +31,27 @@
     this.tools.forEach(function (tool) {
       if (tool.toolId === toolId) {
         $.publish(Events.TRANSFORMATION_EVENT, [toolId, evt]);
+        this.startMaskedOperation_(tool, evt);
         tool.applyTransformation(evt);
+        pskl.app.selectionManager.endMaskedOperation();
       }
     }.bind(this));
   };
 
+  /**
+   * Transformations only modify the selected pixels. Some transformations (clone) modify
+   * all the frames of a layer, all the frames of the target layers are protected.
+   * @private
+   */
+  ns.TransformationsController.prototype.startMaskedOperation_ = function (tool, evt) {
+    var frames = [];
+    if (tool.usesSelectionMask) {
+      var allLayers = pskl.utils.UserAgent.isMac ? evt.metaKey : evt.ctrlKey;
+      frames = pskl.tools.ToolsHelper.getTargetFrames(allLayers, true);
+    }
+    pskl.app.selectionManager.startMaskedOperation(frames);
+  };
+
   ns.TransformationsController.prototype.onTransformationClick_ = function (evt) {
     var toolId = evt.target.dataset.toolId;
     if (toolId) {
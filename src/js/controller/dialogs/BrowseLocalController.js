@@ -1,6 +1,14 @@
 (function () {
   var ns = $.namespace('pskl.controller.dialogs');
 
+  var DATE_FORMAT = '{{Y}}/{{M}}/{{D}} {{H}}:{{m}}';
+
+  var deserialize = function (serialized) {
+    var deferred = Q.defer();
+    pskl.utils.serialization.Deserializer.deserialize(JSON.parse(serialized), deferred.resolve, deferred.reject);
+    return deferred.promise;
+  };
+
   ns.BrowseLocalController = function (piskelController) {};
 
   pskl.utils.inherit(ns.BrowseLocalController, ns.AbstractDialogController);
@@ -9,6 +17,8 @@
     this.superclass.init.call(this);
 
     this.localStorageItemTemplate_ = pskl.utils.Template.get('local-storage-item-template');
+    this.localStorageRevisionTemplate_ = pskl.utils.Template.get('local-storage-revision-template');
+    this.localStorageNoRevisionTemplate_ = pskl.utils.Template.get('local-storage-no-revision-template');
 
     this.service_ = pskl.app.indexedDbStorageService;
     this.piskelList = document.querySelector('.local-piskel-list');
@@ -28,12 +38,139 @@
       }
     } else if (action === 'delete') {
       if (window.confirm('This will permanently DELETE this piskel from your computer. Continue ?')) {
-        this.service_.remove(name);
-        this.fillLocalPiskelsList_();
+        this.service_.remove(name).then(this.fillLocalPiskelsList_.bind(this));
+      }
+    } else if (action === 'history') {
+      this.toggleRevisions_(name);
+    } else if (action === 'restore-revision') {
+      if (window.confirm('This will erase your current piskel. Continue ?')) {
+        this.service_.loadRevision(this.getRevisionId_(evt.target));
+        this.closeDialog();
+      }
+    } else if (action === 'compare-revision') {
+      this.compareRevision_(name, this.getRevisionId_(evt.target));
+    } else if (action === 'delete-revision') {
+      if (window.confirm('This will permanently DELETE this save from your computer. Continue ?')) {
+        this.service_.removeRevision(this.getRevisionId_(evt.target)).then(function () {
+          this.showRevisions_(name);
+        }.bind(this));
       }
     }
   };
 
+  /** @private */
+  ns.BrowseLocalController.prototype.getRevisionId_ = function (button) {
+    return parseInt(button.getAttribute('data-id'), 10);
+  };
+
+  /** @private */
+  ns.BrowseLocalController.prototype.getRevisionRows_ = function (name) {
+    var rows = this.piskelList.querySelectorAll('.local-piskel-revision');
+    return Array.prototype.filter.call(rows, function (row) {
+      return row.getAttribute('data-name') === name;
+    });
+  };
+
+  /** @private */
+  ns.BrowseLocalController.prototype.removeRevisionRows_ = function (name) {
+    this.getRevisionRows_(name).forEach(function (row) {
+      row.parentNode.removeChild(row);
+    });
+  };
+
+  /** @private */
+  ns.BrowseLocalController.prototype.toggleRevisions_ = function (name) {
+    if (this.getRevisionRows_(name).length) {
+      this.removeRevisionRows_(name);
+    } else {
+      this.showRevisions_(name);
+    }
+  };
+
+  /**
+   * Display the previous saves of a piskel below its row in the list.
+   * @private
+   */
+  ns.BrowseLocalController.prototype.showRevisions_ = function (name) {
+    this.service_.getRevisions(name).then(function (revisions) {
+      var html = '';
+      if (revisions.length) {
+        revisions.forEach(function (revision) {
+          html += pskl.utils.Template.replace(this.localStorageRevisionTemplate_, {
+            id : revision.id,
+            name : name,
+            thumbnail : revision.thumbnail || '',
+            frames : revision.frames || '?',
+            layers : revision.layers || '?',
+            date : pskl.utils.DateUtils.format(revision.date, DATE_FORMAT)
+          });
+        }.bind(this));
+      } else {
+        html = pskl.utils.Template.replace(this.localStorageNoRevisionTemplate_, {name : name});
+      }
+
+      this.removeRevisionRows_(name);
+      var buttons = this.piskelList.querySelectorAll('[data-action="history"]');
+      var historyButton = Array.prototype.filter.call(buttons, function (button) {
+        return button.getAttribute('data-name') === name;
+      })[0];
+      if (historyButton) {
+        var itemRow = historyButton.parentNode.parentNode;
+        itemRow.insertAdjacentHTML('afterend', html);
+      }
+    }.bind(this));
+  };
+
+  /**
+   * Compare a previous save with the current save of the piskel and display a summary of
+   * the differences below the revision.
+   * @private
+   */
+  ns.BrowseLocalController.prototype.compareRevision_ = function (name, id) {
+    Q.all([this.service_.get(name), this.service_.getRevision(id)]).then(function (results) {
+      return Q.all([deserialize(results[1].serialized), deserialize(results[0].serialized)]);
+    }).then(function (piskels) {
+      var diff = pskl.utils.PiskelDiffUtils.diff(piskels[0], piskels[1]);
+      var container = this.piskelList.querySelector('.local-piskel-revision-diff[data-id="' + id + '"]');
+      if (container) {
+        container.textContent = 'Changes in the current save: ' + this.formatDiff_(diff);
+      }
+    }.bind(this)).catch(function (e) {
+      console.error('Failed to compare the saves of ' + name, e);
+    });
+  };
+
+  /** @private */
+  ns.BrowseLocalController.prototype.formatDiff_ = function (diff) {
+    if (pskl.utils.PiskelDiffUtils.isEmpty(diff)) {
+      return 'none.';
+    }
+
+    var changes = [];
+    if (diff.resized) {
+      changes.push('resized');
+    }
+    if (diff.frameCount.from !== diff.frameCount.to) {
+      changes.push(diff.frameCount.from + ' -> ' + diff.frameCount.to + ' frames');
+    }
+    if (diff.addedLayers.length) {
+      changes.push('added layers: ' + diff.addedLayers.join(', '));
+    }
+    if (diff.removedLayers.length) {
+      changes.push('removed layers: ' + diff.removedLayers.join(', '));
+    }
+    if (diff.changedLayers.length) {
+      changes.push('modified layers: ' + diff.changedLayers.join(', '));
+    }
+    if (diff.changedFrames.length) {
+      var frames = diff.changedFrames.map(function (index) {
+        return index + 1;
+      });
+      changes.push('modified frames: ' + frames.join(', '));
+    }
+    return changes.join(', ') + '.';
+  };
+
   ns.BrowseLocalController.prototype.fillLocalPiskelsList_ = function () {
     this.service_.getKeys().then(function (keys) {
       var html = '';
@@ -44,7 +181,7 @@
       });
 
       keys.forEach((function (key) {
-        var date = pskl.utils.DateUtils.format(key.date, '{{Y}}/{{M}}/{{D}} {{H}}:{{m}}');
+        var date = pskl.utils.DateUtils.format(key.date, DATE_FORMAT);
         html += pskl.utils.Template.replace(this.localStorageItemTemplate_, {
           name : key.name,
           date : date
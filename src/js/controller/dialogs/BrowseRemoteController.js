@@ -0,0 +1,64 @@
+(function () {
+  var ns = $.namespace('pskl.controller.dialogs');
+
+  ns.BrowseRemoteController = function (piskelController) {};
+
+  pskl.utils.inherit(ns.BrowseRemoteController, ns.AbstractDialogController);
+
+  ns.BrowseRemoteController.prototype.init = function () {
+    this.superclass.init.call(this);
+
+    this.remoteStorageItemTemplate_ = pskl.utils.Template.get('remote-storage-item-template');
+
+    this.service_ = pskl.app.remoteStorageService;
+    this.piskelList = document.querySelector('.remote-piskel-list');
+    this.status = document.querySelector('.remote-piskel-status');
+
+    this.fillRemotePiskelsList_();
+
+    this.piskelList.addEventListener('click', this.onPiskelsListClick_.bind(this));
+  };
+
+  ns.BrowseRemoteController.prototype.onPiskelsListClick_ = function (evt) {
+    var action = evt.target.getAttribute('data-action');
+    var name = evt.target.getAttribute('data-name');
+    if (action === 'load') {
+      if (window.confirm('This will erase your current piskel. Continue ?')) {
+        this.service_.load(name).then(this.closeDialog.bind(this), this.showError_.bind(this));
+      }
+    } else if (action === 'delete') {
+      if (window.confirm('This will permanently DELETE this piskel from the server for everyone. Continue ?')) {
+        this.service_.remove(name)
+          .then(this.fillRemotePiskelsList_.bind(this), this.showError_.bind(this));
+      }
+    }
+  };
+
+  ns.BrowseRemoteController.prototype.fillRemotePiskelsList_ = function () {
+    if (!this.service_.isConfigured()) {
+      this.showError_('No storage server configured, set its URL in the Save panel.');
+      return;
+    }
+
+    this.service_.list().then(function (sprites) {
+      sprites.sort(function (s1, s2) {
+        return s2.date - s1.date;
+      });
+
+      var html = sprites.map(function (sprite) {
+        return pskl.utils.Template.replace(this.remoteStorageItemTemplate_, {
+          name : sprite.name,
+          date : pskl.utils.DateUtils.format(sprite.date, '{{Y}}/{{M}}/{{D}} {{H}}:{{m}}')
+        });
+      }.bind(this)).join('');
+
+      this.piskelList.tBodies[0].innerHTML = html;
+      this.status.textContent = sprites.length ? '' : 'No sprite saved on the server yet.';
+    }.bind(this), this.showError_.bind(this));
+  };
+
+  /** @private */
+  ns.BrowseRemoteController.prototype.showError_ = function (errorMessage) {
+    this.status.textContent = errorMessage;
+  };
+})();
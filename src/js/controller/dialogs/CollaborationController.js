@@ -0,0 +1,98 @@
+(function () {
+  var ns = $.namespace('pskl.controller.dialogs');
+
+  ns.CollaborationController = function (piskelController) {};
+
+  pskl.utils.inherit(ns.CollaborationController, ns.AbstractDialogController);
+
+  ns.CollaborationController.prototype.init = function () {
+    this.superclass.init.call(this);
+
+    this.service_ = pskl.app.collaborationService;
+    this.peerTemplate_ = pskl.utils.Template.get('collaboration-peer-template');
+
+    this.urlInput = document.querySelector('.collaboration-url-input');
+    this.roomInput = document.querySelector('.collaboration-room-input');
+    this.nameInput = document.querySelector('.collaboration-name-input');
+    this.joinButton = document.querySelector('.collaboration-join-button');
+    this.leaveButton = document.querySelector('.collaboration-leave-button');
+    this.status = document.querySelector('.collaboration-status');
+    this.peersList = document.querySelector('.collaboration-peers');
+    this.errorMessage_ = null;
+
+    var settings = pskl.UserSettings.get(pskl.UserSettings.COLLABORATION);
+    this.urlInput.value = settings.url;
+    this.roomInput.value = settings.room || this.getPiskelName_();
+    this.nameInput.value = settings.name;
+
+    this.addEventListener('.collaboration-form', 'submit', this.onJoinSubmit_);
+    this.addEventListener(this.leaveButton, 'click', this.onLeaveClick_);
+
+    this.onStatusChanged_ = this.onStatusChanged_.bind(this);
+    $.subscribe(Events.COLLABORATION_STATUS_CHANGED, this.onStatusChanged_);
+    this.onStatusChanged_();
+  };
+
+  ns.CollaborationController.prototype.destroy = function () {
+    $.unsubscribe(Events.COLLABORATION_STATUS_CHANGED, this.onStatusChanged_);
+    this.superclass.destroy.call(this);
+  };
+
+  ns.CollaborationController.prototype.onJoinSubmit_ = function (evt) {
+    evt.preventDefault();
+
+    var settings = {
+      url : this.urlInput.value.trim(),
+      room : this.roomInput.value.trim(),
+      name : this.nameInput.value.trim()
+    };
+    if (!settings.url || !settings.room) {
+      this.showError_('The relay server and the room are required.');
+      return;
+    }
+    pskl.UserSettings.set(pskl.UserSettings.COLLABORATION, settings);
+
+    this.errorMessage_ = null;
+    this.status.textContent = 'Connecting...';
+    this.service_.connect(settings.url, settings.room, settings.name || 'Anonymous')
+      .catch(this.showError_.bind(this));
+  };
+
+  ns.CollaborationController.prototype.onLeaveClick_ = function () {
+    this.service_.disconnect();
+  };
+
+  ns.CollaborationController.prototype.onStatusChanged_ = function () {
+    var isConnected = this.service_.isConnected();
+    this.joinButton.disabled = isConnected;
+    this.leaveButton.disabled = !isConnected;
+    [this.urlInput, this.roomInput, this.nameInput].forEach(function (input) {
+      input.disabled = isConnected;
+    });
+
+    var peers = this.service_.getPeers();
+    if (isConnected) {
+      this.status.textContent = 'Connected to ' + this.service_.room + ', ' + peers.length + ' other artist(s)';
+    } else {
+      this.status.textContent = this.errorMessage_ || '';
+    }
+
+    this.peersList.innerHTML = peers.map(function (peer) {
+      return pskl.utils.Template.replace(this.peerTemplate_, {
+        name : peer.name,
+        color : peer.color
+      });
+    }.bind(this)).join('');
+  };
+
+  /** @private */
+  ns.CollaborationController.prototype.showError_ = function (errorMessage) {
+    this.errorMessage_ = errorMessage;
+    this.status.textContent = errorMessage;
+  };
+
+  /** @private */
+  ns.CollaborationController.prototype.getPiskelName_ = function () {
+    return pskl.app.piskelController.getPiskel().getDescriptor().name;
+  };
+})();
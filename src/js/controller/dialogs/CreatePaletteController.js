@@ -13,11 +13,17 @@
 
     this.hiddenFileInput = document.querySelector('.create-palette-import-input');
     this.nameInput = document.querySelector('input[name="palette-name"]');
+    this.generateInput = document.querySelector('.create-palette-generate-input');
+    this.generateCountInput = document.querySelector('.create-palette-generate-count');
+    this.generateSourceSelect = document.querySelector('.create-palette-generate-source');
+    this.generateAlgorithmSelect = document.querySelector('.create-palette-generate-algorithm');
+    this.generateRemapCheckbox = document.querySelector('.create-palette-generate-remap');
 
     var buttonsContainer = document.querySelector('.create-palette-actions');
     var deleteButton = document.querySelector('.create-palette-delete');
     var downloadButton = document.querySelector('.create-palette-download-button');
     var importFileButton = document.querySelector('.create-palette-import-button');
+    var generateButton = document.querySelector('.create-palette-generate-button');
 
     this.addEventListener(this.nameInput, 'input', this.onNameInputChange_);
     this.addEventListener(this.hiddenFileInput, 'change', this.onFileInputChange_);
@@ -25,13 +31,18 @@
     this.addEventListener(buttonsContainer, 'click', this.onButtonClick_);
     this.addEventListener(downloadButton, 'click', this.onDownloadButtonClick_);
     this.addEventListener(importFileButton, 'click', this.onImportFileButtonClick_);
+    this.addEventListener(generateButton, 'click', this.onGenerateButtonClick_);
+    this.addEventListener(this.generateInput, 'change', this.onGenerateInputChange_);
 
     var colorsListContainer = document.querySelector('.colors-container');
     this.colorsListWidget = new pskl.widgets.ColorsList(colorsListContainer);
 
     var palette;
     var isCurrentColorsPalette = paletteId == Constants.CURRENT_COLORS_PALETTE_ID;
-    if (paletteId && !isCurrentColorsPalette) {
+    // The indexed palette belongs to the sprite, it can only be cloned from this dialog.
+    var isIndexedPalette = paletteId == Constants.INDEXED_PALETTE_ID;
+    this.isEditing_ = paletteId && !isCurrentColorsPalette && !isIndexedPalette;
+    if (this.isEditing_) {
       importFileButton.style.display = 'none';
       this.setTitle('Edit Palette');
 
@@ -45,6 +56,9 @@
       var uuid = pskl.utils.Uuid.generate();
       if (isCurrentColorsPalette) {
         palette = new pskl.model.Palette(uuid, 'Current colors clone', this.getCurrentColors_());
+      } else if (isIndexedPalette) {
+        var indexedColors = this.paletteService.getPaletteById(paletteId).getColors();
+        palette = new pskl.model.Palette(uuid, 'Indexed colors clone', indexedColors.slice());
       } else {
         palette = new pskl.model.Palette(uuid, 'New palette', []);
       }
@@ -70,6 +84,7 @@
 
     this.nameInput = null;
     this.hiddenFileInput = null;
+    this.generateInput = null;
   };
 
   ns.CreatePaletteController.prototype.onButtonClick_ = function (evt) {
@@ -118,8 +133,136 @@
     }
   };
 
-  ns.CreatePaletteController.prototype.displayErrorMessage_ = function (message) {
-    message = 'Could not import palette : ' + message;
+  ns.CreatePaletteController.prototype.onGenerateButtonClick_ = function () {
+    var source = this.generateSourceSelect.value;
+    if (source === 'image') {
+      this.generateInput.click();
+    } else if (source === 'selection') {
+      var selection = pskl.app.selectionManager.currentSelection;
+      if (!selection || selection.pixels.length === 0) {
+        this.displayErrorMessage_('No selection', 'Could not generate palette : ');
+        return;
+      }
+      this.generatePalette_(this.getSelectionPixels_(selection), 'Selection palette');
+    } else {
+      this.generatePalette_(this.getSpritePixels_(), 'Sprite palette');
+    }
+  };
+
+  ns.CreatePaletteController.prototype.onGenerateInputChange_ = function () {
+    var files = this.generateInput.files;
+    if (files.length == 1) {
+      var name = pskl.utils.escapeHtml(files[0].name + ' palette');
+      pskl.utils.FileUtils.readImageFile(files[0], function (image) {
+        var canvas = pskl.utils.CanvasUtils.createFromImage(image);
+        var imageData = pskl.utils.CanvasUtils.getImageDataFromCanvas(canvas);
+        // Canvas pixels are RGBA bytes, read as integers they have the same format as frame pixels.
+        this.generatePalette_(new Uint32Array(imageData.buffer), name);
+      }.bind(this));
+      // Allow to select the same file again.
+      this.generateInput.value = '';
+    }
+  };
+
+  /**
+   * @return {Uint32Array} the pixels of all the frames of all the layers of the sprite
+   */
+  ns.CreatePaletteController.prototype.getSpritePixels_ = function () {
+    var frames = [];
+    pskl.app.piskelController.getLayers().forEach(function (layer) {
+      frames = frames.concat(layer.getFrames());
+    });
+
+    var frameLength = pskl.app.piskelController.getWidth() * pskl.app.piskelController.getHeight();
+    var pixels = new Uint32Array(frames.length * frameLength);
+    frames.forEach(function (frame, index) {
+      pixels.set(frame.pixels, index * frameLength);
+    });
+    return pixels;
+  };
+
+  /**
+   * @return {Uint32Array} the pixels of the current frame inside the selection
+   */
+  ns.CreatePaletteController.prototype.getSelectionPixels_ = function (selection) {
+    var frame = pskl.app.piskelController.getCurrentFrame();
+    var pixels = [];
+    selection.pixels.forEach(function (pixel) {
+      if (frame.containsPixel(pixel.col, pixel.row)) {
+        pixels.push(frame.getPixel(pixel.col, pixel.row));
+      }
+    });
+    return new Uint32Array(pixels);
+  };
+
+  ns.CreatePaletteController.prototype.generatePalette_ = function (pixels, name) {
+    var colorCount = parseInt(this.generateCountInput.value, 10) || 16;
+    colorCount = Math.max(1, Math.min(Constants.MAX_PALETTE_COLORS, colorCount));
+    var remap = this.generateRemapCheckbox.checked;
+
+    var quantize = new pskl.worker.quantize.Quantize(pixels, {
+      colorCount : colorCount,
+      algorithm : this.generateAlgorithmSelect.value
+    }, function (event) {
+      $.publish(Events.HIDE_PROGRESS);
+      this.onPaletteGenerated_(event.data.colors, name, remap);
+    }.bind(this), function (event) {
+      $.publish(Events.UPDATE_PROGRESS, [{'progress': event.data.progress}]);
+    }, function (event) {
+      $.publish(Events.HIDE_PROGRESS);
+      this.displayErrorMessage_(event.data.message, 'Could not generate palette : ');
+    }.bind(this));
+
+    $.publish(Events.SHOW_PROGRESS, [{'name': 'Generating palette ...'}]);
+    quantize.process();
+  };
+
+  ns.CreatePaletteController.prototype.onPaletteGenerated_ = function (colors, name, remap) {
+    // The dialog might have been closed while the worker was running.
+    if (!this.nameInput) {
+      return;
+    }
+
+    if (colors.length === 0) {
+      this.displayErrorMessage_('No color found', 'Could not generate palette : ');
+      return;
+    }
+
+    // Edited palettes keep their name, only their colors are replaced.
+    if (this.isEditing_) {
+      name = this.palette.name;
+    }
+    var palette = new pskl.model.Palette(this.palette.id, name, colors);
+    this.setPalette_(palette);
+
+    if (remap) {
+      this.remapSprite_(palette);
+    }
+  };
+
+  /**
+   * Replace the colors of the sprite with the nearest colors of the palette. Indexed sprites
+   * are indexed again, using the new palette.
+   */
+  ns.CreatePaletteController.prototype.remapSprite_ = function (palette) {
+    var paletteMatchingService = pskl.app.paletteMatchingService;
+    if (pskl.app.piskelController.isIndexed()) {
+      var uuid = pskl.utils.Uuid.generate();
+      paletteMatchingService.convertToIndexed(new pskl.model.Palette(uuid, palette.name, palette.getColors()));
+    } else {
+      paletteMatchingService.matchToPalette(palette, {
+        allLayers: true,
+        allFrames: true
+      });
+      $.publish(Events.PISKEL_SAVE_STATE, {
+        type: pskl.service.HistoryService.SNAPSHOT,
+        label: 'Apply palette'
+      });
+    }
+  };
+
+  ns.CreatePaletteController.prototype.displayErrorMessage_ = function (message, prefix) {
+    message = (prefix || 'Could not import palette : ') + message;
     $.publish(Events.SHOW_NOTIFICATION, [{
       'content' : message
     }]);
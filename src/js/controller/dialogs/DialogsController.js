@@ -14,6 +14,14 @@
       template : 'templates/dialogs/browse-local.html',
       controller : ns.BrowseLocalController
     },
+    'browse-remote' : {
+      template : 'templates/dialogs/browse-remote.html',
+      controller : ns.BrowseRemoteController
+    },
+    'collaboration' : {
+      template : 'templates/dialogs/collaboration.html',
+      controller : ns.CollaborationController
+    },
     'import' : {
       template : 'templates/dialogs/import.html',
       controller : ns.importwizard.ImportWizard
@@ -31,6 +31,11 @@
 
   ns.SelectSession.prototype.init = function () {
     this.addEventListener(this.container, 'click', this.onContainerClick_);
+
+    this.importInput = this.container.querySelector('.import-sessions-input');
+    this.addEventListener(this.importInput, 'change', this.onImportInputChange_);
+    var importButton = this.container.querySelector('.import-sessions-button');
+    this.addEventListener(importButton, 'click', this.onImportButtonClick_);
   };
 
   ns.SelectSession.prototype.onShow = function () {
@@ -95,7 +100,57 @@
           this.update();
         }.bind(this));
       }
+    } else if (action == 'export') {
+      this.exportSession_(sessionId);
     }
   };
 
+  ns.SelectSession.prototype.exportSession_ = function (sessionId) {
+    pskl.app.backupService.exportSession(sessionId).then(function (archive) {
+      // Snapshots are sorted by descending date, use the name of the latest one.
+      var name = archive.snapshots[0].name;
+      var date = pskl.utils.DateUtils.format(archive.snapshots[0].date, '{{Y}}-{{M}}-{{D}}');
+      var blob = new Blob([JSON.stringify(archive)], {
+        type : 'application/json'
+      });
+      pskl.utils.FileUtils.downloadAsFile(blob, name + '-backup-' + date + '.json');
+    });
+  };
+
+  ns.SelectSession.prototype.onImportButtonClick_ = function () {
+    this.importInput.click();
+  };
+
+  ns.SelectSession.prototype.onImportInputChange_ = function () {
+    var file = this.importInput.files[0];
+    if (!file) {
+      return;
+    }
+    // Reset the input to be able to import the same file again.
+    this.importInput.value = '';
+
+    pskl.utils.FileUtils.readFileAsText(file, function (content) {
+      var archive;
+      try {
+        archive = JSON.parse(content);
+      } catch (e) {
+        archive = null;
+      }
+
+      pskl.app.backupService.importSessions(archive).then(function (count) {
+        this.showNotification_(count === 1 ? '1 snapshot imported' : count + ' snapshots imported');
+        this.update();
+      }.bind(this)).catch(function (errorMessage) {
+        this.showNotification_('Import failed : ' + errorMessage);
+      }.bind(this));
+    }.bind(this));
+  };
+
+  ns.SelectSession.prototype.showNotification_ = function (content) {
+    $.publish(Events.SHOW_NOTIFICATION, [{
+      content : content,
+      hideDelay : 5000
+    }]);
+  };
+
 })();
@@ -54,23 +54,31 @@
     } else if (this.hasSinglePiskelFile_()) {
       // If a piskel file was provided we can directly go to
       pskl.utils.PiskelFileUtils.loadFromFile(this.mergeData.rawFiles[0],
-        // onSuccess
-        function (piskel) {
-          this.mergeData.mergePiskel = piskel;
-          this.wizard.goTo('SELECT_MODE');
-        }.bind(this),
-        // onError
-        function (reason) {
-          this.closeDialog();
-          $.publish(Events.PISKEL_FILE_IMPORT_FAILED, [reason]);
-        }.bind(this)
+        this.onPiskelFileLoaded_.bind(this),
+        this.onPiskelFileError_.bind(this)
+      );
+    } else if (this.hasSingleAsepriteFile_()) {
+      // Aseprite files are converted to a piskel and follow the same flow as piskel files.
+      pskl.utils.AsepriteFileUtils.loadFromFile(this.mergeData.rawFiles[0],
+        this.onPiskelFileLoaded_.bind(this),
+        this.onPiskelFileError_.bind(this)
       );
     } else {
-      console.error('Unsupported import. Only single piskel or single image are supported at the moment.');
+      console.error('Unsupported import. Only single piskel, aseprite or image files are supported at the moment.');
       this.closeDialog();
     }
   };
 
+  ns.ImportWizard.prototype.onPiskelFileLoaded_ = function (piskel) {
+    this.mergeData.mergePiskel = piskel;
+    this.wizard.goTo('SELECT_MODE');
+  };
+
+  ns.ImportWizard.prototype.onPiskelFileError_ = function (reason) {
+    this.closeDialog();
+    $.publish(Events.PISKEL_FILE_IMPORT_FAILED, [reason]);
+  };
+
   ns.ImportWizard.prototype.back = function () {
     this.wizard.back();
     this.wizard.getCurrentStep().instance.onShow();
@@ -199,4 +207,12 @@
     var file = this.mergeData.rawFiles[0];
     return (/\.piskel$/).test(file.name);
   };
+
+  ns.ImportWizard.prototype.hasSingleAsepriteFile_ = function () {
+    if (this.mergeData.rawFiles.length !== 1) {
+      return false;
+    }
+
+    return pskl.utils.AsepriteFileUtils.isAsepriteFile(this.mergeData.rawFiles[0]);
+  };
 })();
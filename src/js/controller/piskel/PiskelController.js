@@ -125,13 +125,24 @@
     this.onFrameAddedAt_(index);
   };
 
-  ns.PiskelController.prototype.onFrameAddedAt_ = function (index) {
+  ns.PiskelController.prototype.onFrameAddedAt_ = function (index, duration) {
     this.piskel.hiddenFrames = this.piskel.hiddenFrames.map(function (hiddenIndex) {
       if (hiddenIndex >= index) {
         return hiddenIndex + 1;
       }
       return hiddenIndex;
     });
+    this.insertFrameDurationAt_(index, duration);
+
+    // Shift the tags after the new frame, and expand the tags containing it.
+    this.piskel.tags.forEach(function (tag) {
+      if (tag.from >= index) {
+        tag.from++;
+        tag.to++;
+      } else if (tag.to >= index) {
+        tag.to++;
+      }
+    });
 
     this.setCurrentFrameIndex(index);
   };
@@ -154,6 +165,8 @@
       }
       return hiddenIndex;
     });
+    this.removeFrameDurationAt_(index);
+    this.removeFrameFromTags_(index);
 
     // Current frame index is impacted if the removed frame was before the current frame
     if (this.currentFrameIndex >= index && this.currentFrameIndex > 0) {
@@ -169,7 +182,8 @@
     this.getLayers().forEach(function (l) {
       l.duplicateFrameAt(index);
     });
-    this.onFrameAddedAt_(index + 1);
+    // The duplicated frame keeps the duration of the original frame.
+    this.onFrameAddedAt_(index + 1, this.piskel.frameDurations[index]);
   };
 
   /**
@@ -214,7 +228,471 @@
           return index + 1;
         }
       }
+      return index;
+    });
+
+    this.insertFrameDurationAt_(toIndex, this.removeFrameDurationAt_(fromIndex));
+
+    // Tags behave as if the frame was removed and inserted again at its new index.
+    this.piskel.tags.forEach(function (tag) {
+      if (tag.from === fromIndex && tag.to === fromIndex) {
+        // Single frame tags follow their frame.
+        tag.from = toIndex;
+        tag.to = toIndex;
+        return;
+      }
+
+      if (tag.from > fromIndex) {
+        tag.from--;
+      }
+      if (tag.to >= fromIndex) {
+        tag.to--;
+      }
+      if (tag.from >= toIndex) {
+        tag.from++;
+        tag.to++;
+      } else if (tag.to >= toIndex) {
+        tag.to++;
+      }
+    });
+  };
+
+  /**
+   * Duplicate several frames, the copies are inserted after the last duplicated frame, in the
+   * same order. The first copy becomes the current frame.
+   * @param {Array} indexes indexes of the frames to duplicate
+   */
+  ns.PiskelController.prototype.duplicateFramesAt = function (indexes) {
+    indexes = this.sortIndexes_(indexes);
+    var insertIndex = indexes[indexes.length - 1] + 1;
+    indexes.forEach(function (index, i) {
+      this.getLayers().forEach(function (l) {
+        l.addFrameAt(l.getFrameAt(index).clone(), insertIndex + i);
+      });
+      this.onFrameAddedAt_(insertIndex + i, this.piskel.frameDurations[index]);
+    }.bind(this));
+    this.setCurrentFrameIndex(insertIndex);
+  };
+
+  /**
+   * Remove several frames. Nothing is removed if it would remove all the frames.
+   * @param {Array} indexes indexes of the frames to remove
+   */
+  ns.PiskelController.prototype.removeFramesAt = function (indexes) {
+    indexes = this.sortIndexes_(indexes);
+    if (indexes.length >= this.getFrameCount()) {
+      return;
+    }
+    // Remove the last frames first, to keep the other indexes valid.
+    indexes.reverse().forEach(function (index) {
+      this.removeFrameAt(index);
+    }.bind(this));
+  };
+
+  /**
+   * Reverse the order of several frames, the other frames keep their index.
+   * @param {Array} indexes indexes of the frames to reverse
+   */
+  ns.PiskelController.prototype.reverseFramesAt = function (indexes) {
+    indexes = this.sortIndexes_(indexes);
+    var order = this.getCurrentLayer().getFrames().map(function (frame, index) {
+      return index;
+    });
+    var reversed = indexes.slice(0).reverse();
+    indexes.forEach(function (index, i) {
+      order[index] = reversed[i];
+    });
+    this.reorderFrames_(order);
+  };
+
+  /**
+   * Move several frames together, in the same order.
+   * @param {Array} indexes indexes of the frames to move
+   * @param {Number} toIndex index of the first moved frame, among the frames which are not moved
+   */
+  ns.PiskelController.prototype.moveFramesAt = function (indexes, toIndex) {
+    indexes = this.sortIndexes_(indexes);
+    var order = this.getCurrentLayer().getFrames().map(function (frame, index) {
+      return index;
+    }).filter(function (index) {
+      return indexes.indexOf(index) === -1;
+    });
+    toIndex = Math.max(0, Math.min(toIndex, order.length));
+    Array.prototype.splice.apply(order, [toIndex, 0].concat(indexes));
+    this.reorderFrames_(order);
+  };
+
+  /**
+   * Toggle the visibility of several frames: all the frames are hidden if one of them is
+   * visible, otherwise they are all displayed.
+   * @param {Array} indexes indexes of the frames to toggle
+   */
+  ns.PiskelController.prototype.toggleFramesVisibilityAt = function (indexes) {
+    var hide = indexes.some(this.hasVisibleFrameAt.bind(this));
+    indexes.forEach(function (index) {
+      if (this.hasVisibleFrameAt(index) === hide) {
+        this.toggleFrameVisibilityAt(index);
+      }
+    }.bind(this));
+  };
+
+  /**
+   * Create a new layer containing a copy of several frames of the current layer. The other
+   * frames of the new layer are empty.
+   * @param {Array} indexes indexes of the frames to copy
+   */
+  ns.PiskelController.prototype.copyFramesToNewLayer = function (indexes) {
+    var layer = this.getCurrentLayer();
+    this.createLayer();
+    var newLayer = this.getCurrentLayer();
+    indexes.forEach(function (index) {
+      newLayer.getFrameAt(index).setPixels(layer.getFrameAt(index).getPixels());
+    });
+  };
+
+  /**
+   * Move the frames to match the provided order, the current frame follows its frame.
+   * @param {Array} order the current indexes of the frames, in their new order
+   * @private
+   */
+  ns.PiskelController.prototype.reorderFrames_ = function (order) {
+    var currentFrameIndex = order.indexOf(this.currentFrameIndex);
+    var positions = order.map(function (index, i) {
+      return i;
+    });
+    order.forEach(function (index, i) {
+      // The frames before i are already at their position.
+      var position = positions.indexOf(index);
+      if (position !== i) {
+        this.moveFrame(position, i);
+        positions.splice(i, 0, positions.splice(position, 1)[0]);
+      }
+    }.bind(this));
+    this.setCurrentFrameIndex(currentFrameIndex);
+  };
+
+  /** @private */
+  ns.PiskelController.prototype.sortIndexes_ = function (indexes) {
+    return indexes.slice(0).sort(function (a, b) {
+      return a - b;
+    });
+  };
+
+  ns.PiskelController.prototype.getFrameDurationAt = function (index) {
+    return this.piskel.getFrameDurationAt(index);
+  };
+
+  ns.PiskelController.prototype.hasCustomFrameDurationAt = function (index) {
+    return !!this.piskel.frameDurations[index];
+  };
+
+  /**
+   * Set a custom duration for the frame at the provided index.
+   * @param {Number} index
+   * @param {Number} duration duration in milliseconds. Empty or invalid durations reset
+   *                 the frame to the default duration, based on the FPS.
+   */
+  ns.PiskelController.prototype.setFrameDurationAt = function (index, duration) {
+    duration = parseInt(duration, 10);
+
+    var durations = this.piskel.frameDurations;
+    while (durations.length <= index) {
+      durations.push(null);
+    }
+    durations[index] = duration > 0 ? Math.min(duration, Constants.MAX_FRAME_DURATION) : null;
+  };
+
+  /**
+   * The frame durations array can be shorter than the number of frames. Pad it with null
+   * values (ie no custom duration) to keep the durations aligned with their frame index.
+   */
+  ns.PiskelController.prototype.insertFrameDurationAt_ = function (index, duration) {
+    var durations = this.piskel.frameDurations;
+    while (durations.length < index) {
+      durations.push(null);
+    }
+    durations.splice(index, 0, duration || null);
+  };
+
+  ns.PiskelController.prototype.removeFrameDurationAt_ = function (index) {
+    return this.piskel.frameDurations.splice(index, 1)[0] || null;
+  };
+
+  ns.PiskelController.prototype.removeFrameFromTags_ = function (index) {
+    this.piskel.tags = this.piskel.tags.filter(function (tag) {
+      if (tag.from > index) {
+        tag.from--;
+      }
+      if (tag.to >= index) {
+        tag.to--;
+      }
+      // Remove tags which no longer contain any frame.
+      return tag.to >= tag.from;
+    });
+  };
+
+  ns.PiskelController.prototype.getTags = function () {
+    return this.piskel.tags;
+  };
+
+  ns.PiskelController.prototype.getTagAt = function (index) {
+    return this.piskel.tags[index];
+  };
+
+  ns.PiskelController.prototype.getTagByName = function (name) {
+    return this.piskel.tags.filter(function (tag) {
+      return tag.name === name;
+    })[0] || null;
+  };
+
+  /**
+   * Create a tag for the provided frame range. A color is automatically assigned to the tag.
+   * @param {String} name
+   * @param {Number} from index of the first frame of the tag
+   * @param {Number} to index of the last frame of the tag (included)
+   */
+  ns.PiskelController.prototype.addTag = function (name, from, to) {
+    var colors = Constants.TAG_COLORS;
+    var color = colors[this.piskel.tags.length % colors.length];
+    var tag = new pskl.model.piskel.Tag(name, from, to, color);
+    this.normalizeTagRange_(tag);
+    this.piskel.tags.push(tag);
+  };
+
+  ns.PiskelController.prototype.removeTagAt = function (index) {
+    this.piskel.tags.splice(index, 1);
+  };
+
+  /**
+   * Update the tag at the provided index.
+   * @param {Number} index
+   * @param {Object} properties any of name, from, to, color or direction
+   */
+  ns.PiskelController.prototype.updateTagAt = function (index, properties) {
+    var tag = this.getTagAt(index);
+    if (!tag) {
+      return;
+    }
+
+    ['name', 'from', 'to', 'color', 'direction'].forEach(function (key) {
+      if (typeof properties[key] !== 'undefined') {
+        tag[key] = properties[key];
+      }
+    });
+    this.normalizeTagRange_(tag);
+  };
+
+  ns.PiskelController.prototype.normalizeTagRange_ = function (tag) {
+    var lastIndex = this.getFrameCount() - 1;
+    tag.from = pskl.utils.Math.minmax(tag.from, 0, lastIndex);
+    tag.to = pskl.utils.Math.minmax(tag.to, tag.from, lastIndex);
+  };
+
+  ns.PiskelController.prototype.isIndexed = function () {
+    return this.piskel.isIndexed();
+  };
+
+  ns.PiskelController.prototype.getIndexedPalette = function () {
+    return this.piskel.getPalette();
+  };
+
+  /**
+   * Switch the piskel to indexed color mode using a copy of the provided palette, or back to
+   * RGBA mode if no palette is provided. Frames are indexed by the PaletteMatchingService.
+   * @param {pskl.model.Palette} palette
+   */
+  ns.PiskelController.prototype.setIndexedPalette = function (palette) {
+    if (palette) {
+      palette = pskl.model.Palette.fromObject(palette);
+    }
+    this.piskel.setPalette(palette);
+    this.getLayers().forEach(function (layer) {
+      layer.getFrames().forEach(function (frame) {
+        frame.clearIndexes();
+      });
+    });
+  };
+
+  /**
+   * Update a color of the indexed palette and recolor all the pixels using this palette entry.
+   * Frames modified since they were last indexed should be indexed first, see
+   * PaletteMatchingService.updateIndexedFrames.
+   * @param {Number} index
+   * @param {String} color
+   */
+  ns.PiskelController.prototype.setPaletteColorAt = function (index, color) {
+    var palette = this.piskel.getPalette();
+    if (!palette || index < 0 || index >= palette.size()) {
+      return;
+    }
+
+    palette.set(index, color);
+    var colors = palette.getColors().map(pskl.utils.colorToInt);
+    this.getLayers().forEach(function (layer) {
+      layer.getFrames().forEach(function (frame) {
+        frame.applyPalette(colors);
+      });
+    });
+  };
+
+  /**
+   * Add a color cycle to the indexed palette.
+   * @param {Number} from index of the first palette color of the cycle
+   * @param {Number} to index of the last palette color of the cycle (included)
+   * @param {Number} rate number of steps per second
+   */
+  ns.PiskelController.prototype.addPaletteCycle = function (from, to, rate) {
+    var palette = this.piskel.getPalette();
+    if (palette) {
+      var cycle = new pskl.model.palette.ColorCycle(from, to, rate);
+      this.normalizeCycle_(cycle);
+      palette.addCycle(cycle);
+    }
+  };
+
+  /**
+   * Update the color cycle of the indexed palette at the provided index.
+   * @param {Number} index
+   * @param {Object} properties any of from, to or rate
+   */
+  ns.PiskelController.prototype.updatePaletteCycleAt = function (index, properties) {
+    var palette = this.piskel.getPalette();
+    var cycle = palette && palette.getCycleAt(index);
+    if (!cycle) {
+      return;
+    }
+
+    ['from', 'to', 'rate'].forEach(function (key) {
+      if (typeof properties[key] !== 'undefined') {
+        cycle[key] = properties[key];
+      }
     });
+    this.normalizeCycle_(cycle);
+  };
+
+  ns.PiskelController.prototype.removePaletteCycleAt = function (index) {
+    var palette = this.piskel.getPalette();
+    if (palette) {
+      palette.removeCycleAt(index);
+    }
+  };
+
+  /**
+   * Keep the cycled colors in the palette and the rate between -MAX_RATE and MAX_RATE.
+   * @private
+   */
+  ns.PiskelController.prototype.normalizeCycle_ = function (cycle) {
+    var maxRate = pskl.model.palette.ColorCycle.MAX_RATE;
+    cycle.rate = isNaN(cycle.rate) ? 0 : pskl.utils.Math.minmax(cycle.rate, -maxRate, maxRate);
+
+    var lastIndex = this.piskel.getPalette().size() - 1;
+    var from = pskl.utils.Math.minmax(Math.min(cycle.from, cycle.to), 0, lastIndex);
+    cycle.to = pskl.utils.Math.minmax(Math.max(cycle.from, cycle.to), from, lastIndex);
+    cycle.from = from;
+  };
+
+  ns.PiskelController.prototype.getTileset = function () {
+    return this.piskel.getTileset();
+  };
+
+  /**
+   * Create a new tilemap layer above the current layer. The tileset of the piskel is created
+   * if needed, the tile size is ignored if the piskel already has a tileset.
+   * @param {Number} tileSize
+   */
+  ns.PiskelController.prototype.createTilemapLayer = function (tileSize) {
+    this.createTileset_(tileSize);
+    var name = this.generateTilemapLayerName_();
+    this.createLayer(name);
+    this.getCurrentLayer().setTilemap(true);
+    this.syncTiles_();
+  };
+
+  /**
+   * Convert a regular layer to a tilemap layer, the pixels of the layer are split in tiles
+   * which are added to the tileset of the piskel.
+   * @param {Number} index index of the layer
+   * @param {Number} tileSize tile size of the tileset, ignored if the piskel already has one
+   */
+  ns.PiskelController.prototype.convertLayerToTilemapAt = function (index, tileSize) {
+    var layer = this.getLayerAt(index);
+    if (!layer || layer.isTilemap()) {
+      return;
+    }
+    this.createTileset_(tileSize);
+    layer.setTilemap(true);
+    layer.getFrames().forEach(function (frame) {
+      frame.setTileMap(null);
+    });
+    this.syncTiles_();
+  };
+
+  /**
+   * Convert a tilemap layer back to a regular layer, the layer keeps its current pixels.
+   * @param {Number} index index of the layer
+   */
+  ns.PiskelController.prototype.convertTilemapToLayerAt = function (index) {
+    var layer = this.getLayerAt(index);
+    if (!layer || !layer.isTilemap()) {
+      return;
+    }
+    this.syncTiles_();
+    layer.setTilemap(false);
+    layer.getFrames().forEach(function (frame) {
+      frame.setTileMap(null);
+    });
+  };
+
+  ns.PiskelController.prototype.addTile = function () {
+    var tileset = this.getTileset();
+    if (tileset) {
+      tileset.addTile();
+    }
+  };
+
+  ns.PiskelController.prototype.duplicateTileAt = function (index) {
+    var tileset = this.getTileset();
+    var tile = tileset && tileset.getTileAt(index);
+    if (tile) {
+      this.syncTiles_();
+      tileset.addTile(tile.clone());
+    }
+  };
+
+  /**
+   * Remove a tile from the tileset, the cells using this tile become empty.
+   * @param {Number} index
+   */
+  ns.PiskelController.prototype.removeTileAt = function (index) {
+    var tileset = this.getTileset();
+    if (!tileset || !tileset.getTileAt(index)) {
+      return;
+    }
+    this.syncTiles_();
+    pskl.utils.TilemapUtils.removeTileAt(this.getLayers(), tileset, index);
+  };
+
+  ns.PiskelController.prototype.createTileset_ = function (tileSize) {
+    if (!this.getTileset()) {
+      this.piskel.setTileset(new pskl.model.Tileset(tileSize));
+    }
+  };
+
+  /**
+   * Synchronize the tileset with the pixels drawn on the tilemap layers. This is also done
+   * by the TilemapService after each modification, but tileset updates need to be applied
+   * immediately so that they can be replayed by the history service.
+   */
+  ns.PiskelController.prototype.syncTiles_ = function () {
+    pskl.utils.TilemapUtils.syncLayers(this.getLayers(), this.getTileset());
+  };
+
+  ns.PiskelController.prototype.generateTilemapLayerName_ = function () {
+    var index = 1;
+    while (this.hasLayerForName_('Tilemap ' + index)) {
+      index++;
+    }
+    return 'Tilemap ' + index;
   };
 
   ns.PiskelController.prototype.hasVisibleFrameAt = function (index) {
@@ -284,11 +762,49 @@
     }
   };
 
+  ns.PiskelController.prototype.setLayerBlendModeAt = function (index, blendMode) {
+    var layer = this.getLayerByIndex(index);
+    if (layer) {
+      layer.setBlendMode(blendMode);
+    }
+  };
+
+  ns.PiskelController.prototype.toggleLayerVisibilityAt = function (index) {
+    var layer = this.getLayerByIndex(index);
+    if (layer) {
+      layer.setVisible(!layer.isVisible());
+    }
+  };
+
+  ns.PiskelController.prototype.toggleLayerLockAt = function (index) {
+    var layer = this.getLayerByIndex(index);
+    if (layer) {
+      layer.setLocked(!layer.isLocked());
+    }
+  };
+
+  /**
+   * A layer can only be merged with the layer below if both layers belong to the same group,
+   * are visible and are not locked. Merging a hidden layer would reveal its pixels.
+   */
+  ns.PiskelController.prototype.canMergeDownLayerAt = function (index) {
+    var layer = this.getLayerByIndex(index);
+    var downLayer = this.getLayerByIndex(index - 1);
+    if (!layer || !downLayer || layer.isEffectivelyLocked() || downLayer.isEffectivelyLocked()) {
+      return false;
+    }
+    if (!layer.isVisible() || !downLayer.isVisible()) {
+      return false;
+    }
+    return layer.getGroup() === downLayer.getGroup();
+  };
+
   ns.PiskelController.prototype.mergeDownLayerAt = function (index) {
     var layer = this.getLayerByIndex(index);
     var downLayer = this.getLayerByIndex(index - 1);
-    if (layer && downLayer) {
+    if (this.canMergeDownLayerAt(index)) {
       var mergedLayer = pskl.utils.LayerUtils.mergeLayers(layer, downLayer);
+      mergedLayer.setGroup(layer.getGroup());
       this.removeLayerAt(index);
       this.piskel.addLayerAt(mergedLayer, index);
       this.removeLayerAt(index - 1);
@@ -308,6 +824,7 @@
   ns.PiskelController.prototype.duplicateCurrentLayer = function () {
     var layer = this.getCurrentLayer();
     var clone = pskl.utils.LayerUtils.clone(layer);
+    clone.setGroup(layer.getGroup());
     var currentLayerIndex = this.getCurrentLayerIndex();
     this.piskel.addLayerAt(clone, currentLayerIndex + 1);
     this.setCurrentLayerIndex(currentLayerIndex + 1);
@@ -322,6 +839,11 @@
       for (var i = 0 ; i < this.getFrameCount() ; i++) {
         layer.addFrame(this.createEmptyFrame_());
       }
+      // New layers are created in the group of the current layer.
+      var currentLayer = this.getCurrentLayer();
+      if (currentLayer) {
+        layer.setGroup(currentLayer.getGroup());
+      }
       var currentLayerIndex = this.getCurrentLayerIndex();
       this.piskel.addLayerAt(layer, currentLayerIndex + 1);
       this.setCurrentLayerIndex(currentLayerIndex + 1);
@@ -346,6 +868,131 @@
     this.selectLayer(layer);
   };
 
+  /**
+   * Move the layer at the provided index to a new index and group.
+   * @param {Number} index index of the layer to move
+   * @param {Number} toIndex index of the layer after the move
+   * @param {Number} groupIndex index of the new group of the layer, -1 for top level
+   */
+  ns.PiskelController.prototype.moveLayerToGroup = function (index, toIndex, groupIndex) {
+    var layer = this.getLayerByIndex(index);
+    if (layer) {
+      this.piskel.moveLayerToGroup(layer, toIndex, this.getGroupAt(groupIndex) || null);
+      this.selectLayer(layer);
+    }
+  };
+
+  ns.PiskelController.prototype.getGroups = function () {
+    return this.piskel.getGroups();
+  };
+
+  ns.PiskelController.prototype.getGroupAt = function (index) {
+    return this.piskel.getGroups()[index];
+  };
+
+  ns.PiskelController.prototype.getLayersInGroup = function (group) {
+    return this.piskel.getLayersInGroup(group);
+  };
+
+  /**
+   * Create a group containing the layer at the provided index. The new group is nested in
+   * the current group of the layer, if any.
+   */
+  ns.PiskelController.prototype.groupLayerAt = function (index) {
+    var layer = this.getLayerByIndex(index);
+    if (!layer) {
+      return;
+    }
+
+    var group = new pskl.model.LayerGroup(this.generateGroupName_());
+    group.setParent(layer.getGroup());
+    layer.setGroup(group);
+    this.piskel.normalizeGroups();
+    this.selectLayer(layer);
+  };
+
+  /**
+   * Remove the group at the provided index. The layers and groups it contains are moved to
+   * the parent of the group.
+   */
+  ns.PiskelController.prototype.ungroupAt = function (index) {
+    var group = this.getGroupAt(index);
+    if (!group) {
+      return;
+    }
+
+    var currentLayer = this.getCurrentLayer();
+    var parent = group.getParent();
+    this.getLayers().forEach(function (layer) {
+      if (layer.getGroup() === group) {
+        layer.setGroup(parent);
+      }
+    });
+    this.getGroups().forEach(function (g) {
+      if (g.getParent() === group) {
+        g.setParent(parent);
+      }
+    });
+    this.piskel.normalizeGroups();
+    this.selectLayer(currentLayer);
+  };
+
+  ns.PiskelController.prototype.renameGroupAt = function (index, name) {
+    var group = this.getGroupAt(index);
+    if (group && name) {
+      group.setName(name);
+    }
+  };
+
+  ns.PiskelController.prototype.setGroupOpacityAt = function (index, opacity) {
+    var group = this.getGroupAt(index);
+    if (group) {
+      group.setOpacity(opacity);
+    }
+  };
+
+  ns.PiskelController.prototype.toggleGroupVisibilityAt = function (index) {
+    var group = this.getGroupAt(index);
+    if (group) {
+      group.setVisible(!group.isVisible());
+    }
+  };
+
+  ns.PiskelController.prototype.toggleGroupLockAt = function (index) {
+    var group = this.getGroupAt(index);
+    if (group) {
+      group.setLocked(!group.isLocked());
+    }
+  };
+
+  ns.PiskelController.prototype.toggleGroupCollapseAt = function (index) {
+    var group = this.getGroupAt(index);
+    if (group) {
+      group.setCollapsed(!group.isCollapsed());
+    }
+  };
+
+  ns.PiskelController.prototype.isCurrentLayerLocked = function () {
+    var layer = this.getCurrentLayer();
+    return !!layer && layer.isEffectivelyLocked();
+  };
+
+  ns.PiskelController.prototype.isCurrentLayerVisible = function () {
+    var layer = this.getCurrentLayer();
+    return !!layer && layer.isEffectivelyVisible();
+  };
+
+  ns.PiskelController.prototype.generateGroupName_ = function () {
+    var names = this.getGroups().map(function (group) {
+      return group.getName();
+    });
+    var index = this.getGroups().length + 1;
+    while (names.indexOf('Group ' + index) !== -1) {
+      index++;
+    }
+    return 'Group ' + index;
+  };
+
   ns.PiskelController.prototype.removeCurrentLayer = function () {
     var currentLayerIndex = this.getCurrentLayerIndex();
     this.removeLayerAt(currentLayerIndex);
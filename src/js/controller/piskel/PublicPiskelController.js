@@ -12,6 +12,36 @@
     pskl.utils.wrap(this, this.piskelController);
   };
 
+  // Methods of the PiskelController saved in the history, see saveWrap_.
+  ns.PublicPiskelController.SAVED_METHODS = [
+    'renameLayerAt'
+  ];
+
+  // Same as SAVED_METHODS, the piskel is reset after calling them.
+  ns.PublicPiskelController.SAVED_RESET_METHODS = [
+    'removeCurrentLayer', 'addFrame', 'addFrameAtCurrentIndex', 'addFrameAt', 'removeFrameAt',
+    'duplicateCurrentFrame', 'duplicateFrameAt', 'moveFrame', 'duplicateFramesAt', 'removeFramesAt',
+    'reverseFramesAt', 'moveFramesAt', 'toggleFramesVisibilityAt', 'copyFramesToNewLayer',
+    'createLayer', 'duplicateCurrentLayer', 'mergeDownLayerAt', 'moveLayerUp', 'moveLayerDown',
+    'setLayerOpacityAt', 'setLayerBlendModeAt', 'toggleLayerVisibilityAt', 'toggleLayerLockAt',
+    'moveLayerToGroup', 'groupLayerAt', 'ungroupAt', 'renameGroupAt', 'setGroupOpacityAt',
+    'toggleGroupVisibilityAt', 'toggleGroupLockAt', 'toggleFrameVisibilityAt', 'setFrameDurationAt',
+    'addTag', 'removeTagAt', 'updateTagAt', 'setIndexedPalette', 'addPaletteCycle',
+    'updatePaletteCycleAt', 'removePaletteCycleAt', 'createTilemapLayer', 'convertLayerToTilemapAt',
+    'convertTilemapToLayerAt', 'addTile', 'duplicateTileAt', 'removeTileAt'
+  ];
+
+  /**
+   * Only the methods saved in the history can be replayed, see ActionCodec.
+   * @param  {String} methodName name of a method of the wrapped PiskelController
+   * @return {Boolean}
+   */
+  ns.PublicPiskelController.isReplayMethod = function (methodName) {
+    return methodName === 'setPaletteColorAt' ||
+      ns.PublicPiskelController.SAVED_METHODS.indexOf(methodName) !== -1 ||
+      ns.PublicPiskelController.SAVED_RESET_METHODS.indexOf(methodName) !== -1;
+  };
+
   ns.PublicPiskelController.prototype.init = function () {
     // DECORATED WITH RESET
     this.resetWrap_('setCurrentFrameIndex');
@@ -20,24 +50,13 @@
     this.resetWrap_('setCurrentLayerIndex');
     this.resetWrap_('selectLayer');
     // DECORATED WITH SAVE, NO RESET
-    this.saveWrap_('renameLayerAt', false);
+    ns.PublicPiskelController.SAVED_METHODS.forEach(function (methodName) {
+      this.saveWrap_(methodName, false);
+    }.bind(this));
     // DECORATED WITH SAVE, WITH RESET
-    this.saveWrap_('removeCurrentLayer', true);
-    this.saveWrap_('addFrame', true);
-    this.saveWrap_('addFrameAtCurrentIndex', true);
-    this.saveWrap_('addFrameAt', true);
-    this.saveWrap_('removeFrameAt', true);
-    this.saveWrap_('duplicateCurrentFrame', true);
-    this.saveWrap_('duplicateFrameAt', true);
-    this.saveWrap_('moveFrame', true);
-    this.saveWrap_('createLayer', true);
-    this.saveWrap_('duplicateCurrentLayer', true);
-    this.saveWrap_('mergeDownLayerAt', true);
-    this.saveWrap_('moveLayerUp', true);
-    this.saveWrap_('moveLayerDown', true);
-    this.saveWrap_('removeCurrentLayer', true);
-    this.saveWrap_('setLayerOpacityAt', true);
-    this.saveWrap_('toggleFrameVisibilityAt', true);
+    ns.PublicPiskelController.SAVED_RESET_METHODS.forEach(function (methodName) {
+      this.saveWrap_(methodName, true);
+    }.bind(this));
 
     var shortcuts = pskl.service.keyboard.Shortcuts;
     pskl.app.shortcutService.registerShortcut(shortcuts.MISC.PREVIOUS_FRAME, this.selectPreviousFrame.bind(this));
@@ -57,6 +76,7 @@
    *                 preserveState {Boolean} if true, keep the selected frame and layer
    *                 noSnapshot {Boolean} if true, do not save a snapshot in the piskel
    *                            history for this call to setPiskel
+   *                 historyLabel {String} description of the snapshot in the history panel
    */
   ns.PublicPiskelController.prototype.setPiskel = function (piskel, options) {
     this.piskelController.setPiskel(piskel, options);
@@ -66,11 +86,24 @@
 
     if (!options || !options.noSnapshot) {
       $.publish(Events.PISKEL_SAVE_STATE, {
-        type : pskl.service.HistoryService.SNAPSHOT
+        type : pskl.service.HistoryService.SNAPSHOT,
+        label : (options && options.historyLabel) || 'Load sprite'
       });
     }
   };
 
+  /**
+   * Frames modified since they were last indexed are indexed before recoloring the pixels
+   * linked to the edited palette entry.
+   */
+  ns.PublicPiskelController.prototype.setPaletteColorAt = function (index, color) {
+    var stateInfo = this.getStateInfo_();
+    pskl.app.paletteMatchingService.updateIndexedFrames();
+    this.piskelController.setPaletteColorAt(index, color);
+    this.raiseSaveStateEvent_(this.piskelController.setPaletteColorAt, arguments, stateInfo);
+    $.publish(Events.PISKEL_RESET);
+  };
+
   ns.PublicPiskelController.prototype.resetWrap_ = function (methodName) {
     this[methodName] = function () {
       this.piskelController[methodName].apply(this.piskelController, arguments);
@@ -112,6 +145,10 @@
   };
 
   ns.PublicPiskelController.prototype.replay = function (frame, replayData) {
+    if (replayData.fn === this.piskelController.setPaletteColorAt) {
+      // Pixels drawn by the previously replayed states are not indexed yet.
+      pskl.app.paletteMatchingService.updateIndexedFrames();
+    }
     replayData.fn.apply(this.piskelController, replayData.args);
   };
 })();
@@ -13,6 +13,11 @@
     this.currentIndex = 0;
     this.lastRenderTime = 0;
     this.renderFlag = true;
+    // Name of the tag to play in the preview, null to play all frames.
+    this.previewedTagName = null;
+    // Time used to animate the color cycles of the indexed palette, and their current state.
+    this.cycleTime = 0;
+    this.cycleState = '';
 
     this.renderer = new pskl.rendering.frame.BackgroundImageFrameRenderer(this.container);
     this.popupPreviewController = new ns.PopupPreviewController(piskelController);
@@ -27,6 +32,7 @@
     $.subscribe(Events.USER_SETTINGS_CHANGED, this.onUserSettingsChange_.bind(this));
     $.subscribe(Events.PISKEL_SAVE_STATE, this.setRenderFlag_.bind(this, true));
     $.subscribe(Events.PISKEL_RESET, this.setRenderFlag_.bind(this, true));
+    $.subscribe(Events.PREVIEWED_TAG_CHANGED, this.onPreviewedTagChanged_.bind(this));
 
     this.popupPreviewController.init();
     this.previewActionsController.init();
@@ -48,6 +54,26 @@
     }
   };
 
+  ns.PreviewController.prototype.onPreviewedTagChanged_ = function (evt, tagName) {
+    this.previewedTagName = tagName;
+    this.elapsedTime = 0;
+  };
+
+  /**
+   * Get the indexes of the frames to play in the preview: either all the visible frames or
+   * the visible frames of the previewed tag, in the tag playback order.
+   */
+  ns.PreviewController.prototype.getPreviewFrameIndexes_ = function () {
+    var tag = this.previewedTagName && this.piskelController.getTagByName(this.previewedTagName);
+    if (!tag) {
+      return this.piskelController.getVisibleFrameIndexes();
+    }
+
+    return tag.getPlaybackFrameIndexes().filter(function (index) {
+      return this.piskelController.hasVisibleFrameAt(index);
+    }.bind(this));
+  };
+
   ns.PreviewController.prototype.updateZoom_ = function () {
     var previewSize = pskl.UserSettings.get(pskl.UserSettings.PREVIEW_SIZE);
 
@@ -82,9 +108,16 @@
   ns.PreviewController.prototype.render = function (delta) {
     this.elapsedTime += delta;
     var index = this.getNextIndex_(delta);
-    if (this.shouldRender_() || this.currentIndex != index) {
+
+    this.cycleTime += delta;
+    var palette = this.piskelController.getIndexedPalette();
+    var cycleState = palette ? palette.getCycleState(this.cycleTime) : '';
+
+    if (this.shouldRender_() || this.currentIndex != index || this.cycleState != cycleState) {
       this.currentIndex = index;
-      var frame = pskl.utils.LayerUtils.mergeFrameAt(this.piskelController.getLayers(), index);
+      this.cycleState = cycleState;
+      var layers = this.piskelController.getLayers();
+      var frame = pskl.utils.PaletteCycleUtils.mergeCycledFrameAt(layers, index, palette, this.cycleTime);
       this.renderer.render(frame);
       this.renderFlag = false;
       this.lastRenderTime = Date.now();
@@ -98,14 +131,19 @@
     if (fps === 0) {
       return this.piskelController.getCurrentFrameIndex();
     } else {
-      var index = Math.floor(this.elapsedTime / (1000 / fps));
-      var frameIndexes = this.piskelController.getVisibleFrameIndexes();
-      if (frameIndexes.length <= index) {
-        this.elapsedTime = 0;
-        index = (frameIndexes.length) ? frameIndexes[0] : this.piskelController.getCurrentFrameIndex();
-        return index;
+      var frameIndexes = this.getPreviewFrameIndexes_();
+      // Find the visible frame matching the elapsed time, each frame having its own duration.
+      var time = this.elapsedTime;
+      for (var i = 0 ; i < frameIndexes.length ; i++) {
+        var duration = this.piskelController.getFrameDurationAt(frameIndexes[i]);
+        if (time < duration) {
+          return frameIndexes[i];
+        }
+        time -= duration;
       }
-      return frameIndexes[index];
+
+      this.elapsedTime = 0;
+      return (frameIndexes.length) ? frameIndexes[0] : this.piskelController.getCurrentFrameIndex();
     }
   };
 
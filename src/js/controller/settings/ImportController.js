@@ -14,6 +14,8 @@
     this.hiddenOpenPiskelInput = document.querySelector('[name="open-piskel-input"]');
 
     this.addEventListener('.browse-local-button', 'click', this.onBrowseLocalClick_);
+    this.addEventListener('.browse-remote-button', 'click', this.onBrowseRemoteClick_);
+    this.addEventListener('.collaboration-button', 'click', this.onCollaborationClick_);
     this.addEventListener('.browse-backups-button', 'click', this.onBrowseBackupsClick_);
     this.addEventListener('.file-input-button', 'click', this.onFileInputClick_);
 
@@ -60,6 +62,20 @@
     this.closeDrawer_();
   };
 
+  ns.ImportController.prototype.onBrowseRemoteClick_ = function (evt) {
+    $.publish(Events.DIALOG_SHOW, {
+      dialogId : 'browse-remote'
+    });
+    this.closeDrawer_();
+  };
+
+  ns.ImportController.prototype.onCollaborationClick_ = function (evt) {
+    $.publish(Events.DIALOG_SHOW, {
+      dialogId : 'collaboration'
+    });
+    this.closeDrawer_();
+  };
+
   ns.ImportController.prototype.onBrowseBackupsClick_ = function (evt) {
     $.publish(Events.DIALOG_SHOW, {
       dialogId : 'browse-backups'
@@ -68,7 +84,7 @@
   };
 
   ns.ImportController.prototype.openPiskelFile_ = function (file) {
-    if (this.isPiskel_(file)) {
+    if (this.isPiskel_(file) || pskl.utils.AsepriteFileUtils.isAsepriteFile(file)) {
       $.publish(Events.DIALOG_SHOW, {
         dialogId : 'import',
         initArgs : {
@@ -78,7 +94,7 @@
       this.closeDrawer_();
     } else {
       this.closeDrawer_();
-      console.error('The selected file is not a piskel file');
+      console.error('The selected file is not a piskel or aseprite file');
     }
   };
 
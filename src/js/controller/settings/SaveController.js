@@ -4,7 +4,8 @@
   var PARTIALS = {
     DESKTOP : 'save-desktop-partial',
     LOCALSTORAGE : 'save-localstorage-partial',
-    FILEDOWNLOAD : 'save-file-download-partial'
+    FILEDOWNLOAD : 'save-file-download-partial',
+    REMOTE : 'save-remote-partial'
   };
 
   ns.SaveController = function (piskelController) {
@@ -30,11 +31,15 @@
     this.saveDesktopButton = document.querySelector('#save-desktop-button');
     this.saveDesktopAsNewButton = document.querySelector('#save-desktop-as-new-button');
     this.saveFileDownloadButton = document.querySelector('#save-file-download-button');
+    this.saveRemoteButton = document.querySelector('#save-remote-button');
 
     this.safeAddEventListener_(this.saveLocalStorageButton, 'click', this.saveToIndexedDb_);
     this.safeAddEventListener_(this.saveDesktopButton, 'click', this.saveToDesktop_);
     this.safeAddEventListener_(this.saveDesktopAsNewButton, 'click', this.saveToDesktopAsNew_);
     this.safeAddEventListener_(this.saveFileDownloadButton, 'click', this.saveToFileDownload_);
+    this.safeAddEventListener_(this.saveRemoteButton, 'click', this.saveToRemote_);
+
+    this.initRemoteInputs_();
 
     this.addEventListener(this.saveForm, 'submit', this.onSaveFormSubmit_);
 
@@ -54,10 +59,35 @@
 
   ns.SaveController.prototype.getPartials_ = function () {
     if (pskl.utils.Environment.detectNodeWebkit()) {
-      return [PARTIALS.DESKTOP, PARTIALS.LOCALSTORAGE];
+      return [PARTIALS.DESKTOP, PARTIALS.LOCALSTORAGE, PARTIALS.REMOTE];
+    }
+
+    return [PARTIALS.FILEDOWNLOAD, PARTIALS.LOCALSTORAGE, PARTIALS.REMOTE];
+  };
+
+  /**
+   * The storage server inputs update the REMOTE_STORAGE user setting.
+   * @private
+   */
+  ns.SaveController.prototype.initRemoteInputs_ = function () {
+    this.remoteUrlInput = document.querySelector('#save-remote-url');
+    this.remoteTokenInput = document.querySelector('#save-remote-token');
+    if (!this.remoteUrlInput) {
+      return;
     }
 
-    return [PARTIALS.FILEDOWNLOAD, PARTIALS.LOCALSTORAGE];
+    var settings = pskl.UserSettings.get(pskl.UserSettings.REMOTE_STORAGE);
+    this.remoteUrlInput.value = settings.url;
+    this.remoteTokenInput.value = settings.token;
+    this.addEventListener(this.remoteUrlInput, 'change', this.onRemoteSettingsChange_);
+    this.addEventListener(this.remoteTokenInput, 'change', this.onRemoteSettingsChange_);
+  };
+
+  ns.SaveController.prototype.onRemoteSettingsChange_ = function () {
+    pskl.UserSettings.set(pskl.UserSettings.REMOTE_STORAGE, {
+      url : this.remoteUrlInput.value.trim(),
+      token : this.remoteTokenInput.value
+    });
   };
 
   ns.SaveController.prototype.updateDescriptorInputs_ = function (evt) {
@@ -89,6 +119,11 @@
     this.saveTo_('saveToIndexedDb', false);
   };
 
+  ns.SaveController.prototype.saveToRemote_ = function () {
+    this.onRemoteSettingsChange_();
+    this.saveTo_('saveToRemote', false);
+  };
+
   ns.SaveController.prototype.saveToDesktop_ = function () {
     this.saveTo_('saveToDesktop', false);
   };
@@ -126,6 +161,7 @@
     this.setDisabled_(this.saveDesktopButton, true);
     this.setDisabled_(this.saveDesktopAsNewButton, true);
     this.setDisabled_(this.saveFileDownloadButton, true);
+    this.setDisabled_(this.saveRemoteButton, true);
   };
 
   ns.SaveController.prototype.enableSaveButtons_ = function () {
@@ -133,6 +169,7 @@
     this.setDisabled_(this.saveDesktopButton, false);
     this.setDisabled_(this.saveDesktopAsNewButton, false);
     this.setDisabled_(this.saveFileDownloadButton, false);
+    this.setDisabled_(this.saveRemoteButton, false);
   };
 
   ns.SaveController.prototype.setDisabled_ = function (element, isDisabled) {
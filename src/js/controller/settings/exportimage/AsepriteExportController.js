@@ -0,0 +1,25 @@
+(function () {
+  var ns = $.namespace('pskl.controller.settings.exportimage');
+
+  ns.AsepriteExportController = function (piskelController) {
+    this.piskelController = piskelController;
+  };
+
+  pskl.utils.inherit(ns.AsepriteExportController, pskl.controller.settings.AbstractSettingController);
+
+  ns.AsepriteExportController.prototype.init = function () {
+    var downloadButton = document.querySelector('.aseprite-download-button');
+    this.addEventListener(downloadButton, 'click', this.onDownloadButtonClick_);
+  };
+
+  ns.AsepriteExportController.prototype.onDownloadButtonClick_ = function () {
+    var piskel = this.piskelController.getPiskel();
+    var buffer = pskl.utils.serialization.aseprite.AsepriteSerializer.serialize(piskel);
+    var blob = new Blob([buffer], {
+      type : 'application/octet-stream'
+    });
+
+    var fileName = piskel.getDescriptor().name + '.aseprite';
+    pskl.utils.FileUtils.downloadAsFile(blob, fileName);
+  };
+})();
@@ -14,6 +14,14 @@
       template : 'templates/settings/export/zip.html',
       controller : ns.ZipExportController
     },
+    'aseprite' : {
+      template : 'templates/settings/export/aseprite.html',
+      controller : ns.AsepriteExportController
+    },
+    'tiled' : {
+      template : 'templates/settings/export/tiled.html',
+      controller : ns.TiledExportController
+    },
     'misc' : {
       template : 'templates/settings/export/misc.html',
       controller : ns.MiscExportController
@@ -47,6 +55,15 @@
 
     this.onSizeInputChange_();
 
+    this.scalingSelect = document.querySelector('.export-scaling .export-scaling-select');
+    this.scalingSelect.value = pskl.UserSettings.get(pskl.UserSettings.EXPORT_SCALING);
+    this.addEventListener(this.scalingSelect, 'change', this.onScalingChange_);
+
+    // Initialize tag select, only displayed if the piskel has tags
+    this.tagSelect = document.querySelector('.export-tag .export-tag-select');
+    this.initTagSelect_();
+    this.addEventListener(this.tagSelect, 'change', this.onTagChange_);
+
     // Initialize tabs and panel
     var container = document.querySelector('.settings-section-export');
     this.tabsWidget.init(container);
@@ -92,4 +109,71 @@
   ns.ExportController.prototype.getExportZoom = function () {
     return parseInt(this.widthInput.value, 10) / this.piskelController.getWidth();
   };
+
+  ns.ExportController.prototype.onScalingChange_ = function () {
+    pskl.UserSettings.set(pskl.UserSettings.EXPORT_SCALING, this.scalingSelect.value);
+  };
+
+  /**
+   * @return {String} the pskl.utils.UpscaleUtils algorithm used to scale the exported images
+   */
+  ns.ExportController.prototype.getExportScaling = function () {
+    return this.scalingSelect.value;
+  };
+
+  /**
+   * Scale an image for export, using the export zoom and scaling algorithm.
+   * @param  {Image|Canvas} image
+   * @return {Canvas} the scaled image
+   */
+  ns.ExportController.prototype.scaleImage = function (image) {
+    var zoom = this.getExportZoom();
+    return pskl.utils.UpscaleUtils.resizeImage(image, image.width * zoom, image.height * zoom,
+      this.getExportScaling());
+  };
+
+  ns.ExportController.prototype.initTagSelect_ = function () {
+    var tags = this.piskelController.getTags();
+    this.tagSelect.innerHTML = '<option value="">All frames</option>';
+    tags.forEach(function (tag, index) {
+      var option = document.createElement('option');
+      option.value = index;
+      option.textContent = tag.name;
+      this.tagSelect.appendChild(option);
+    }.bind(this));
+    document.querySelector('.export-tag').style.display = tags.length > 0 ? '' : 'none';
+  };
+
+  ns.ExportController.prototype.onTagChange_ = function () {
+    $.publish(Events.EXPORT_TAG_CHANGED);
+  };
+
+  /**
+   * @return {pskl.model.piskel.Tag} the tag selected for export, or null to export all frames
+   */
+  ns.ExportController.prototype.getExportTag = function () {
+    if (this.tagSelect.value === '') {
+      return null;
+    }
+    return this.piskelController.getTagAt(parseInt(this.tagSelect.value, 10)) || null;
+  };
+
+  /**
+   * Get the indexes of the frames to export, depending on the selected tag.
+   * @param  {Boolean} playbackOrder true to follow the direction of the tag (for animated
+   *                                 exports), false to keep the order of the frames
+   * @return {Array<Number>} frame indexes
+   */
+  ns.ExportController.prototype.getExportFrameIndexes = function (playbackOrder) {
+    var tag = this.getExportTag();
+    if (tag) {
+      return playbackOrder ? tag.getPlaybackFrameIndexes() : tag.getFrameIndexes();
+    }
+
+    var indexes = [];
+    for (var i = 0 ; i < this.piskelController.getFrameCount() ; i++) {
+      indexes.push(i);
+    }
+    return indexes;
+  };
 })();
@@ -5,6 +5,8 @@
   var MAX_GIF_COLORS = 256;
   var MAGIC_PINK = '#FF00FF';
   var WHITE = '#FFFFFF';
+  // GIF frame delays are stored on 16 bits, in hundredths of a second.
+  var MAX_GIF_DELAY = 655350;
 
   ns.GifExportController = function (piskelController, exportController) {
     this.piskelController = piskelController;
@@ -35,9 +37,7 @@
 
   ns.GifExportController.prototype.onDownloadButtonClick_ = function (evt) {
     var zoom = this.getZoom_();
-    var fps = this.piskelController.getFPS();
-
-    this.renderAsImageDataAnimatedGIF(zoom, fps, this.downloadImageData_.bind(this));
+    this.renderAsImageDataAnimatedGIF(zoom, this.downloadImageData_.bind(this));
   };
 
   ns.GifExportController.prototype.downloadImageData_ = function (imageData) {
@@ -51,11 +51,21 @@
     this.previewContainerEl.innerHTML = '<div><img style="max-width:32px;" src="' + src + '"/></div>';
   };
 
-  ns.GifExportController.prototype.renderAsImageDataAnimatedGIF = function(zoom, fps, cb) {
+  ns.GifExportController.prototype.renderAsImageDataAnimatedGIF = function(zoom, cb) {
     var currentColors = pskl.app.currentColorsService.getCurrentColors();
 
-    var layers = this.piskelController.getLayers();
-    var isTransparent = layers.some(function (l) {return l.isTransparent();});
+    // Color cycles show palette colors which might not be used by the sprite yet.
+    var palette = this.piskelController.getIndexedPalette();
+    var isCycling = !!palette && palette.hasCycles();
+    if (isCycling) {
+      currentColors = currentColors.concat(palette.getColors().filter(function (color) {
+        return currentColors.indexOf(color) === -1;
+      }));
+    }
+
+    var layers = pskl.utils.LayerUtils.getVisibleLayers(this.piskelController.getLayers());
+    // Transparent and blended layers create colors which are not in the current colors.
+    var isTransparent = layers.some(function (l) {return l.isTransparent() || l.hasBlendMode();});
     var preserveColors = !isTransparent && currentColors.length < MAX_GIF_COLORS;
 
     var transparentColor;
@@ -87,16 +97,50 @@
     var context = background.getContext('2d');
     context.fillStyle = transparentColor;
 
-    for (var i = 0 ; i < this.piskelController.getFrameCount() ; i++) {
-      var render = this.piskelController.renderFrameAt(i, true);
+    var allLayers = this.piskelController.getLayers();
+    var scaling = this.exportController.getExportScaling();
+    var addFrame = function (index, time, delay) {
+      var render = isCycling ?
+        pskl.utils.PaletteCycleUtils.flattenCycledFrameAt(allLayers, index, palette, time, true) :
+        this.piskelController.renderFrameAt(index, true);
       context.clearRect(0, 0, width, height);
       context.fillRect(0, 0, width, height);
       context.drawImage(render, 0, 0, width, height);
 
-      var canvas = pskl.utils.ImageResizer.scale(background, zoom);
+      var canvas = pskl.utils.UpscaleUtils.resizeImage(background, width * zoom, height * zoom, scaling);
+      // Frames last forever at 0 FPS, use the longest delay supported by GIF files.
       gif.addFrame(canvas.getContext('2d'), {
-        delay: 1000 / fps
+        delay: Math.min(delay, MAX_GIF_DELAY)
       });
+    }.bind(this);
+
+    // Frames are added in the playback order of the exported tag, if any.
+    var frameIndexes = this.exportController.getExportFrameIndexes(true);
+    var loopCount = 1;
+    if (isCycling) {
+      // Bake the color cycles: play the animation until the cycles loop as well, and split
+      // frames each time the cycled colors change.
+      var duration = frameIndexes.reduce(function (duration, index) {
+        return duration + this.piskelController.getFrameDurationAt(index);
+      }.bind(this), 0);
+      // Frames last forever at 0 FPS, the color cycles can not be played.
+      isCycling = isFinite(duration);
+      if (isCycling) {
+        loopCount = pskl.utils.PaletteCycleUtils.getExportLoopCount(palette, duration);
+      }
+    }
+
+    var time = 0;
+    for (var i = 0 ; i < loopCount ; i++) {
+      frameIndexes.forEach(function (index) {
+        var end = time + this.piskelController.getFrameDurationAt(index);
+        var times = isCycling ? pskl.utils.PaletteCycleUtils.getChangeTimes(palette, time, end) : [];
+        times = [time].concat(times, [end]);
+        for (var j = 0 ; j < times.length - 1 ; j++) {
+          addFrame(index, times[j], times[j + 1] - times[j]);
+        }
+        time = end;
+      }.bind(this));
     }
 
     $.publish(Events.SHOW_PROGRESS, [{'name': 'Building animated GIF ...'}]);
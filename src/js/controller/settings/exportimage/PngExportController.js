@@ -17,6 +17,7 @@
     this.piskelController = piskelController;
     this.exportController = exportController;
     this.onScaleChanged_ = this.onScaleChanged_.bind(this);
+    this.onTagChanged_ = this.onTagChanged_.bind(this);
   };
 
   pskl.utils.inherit(ns.PngExportController, pskl.controller.settings.AbstractSettingController);
@@ -44,10 +45,12 @@
     this.addEventListener(dataUriButton, 'click', this.onDataUriClick_);
     this.addEventListener(selectedFrameDownloadButton, 'click', this.onDownloadSelectedFrameClick_);
     $.subscribe(Events.EXPORT_SCALE_CHANGED, this.onScaleChanged_);
+    $.subscribe(Events.EXPORT_TAG_CHANGED, this.onTagChanged_);
   };
 
   ns.PngExportController.prototype.destroy = function () {
     $.unsubscribe(Events.EXPORT_SCALE_CHANGED, this.onScaleChanged_);
+    $.unsubscribe(Events.EXPORT_TAG_CHANGED, this.onTagChanged_);
     this.superclass.destroy.call(this);
   };
 
@@ -55,11 +58,12 @@
    * Initalize all controls related to the spritesheet layout.
    */
   ns.PngExportController.prototype.initLayoutSection_ = function () {
-    var frames = this.piskelController.getFrameCount();
+    var frames = this.getFrameCount_();
     if (frames === 1) {
-      // Hide the layout section if only one frame is defined.
+      // Hide the layout section if only one frame is exported.
       this.layoutContainer.style.display = 'none';
     } else {
+      this.layoutContainer.style.display = '';
       this.columnsInput.setAttribute('max', frames);
       this.columnsInput.value = this.getBestFit_();
       this.onColumnsInput_();
@@ -68,7 +72,7 @@
 
   ns.PngExportController.prototype.updateDimensionLabel_ = function () {
     var zoom = this.exportController.getExportZoom();
-    var frames = this.piskelController.getFrameCount();
+    var frames = this.getFrameCount_();
     var width = this.piskelController.getWidth() * zoom;
     var height = this.piskelController.getHeight() * zoom;
 
@@ -96,16 +100,32 @@
 
   ns.PngExportController.prototype.getBestFit_ = function () {
     var ratio = this.piskelController.getWidth() / this.piskelController.getHeight();
-    var frameCount = this.piskelController.getFrameCount();
+    var frameCount = this.getFrameCount_();
     var bestFit = Math.round(Math.sqrt(frameCount / ratio));
 
     return pskl.utils.Math.minmax(bestFit, 1, frameCount);
   };
 
+  /**
+   * Exported frames depend on the tag selected in the export controller.
+   */
+  ns.PngExportController.prototype.getFrameIndexes_ = function () {
+    return this.exportController.getExportFrameIndexes(false);
+  };
+
+  ns.PngExportController.prototype.getFrameCount_ = function () {
+    return this.getFrameIndexes_().length;
+  };
+
   ns.PngExportController.prototype.onScaleChanged_ = function () {
     this.updateDimensionLabel_();
   };
 
+  ns.PngExportController.prototype.onTagChanged_ = function () {
+    this.initLayoutSection_();
+    this.updateDimensionLabel_();
+  };
+
   /**
    * Synchronise column and row inputs, called everytime a user input updates one of the
    * two inputs by the SynchronizedInputs widget.
@@ -124,28 +144,51 @@
 
     // Force the value to be in bounds, if the user tried to update it by directly typing
     // a value.
-    value = pskl.utils.Math.minmax(value, 1, this.piskelController.getFrameCount());
+    value = pskl.utils.Math.minmax(value, 1, this.getFrameCount_());
     this.columnsInput.value = value;
 
     // Update readonly rowsInput
-    this.rowsInput.value = Math.ceil(this.piskelController.getFrameCount() / value);
+    this.rowsInput.value = Math.ceil(this.getFrameCount_() / value);
     this.updateDimensionLabel_();
   };
 
   ns.PngExportController.prototype.createPngSpritesheet_ = function () {
-    var renderer = new pskl.rendering.PiskelRenderer(this.piskelController);
+    var renderer = new pskl.rendering.PiskelRenderer(this.piskelController, this.getFrameIndexes_());
     var outputCanvas = renderer.renderAsCanvas(this.getColumns_(), this.getRows_());
-    var width = outputCanvas.width;
-    var height = outputCanvas.height;
 
     var zoom = this.exportController.getExportZoom();
     if (zoom != 1) {
-      outputCanvas = pskl.utils.ImageResizer.resize(outputCanvas, width * zoom, height * zoom, false);
+      outputCanvas = this.scaleSpritesheet_(outputCanvas);
     }
 
     return outputCanvas;
   };
 
+  /**
+   * Scale each frame of the spritesheet separately, upscaling algorithms should not blend
+   * the borders of adjacent frames.
+   */
+  ns.PngExportController.prototype.scaleSpritesheet_ = function (canvas) {
+    var columns = this.getColumns_();
+    var rows = this.getRows_();
+    var frameWidth = canvas.width / columns;
+    var frameHeight = canvas.height / rows;
+    var zoom = this.exportController.getExportZoom();
+    var scaledWidth = Math.floor(frameWidth * zoom);
+    var scaledHeight = Math.floor(frameHeight * zoom);
+
+    var scaledCanvas = pskl.utils.CanvasUtils.createCanvas(scaledWidth * columns, scaledHeight * rows);
+    var context = scaledCanvas.getContext('2d');
+    for (var row = 0 ; row < rows ; row++) {
+      for (var column = 0 ; column < columns ; column++) {
+        var frameCanvas = pskl.utils.CanvasUtils.createCanvas(frameWidth, frameHeight);
+        frameCanvas.getContext('2d').drawImage(canvas, -column * frameWidth, -row * frameHeight);
+        context.drawImage(this.exportController.scaleImage(frameCanvas), column * scaledWidth, row * scaledHeight);
+      }
+    }
+    return scaledCanvas;
+  };
+
   ns.PngExportController.prototype.onDownloadClick_ = function (evt) {
     // Create PNG export.
     var canvas = this.createPngSpritesheet_();
@@ -184,7 +227,7 @@
     var width = canvas.width / this.getColumns_();
     var height = canvas.height / this.getRows_();
 
-    var numFrames = this.piskelController.getFrameCount();
+    var numFrames = this.getFrameCount_();
     var frames = {};
     for (var i = 0; i < numFrames; i++) {
       var column = i % this.getColumns_();
@@ -236,7 +279,7 @@
     var canvas = this.piskelController.renderFrameAt(frameIndex, true);
     var zoom = this.exportController.getExportZoom();
     if (zoom != 1) {
-      canvas = pskl.utils.ImageResizer.resize(canvas, canvas.width * zoom, canvas.height * zoom, false);
+      canvas = this.exportController.scaleImage(canvas);
     }
 
     var fileName = name + '-' + (frameIndex + 1) + '.png';
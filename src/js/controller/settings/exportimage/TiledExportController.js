@@ -0,0 +1,62 @@
+(function () {
+  var ns = $.namespace('pskl.controller.settings.exportimage');
+
+  ns.TiledExportController = function (piskelController) {
+    this.piskelController = piskelController;
+  };
+
+  pskl.utils.inherit(ns.TiledExportController, pskl.controller.settings.AbstractSettingController);
+
+  ns.TiledExportController.prototype.init = function () {
+    var hasTileset = !!this.piskelController.getTileset();
+    document.querySelector('.tiled-export-actions').style.display = hasTileset ? '' : 'none';
+    document.querySelector('.tiled-export-empty').style.display = hasTileset ? 'none' : '';
+
+    var tilesetButton = document.querySelector('.tiled-tileset-button');
+    this.addEventListener(tilesetButton, 'click', this.onTilesetButtonClick_);
+
+    var jsonButton = document.querySelector('.tiled-json-button');
+    this.addEventListener(jsonButton, 'click', this.onJsonButtonClick_);
+
+    var tmxButton = document.querySelector('.tiled-tmx-button');
+    this.addEventListener(tmxButton, 'click', this.onTmxButtonClick_);
+  };
+
+  ns.TiledExportController.prototype.onTilesetButtonClick_ = function () {
+    var canvas = pskl.utils.serialization.tiled.TiledSerializer.renderTileset(this.piskelController.getTileset());
+    var fileName = this.getTilesetImageName_();
+    pskl.utils.BlobUtils.canvasToBlob(canvas, function(blob) {
+      pskl.utils.FileUtils.downloadAsFile(blob, fileName);
+    });
+  };
+
+  ns.TiledExportController.prototype.onJsonButtonClick_ = function () {
+    var map = pskl.utils.serialization.tiled.TiledSerializer.serializeJSON(
+      this.piskelController.getPiskel(),
+      this.piskelController.getCurrentFrameIndex(),
+      this.getTilesetImageName_());
+    var blob = new Blob([JSON.stringify(map, null, 2)], {
+      type : 'application/json'
+    });
+    pskl.utils.FileUtils.downloadAsFile(blob, this.getName_() + '.json');
+  };
+
+  ns.TiledExportController.prototype.onTmxButtonClick_ = function () {
+    var map = pskl.utils.serialization.tiled.TiledSerializer.serializeTMX(
+      this.piskelController.getPiskel(),
+      this.piskelController.getCurrentFrameIndex(),
+      this.getTilesetImageName_());
+    var blob = new Blob([map], {
+      type : 'application/xml'
+    });
+    pskl.utils.FileUtils.downloadAsFile(blob, this.getName_() + '.tmx');
+  };
+
+  ns.TiledExportController.prototype.getName_ = function () {
+    return this.piskelController.getPiskel().getDescriptor().name;
+  };
+
+  ns.TiledExportController.prototype.getTilesetImageName_ = function () {
+    return this.getName_() + '-tileset.png';
+  };
+})();
@@ -15,8 +15,9 @@
     this.splitByLayersCheckbox = document.querySelector('.zip-split-layers-checkbox');
     this.addEventListener(this.splitByLayersCheckbox, 'change', this.onSplitLayersClick_);
 
-    this.useLayerNamesContainer = document.querySelector('.use-layer-names-container');
+    this.useLayerNamesContainers = document.querySelectorAll('.use-layer-names-container');
     this.useLayerNamesCheckbox = document.querySelector('.zip-use-layer-names-checkbox');
+    this.splitByGroupsCheckbox = document.querySelector('.zip-split-groups-checkbox');
     this.toggleHideUseLayerNamesCheckbox();
 
     var zipButton = document.querySelector('.zip-generate-button');
@@ -24,7 +25,10 @@
   };
 
   ns.ZipExportController.prototype.toggleHideUseLayerNamesCheckbox = function () {
-    this.useLayerNamesContainer.style.display = (this.splitByLayersCheckbox.checked ? 'block' : 'none');
+    var display = this.splitByLayersCheckbox.checked ? 'block' : 'none';
+    for (var i = 0 ; i < this.useLayerNamesContainers.length ; i++) {
+      this.useLayerNamesContainers[i].style.display = display;
+    }
   };
 
   ns.ZipExportController.prototype.onSplitLayersClick_ = function () {
@@ -50,11 +54,11 @@
   };
 
   ns.ZipExportController.prototype.mergedExport_ = function (zip) {
-    var paddingLength = ('' + this.piskelController.getFrameCount()).length;
-    var zoom = this.exportController.getExportZoom();
-    for (var i = 0; i < this.piskelController.getFrameCount(); i++) {
-      var render = this.piskelController.renderFrameAt(i, true);
-      var canvas = pskl.utils.ImageResizer.scale(render, zoom);
+    var frameIndexes = this.exportController.getExportFrameIndexes(false);
+    var paddingLength = ('' + frameIndexes.length).length;
+    for (var i = 0; i < frameIndexes.length; i++) {
+      var render = this.piskelController.renderFrameAt(frameIndexes[i], true);
+      var canvas = this.exportController.scaleImage(render);
       var basename = this.pngFilePrefixInput.value;
       var id = pskl.utils.StringUtils.leftPad(i, paddingLength, '0');
       var filename = basename + id + '.png';
@@ -63,27 +67,56 @@
   };
 
   ns.ZipExportController.prototype.splittedExport_ = function (zip) {
-    var layers = this.piskelController.getLayers();
-    var framePaddingLength = ('' + this.piskelController.getFrameCount()).length;
-    var layerPaddingLength = ('' + layers.length).length;
-    var zoom = this.exportController.getExportZoom();
-    for (var j = 0; this.piskelController.hasLayerAt(j); j++) {
-      var layer = this.piskelController.getLayerAt(j);
+    var parts = this.getSplitParts_();
+    var frameIndexes = this.exportController.getExportFrameIndexes(false);
+    var framePaddingLength = ('' + frameIndexes.length).length;
+    var layerPaddingLength = ('' + parts.length).length;
+    for (var j = 0; j < parts.length; j++) {
+      var part = parts[j];
       var layerid = pskl.utils.StringUtils.leftPad(j, layerPaddingLength, '0');
-      for (var i = 0; i < this.piskelController.getFrameCount(); i++) {
-        var render = pskl.utils.LayerUtils.renderFrameAt(layer, i, true);
-        var canvas = pskl.utils.ImageResizer.scale(render, zoom);
+      for (var i = 0; i < frameIndexes.length; i++) {
+        var render = pskl.utils.LayerUtils.flattenFrameAt(part.layers, frameIndexes[i], true);
+        var canvas = this.exportController.scaleImage(render);
         var basename = this.pngFilePrefixInput.value;
         var frameid = pskl.utils.StringUtils.leftPad(i + 1, framePaddingLength, '0');
         var filename = 'l' + layerid + '_' + basename + frameid + '.png';
         if (this.useLayerNamesCheckbox.checked) {
-          filename = layer.getName() + '_' + basename + frameid + '.png';
+          filename = part.name + '_' + basename + frameid + '.png';
         }
         zip.file(filename, pskl.utils.CanvasUtils.getBase64FromCanvas(canvas) + '\n', {base64: true});
       }
     }
   };
 
+  /**
+   * Get the parts of the split export, from bottom to top: one part per layer, or one
+   * part per top level group (and per layer outside of any group) when splitting by groups.
+   * Hidden layers are skipped.
+   * @return {Array<Object>} parts as {name, layers}
+   */
+  ns.ZipExportController.prototype.getSplitParts_ = function () {
+    var layers = this.piskelController.getLayers();
+    var splitByGroups = this.splitByGroupsCheckbox.checked;
+
+    var parts = [];
+    pskl.utils.LayerUtils.getVisibleLayers(layers).forEach(function (layer) {
+      var group = layer.getGroup();
+      while (splitByGroups && group && group.getParent()) {
+        group = group.getParent();
+      }
+
+      var previousPart = parts[parts.length - 1];
+      if (splitByGroups && group && previousPart && previousPart.group === group) {
+        previousPart.layers.push(layer);
+      } else if (splitByGroups && group) {
+        parts.push({name : group.getName(), group : group, layers : [layer]});
+      } else {
+        parts.push({name : layer.getName(), layers : [layer]});
+      }
+    });
+    return parts;
+  };
+
   ns.ZipExportController.prototype.getPiskelName_ = function () {
     return this.piskelController.getPiskel().getDescriptor().name;
   };
@@ -34,6 +34,27 @@
     }
     this.addEventListener(colorFormatSelect, 'change', this.onColorFormatChange_);
 
+    // History of the sprites saved in the browser
+    var localRevisions = pskl.UserSettings.get(pskl.UserSettings.LOCAL_REVISIONS);
+    this.localRevisionsCountInput = document.querySelector('.local-revisions-count-input');
+    this.localRevisionsCountInput.value = localRevisions.maxCount;
+    this.addEventListener(this.localRevisionsCountInput, 'change', this.onLocalRevisionsChange_);
+    this.localRevisionsAgeInput = document.querySelector('.local-revisions-age-input');
+    this.localRevisionsAgeInput.value = localRevisions.maxAge;
+    this.addEventListener(this.localRevisionsAgeInput, 'change', this.onLocalRevisionsChange_);
+
+    // Backups of the current session
+    this.backupsInputs = {
+      interval : document.querySelector('.backups-interval-input'),
+      snapshotInterval : document.querySelector('.backups-snapshot-interval-input'),
+      maxSnapshots : document.querySelector('.backups-max-snapshots-input'),
+      maxSessions : document.querySelector('.backups-max-sessions-input')
+    };
+    this.updateBackupsInputs_();
+    Object.keys(this.backupsInputs).forEach(function (key) {
+      this.addEventListener(this.backupsInputs[key], 'change', this.onBackupsChange_);
+    }.bind(this));
+
     // Layer preview opacity
     var layerOpacityInput = document.querySelector('.layer-opacity-input');
     layerOpacityInput.value = pskl.UserSettings.get(pskl.UserSettings.LAYER_OPACITY);
@@ -69,6 +90,42 @@
     }
   };
 
+  ns.MiscPreferencesController.prototype.onLocalRevisionsChange_ = function (evt) {
+    var maxCount = parseInt(this.localRevisionsCountInput.value, 10);
+    var maxAge = parseInt(this.localRevisionsAgeInput.value, 10);
+    if (!isNaN(maxCount) && maxCount >= 0 && !isNaN(maxAge) && maxAge >= 0) {
+      pskl.UserSettings.set(pskl.UserSettings.LOCAL_REVISIONS, {
+        maxCount : maxCount,
+        maxAge : maxAge
+      });
+    } else {
+      var localRevisions = pskl.UserSettings.get(pskl.UserSettings.LOCAL_REVISIONS);
+      this.localRevisionsCountInput.value = localRevisions.maxCount;
+      this.localRevisionsAgeInput.value = localRevisions.maxAge;
+    }
+  };
+
+  ns.MiscPreferencesController.prototype.onBackupsChange_ = function (evt) {
+    var backups = {};
+    var isValid = Object.keys(this.backupsInputs).every(function (key) {
+      backups[key] = parseInt(this.backupsInputs[key].value, 10);
+      return !isNaN(backups[key]) && backups[key] >= 1;
+    }.bind(this));
+
+    if (isValid) {
+      pskl.UserSettings.set(pskl.UserSettings.BACKUPS, backups);
+    } else {
+      this.updateBackupsInputs_();
+    }
+  };
+
+  ns.MiscPreferencesController.prototype.updateBackupsInputs_ = function () {
+    var backups = pskl.UserSettings.get(pskl.UserSettings.BACKUPS);
+    Object.keys(this.backupsInputs).forEach(function (key) {
+      this.backupsInputs[key].value = backups[key];
+    }.bind(this));
+  };
+
   ns.MiscPreferencesController.prototype.onLayerOpacityChange_ = function (evt) {
     var target = evt.target;
     var opacity = parseFloat(target.value);
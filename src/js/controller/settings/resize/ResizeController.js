@@ -19,6 +19,7 @@
     this.resizeForm = this.container.querySelector('form');
     this.resizeContentCheckbox = this.container.querySelector('.resize-content-checkbox');
     this.maintainRatioCheckbox = this.container.querySelector('.resize-ratio-checkbox');
+    this.algorithmSelect = this.container.querySelector('.resize-algorithm-select');
 
     this.sizeInputWidget = new pskl.widgets.SizeInput({
       widthInput: this.widthInput,
@@ -31,9 +32,12 @@
     var origin = pskl.widgets.AnchorWidget.ORIGIN[settings.origin] || 'TOPLEFT';
     this.anchorWidget.setOrigin(origin);
 
+    this.algorithmSelect.value = settings.algorithm || 'nearest';
     if (settings.resizeContent) {
       this.resizeContentCheckbox.checked = true;
       this.anchorWidget.disable();
+    } else {
+      this.algorithmSelect.disabled = true;
     }
 
     if (settings.maintainRatio) {
@@ -66,11 +70,13 @@
       width :  parseInt(this.widthInput.value, 10),
       height :  parseInt(this.heightInput.value, 10),
       origin: this.anchorWidget.getOrigin(),
-      resizeContent: this.resizeContentCheckbox.checked
+      resizeContent: this.resizeContentCheckbox.checked,
+      algorithm: this.algorithmSelect.value
     });
 
     pskl.app.piskelController.setPiskel(piskel, {
-      preserveState: true
+      preserveState: true,
+      historyLabel: 'Resize sprite'
     });
 
     $.publish(Events.CLOSE_SETTINGS_DRAWER);
@@ -83,6 +89,7 @@
     } else {
       this.anchorWidget.enable();
     }
+    this.algorithmSelect.disabled = !target.checked;
   };
 
   ns.ResizeController.prototype.onMaintainRatioChange_ = function (evt) {
@@ -98,7 +105,8 @@
     pskl.UserSettings.set('RESIZE_SETTINGS', {
       origin : this.anchorWidget.getOrigin(),
       resizeContent : !!this.resizeContentCheckbox.checked,
-      maintainRatio : !!this.maintainRatioCheckbox.checked
+      maintainRatio : !!this.maintainRatioCheckbox.checked,
+      algorithm : this.algorithmSelect.value
     });
   };
 })();
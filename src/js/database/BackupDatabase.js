@@ -2,7 +2,7 @@
   var ns = $.namespace('pskl.database');
 
   var DB_NAME = 'PiskelSessionsDatabase';
-  var DB_VERSION = 1;
+  var DB_VERSION = 2;
 
   // Simple wrapper to promisify a request.
   var _requestPromise = function (req) {
@@ -43,20 +43,23 @@
     // Set this.db early to allow migration scripts to access it in oncomplete.
     this.db = event.target.result;
 
-    // Create an object store "piskels" with the autoIncrement flag set as true.
-    var objectStore = this.db.createObjectStore('snapshots', { keyPath: 'id', autoIncrement : true });
+    if (event.oldVersion < 1) {
+      // Create an object store "piskels" with the autoIncrement flag set as true.
+      var objectStore = this.db.createObjectStore('snapshots', { keyPath: 'id', autoIncrement : true });
 
-    objectStore.createIndex('session_id', 'session_id', { unique: false });
-    objectStore.createIndex('date', 'date', { unique: false });
-    objectStore.createIndex('session_id, date', ['session_id', 'date'], { unique: false });
+      objectStore.createIndex('session_id', 'session_id', { unique: false });
+      objectStore.createIndex('date', 'date', { unique: false });
+      objectStore.createIndex('session_id, date', ['session_id', 'date'], { unique: false });
+    }
 
-    objectStore.transaction.oncomplete = function(event) {
-      // Nothing to do at the moment!
-    }.bind(this);
+    if (event.oldVersion < 2) {
+      // Undo histories, a single one per session.
+      this.db.createObjectStore('histories', { keyPath: 'session_id' });
+    }
   };
 
-  ns.BackupDatabase.prototype.openObjectStore_ = function () {
-    return this.db.transaction(['snapshots'], 'readwrite').objectStore('snapshots');
+  ns.BackupDatabase.prototype.openObjectStore_ = function (storeName) {
+    return this.db.transaction([storeName], 'readwrite').objectStore(storeName);
   };
 
   /**
@@ -64,17 +67,40 @@
    * Returns a promise that resolves the request event.
    */
   ns.BackupDatabase.prototype.createSnapshot = function (snapshot) {
-    var objectStore = this.openObjectStore_();
+    var objectStore = this.openObjectStore_('snapshots');
     var request = objectStore.add(snapshot);
     return _requestPromise(request);
   };
 
+  /**
+   * Add all the provided snapshots in a single transaction.
+   * Returns a promise that resolves when the transaction is complete.
+   */
+  ns.BackupDatabase.prototype.createSnapshots = function (snapshots) {
+    var deferred = Q.defer();
+
+    var transaction = this.db.transaction(['snapshots'], 'readwrite');
+    transaction.oncomplete = function () {
+      deferred.resolve();
+    };
+    transaction.onerror = transaction.onabort = function (event) {
+      deferred.reject(event);
+    };
+
+    var objectStore = transaction.objectStore('snapshots');
+    snapshots.forEach(function (snapshot) {
+      objectStore.add(snapshot);
+    });
+
+    return deferred.promise;
+  };
+
   /**
    * Send a put request for the provided snapshot.
    * Returns a promise that resolves the request event.
    */
   ns.BackupDatabase.prototype.updateSnapshot = function (snapshot) {
-    var objectStore = this.openObjectStore_();
+    var objectStore = this.openObjectStore_('snapshots');
     var request = objectStore.put(snapshot);
     return _requestPromise(request);
   };
@@ -84,7 +110,7 @@
    * Returns a promise that resolves the request event.
    */
   ns.BackupDatabase.prototype.deleteSnapshot = function (snapshot) {
-    var objectStore = this.openObjectStore_();
+    var objectStore = this.openObjectStore_('snapshots');
     var request = objectStore.delete(snapshot.id);
     return _requestPromise(request);
   };
@@ -94,7 +120,7 @@
    * Returns a promise that resolves the request event.
    */
   ns.BackupDatabase.prototype.getSnapshot = function (snapshotId) {
-    var objectStore = this.openObjectStore_();
+    var objectStore = this.openObjectStore_('snapshots');
     var request = objectStore.get(snapshotId);
     return _requestPromise(request).then(function (event) {
       return event.target.result;
@@ -237,7 +263,7 @@
     var deferred = Q.defer();
 
     // Open a transaction to the snapshots object store.
-    var objectStore = this.openObjectStore_();
+    var objectStore = this.openObjectStore_('snapshots');
 
     // Loop on all the saved snapshots for the provided piskel id
     var index = objectStore.index('session_id');
@@ -253,6 +279,31 @@
       }
     };
 
-    return deferred.promise;
+    return deferred.promise.then(function () {
+      return _requestPromise(this.openObjectStore_('histories').delete(sessionId));
+    }.bind(this));
+  };
+
+  /**
+   * Send a put request for the provided history, replacing the history previously saved
+   * for the same session.
+   * Returns a promise that resolves the request event.
+   */
+  ns.BackupDatabase.prototype.updateHistory = function (history) {
+    var objectStore = this.openObjectStore_('histories');
+    var request = objectStore.put(history);
+    return _requestPromise(request);
+  };
+
+  /**
+   * Send a get request for the history of the provided sessionId.
+   * Returns a promise that resolves the history, or undefined if none was saved.
+   */
+  ns.BackupDatabase.prototype.getHistory = function (sessionId) {
+    var objectStore = this.openObjectStore_('histories');
+    var request = objectStore.get(sessionId);
+    return _requestPromise(request).then(function (event) {
+      return event.target.result;
+    });
   };
 })();
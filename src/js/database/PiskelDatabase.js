@@ -2,7 +2,8 @@
   var ns = $.namespace('pskl.database');
 
   var DB_NAME = 'PiskelDatabase';
-  var DB_VERSION = 1;
+  // Version 2 adds the revisions object store.
+  var DB_VERSION = 2;
 
   // Simple wrapper to promisify a request.
   var _requestPromise = function (req) {
@@ -12,9 +13,33 @@
     return deferred.promise;
   };
 
+  // Simple wrapper to promisify a transaction.
+  var _transactionPromise = function (transaction) {
+    var deferred = Q.defer();
+    transaction.oncomplete = deferred.resolve.bind(deferred);
+    transaction.onerror = deferred.reject.bind(deferred);
+    return deferred.promise;
+  };
+
+  // Metadata of a revision, listed without the serialized sprite.
+  var _toRevisionInfo = function (revision) {
+    return {
+      id: revision.id,
+      name: revision.name,
+      description: revision.description,
+      date: revision.date,
+      thumbnail: revision.thumbnail,
+      frames: revision.frames,
+      layers: revision.layers
+    };
+  };
+
   /**
    * The PiskelDatabase handles all the database interactions related
    * to the local piskel saved that can be performed in-browser.
+   *
+   * Updating a piskel moves the previous save to the "revisions" object store, see
+   * getRevisions and pruneRevisions.
    */
   ns.PiskelDatabase = function (options) {
     this.db = null;
@@ -32,19 +57,47 @@
     }.bind(this));
   };
 
+  /**
+   * Create or migrate the object stores, depending on the version of the existing database.
+   * The existing object stores and their content are never removed.
+   */
   ns.PiskelDatabase.prototype.onUpgradeNeeded_ = function (event) {
     // Set this.db early to allow migration scripts to access it in oncomplete.
     this.db = event.target.result;
+    var transaction = event.target.transaction;
+
+    if (event.oldVersion < 1) {
+      // Create an object store "piskels" with the autoIncrement flag set as true.
+      this.db.createObjectStore('piskels', { keyPath : 'name' });
+      transaction.oncomplete = function(event) {
+        pskl.database.migrate.MigrateLocalStorageToIndexedDb.migrate(this);
+      }.bind(this);
+    }
 
-    // Create an object store "piskels" with the autoIncrement flag set as true.
-    var objectStore = this.db.createObjectStore('piskels', { keyPath : 'name' });
-    objectStore.transaction.oncomplete = function(event) {
-      pskl.database.migrate.MigrateLocalStorageToIndexedDb.migrate(this);
-    }.bind(this);
+    if (event.oldVersion < 2) {
+      var revisions = this.db.createObjectStore('revisions', { keyPath: 'id', autoIncrement : true });
+      revisions.createIndex('name', 'name', { unique: false });
+      revisions.createIndex('name, date', ['name', 'date'], { unique: false });
+    }
   };
 
-  ns.PiskelDatabase.prototype.openObjectStore_ = function () {
-    return this.db.transaction(['piskels'], 'readwrite').objectStore('piskels');
+  ns.PiskelDatabase.prototype.openObjectStore_ = function (storeName) {
+    storeName = storeName || 'piskels';
+    return this.db.transaction([storeName], 'readwrite').objectStore(storeName);
+  };
+
+  /** @private */
+  ns.PiskelDatabase.prototype.createData_ = function (name, description, date, serialized, info) {
+    info = info || {};
+    return {
+      name: name,
+      serialized: serialized,
+      date: date,
+      description: description,
+      thumbnail: info.thumbnail,
+      frames: info.frames,
+      layers: info.layers
+    };
   };
 
   /**
@@ -97,43 +150,140 @@
   };
 
   /**
-   * Send an put request for the provided args.
-   * Returns a promise that resolves the request event.
+   * Send an put request for the provided args. The previous save is stored as a revision
+   * in the same transaction.
+   * Returns a promise that resolves when the transaction completes.
+   *
+   * @param {Object} info optional metadata of the save: thumbnail (data URI), frames and
+   *        layers (counts)
    */
-  ns.PiskelDatabase.prototype.update = function (name, description, date, serialized) {
-    var data = {};
+  ns.PiskelDatabase.prototype.update = function (name, description, date, serialized, info) {
+    var data = this.createData_(name, description, date, serialized, info);
 
-    data.name = name;
-    data.serialized = serialized;
-    data.date = date;
-    data.description = description;
+    var transaction = this.db.transaction(['piskels', 'revisions'], 'readwrite');
+    var objectStore = transaction.objectStore('piskels');
+    objectStore.get(name).onsuccess = function (event) {
+      var previous = event.target.result;
+      if (previous) {
+        transaction.objectStore('revisions').add(previous);
+      }
+      objectStore.put(data);
+    };
 
-    var objectStore = this.openObjectStore_();
-    return _requestPromise(objectStore.put(data));
+    return _transactionPromise(transaction);
   };
 
   /**
    * Send an add request for the provided args.
    * Returns a promise that resolves the request event.
    */
-  ns.PiskelDatabase.prototype.create = function (name, description, date, serialized) {
-    var data = {};
-
-    data.name = name;
-    data.serialized = serialized;
-    data.date = date;
-    data.description = description;
+  ns.PiskelDatabase.prototype.create = function (name, description, date, serialized, info) {
+    var data = this.createData_(name, description, date, serialized, info);
 
     var objectStore = this.openObjectStore_();
     return _requestPromise(objectStore.add(data));
   };
 
   /**
-   * Delete a saved piskel for the provided name.
-   * Returns a promise that resolves the request event.
+   * Delete a saved piskel and all its revisions for the provided name.
+   * Returns a promise that resolves when the transaction completes.
    */
   ns.PiskelDatabase.prototype.delete = function (name) {
-    var objectStore = this.openObjectStore_();
-    return _requestPromise(objectStore.delete(name));
+    var transaction = this.db.transaction(['piskels', 'revisions'], 'readwrite');
+    transaction.objectStore('piskels').delete(name);
+
+    var index = transaction.objectStore('revisions').index('name');
+    index.openCursor(IDBKeyRange.only(name)).onsuccess = function (event) {
+      var cursor = event.target.result;
+      if (cursor) {
+        cursor.delete();
+        cursor.continue();
+      }
+    };
+
+    return _transactionPromise(transaction);
+  };
+
+  /**
+   * List the revisions of a piskel, sorted by descending date order.
+   * Returns a promise that resolves an array of objects with the id, name, description,
+   * date, thumbnail, frames and layers of each revision.
+   *
+   * The sprite content is not contained in the object and
+   * needs to be retrieved with getRevision.
+   */
+  ns.PiskelDatabase.prototype.getRevisions = function (name) {
+    var deferred = Q.defer();
+
+    var revisions = [];
+    var index = this.openObjectStore_('revisions').index('name, date');
+    var keyRange = IDBKeyRange.bound([name, 0], [name, Infinity]);
+    var cursor = index.openCursor(keyRange, 'prev');
+    cursor.onsuccess = function (event) {
+      var cursor = event.target.result;
+      if (cursor) {
+        revisions.push(_toRevisionInfo(cursor.value));
+        cursor.continue();
+      } else {
+        deferred.resolve(revisions);
+      }
+    };
+
+    cursor.onerror = function () {
+      deferred.reject();
+    };
+
+    return deferred.promise;
+  };
+
+  /**
+   * Send a get request for the provided revision id.
+   * Returns a promise that resolves the revision, including the serialized sprite.
+   */
+  ns.PiskelDatabase.prototype.getRevision = function (id) {
+    var objectStore = this.openObjectStore_('revisions');
+    return _requestPromise(objectStore.get(id)).then(function (event) {
+      return event.target.result;
+    });
+  };
+
+  /**
+   * Delete a revision for the provided id.
+   * Returns a promise that resolves the request event.
+   */
+  ns.PiskelDatabase.prototype.deleteRevision = function (id) {
+    var objectStore = this.openObjectStore_('revisions');
+    return _requestPromise(objectStore.delete(id));
+  };
+
+  /**
+   * Delete the oldest revisions of a piskel.
+   * Returns a promise that resolves when the transaction completes.
+   *
+   * @param {String} name name of the piskel
+   * @param {Object} retention
+   *        - maxCount: {Number} number of revisions to keep
+   *        - minDate: {Number} revisions saved before this date are deleted, optional
+   */
+  ns.PiskelDatabase.prototype.pruneRevisions = function (name, retention) {
+    var transaction = this.db.transaction(['revisions'], 'readwrite');
+    var index = transaction.objectStore('revisions').index('name, date');
+    var keyRange = IDBKeyRange.bound([name, 0], [name, Infinity]);
+
+    var count = 0;
+    var minDate = retention.minDate || 0;
+    // Ordered by date in descending order, the most recent revisions are kept.
+    index.openCursor(keyRange, 'prev').onsuccess = function (event) {
+      var cursor = event.target.result;
+      if (cursor) {
+        count++;
+        if (count > retention.maxCount || cursor.value.date < minDate) {
+          cursor.delete();
+        }
+        cursor.continue();
+      }
+    };
+
+    return _transactionPromise(transaction);
   };
 })();
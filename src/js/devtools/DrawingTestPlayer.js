@@ -44,6 +44,11 @@
     // Old tests do not have penSize stored in initialState, fallback to 1.
     var penSize = this.initialState.penSize || 1;
     pskl.app.penSizeService.setPenSize(this.initialState.penSize);
+
+    // Old tests do not have dithering options stored in initialState, fallback to the defaults.
+    var ditheringOptions = this.initialState.ditheringOptions ||
+      pskl.UserSettings.KEY_TO_DEFAULT_VALUE_MAP_.DITHERING_OPTIONS;
+    pskl.app.ditheringService.setOptions(ditheringOptions);
   };
 
   ns.DrawingTestPlayer.prototype.createPiskel_ = function (width, height) {
@@ -109,6 +114,8 @@
         this.playToolEvent_(recordEvent);
       } else if (recordEvent.type === 'pensize-event') {
         this.playPenSizeEvent_(recordEvent);
+      } else if (recordEvent.type === 'dithering-event') {
+        this.playDitheringEvent_(recordEvent);
       } else if (recordEvent.type === 'transformtool-event') {
         this.playTransformToolEvent_(recordEvent);
       } else if (recordEvent.type === 'instrumented-event') {
@@ -168,6 +175,10 @@
     pskl.app.penSizeService.setPenSize(recordEvent.penSize);
   };
 
+  ns.DrawingTestPlayer.prototype.playDitheringEvent_ = function (recordEvent) {
+    pskl.app.ditheringService.setOptions(recordEvent.ditheringOptions);
+  };
+
   ns.DrawingTestPlayer.prototype.playTransformToolEvent_ = function (recordEvent) {
     pskl.app.transformationsController.applyTool(recordEvent.toolId, recordEvent.event);
   };
@@ -12,6 +12,7 @@
     $.subscribe(Events.KEYBOARD_EVENT, this.onKeyboardEvent_.bind(this));
     $.subscribe(Events.TOOL_SELECTED, this.onToolEvent_.bind(this));
     $.subscribe(Events.PEN_SIZE_CHANGED, this.onPenSizeChanged_.bind(this));
+    $.subscribe(Events.DITHERING_OPTIONS_CHANGED, this.onDitheringOptionsChanged_.bind(this));
     $.subscribe(Events.TRANSFORMATION_EVENT, this.onTransformationEvent_.bind(this));
     $.subscribe(Events.PRIMARY_COLOR_SELECTED, this.onColorEvent_.bind(this, true));
     $.subscribe(Events.SECONDARY_COLOR_SELECTED, this.onColorEvent_.bind(this, false));
@@ -54,7 +55,8 @@
       primaryColor : pskl.app.selectedColorsService.getPrimaryColor(),
       secondaryColor : pskl.app.selectedColorsService.getSecondaryColor(),
       selectedTool : pskl.app.toolController.currentSelectedTool.toolId,
-      penSize : pskl.app.penSizeService.getPenSize()
+      penSize : pskl.app.penSizeService.getPenSize(),
+      ditheringOptions : pskl.app.ditheringService.getOptions()
     };
   };
 
@@ -126,6 +128,15 @@
     }
   };
 
+  ns.DrawingTestRecorder.prototype.onDitheringOptionsChanged_ = function (evt) {
+    if (this.isRecording) {
+      var recordEvent = {};
+      recordEvent.type = 'dithering-event';
+      recordEvent.ditheringOptions = pskl.app.ditheringService.getOptions();
+      this.events.push(recordEvent);
+    }
+  };
+
   ns.DrawingTestRecorder.prototype.onTransformationEvent_ = function (evt, toolId, domEvent) {
     if (this.isRecording) {
       var recordEvent = {};
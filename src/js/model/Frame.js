@@ -9,6 +9,12 @@
       this.version = 0;
       this.pixels = ns.Frame.createEmptyPixelGrid_(width, height);
       this.stateIndex = 0;
+      // Palette indexes of the pixels when the piskel uses an indexed palette, -1 for
+      // transparent pixels. Only valid if indexesVersion matches the frame version.
+      this.indexes = null;
+      this.indexesVersion = -1;
+      // Tile map of the frame when it belongs to a tilemap layer, see pskl.model.TileMap.
+      this.tileMap = null;
     } else {
       throw 'Bad arguments in pskl.model.Frame constructor : ' + width + ', ' + height;
     }
@@ -71,6 +77,15 @@
   ns.Frame.prototype.clone = function () {
     var clone = new ns.Frame(this.width, this.height);
     clone.setPixels(this.pixels);
+    if (this.hasUpToDateIndexes()) {
+      clone.setIndexes(this.indexes);
+    }
+    if (this.tileMap) {
+      clone.tileMap = this.tileMap.clone();
+      if (this.tileMap.syncedVersion === this.version) {
+        clone.tileMap.syncedVersion = clone.version;
+      }
+    }
     return clone;
   };
 
@@ -136,6 +151,69 @@
     }
   };
 
+  /**
+   * Returns a copy of the palette indexes of the frame, or null if the frame has no indexes.
+   */
+  ns.Frame.prototype.getIndexes = function () {
+    return this.indexes ? new Int16Array(this.indexes) : null;
+  };
+
+  /**
+   * Copies the passed palette indexes into the frame. The indexes are expected to match
+   * the current pixels of the frame.
+   */
+  ns.Frame.prototype.setIndexes = function (indexes) {
+    this.indexes = new Int16Array(indexes);
+    this.indexesVersion = this.version;
+  };
+
+  ns.Frame.prototype.clearIndexes = function () {
+    this.indexes = null;
+    this.indexesVersion = -1;
+  };
+
+  /**
+   * Indexes become outdated as soon as the pixels of the frame are modified.
+   */
+  ns.Frame.prototype.hasUpToDateIndexes = function () {
+    return !!this.indexes && this.indexesVersion === this.version;
+  };
+
+  /**
+   * Recolor the pixels of the frame using their palette index. Frames which have not been
+   * indexed yet are left unchanged.
+   * @param {Array<Number>} colors palette colors, as integers
+   */
+  ns.Frame.prototype.applyPalette = function (colors) {
+    if (!this.indexes || this.indexes.length !== this.pixels.length) {
+      return;
+    }
+
+    var transparentColorInt = pskl.utils.colorToInt(Constants.TRANSPARENT_COLOR);
+    var modified = false;
+    for (var i = 0 ; i < this.pixels.length ; i++) {
+      var index = this.indexes[i];
+      var color = index === -1 ? transparentColorInt : colors[index];
+      if (typeof color !== 'undefined' && this.pixels[i] !== color) {
+        this.pixels[i] = color;
+        modified = true;
+      }
+    }
+
+    if (modified) {
+      this.version++;
+    }
+    this.indexesVersion = this.version;
+  };
+
+  ns.Frame.prototype.getTileMap = function () {
+    return this.tileMap;
+  };
+
+  ns.Frame.prototype.setTileMap = function (tileMap) {
+    this.tileMap = tileMap || null;
+  };
+
   ns.Frame.prototype.getWidth = function () {
     return this.width;
   };
@@ -8,9 +8,22 @@
       this.name = name;
       this.frames = [];
       this.opacity = 1;
+      this.blendMode = 'normal';
+      this.visible = true;
+      this.locked = false;
+      // Group containing the layer, see pskl.model.LayerGroup.
+      this.group = null;
+      // Tilemap layers draw the tiles of the piskel tileset, see pskl.model.TileMap.
+      this.tilemap = false;
     }
   };
 
+  /**
+   * Blend modes available for layers, the order is used when serializing layers to array buffers.
+   * See pskl.utils.BlendUtils for the implementation of each mode.
+   */
+  ns.Layer.BLEND_MODES = ['normal', 'multiply', 'screen', 'overlay', 'add', 'darken', 'lighten', 'difference'];
+
   /**
    * Create a Layer instance from an already existing set a Frames
    * @static
@@ -46,8 +59,84 @@
     this.opacity = +opacity.toFixed(3);
   };
 
+  ns.Layer.prototype.getBlendMode = function () {
+    return this.blendMode;
+  };
+
+  ns.Layer.prototype.setBlendMode = function (blendMode) {
+    if (ns.Layer.BLEND_MODES.indexOf(blendMode) === -1) {
+      return;
+    }
+    this.blendMode = blendMode;
+  };
+
+  ns.Layer.prototype.hasBlendMode = function () {
+    return this.blendMode !== 'normal';
+  };
+
+  ns.Layer.prototype.isTilemap = function () {
+    return this.tilemap;
+  };
+
+  ns.Layer.prototype.setTilemap = function (tilemap) {
+    this.tilemap = !!tilemap;
+  };
+
+  ns.Layer.prototype.getGroup = function () {
+    return this.group;
+  };
+
+  ns.Layer.prototype.setGroup = function (group) {
+    this.group = group || null;
+  };
+
+  /**
+   * Opacity of the layer combined with the opacity and visibility of its groups. Groups are
+   * rendered in their own buffer before applying their opacity (see
+   * pskl.utils.LayerUtils.flattenFrameAt), use this for formats which do not support groups.
+   * @return {Number}
+   */
+  ns.Layer.prototype.getEffectiveOpacity = function () {
+    var groupOpacity = this.group ? this.group.getEffectiveOpacity() : 1;
+    return this.opacity * groupOpacity;
+  };
+
+  ns.Layer.prototype.isVisible = function () {
+    return this.visible;
+  };
+
+  ns.Layer.prototype.setVisible = function (visible) {
+    this.visible = !!visible;
+  };
+
+  /**
+   * A layer is effectively visible if the layer and all its groups are visible.
+   * Hidden layers are skipped when rendering or exporting the piskel.
+   * @return {Boolean}
+   */
+  ns.Layer.prototype.isEffectivelyVisible = function () {
+    return this.visible && (!this.group || this.group.isEffectivelyVisible());
+  };
+
+  ns.Layer.prototype.isLocked = function () {
+    return this.locked;
+  };
+
+  ns.Layer.prototype.setLocked = function (locked) {
+    this.locked = !!locked;
+  };
+
+  /**
+   * A layer is effectively locked if the layer or any of its groups is locked.
+   * Effectively locked layers can not be edited.
+   * @return {Boolean}
+   */
+  ns.Layer.prototype.isEffectivelyLocked = function () {
+    return this.locked || (!!this.group && this.group.isEffectivelyLocked());
+  };
+
   ns.Layer.prototype.isTransparent = function () {
-    return this.opacity < 1;
+    return this.getEffectiveOpacity() < 1;
   };
 
   ns.Layer.prototype.getFrames = function () {
@@ -0,0 +1,135 @@
+(function () {
+  var ns = $.namespace('pskl.model');
+  var __idCounter = 0;
+
+  /**
+   * Group of layers. Groups only hold the display settings shared by their layers, the
+   * layers themselves reference their group (see pskl.model.Layer.prototype.getGroup).
+   * Groups can be nested by setting a parent group.
+   * @param {String} name
+   */
+  ns.LayerGroup = function (name) {
+    if (!name) {
+      throw 'Invalid arguments in LayerGroup constructor : \'name\' is mandatory';
+    }
+    this.id = __idCounter++;
+    this.name = name;
+    this.parent = null;
+    this.opacity = 1;
+    this.visible = true;
+    this.locked = false;
+    this.collapsed = false;
+  };
+
+  ns.LayerGroup.prototype.getId = function () {
+    return this.id;
+  };
+
+  ns.LayerGroup.prototype.getName = function () {
+    return this.name;
+  };
+
+  ns.LayerGroup.prototype.setName = function (name) {
+    this.name = name;
+  };
+
+  ns.LayerGroup.prototype.getParent = function () {
+    return this.parent;
+  };
+
+  /**
+   * @param {pskl.model.LayerGroup} parent the parent group, or null for top level groups.
+   *        Ignored if it would create a cycle.
+   */
+  ns.LayerGroup.prototype.setParent = function (parent) {
+    if (parent && (parent === this || parent.isDescendantOf(this))) {
+      return;
+    }
+    this.parent = parent || null;
+  };
+
+  ns.LayerGroup.prototype.isDescendantOf = function (group) {
+    var parent = this.parent;
+    while (parent) {
+      if (parent === group) {
+        return true;
+      }
+      parent = parent.parent;
+    }
+    return false;
+  };
+
+  /**
+   * @return {Number} number of ancestors of the group, 0 for top level groups.
+   */
+  ns.LayerGroup.prototype.getDepth = function () {
+    return this.parent ? this.parent.getDepth() + 1 : 0;
+  };
+
+  ns.LayerGroup.prototype.getOpacity = function () {
+    return this.opacity;
+  };
+
+  ns.LayerGroup.prototype.setOpacity = function (opacity) {
+    if (typeof opacity == 'string') {
+      opacity = parseFloat(opacity);
+    }
+    if (opacity === null || isNaN(opacity) || opacity < 0 || opacity > 1) {
+      return;
+    }
+    this.opacity = +opacity.toFixed(3);
+  };
+
+  ns.LayerGroup.prototype.isVisible = function () {
+    return this.visible;
+  };
+
+  ns.LayerGroup.prototype.setVisible = function (visible) {
+    this.visible = !!visible;
+  };
+
+  ns.LayerGroup.prototype.isLocked = function () {
+    return this.locked;
+  };
+
+  ns.LayerGroup.prototype.setLocked = function (locked) {
+    this.locked = !!locked;
+  };
+
+  ns.LayerGroup.prototype.isCollapsed = function () {
+    return this.collapsed;
+  };
+
+  ns.LayerGroup.prototype.setCollapsed = function (collapsed) {
+    this.collapsed = !!collapsed;
+  };
+
+  /**
+   * Opacity applied to the layers of the group, taking the parent groups into account.
+   * Hidden groups have an effective opacity of 0.
+   * @return {Number}
+   */
+  ns.LayerGroup.prototype.getEffectiveOpacity = function () {
+    if (!this.visible) {
+      return 0;
+    }
+    var parentOpacity = this.parent ? this.parent.getEffectiveOpacity() : 1;
+    return this.opacity * parentOpacity;
+  };
+
+  /**
+   * A group is effectively visible if the group and all its parents are visible.
+   * @return {Boolean}
+   */
+  ns.LayerGroup.prototype.isEffectivelyVisible = function () {
+    return this.visible && (!this.parent || this.parent.isEffectivelyVisible());
+  };
+
+  /**
+   * A group is effectively locked if the group or any of its parents is locked.
+   * @return {Boolean}
+   */
+  ns.LayerGroup.prototype.isEffectivelyLocked = function () {
+    return this.locked || (!!this.parent && this.parent.isEffectivelyLocked());
+  };
+})();
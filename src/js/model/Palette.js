@@ -5,11 +5,15 @@
     this.id = id;
     this.name = name;
     this.colors = colors;
+    // Color cycles (pskl.model.palette.ColorCycle) animating ranges of the palette.
+    this.cycles = [];
   };
 
   ns.Palette.fromObject = function (paletteObj) {
     var colors = paletteObj.colors.slice(0 , paletteObj.colors.length);
-    return new ns.Palette(paletteObj.id, paletteObj.name, colors);
+    var palette = new ns.Palette(paletteObj.id, paletteObj.name, colors);
+    palette.cycles = (paletteObj.cycles || []).map(pskl.model.palette.ColorCycle.fromObject);
+    return palette;
   };
 
   ns.Palette.prototype.getColors = function () {
@@ -43,4 +47,63 @@
   ns.Palette.prototype.move = function (oldIndex, newIndex) {
     this.colors.splice(newIndex, 0, this.colors.splice(oldIndex, 1)[0]);
   };
+
+  ns.Palette.prototype.getCycles = function () {
+    return this.cycles;
+  };
+
+  ns.Palette.prototype.getCycleAt = function (index) {
+    return this.cycles[index];
+  };
+
+  ns.Palette.prototype.addCycle = function (cycle) {
+    this.cycles.push(cycle);
+  };
+
+  ns.Palette.prototype.removeCycleAt = function (index) {
+    this.cycles.splice(index, 1);
+  };
+
+  /**
+   * @return {Boolean} true if at least one color cycle of the palette is animated
+   */
+  ns.Palette.prototype.hasCycles = function () {
+    return this.cycles.some(function (cycle) {
+      return cycle.isAnimated();
+    });
+  };
+
+  /**
+   * Get the colors of the palette at the provided time, after rotating all the color cycles.
+   * Cycles are applied in order, ranges outside of the palette are ignored.
+   * @param  {Number} time in milliseconds
+   * @return {Array<String>}
+   */
+  ns.Palette.prototype.getCycledColors = function (time) {
+    var colors = this.colors.slice();
+    this.cycles.forEach(function (cycle) {
+      var offset = cycle.getOffset(time);
+      if (offset === 0 || cycle.to >= colors.length) {
+        return;
+      }
+      var length = cycle.getLength();
+      var range = colors.slice(cycle.from, cycle.to + 1);
+      for (var i = 0 ; i < length ; i++) {
+        colors[cycle.from + (i + offset) % length] = range[i];
+      }
+    });
+    return colors;
+  };
+
+  /**
+   * Key identifying the state of all the color cycles at the provided time. Two times with the
+   * same key have the same cycled colors.
+   * @param  {Number} time in milliseconds
+   * @return {String}
+   */
+  ns.Palette.prototype.getCycleState = function (time) {
+    return this.cycles.map(function (cycle) {
+      return cycle.getOffset(time);
+    }).join('-');
+  };
 })();
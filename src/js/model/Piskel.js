@@ -17,6 +17,17 @@
       this.savePath = null;
       this.fps = fps;
       this.hiddenFrames = [];
+      // Custom durations in milliseconds, indexed by frame index. Frames without a custom
+      // duration (null or undefined) last 1000 / fps milliseconds.
+      this.frameDurations = [];
+      // Named frame ranges, see pskl.model.piskel.Tag.
+      this.tags = [];
+      // Groups referenced by the layers, parent groups first. Computed by normalizeGroups.
+      this.groups = [];
+      // Palette of the piskel in indexed color mode, null in RGBA mode.
+      this.palette = null;
+      // Tileset used by the tilemap layers, null if the piskel has no tileset.
+      this.tileset = null;
     } else {
       throw 'Missing arguments in Piskel constructor : ' + Array.prototype.join.call(arguments, ',');
     }
@@ -56,6 +67,20 @@
     return this.fps;
   };
 
+  /**
+   * Get the duration of the frame at the provided index, in milliseconds.
+   * Falls back to the duration matching the piskel FPS if no custom duration is set.
+   * @param  {Number} index
+   * @return {Number}
+   */
+  ns.Piskel.prototype.getFrameDurationAt = function (index) {
+    var duration = this.frameDurations[index];
+    if (duration) {
+      return duration;
+    }
+    return 1000 / this.fps;
+  };
+
   ns.Piskel.prototype.getLayers = function () {
     return this.layers;
   };
@@ -76,45 +101,219 @@
 
   ns.Piskel.prototype.addLayer = function (layer) {
     this.layers.push(layer);
+    this.normalizeGroups();
   };
 
   ns.Piskel.prototype.addLayerAt = function (layer, index) {
     this.layers.splice(index, 0, layer);
+    this.normalizeGroups();
   };
 
+  /**
+   * Move the layer above the next layer or group of its own group. The topmost layer of
+   * a group is moved out of the group.
+   * @param  {pskl.model.Layer} layer
+   * @param  {Boolean} toTop true to move the layer to the top of its group
+   */
   ns.Piskel.prototype.moveLayerUp = function (layer, toTop) {
-    var index = this.layers.indexOf(layer);
-    var toIndex = toTop ? this.layers.length - 1 : index + 1;
-    this.moveLayer_(index, toIndex);
+    var blocks = this.getBlocks_(layer.getGroup());
+    var index = this.getBlockIndex_(blocks, layer);
+    if (index === blocks.length - 1) {
+      this.moveLayerOutOfGroup_(layer);
+    } else {
+      this.moveBlock_(blocks, index, toTop ? blocks.length - 1 : index + 1);
+    }
   };
 
+  /**
+   * Move the layer below the previous layer or group of its own group. The bottommost
+   * layer of a group is moved out of the group.
+   * @param  {pskl.model.Layer} layer
+   * @param  {Boolean} toBottom true to move the layer to the bottom of its group
+   */
   ns.Piskel.prototype.moveLayerDown = function (layer, toBottom) {
-    var index = this.layers.indexOf(layer);
-    var toIndex = toBottom ? 0 : index - 1;
-    this.moveLayer_(index, toIndex);
+    var blocks = this.getBlocks_(layer.getGroup());
+    var index = this.getBlockIndex_(blocks, layer);
+    if (index === 0) {
+      this.moveLayerOutOfGroup_(layer);
+    } else {
+      this.moveBlock_(blocks, index, toBottom ? 0 : index - 1);
+    }
+  };
+
+  ns.Piskel.prototype.moveLayerOutOfGroup_ = function (layer) {
+    var group = layer.getGroup();
+    if (group) {
+      // The layer stays at the same index, normalizing the groups will move it just
+      // above or below its former group.
+      layer.setGroup(group.getParent());
+      this.normalizeGroups();
+    }
+  };
+
+  /**
+   * Split the layers of a group in blocks: each block is either a layer directly
+   * contained in the group, or all the layers of a child group.
+   * @param  {pskl.model.LayerGroup} group the group to split, null for top level
+   * @return {Array<Array<pskl.model.Layer>>} blocks of layers, from bottom to top
+   */
+  ns.Piskel.prototype.getBlocks_ = function (group) {
+    var blocks = [];
+    var previousKey = null;
+    this.getLayersInGroup(group).forEach(function (layer) {
+      // Find the item of the group containing the layer: the layer itself or a child group.
+      var key = layer;
+      var layerGroup = layer.getGroup();
+      while (layerGroup && layerGroup !== group) {
+        key = layerGroup;
+        layerGroup = layerGroup.getParent();
+      }
+
+      if (key instanceof ns.LayerGroup && key === previousKey) {
+        blocks[blocks.length - 1].push(layer);
+      } else {
+        blocks.push([layer]);
+      }
+      previousKey = key;
+    });
+    return blocks;
+  };
+
+  ns.Piskel.prototype.getBlockIndex_ = function (blocks, layer) {
+    for (var i = 0 ; i < blocks.length ; i++) {
+      if (blocks[i].indexOf(layer) !== -1) {
+        return i;
+      }
+    }
+    return -1;
+  };
+
+  ns.Piskel.prototype.moveBlock_ = function (blocks, fromIndex, toIndex) {
+    if (fromIndex === toIndex) {
+      return;
+    }
+    var start = this.layers.indexOf(blocks[0][0]);
+    var block = blocks.splice(fromIndex, 1)[0];
+    blocks.splice(toIndex, 0, block);
+
+    var layers = [].concat.apply([], blocks);
+    Array.prototype.splice.apply(this.layers, [start, layers.length].concat(layers));
+  };
+
+  /**
+   * Get all the layers contained in a group or in any of its child groups.
+   * @param  {pskl.model.LayerGroup} group the group, null to get all layers
+   * @return {Array<pskl.model.Layer>}
+   */
+  ns.Piskel.prototype.getLayersInGroup = function (group) {
+    if (!group) {
+      return this.layers.slice();
+    }
+    return this.layers.filter(function (layer) {
+      var layerGroup = layer.getGroup();
+      return !!layerGroup && (layerGroup === group || layerGroup.isDescendantOf(group));
+    });
+  };
+
+  ns.Piskel.prototype.getGroups = function () {
+    return this.groups;
+  };
+
+  ns.Piskel.prototype.getTileset = function () {
+    return this.tileset;
+  };
+
+  ns.Piskel.prototype.setTileset = function (tileset) {
+    this.tileset = tileset || null;
+  };
+
+  /**
+   * In indexed color mode, the pixels of the piskel are linked to the entries of its palette.
+   */
+  ns.Piskel.prototype.isIndexed = function () {
+    return !!this.palette;
+  };
+
+  ns.Piskel.prototype.getPalette = function () {
+    return this.palette;
+  };
+
+  /**
+   * @param {pskl.model.Palette} palette the palette to use, null to switch back to RGBA mode
+   */
+  ns.Piskel.prototype.setPalette = function (palette) {
+    this.palette = palette || null;
+  };
+
+  /**
+   * Reorder the layers so that the layers of each group are contiguous, and update the
+   * list of groups. A group is placed at the position of its bottommost layer, groups
+   * without layers are dropped.
+   */
+  ns.Piskel.prototype.normalizeGroups = function () {
+    var root = {children : []};
+    var nodes = [];
+    var getNode = function (group) {
+      if (!group) {
+        return root;
+      }
+      for (var i = 0 ; i < nodes.length ; i++) {
+        if (nodes[i].group === group) {
+          return nodes[i];
+        }
+      }
+      var node = {group : group, children : []};
+      getNode(group.getParent()).children.push(node);
+      nodes.push(node);
+      return node;
+    };
+
+    this.layers.forEach(function (layer) {
+      getNode(layer.getGroup()).children.push(layer);
+    });
+
+    var flatten = function (node) {
+      return node.children.reduce(function (layers, child) {
+        return layers.concat(child instanceof ns.Layer ? [child] : flatten(child));
+      }, []);
+    };
+
+    Array.prototype.splice.apply(this.layers, [0, this.layers.length].concat(flatten(root)));
+    this.groups = nodes.map(function (node) {
+      return node.group;
+    });
   };
 
   /**
-   * Move the layer at the provided index to the provided toIndex.
+   * Move a layer to the provided index and group. The index might be adjusted to keep
+   * the layers of each group together.
+   * @param  {pskl.model.Layer} layer
+   * @param  {Number} toIndex index of the layer after the move
+   * @param  {pskl.model.LayerGroup} group the new group of the layer, null for top level
    */
-  ns.Piskel.prototype.moveLayer_ = function (fromIndex, toIndex) {
-    if (fromIndex == -1 || toIndex == -1 || fromIndex == toIndex) {
+  ns.Piskel.prototype.moveLayerToGroup = function (layer, toIndex, group) {
+    var fromIndex = this.layers.indexOf(layer);
+    if (fromIndex == -1) {
       return;
     }
     toIndex = pskl.utils.Math.minmax(toIndex, 0, this.layers.length - 1);
-    var layer = this.layers.splice(fromIndex, 1)[0];
+    this.layers.splice(fromIndex, 1);
     this.layers.splice(toIndex, 0, layer);
+    layer.setGroup(group);
+    this.normalizeGroups();
   };
 
   ns.Piskel.prototype.removeLayer = function (layer) {
     var index = this.layers.indexOf(layer);
     if (index != -1) {
       this.layers.splice(index, 1);
+      this.normalizeGroups();
     }
   };
 
   ns.Piskel.prototype.removeLayerAt = function (index) {
     this.layers.splice(index, 1);
+    this.normalizeGroups();
   };
 
   ns.Piskel.prototype.getDescriptor = function () {
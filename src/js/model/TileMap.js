@@ -0,0 +1,51 @@
+(function () {
+  var ns = $.namespace('pskl.model');
+
+  /**
+   * Grid of tile indexes describing the content of a frame in a tilemap layer, -1 for empty
+   * cells. See pskl.model.Tileset.
+   * @param {Number} columns
+   * @param {Number} rows
+   */
+  ns.TileMap = function (columns, rows) {
+    this.columns = columns;
+    this.rows = rows;
+    this.tiles = new Int16Array(columns * rows);
+    this.tiles.fill(-1);
+    // Version of the frame when its pixels were last synchronized with the tile map.
+    this.syncedVersion = -1;
+  };
+
+  ns.TileMap.prototype.getColumns = function () {
+    return this.columns;
+  };
+
+  ns.TileMap.prototype.getRows = function () {
+    return this.rows;
+  };
+
+  ns.TileMap.prototype.getTiles = function () {
+    return this.tiles;
+  };
+
+  ns.TileMap.prototype.contains = function (column, row) {
+    return column >= 0 && row >= 0 && column < this.columns && row < this.rows;
+  };
+
+  ns.TileMap.prototype.getTileAt = function (column, row) {
+    return this.contains(column, row) ? this.tiles[row * this.columns + column] : -1;
+  };
+
+  ns.TileMap.prototype.setTileAt = function (column, row, tile) {
+    if (this.contains(column, row)) {
+      this.tiles[row * this.columns + column] = tile;
+    }
+  };
+
+  ns.TileMap.prototype.clone = function () {
+    var clone = new ns.TileMap(this.columns, this.rows);
+    clone.tiles.set(this.tiles);
+    clone.syncedVersion = this.syncedVersion;
+    return clone;
+  };
+})();
@@ -0,0 +1,76 @@
+(function () {
+  var ns = $.namespace('pskl.model');
+
+  /**
+   * Set of square tiles shared by the tilemap layers of a piskel. Tiles are frames of
+   * tileSize x tileSize pixels, referenced by their index in the tileset.
+   * @param {Number} tileSize width and height of the tiles, in pixels
+   */
+  ns.Tileset = function (tileSize) {
+    if (!tileSize || tileSize < 1) {
+      throw 'Invalid arguments in Tileset constructor : \'tileSize\' should be a positive number';
+    }
+    this.tileSize = tileSize;
+    this.tiles = [];
+  };
+
+  ns.Tileset.prototype.getTileSize = function () {
+    return this.tileSize;
+  };
+
+  ns.Tileset.prototype.getTiles = function () {
+    return this.tiles;
+  };
+
+  ns.Tileset.prototype.getTileAt = function (index) {
+    return this.tiles[index];
+  };
+
+  ns.Tileset.prototype.size = function () {
+    return this.tiles.length;
+  };
+
+  /**
+   * @param {pskl.model.Frame} tile optional tile to add, an empty tile is created otherwise
+   * @return {Number} the index of the new tile
+   */
+  ns.Tileset.prototype.addTile = function (tile) {
+    this.tiles.push(tile || new ns.Frame(this.tileSize, this.tileSize));
+    return this.tiles.length - 1;
+  };
+
+  ns.Tileset.prototype.addTileAt = function (tile, index) {
+    this.tiles.splice(index, 0, tile);
+  };
+
+  ns.Tileset.prototype.removeTileAt = function (index) {
+    this.tiles.splice(index, 1);
+  };
+
+  /**
+   * Find a tile with exactly the same pixels as the provided pixels.
+   * @param  {Uint32Array} pixels tileSize x tileSize pixels
+   * @return {Number} the index of the tile, -1 if no tile matches
+   */
+  ns.Tileset.prototype.findTile = function (pixels) {
+    for (var i = 0 ; i < this.tiles.length ; i++) {
+      var tilePixels = this.tiles[i].pixels;
+      var matches = true;
+      for (var p = 0 ; p < tilePixels.length && matches ; p++) {
+        matches = tilePixels[p] === pixels[p];
+      }
+      if (matches) {
+        return i;
+      }
+    }
+    return -1;
+  };
+
+  ns.Tileset.prototype.clone = function () {
+    var clone = new ns.Tileset(this.tileSize);
+    clone.tiles = this.tiles.map(function (tile) {
+      return tile.clone();
+    });
+    return clone;
+  };
+})();
@@ -0,0 +1,59 @@
+(function () {
+  var ns = $.namespace('pskl.model.palette');
+
+  /**
+   * Range of palette colors rotating at a constant rate, used for color cycling animations.
+   * @param {Number} from index of the first color of the range
+   * @param {Number} to index of the last color of the range (included)
+   * @param {Number} rate number of steps per second, negative to rotate backwards
+   */
+  ns.ColorCycle = function (from, to, rate) {
+    this.from = Math.min(from, to);
+    this.to = Math.max(from, to);
+    this.rate = rate;
+  };
+
+  // Maximum number of steps per second, in both directions.
+  ns.ColorCycle.MAX_RATE = 60;
+
+  ns.ColorCycle.fromObject = function (cycleObj) {
+    return new ns.ColorCycle(cycleObj.from, cycleObj.to, cycleObj.rate);
+  };
+
+  ns.ColorCycle.prototype.getLength = function () {
+    return this.to - this.from + 1;
+  };
+
+  ns.ColorCycle.prototype.isAnimated = function () {
+    return !!this.rate && this.getLength() > 1;
+  };
+
+  /**
+   * @return {Number} duration of a single step in milliseconds, Infinity if the cycle is static
+   */
+  ns.ColorCycle.prototype.getStepDuration = function () {
+    return this.rate ? 1000 / Math.abs(this.rate) : Infinity;
+  };
+
+  /**
+   * @return {Number} time needed to come back to the initial colors, in milliseconds
+   */
+  ns.ColorCycle.prototype.getPeriod = function () {
+    return this.getLength() * this.getStepDuration();
+  };
+
+  /**
+   * Get the number of positions colors of the range are shifted by at the provided time.
+   * @param  {Number} time in milliseconds
+   * @return {Number} offset between 0 and the length of the range (excluded)
+   */
+  ns.ColorCycle.prototype.getOffset = function (time) {
+    if (!this.isAnimated()) {
+      return 0;
+    }
+    var length = this.getLength();
+    var steps = Math.floor(time / this.getStepDuration());
+    var offset = (this.rate > 0 ? steps : -steps) % length;
+    return offset < 0 ? offset + length : offset;
+  };
+})();
@@ -0,0 +1,60 @@
+(function () {
+  var ns = $.namespace('pskl.model.piskel');
+
+  /**
+   * Named range of frames, used to isolate an animation cycle (walk, idle ...) in a piskel.
+   * @param {String} name
+   * @param {Number} from index of the first frame of the tag
+   * @param {Number} to index of the last frame of the tag (included)
+   * @param {String} color hex color used to display the tag
+   * @param {String} direction one of pskl.model.piskel.Tag.DIRECTION, defaults to FORWARD
+   */
+  ns.Tag = function (name, from, to, color, direction) {
+    this.name = name;
+    this.from = from;
+    this.to = to;
+    this.color = color;
+    this.direction = direction || ns.Tag.DIRECTION.FORWARD;
+  };
+
+  ns.Tag.DIRECTION = {
+    FORWARD : 'forward',
+    REVERSE : 'reverse',
+    PINGPONG : 'pingpong'
+  };
+
+  ns.Tag.fromObject = function (tagObj) {
+    return new ns.Tag(tagObj.name, tagObj.from, tagObj.to, tagObj.color, tagObj.direction);
+  };
+
+  ns.Tag.prototype.contains = function (index) {
+    return index >= this.from && index <= this.to;
+  };
+
+  /**
+   * Get the indexes of the frames of the tag, from the first to the last frame.
+   * @return {Array<Number>}
+   */
+  ns.Tag.prototype.getFrameIndexes = function () {
+    var indexes = [];
+    for (var i = this.from ; i <= this.to ; i++) {
+      indexes.push(i);
+    }
+    return indexes;
+  };
+
+  /**
+   * Get the indexes of the frames of the tag, in the order they should be played.
+   * @return {Array<Number>}
+   */
+  ns.Tag.prototype.getPlaybackFrameIndexes = function () {
+    var indexes = this.getFrameIndexes();
+    if (this.direction === ns.Tag.DIRECTION.REVERSE) {
+      indexes.reverse();
+    } else if (this.direction === ns.Tag.DIRECTION.PINGPONG) {
+      // Play back the tag without repeating the first and last frames.
+      indexes = indexes.concat(indexes.slice(1, -1).reverse());
+    }
+    return indexes;
+  };
+})();
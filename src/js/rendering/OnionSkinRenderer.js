@@ -37,6 +37,9 @@
 
     var currentFrameIndex = this.piskelController.getCurrentFrameIndex();
     var layer = this.piskelController.getCurrentLayer();
+    if (!layer.isEffectivelyVisible()) {
+      return frames;
+    }
 
     var previousIndex = currentFrameIndex - 1;
     var previousFrame = layer.getFrameAt(previousIndex);
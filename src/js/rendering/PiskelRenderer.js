@@ -2,11 +2,21 @@
 
   var ns = $.namespace('pskl.rendering');
 
-  ns.PiskelRenderer = function (piskelController) {
-    var frames = [];
-    for (var i = 0 ; i < piskelController.getFrameCount() ; i++) {
-      frames.push(piskelController.renderFrameAt(i, true));
+  /**
+   * @param {PiskelController} piskelController
+   * @param {Array<Number>} frameIndexes (optional) indexes of the frames to render, all frames by default
+   */
+  ns.PiskelRenderer = function (piskelController, frameIndexes) {
+    if (!frameIndexes) {
+      frameIndexes = [];
+      for (var i = 0 ; i < piskelController.getFrameCount() ; i++) {
+        frameIndexes.push(i);
+      }
     }
+
+    var frames = frameIndexes.map(function (index) {
+      return piskelController.renderFrameAt(index, true);
+    });
     this.piskelController = piskelController;
     this.frames = frames;
   };
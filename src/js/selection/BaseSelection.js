@@ -8,6 +8,7 @@
   ns.BaseSelection.prototype.stringify = function () {
     return JSON.stringify({
       pixels: this.pixels,
+      frames: this.frames,
       time: this.time
     });
   };
@@ -16,12 +17,15 @@
     var selectionData = JSON.parse(str);
     this.pixels = selectionData.pixels;
     this.time = selectionData.time;
+    this.frames = selectionData.frames || null;
   };
 
   ns.BaseSelection.prototype.reset = function () {
     this.pixels = [];
     this.hasPastedContent = false;
     this.time = -1;
+    // Colors of the selected pixels in each copied frame, when copying several frames.
+    this.frames = null;
   };
 
   ns.BaseSelection.prototype.move = function (colDiff, rowDiff) {
@@ -43,9 +47,40 @@
       pixel.color  = color || Constants.TRANSPARENT_COLOR;
     });
 
+    this.frames = null;
     this.hasPastedContent = true;
     // Keep track of the selection time to compare between local selection and
     // paste event selections.
     this.time = Date.now();
   };
+
+  /**
+   * Copy the content of several frames, the selected pixels keep the colors of the current frame.
+   * @param {Array} targetFrames the copied frames, in the order they should be pasted
+   * @param {pskl.model.Frame} currentFrame
+   */
+  ns.BaseSelection.prototype.fillSelectionFromFrames = function (targetFrames, currentFrame) {
+    this.fillSelectionFromFrame(currentFrame);
+    this.frames = targetFrames.map(function (frame) {
+      return this.pixels.map(function (pixel) {
+        return frame.getPixel(pixel.col, pixel.row) || Constants.TRANSPARENT_COLOR;
+      });
+    }.bind(this));
+  };
+
+  /**
+   * @param  {Number} index index of the frame in the pasted frames
+   * @return {Array} the selected pixels with the colors of the copied frame at this index. The
+   *         copied frames are repeated when pasting on more frames than copied.
+   */
+  ns.BaseSelection.prototype.getFramePixels = function (index) {
+    if (!this.frames) {
+      return this.pixels;
+    }
+
+    var colors = this.frames[index % this.frames.length];
+    return this.pixels.map(function (pixel, i) {
+      return {col : pixel.col, row : pixel.row, color : colors[i]};
+    });
+  };
 })();
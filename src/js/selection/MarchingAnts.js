@@ -0,0 +1,47 @@
+(function () {
+  var ns = $.namespace('pskl.selection');
+
+  // Duration in milliseconds of one step of the animation.
+  var STEP_DURATION = 150;
+  // Length in pixels of the dashes.
+  var DASH_LENGTH = 4;
+  var DARK_COLOR = 'rgba(0, 0, 0, 0.8)';
+  var LIGHT_COLOR = 'rgba(255, 255, 255, 0.8)';
+
+  /**
+   * Draw the border of a selection mask as animated dashes over the overlay frame, to show
+   * which pixels can be modified by the drawing tools.
+   */
+  ns.MarchingAnts = function () {
+    this.frame = null;
+    this.mask = null;
+    this.key = null;
+  };
+
+  /**
+   * @param  {pskl.model.Frame} overlayFrame the overlay frame, not modified
+   * @param  {pskl.selection.SelectionMask} mask
+   * @return {pskl.model.Frame} a copy of the overlay frame with the border of the mask. The
+   *         same frame is returned until the overlay, the mask or the step of the animation change.
+   */
+  ns.MarchingAnts.prototype.decorate = function (overlayFrame, mask) {
+    var period = DASH_LENGTH * 2;
+    var step = Math.floor(Date.now() / STEP_DURATION) % period;
+    var key = overlayFrame.getHash() + '-' + step;
+    if (this.frame && this.mask === mask && this.key === key) {
+      return this.frame;
+    }
+
+    var frame = overlayFrame.clone();
+    mask.getBorder().forEach(function (pixel) {
+      // Shift the dashes at each step to make them move along the border.
+      var position = (pixel.col + pixel.row - step + period) % period;
+      frame.setPixel(pixel.col, pixel.row, position < DASH_LENGTH ? DARK_COLOR : LIGHT_COLOR);
+    });
+
+    this.frame = frame;
+    this.mask = mask;
+    this.key = key;
+    return frame;
+  };
+})();
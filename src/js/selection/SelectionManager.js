@@ -3,7 +3,8 @@
 
   var SELECTION_REPLAY = {
     PASTE : 'REPLAY_PASTE',
-    ERASE : 'REPLAY_ERASE'
+    ERASE : 'REPLAY_ERASE',
+    MASK : 'REPLAY_MASK'
   };
 
   ns.SelectionManager = function (piskelController) {
@@ -11,6 +12,18 @@
     this.piskelController = piskelController;
 
     this.currentSelection = null;
+
+    // Mask of the current selection and the list of pixels it was created from, see getMask.
+    this.mask_ = null;
+    this.maskPixels_ = null;
+    // Frames saved before being modified by a tool, see startMaskedOperation.
+    this.maskedOperation_ = null;
+
+    // Selected pixels of the other frames, by id of the frame of the first layer, see
+    // onPiskelReset_. Ids follow the frames when they are moved and are never reused.
+    this.frameSelections_ = {};
+    this.frameIndex_ = -1;
+    this.keyFrame_ = null;
   };
 
   ns.SelectionManager.prototype.init = function () {
@@ -20,12 +33,18 @@
     $.subscribe(Events.CLIPBOARD_COPY, this.copy.bind(this));
     $.subscribe(Events.CLIPBOARD_CUT, this.copy.bind(this));
     $.subscribe(Events.CLIPBOARD_PASTE, this.paste.bind(this));
+    $.subscribe(Events.PISKEL_RESET, this.onPiskelReset_.bind(this));
 
     var shortcuts = pskl.service.keyboard.Shortcuts;
     pskl.app.shortcutService.registerShortcut(shortcuts.SELECTION.DELETE, this.onDeleteShortcut_.bind(this));
     pskl.app.shortcutService.registerShortcut(shortcuts.SELECTION.COMMIT, this.commit.bind(this));
+    pskl.app.shortcutService.registerShortcut(shortcuts.SELECTION.CANCEL, this.cancel.bind(this));
+    pskl.app.shortcutService.registerShortcut(shortcuts.SELECTION.SELECT_ALL, this.selectAll.bind(this));
+    pskl.app.shortcutService.registerShortcut(shortcuts.SELECTION.INVERT, this.invert.bind(this));
+    pskl.app.shortcutService.registerShortcut(shortcuts.SELECTION.DESELECT, this.deselect.bind(this));
 
-    $.subscribe(Events.TOOL_SELECTED, this.onToolSelected_.bind(this));
+    this.frameIndex_ = this.piskelController.getCurrentFrameIndex();
+    this.keyFrame_ = this.getKeyFrame_();
   };
 
   /**
@@ -38,16 +57,6 @@
     }
   };
 
-  /**
-   * @private
-   */
-  ns.SelectionManager.prototype.onToolSelected_ = function(evt, tool) {
-    var isSelectionTool = tool instanceof pskl.tools.drawing.selection.BaseSelect;
-    if (!isSelectionTool) {
-      this.cleanSelection_();
-    }
-  };
-
   /**
    * @private
    */
@@ -64,25 +73,38 @@
   };
 
   ns.SelectionManager.prototype.erase = function () {
-    var pixels = this.currentSelection.pixels;
-    var currentFrame = this.piskelController.getCurrentFrame();
-    for (var i = 0, l = pixels.length ; i < l ; i++) {
-      currentFrame.setPixel(pixels[i].col, pixels[i].row, Constants.TRANSPARENT_COLOR);
+    if (this.piskelController.isCurrentLayerLocked()) {
+      return;
     }
 
+    var pixels = this.currentSelection.pixels;
+    var indexes = this.getSelectedFrameIndexes_();
+    var frames = indexes ? this.getFramesAt_(indexes) : [this.piskelController.getCurrentFrame()];
+    frames.forEach(function (frame) {
+      this.erasePixels_(frame, pixels);
+    }.bind(this));
+
     $.publish(Events.PISKEL_SAVE_STATE, {
       type : pskl.service.HistoryService.REPLAY,
       scope : this,
+      label : 'Erase selection',
       replay : {
         type : SELECTION_REPLAY.ERASE,
-        pixels : JSON.parse(JSON.stringify(pixels))
+        pixels : JSON.parse(JSON.stringify(pixels)),
+        frames : indexes
       }
     });
   };
 
   ns.SelectionManager.prototype.copy = function(event, domEvent) {
-    if (this.currentSelection && this.piskelController.getCurrentFrame()) {
-      this.currentSelection.fillSelectionFromFrame(this.piskelController.getCurrentFrame());
+    var currentFrame = this.piskelController.getCurrentFrame();
+    if (this.currentSelection && currentFrame) {
+      var indexes = this.getSelectedFrameIndexes_();
+      if (indexes) {
+        this.currentSelection.fillSelectionFromFrames(this.getFramesAt_(indexes), currentFrame);
+      } else {
+        this.currentSelection.fillSelectionFromFrame(currentFrame);
+      }
       if (domEvent) {
         domEvent.clipboardData.setData('text/plain', this.currentSelection.stringify());
         domEvent.preventDefault();
@@ -119,7 +141,7 @@
 
     // temporarily keeping this code path for tests and fallbacks.
     if (this.currentSelection && this.currentSelection.hasPastedContent) {
-      this.pastePixelsOnCurrentFrame_(this.currentSelection.pixels);
+      this.pasteSelection_(this.currentSelection);
     }
   };
 
@@ -133,27 +155,42 @@
 
   ns.SelectionManager.prototype.pasteText_ = function(clipboardItem) {
     var blob = clipboardItem.getAsString(function (selectionString) {
-      var selectionData = JSON.parse(selectionString);
-      var time = selectionData.time;
-      var pixels = selectionData.pixels;
+      var selection = new ns.BaseSelection();
+      selection.parse(selectionString);
 
-      if (this.currentSelection && this.currentSelection.time >= time) {
+      if (this.currentSelection && this.currentSelection.time >= selection.time) {
         // If the local selection is newer or equal to the one coming from the clipboard event
         // use the local one. The reason is that the "move" information is only updated locally
         // without synchronizing it to the clipboard.
         // TODO: the selection should store the origin of the selection and the selection itself
         // separately.
-        pixels = this.currentSelection.pixels;
+        selection = this.currentSelection;
       }
 
-      if (pixels) {
+      if (selection.pixels) {
         // If the current clipboard data is some random text, pixels will not be defined.
-        this.pastePixelsOnCurrentFrame_(pixels);
+        this.pasteSelection_(selection);
       }
     }.bind(this));
   };
 
-  ns.SelectionManager.prototype.pastePixelsOnCurrentFrame_ = function (pixels) {
+  /**
+   * Paste the copied content on the current frame, or on every selected frame when several
+   * frames are selected in the frames list.
+   * @private
+   */
+  ns.SelectionManager.prototype.pasteSelection_ = function (selection) {
+    if (this.piskelController.isCurrentLayerLocked()) {
+      return;
+    }
+
+    var indexes = this.getPasteFrameIndexes_(selection);
+    if (indexes) {
+      this.pasteOnFrames_(selection, indexes);
+      return;
+    }
+
+    var pixels = selection.pixels;
     var frame = this.piskelController.getCurrentFrame();
 
     this.pastePixels_(frame, pixels);
@@ -161,6 +198,7 @@
     $.publish(Events.PISKEL_SAVE_STATE, {
       type : pskl.service.HistoryService.REPLAY,
       scope : this,
+      label : 'Paste selection',
       replay : {
         type : SELECTION_REPLAY.PASTE,
         pixels : JSON.parse(JSON.stringify(pixels.slice(0)))
@@ -168,28 +206,292 @@
     });
   };
 
+  /**
+   * @private
+   */
+  ns.SelectionManager.prototype.pasteOnFrames_ = function (selection, indexes) {
+    var frames = this.getFramesAt_(indexes).map(function (frame, i) {
+      var pixels = selection.getFramePixels(i);
+      this.pastePixels_(frame, pixels);
+      return {
+        index : indexes[i],
+        pixels : JSON.parse(JSON.stringify(pixels))
+      };
+    }.bind(this));
+
+    $.publish(Events.PISKEL_SAVE_STATE, {
+      type : pskl.service.HistoryService.REPLAY,
+      scope : this,
+      label : 'Paste selection',
+      replay : {
+        type : SELECTION_REPLAY.PASTE,
+        frames : frames
+      }
+    });
+  };
+
+  /**
+   * @return {Array} indexes of the frames where the selection should be pasted: the selected
+   *         frames, or the current frame and the next ones when pasting several copied frames.
+   *         null to paste on the current frame only.
+   * @private
+   */
+  ns.SelectionManager.prototype.getPasteFrameIndexes_ = function (selection) {
+    var indexes = this.getSelectedFrameIndexes_();
+    if (indexes || !selection.frames) {
+      return indexes;
+    }
+
+    var currentIndex = this.piskelController.getCurrentFrameIndex();
+    var count = Math.min(selection.frames.length, this.piskelController.getFrameCount() - currentIndex);
+    indexes = [];
+    for (var i = 0 ; i < count ; i++) {
+      indexes.push(currentIndex + i);
+    }
+    return indexes;
+  };
+
+  /**
+   * Selections span all the frames selected in the frames list: moving, erasing, cutting and
+   * pasting the selection modifies all of them.
+   * @return {Array} the indexes of the selected frames in the current layer, or null if only
+   *         the current frame is selected
+   * @private
+   */
+  ns.SelectionManager.prototype.getSelectedFrameIndexes_ = function () {
+    var framesListController = pskl.app.framesListController;
+    var indexes = framesListController ? framesListController.getSelectedFrames() : [];
+    return indexes.length ? indexes : null;
+  };
+
+  /**
+   * @private
+   */
+  ns.SelectionManager.prototype.getFramesAt_ = function (indexes) {
+    var layer = this.piskelController.getCurrentLayer();
+    return indexes.map(function (index) {
+      return layer.getFrameAt(index);
+    });
+  };
+
   /**
    * If the currently selected tool is a selection tool, call commitSelection handler on
-   * the current tool instance.
+   * the current tool instance. If it is the free transform tool, apply the transformation.
    */
   ns.SelectionManager.prototype.commit = function() {
     var tool = pskl.app.drawingController.currentToolBehavior;
     var isSelectionTool = tool instanceof pskl.tools.drawing.selection.BaseSelect;
     if (isSelectionTool) {
       tool.commitSelection();
+    } else if (tool instanceof pskl.tools.drawing.FreeTransform) {
+      tool.commit();
+    }
+  };
+
+  /**
+   * Cancel the transformation previewed by the current selection or free transform tool.
+   */
+  ns.SelectionManager.prototype.cancel = function() {
+    var tool = pskl.app.drawingController.currentToolBehavior;
+    var isSelectionTool = tool instanceof pskl.tools.drawing.selection.BaseSelect;
+    if (isSelectionTool) {
+      tool.cancelTransform();
+    } else if (tool instanceof pskl.tools.drawing.FreeTransform) {
+      tool.cancel();
     }
   };
 
+  ns.SelectionManager.prototype.selectAll = function () {
+    var frame = this.piskelController.getCurrentFrame();
+    this.select_(ns.SelectionOperations.selectAll(frame));
+  };
+
+  ns.SelectionManager.prototype.invert = function () {
+    var frame = this.piskelController.getCurrentFrame();
+    this.select_(ns.SelectionOperations.invert(this.getSelectedPixels_(), frame));
+  };
+
+  /**
+   * Select all the pixels of the current frame with the provided color.
+   */
+  ns.SelectionManager.prototype.selectByColor = function (color) {
+    var frame = this.piskelController.getCurrentFrame();
+    this.select_(ns.SelectionOperations.selectByColor(frame, color));
+  };
+
+  /**
+   * @param {Number} distance number of pixels added around the selection
+   */
+  ns.SelectionManager.prototype.grow = function (distance) {
+    var frame = this.piskelController.getCurrentFrame();
+    this.select_(ns.SelectionOperations.grow(this.getSelectedPixels_(), distance, frame));
+  };
+
+  /**
+   * @param {Number} distance number of pixels removed from the border of the selection
+   */
+  ns.SelectionManager.prototype.shrink = function (distance) {
+    var frame = this.piskelController.getCurrentFrame();
+    this.select_(ns.SelectionOperations.shrink(this.getSelectedPixels_(), distance, frame));
+  };
+
+  /**
+   * @private
+   */
+  ns.SelectionManager.prototype.getSelectedPixels_ = function () {
+    var tool = pskl.app.drawingController.currentToolBehavior;
+    if (tool instanceof pskl.tools.drawing.selection.BaseSelect) {
+      // Use the selection as displayed, with the transformation being previewed.
+      tool.commitTransform();
+    }
+    return this.currentSelection ? this.currentSelection.pixels : [];
+  };
+
+  /**
+   * Dismiss the current selection, which also removes the selection mask.
+   */
+  ns.SelectionManager.prototype.deselect = function () {
+    var tool = pskl.app.drawingController.currentToolBehavior;
+    if (tool instanceof pskl.tools.drawing.selection.BaseSelect) {
+      tool.commitTransform();
+      tool.commitSelection();
+    } else if (this.currentSelection) {
+      $.publish(Events.SELECTION_DISMISSED);
+    } else {
+      return true; // bubble
+    }
+  };
+
+  /**
+   * Replace the current selection with the provided pixels. When the current tool is not a
+   * selection tool, the new selection is only used as a mask.
+   * @private
+   */
+  ns.SelectionManager.prototype.select_ = function (pixels) {
+    var selection = new ns.ShapeSelection(pixels);
+    var tool = pskl.app.drawingController.currentToolBehavior;
+    if (tool instanceof pskl.tools.drawing.selection.BaseSelect) {
+      tool.setSelection(selection);
+    } else if (pixels.length) {
+      $.publish(Events.SELECTION_CREATED, [selection]);
+    } else {
+      $.publish(Events.SELECTION_DISMISSED);
+    }
+  };
+
+  /**
+   * The current selection restricts the modifications of the drawing tools and transformations
+   * to the selected pixels.
+   * @return {pskl.selection.SelectionMask} the mask of the current selection, or null
+   */
+  ns.SelectionManager.prototype.getMask = function () {
+    var pixels = this.currentSelection && this.currentSelection.pixels;
+    if (!pixels || !pixels.length) {
+      return null;
+    }
+
+    // The selections replace their list of pixels when they change.
+    if (this.maskPixels_ !== pixels) {
+      this.mask_ = new ns.SelectionMask(pixels);
+      this.maskPixels_ = pixels;
+    }
+    return this.mask_;
+  };
+
+  /**
+   * Save the content of the frames a tool is about to modify. The pixels outside of the
+   * selection are restored when calling applyMask or endMaskedOperation.
+   * @param {Array} frames list of pskl.model.Frame
+   */
+  ns.SelectionManager.prototype.startMaskedOperation = function (frames) {
+    var mask = this.getMask();
+    this.maskedOperation_ = mask && frames.length ? {
+      mask : mask,
+      savedFrames : mask.save(frames)
+    } : null;
+  };
+
+  ns.SelectionManager.prototype.applyMask = function () {
+    if (this.maskedOperation_) {
+      this.maskedOperation_.mask.restore(this.maskedOperation_.savedFrames);
+    }
+  };
+
+  ns.SelectionManager.prototype.endMaskedOperation = function () {
+    this.applyMask();
+    this.maskedOperation_ = null;
+  };
+
+  /**
+   * Apply the mask of the current operation before a history state is saved, and wrap the
+   * action to apply the same mask when the history replays it.
+   * @param  {Object} action the history action, see HistoryService.saveState
+   * @return {Object} the action to save
+   */
+  ns.SelectionManager.prototype.getMaskedAction = function (action) {
+    if (!this.maskedOperation_) {
+      return action;
+    }
+    this.applyMask();
+
+    // Locate the saved frames in the piskel, to find them again when replaying the action.
+    var savedFrames = this.maskedOperation_.savedFrames;
+    var frames = [];
+    this.piskelController.getLayers().forEach(function (layer, layerIndex) {
+      layer.getFrames().forEach(function (frame, frameIndex) {
+        var isSaved = savedFrames.some(function (saved) {
+          return saved.frame === frame;
+        });
+        if (isSaved) {
+          frames.push({layer : layerIndex, frame : frameIndex});
+        }
+      });
+    });
+
+    return {
+      type : pskl.service.HistoryService.REPLAY,
+      scope : this,
+      replay : {
+        type : SELECTION_REPLAY.MASK,
+        pixels : this.maskedOperation_.mask.pixels,
+        frames : frames,
+        action : action
+      }
+    };
+  };
+
   ns.SelectionManager.prototype.replay = function (frame, replayData) {
-    if (replayData.type === SELECTION_REPLAY.PASTE) {
+    if (replayData.type === SELECTION_REPLAY.PASTE && replayData.frames) {
+      replayData.frames.forEach(function (pastedFrame) {
+        this.pastePixels_(this.getFramesAt_([pastedFrame.index])[0], pastedFrame.pixels);
+      }.bind(this));
+    } else if (replayData.type === SELECTION_REPLAY.PASTE) {
       this.pastePixels_(frame, replayData.pixels);
     } else if (replayData.type === SELECTION_REPLAY.ERASE) {
-      replayData.pixels.forEach(function (pixel) {
-        frame.setPixel(pixel.col, pixel.row, Constants.TRANSPARENT_COLOR);
-      });
+      var frames = replayData.frames ? this.getFramesAt_(replayData.frames) : [frame];
+      frames.forEach(function (erasedFrame) {
+        this.erasePixels_(erasedFrame, replayData.pixels);
+      }.bind(this));
+    } else if (replayData.type === SELECTION_REPLAY.MASK) {
+      var mask = new ns.SelectionMask(replayData.pixels);
+      var frames = replayData.frames.map(function (index) {
+        var layer = this.piskelController.getLayerAt(index.layer);
+        return layer && layer.getFrameAt(index.frame);
+      }.bind(this)).filter(Boolean);
+
+      var savedFrames = mask.save(frames);
+      var action = replayData.action;
+      action.scope.replay(frame, action.replay);
+      mask.restore(savedFrames);
     }
   };
 
+  ns.SelectionManager.prototype.erasePixels_ = function(frame, pixels) {
+    pixels.forEach(function (pixel) {
+      frame.setPixel(pixel.col, pixel.row, Constants.TRANSPARENT_COLOR);
+    });
+  };
+
   ns.SelectionManager.prototype.pastePixels_ = function(frame, pixels) {
     pixels.forEach(function (pixel) {
       if (pixel.color === Constants.TRANSPARENT_COLOR || pixel.color === null) {
@@ -210,6 +512,67 @@
     }
   };
 
+  /**
+   * Each frame keeps its own selection: the selection of the previous frame is saved and the
+   * one of the new current frame is restored. While a selection tool is used, the selection
+   * follows the current frame instead, so that the selected content can be moved to other frames.
+   * @private
+   */
+  ns.SelectionManager.prototype.onPiskelReset_ = function () {
+    var frameIndex = this.piskelController.getCurrentFrameIndex();
+    var keyFrame = this.getKeyFrame_();
+    if (keyFrame === this.keyFrame_) {
+      return;
+    }
+
+    var previousKeyFrame = this.keyFrame_;
+    var previousIndex = this.frameIndex_;
+    if (previousKeyFrame) {
+      // Selections move their pixels in place, save a copy of them.
+      var pixels = this.currentSelection ? this.currentSelection.pixels : [];
+      this.frameSelections_[previousKeyFrame.id] = pixels.map(function (pixel) {
+        return {col : pixel.col, row : pixel.row};
+      });
+    }
+    this.keyFrame_ = keyFrame;
+    this.frameIndex_ = frameIndex;
+
+    var savedPixels = keyFrame ? this.frameSelections_[keyFrame.id] : null;
+    var isReplaced = !savedPixels && frameIndex === previousIndex && !this.isKeyFrame_(previousKeyFrame);
+    if (isReplaced) {
+      // The frames were replaced, for instance by an undo: keep the current selection.
+      return;
+    }
+
+    var tool = pskl.app.drawingController.currentToolBehavior;
+    if (tool instanceof pskl.tools.drawing.selection.BaseSelect) {
+      return;
+    }
+
+    if (savedPixels && savedPixels.length) {
+      $.publish(Events.SELECTION_CREATED, [new ns.ShapeSelection(savedPixels)]);
+    } else if (this.currentSelection) {
+      $.publish(Events.SELECTION_DISMISSED);
+    }
+  };
+
+  /**
+   * Frames of the first layer identify the frames of all the layers at the same index.
+   * @private
+   */
+  ns.SelectionManager.prototype.getKeyFrame_ = function () {
+    var layer = this.piskelController.getLayerAt(0);
+    return (layer && layer.getFrameAt(this.piskelController.getCurrentFrameIndex())) || null;
+  };
+
+  /**
+   * @private
+   */
+  ns.SelectionManager.prototype.isKeyFrame_ = function (frame) {
+    var layer = this.piskelController.getLayerAt(0);
+    return !!frame && !!layer && layer.getFrames().indexOf(frame) !== -1;
+  };
+
   /**
    * @private
    */
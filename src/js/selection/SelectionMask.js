@@ -0,0 +1,111 @@
+(function () {
+  var ns = $.namespace('pskl.selection');
+
+  /**
+   * Restrict the modifications of frames to the pixels of a selection: the content of the
+   * frames is saved before they are modified, the pixels outside of the selection are then
+   * restored from the saved content.
+   *
+   * @param {Array} pixels the selected pixels, as {col, row}
+   */
+  ns.SelectionMask = function (pixels) {
+    this.pixels = pixels.map(function (pixel) {
+      return {col : pixel.col, row : pixel.row};
+    });
+
+    this.map_ = null;
+    this.border_ = null;
+    // Selected pixels as a Uint8Array with one item per pixel of the frame, see getMaskArray_.
+    this.maskArray_ = null;
+    this.maskSize_ = null;
+  };
+
+  ns.SelectionMask.prototype.contains = function (col, row) {
+    return this.getMap_()[col + ',' + row] === true;
+  };
+
+  /**
+   * @param  {Array} frames list of pskl.model.Frame which might be modified
+   * @return {Array} the saved frames, to provide to restore
+   */
+  ns.SelectionMask.prototype.save = function (frames) {
+    return frames.map(function (frame) {
+      return {
+        frame : frame,
+        pixels : frame.getPixels()
+      };
+    });
+  };
+
+  /**
+   * Restore the saved content of the frames outside of the selection.
+   * @param  {Array} savedFrames the result of save
+   * @return {Boolean} true if some pixels were restored
+   */
+  ns.SelectionMask.prototype.restore = function (savedFrames) {
+    var restored = false;
+    savedFrames.forEach(function (saved) {
+      var frame = saved.frame;
+      if (frame.pixels.length !== saved.pixels.length) {
+        // The frame was resized, the saved content no longer matches.
+        return;
+      }
+
+      var maskArray = this.getMaskArray_(frame.getWidth(), frame.getHeight());
+      var pixels = null;
+      for (var i = 0 ; i < saved.pixels.length ; i++) {
+        if (!maskArray[i] && frame.pixels[i] !== saved.pixels[i]) {
+          pixels = pixels || frame.getPixels();
+          pixels[i] = saved.pixels[i];
+        }
+      }
+
+      if (pixels) {
+        frame.setPixels(pixels);
+        restored = true;
+      }
+    }.bind(this));
+    return restored;
+  };
+
+  /**
+   * @return {Array} the selected pixels with at least one neighbour outside of the selection
+   */
+  ns.SelectionMask.prototype.getBorder = function () {
+    if (!this.border_) {
+      var map = this.getMap_();
+      this.border_ = this.pixels.filter(function (pixel) {
+        return !map[(pixel.col - 1) + ',' + pixel.row] || !map[(pixel.col + 1) + ',' + pixel.row] ||
+          !map[pixel.col + ',' + (pixel.row - 1)] || !map[pixel.col + ',' + (pixel.row + 1)];
+      });
+    }
+    return this.border_;
+  };
+
+  /** @private */
+  ns.SelectionMask.prototype.getMap_ = function () {
+    if (!this.map_) {
+      this.map_ = {};
+      this.pixels.forEach(function (pixel) {
+        this.map_[pixel.col + ',' + pixel.row] = true;
+      }.bind(this));
+    }
+    return this.map_;
+  };
+
+  /** @private */
+  ns.SelectionMask.prototype.getMaskArray_ = function (width, height) {
+    var size = width + 'x' + height;
+    if (this.maskSize_ !== size) {
+      var maskArray = new Uint8Array(width * height);
+      this.pixels.forEach(function (pixel) {
+        if (pixel.col >= 0 && pixel.col < width && pixel.row >= 0 && pixel.row < height) {
+          maskArray[pixel.row * width + pixel.col] = 1;
+        }
+      });
+      this.maskArray_ = maskArray;
+      this.maskSize_ = size;
+    }
+    return this.maskArray_;
+  };
+})();
@@ -0,0 +1,171 @@
+(function () {
+  var ns = $.namespace('pskl.selection');
+
+  var getKey = function (col, row) {
+    return col + ',' + row;
+  };
+
+  /**
+   * @return {Object} map of the pixels, indexed by getKey
+   */
+  var toMap = function (pixels) {
+    var map = {};
+    pixels.forEach(function (pixel) {
+      map[getKey(pixel.col, pixel.row)] = true;
+    });
+    return map;
+  };
+
+  var copyPixel = function (pixel) {
+    return {col : pixel.col, row : pixel.row};
+  };
+
+  // Offsets of the 8 neighbours of a pixel.
+  var NEIGHBOURS = [[-1, -1], [0, -1], [1, -1], [-1, 0], [1, 0], [-1, 1], [0, 1], [1, 1]];
+
+  /**
+   * Operations on lists of selected pixels, as stored in pskl.selection.BaseSelection. The
+   * lists are never modified, all the operations return new lists of {col, row} pixels.
+   */
+  ns.SelectionOperations = {
+    MODES : {
+      // The new selection replaces the current one.
+      REPLACE : 'replace',
+      // Pixels selected in any of the selections.
+      ADD : 'add',
+      // Pixels of the current selection which are not in the new selection.
+      SUBTRACT : 'subtract',
+      // Pixels selected in both selections.
+      INTERSECT : 'intersect'
+    },
+
+    /**
+     * Combine the current selection with a new selection.
+     * @param  {Array} pixels the current selection
+     * @param  {Array} otherPixels the new selection
+     * @param  {String} mode one of SelectionOperations.MODES
+     * @return {Array} the selected pixels
+     */
+    combine : function (pixels, otherPixels, mode) {
+      var operations = ns.SelectionOperations;
+      if (mode === operations.MODES.ADD) {
+        return operations.union(pixels, otherPixels);
+      } else if (mode === operations.MODES.SUBTRACT) {
+        return operations.subtract(pixels, otherPixels);
+      } else if (mode === operations.MODES.INTERSECT) {
+        return operations.intersect(pixels, otherPixels);
+      }
+      return otherPixels.map(copyPixel);
+    },
+
+    union : function (pixels, otherPixels) {
+      var map = toMap(pixels);
+      return pixels.map(copyPixel).concat(otherPixels.filter(function (pixel) {
+        var key = getKey(pixel.col, pixel.row);
+        var isNew = !map[key];
+        map[key] = true;
+        return isNew;
+      }).map(copyPixel));
+    },
+
+    subtract : function (pixels, otherPixels) {
+      var map = toMap(otherPixels);
+      return pixels.filter(function (pixel) {
+        return !map[getKey(pixel.col, pixel.row)];
+      }).map(copyPixel);
+    },
+
+    intersect : function (pixels, otherPixels) {
+      var map = toMap(otherPixels);
+      return pixels.filter(function (pixel) {
+        return map[getKey(pixel.col, pixel.row)];
+      }).map(copyPixel);
+    },
+
+    /**
+     * @return {Array} all the pixels of the frame
+     */
+    selectAll : function (frame) {
+      var pixels = [];
+      frame.forEachPixel(function (color, col, row) {
+        pixels.push({col : col, row : row});
+      });
+      return pixels;
+    },
+
+    /**
+     * @return {Array} the pixels of the frame which are not selected
+     */
+    invert : function (pixels, frame) {
+      return ns.SelectionOperations.subtract(ns.SelectionOperations.selectAll(frame), pixels);
+    },
+
+    /**
+     * @return {Array} all the pixels of the frame with the provided color, connected or not
+     */
+    selectByColor : function (frame, color) {
+      var colorInt = pskl.utils.colorToInt(color);
+      var pixels = [];
+      frame.forEachPixel(function (pixelColor, col, row) {
+        if (pixelColor === colorInt) {
+          pixels.push({col : col, row : row});
+        }
+      });
+      return pixels;
+    },
+
+    /**
+     * Add the pixels around the selection, one pixel at a time, without going outside of the frame.
+     * @param  {Array} pixels the selected pixels
+     * @param  {Number} distance number of pixels to add around the selection
+     * @param  {pskl.model.Frame} frame the frame containing the selection
+     * @return {Array} the selected pixels
+     */
+    grow : function (pixels, distance, frame) {
+      var map = toMap(pixels);
+      var result = pixels.map(copyPixel);
+      var border = result;
+      for (var i = 0 ; i < distance ; i++) {
+        var added = [];
+        border.forEach(function (pixel) {
+          NEIGHBOURS.forEach(function (offset) {
+            var col = pixel.col + offset[0];
+            var row = pixel.row + offset[1];
+            var key = getKey(col, row);
+            if (!map[key] && frame.containsPixel(col, row)) {
+              map[key] = true;
+              added.push({col : col, row : row});
+            }
+          });
+        });
+        result = result.concat(added);
+        // Only the added pixels can have unselected neighbours.
+        border = added;
+      }
+      return result;
+    },
+
+    /**
+     * Remove the pixels on the border of the selection, one pixel at a time. The edges of
+     * the frame are not considered as a border.
+     * @param  {Array} pixels the selected pixels
+     * @param  {Number} distance number of pixels to remove from the border of the selection
+     * @param  {pskl.model.Frame} frame the frame containing the selection
+     * @return {Array} the selected pixels
+     */
+    shrink : function (pixels, distance, frame) {
+      var result = pixels.map(copyPixel);
+      for (var i = 0 ; i < distance && result.length ; i++) {
+        var map = toMap(result);
+        result = result.filter(function (pixel) {
+          return NEIGHBOURS.every(function (offset) {
+            var col = pixel.col + offset[0];
+            var row = pixel.row + offset[1];
+            return map[getKey(col, row)] || !frame.containsPixel(col, row);
+          });
+        });
+      }
+      return result;
+    }
+  };
+})();
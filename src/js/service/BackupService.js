@@ -4,13 +4,28 @@
   var ONE_SECOND = 1000;
   var ONE_MINUTE = 60 * ONE_SECOND;
 
-  // Save every minute = 1000 * 60
-  var BACKUP_INTERVAL = ONE_MINUTE;
-  // Store a new snapshot every 5 minutes.
-  var SNAPSHOT_INTERVAL = ONE_MINUTE * 5;
-  // Store up to 12 snapshots for a piskel session, min. 1 hour of work
-  var MAX_SNAPSHOTS_PER_SESSION = 12;
-  var MAX_SESSIONS = 10;
+  // Identifies the files created by exportSession.
+  var ARCHIVE_TYPE = 'piskel-backup-sessions';
+  var ARCHIVE_VERSION = 1;
+
+  // Snapshot properties copied when exporting or importing an archive.
+  var SNAPSHOT_PROPERTIES = ['session_id', 'date', 'name', 'description', 'frames', 'width', 'height',
+    'fps', 'serialized'];
+
+  var isValidSnapshot = function (snapshot) {
+    return snapshot &&
+      typeof snapshot.session_id === 'string' &&
+      typeof snapshot.date === 'number' &&
+      typeof snapshot.serialized === 'string';
+  };
+
+  var copySnapshot = function (snapshot) {
+    var copy = {};
+    SNAPSHOT_PROPERTIES.forEach(function (property) {
+      copy[property] = snapshot[property];
+    });
+    return copy;
+  };
 
   ns.BackupService = function (piskelController, backupDatabase) {
     this.piskelController = piskelController;
@@ -25,10 +40,27 @@
 
   ns.BackupService.prototype.init = function () {
     this.backupDatabase.init().then(function () {
-      window.setInterval(this.backup.bind(this), BACKUP_INTERVAL);
+      this.scheduleBackup_();
     }.bind(this));
   };
 
+  /**
+   * Schedule the next backup. The BACKUPS user setting is read every time, so that a new
+   * frequency is used without reloading the application.
+   * @private
+   */
+  ns.BackupService.prototype.scheduleBackup_ = function () {
+    var interval = this.getSettings_().interval * ONE_MINUTE;
+    window.setTimeout(function () {
+      this.backup().then(this.scheduleBackup_.bind(this));
+    }.bind(this), interval);
+  };
+
+  /** @private */
+  ns.BackupService.prototype.getSettings_ = function () {
+    return pskl.UserSettings.get(pskl.UserSettings.BACKUPS);
+  };
+
   // This is purely exposed for testing, so that backup dates can be set programmatically.
   ns.BackupService.prototype.currentDate_ = function () {
     return Date.now();
@@ -47,6 +79,8 @@
     // TODO: should only be done after a successful save.
     this.lastHash = hash;
 
+    var settings = this.getSettings_();
+
     // Prepare the backup snapshot.
     var descriptor = piskel.getDescriptor();
     var date = this.currentDate_();
@@ -62,6 +96,14 @@
       serialized: pskl.utils.serialization.Serializer.serialize(piskel)
     };
 
+    // The undo history is saved once per session, along with the date of the snapshot
+    // it belongs to. Not included in exported sessions.
+    var history = pskl.app.historyService ? {
+      session_id: pskl.app.sessionId,
+      date: date,
+      data: pskl.app.historyService.serialize()
+    } : null;
+
     return this.getSnapshotsBySessionId(pskl.app.sessionId).then(function (snapshots) {
       var latest = snapshots[0];
 
@@ -71,20 +113,21 @@
         return this.backupDatabase.updateSnapshot(snapshot);
       } else {
         // add a new snapshot
-        this.nextSnapshotDate = date + SNAPSHOT_INTERVAL;
+        this.nextSnapshotDate = date + settings.snapshotInterval * ONE_MINUTE;
         return this.backupDatabase.createSnapshot(snapshot).then(function () {
-          if (snapshots.length >= MAX_SNAPSHOTS_PER_SESSION) {
-            // remove oldest snapshot
-            return this.backupDatabase.deleteSnapshot(snapshots[snapshots.length - 1]);
-          }
+          // remove the oldest snapshots, snapshots does not contain the one just created
+          var extraSnapshots = snapshots.slice(Math.max(0, settings.maxSnapshots - 1));
+          return Q.all(extraSnapshots.map(function (extraSnapshot) {
+            return this.backupDatabase.deleteSnapshot(extraSnapshot);
+          }.bind(this)));
         }.bind(this)).then(function () {
           var isNewSession = !latest;
           if (!isNewSession) {
             return;
           }
           return this.backupDatabase.getSessions().then(function (sessions) {
-            if (sessions.length <= MAX_SESSIONS) {
-              // If MAX_SESSIONS has not been reached, no need to delete
+            if (sessions.length <= settings.maxSessions) {
+              // If maxSessions has not been reached, no need to delete
               // previous sessions.
               return;
             }
@@ -94,7 +137,7 @@
               return s1.startDate - s2.startDate;
             }).map(function (s) {
               return s.id;
-            }).slice(0, sessions.length - MAX_SESSIONS);
+            }).slice(0, sessions.length - settings.maxSessions);
 
             // Delete all the extra sessions.
             return Q.all(sessionIdsToDelete.map(function (id) {
@@ -103,6 +146,10 @@
           }.bind(this));
         }.bind(this));
       }
+    }.bind(this)).then(function () {
+      if (history) {
+        return this.backupDatabase.updateHistory(history);
+      }
     }.bind(this)).catch(function (e) {
       console.error(e);
     });
@@ -116,6 +163,71 @@
     return this.backupDatabase.deleteSnapshotsForSession(sessionId);
   };
 
+  /**
+   * Returns a promise that resolves an archive containing all the snapshots of a session,
+   * which can be imported in another browser with importSessions.
+   *
+   * @param {String} sessionId
+   *        The session id
+   */
+  ns.BackupService.prototype.exportSession = function (sessionId) {
+    return this.getSnapshotsBySessionId(sessionId).then(function (snapshots) {
+      return {
+        type : ARCHIVE_TYPE,
+        version : ARCHIVE_VERSION,
+        date : this.currentDate_(),
+        snapshots : snapshots.map(copySnapshot)
+      };
+    }.bind(this));
+  };
+
+  /**
+   * Store the snapshots of an archive created by exportSession. Snapshots which are already
+   * stored, eg when importing the same archive twice, are skipped.
+   * Returns a promise that resolves the number of imported snapshots, or rejects an error
+   * message if the archive is invalid.
+   *
+   * @param {Object} archive
+   *        The parsed content of an archive file
+   */
+  ns.BackupService.prototype.importSessions = function (archive) {
+    var isValid = archive && archive.type === ARCHIVE_TYPE &&
+      Array.isArray(archive.snapshots) && archive.snapshots.every(isValidSnapshot);
+    if (!isValid) {
+      return Q.reject('This file is not a Piskel backup archive.');
+    } else if (archive.version > ARCHIVE_VERSION) {
+      return Q.reject('This backup archive was created by a more recent version of Piskel.');
+    }
+
+    var sessionIds = archive.snapshots.reduce(function (ids, snapshot) {
+      if (ids.indexOf(snapshot.session_id) === -1) {
+        ids.push(snapshot.session_id);
+      }
+      return ids;
+    }, []);
+
+    return Q.all(sessionIds.map(function (sessionId) {
+      return this.getSnapshotsBySessionId(sessionId);
+    }.bind(this))).then(function (storedSnapshots) {
+      var storedKeys = {};
+      storedSnapshots.forEach(function (snapshots) {
+        snapshots.forEach(function (snapshot) {
+          storedKeys[snapshot.session_id + '_' + snapshot.date] = true;
+        });
+      });
+
+      var snapshots = archive.snapshots.filter(function (snapshot) {
+        // Never mix imported snapshots with the ones of the current session.
+        return snapshot.session_id !== pskl.app.sessionId &&
+          !storedKeys[snapshot.session_id + '_' + snapshot.date];
+      }).map(copySnapshot);
+
+      return this.backupDatabase.createSnapshots(snapshots).then(function () {
+        return snapshots.length;
+      });
+    }.bind(this));
+  };
+
   ns.BackupService.prototype.getPreviousPiskelInfo = function () {
     return this.backupDatabase.findLastSnapshot(function (snapshot) {
       return snapshot.session_id !== pskl.app.sessionId;
@@ -127,35 +239,35 @@
   };
 
   ns.BackupService.prototype.loadSnapshotById = function(snapshotId) {
-    var deferred = Q.defer();
-
-    this.backupDatabase.getSnapshot(snapshotId).then(function (snapshot) {
-      pskl.utils.serialization.Deserializer.deserialize(
-        JSON.parse(snapshot.serialized),
-        function (piskel) {
-          pskl.app.piskelController.setPiskel(piskel);
-          deferred.resolve();
-        }
-      );
-    });
-
-    return deferred.promise;
+    return this.backupDatabase.getSnapshot(snapshotId).then(this.loadSnapshot_.bind(this));
   };
 
   // Load "latest" backup snapshot.
   ns.BackupService.prototype.load = function() {
-    var deferred = Q.defer();
+    return this.getPreviousPiskelInfo().then(this.loadSnapshot_.bind(this));
+  };
+
+  /**
+   * Load the piskel of a snapshot, along with the undo history of its session if the
+   * snapshot is the one the history was saved with.
+   * @private
+   */
+  ns.BackupService.prototype.loadSnapshot_ = function (snapshot) {
+    return this.backupDatabase.getHistory(snapshot.session_id).then(function (history) {
+      var deferred = Q.defer();
 
-    this.getPreviousPiskelInfo().then(function (snapshot) {
       pskl.utils.serialization.Deserializer.deserialize(
         JSON.parse(snapshot.serialized),
         function (piskel) {
           pskl.app.piskelController.setPiskel(piskel);
+          if (history && history.date === snapshot.date && pskl.app.historyService) {
+            pskl.app.historyService.restore(history.data);
+          }
           deferred.resolve();
         }
       );
-    });
 
-    return deferred.promise;
+      return deferred.promise;
+    });
   };
 })();
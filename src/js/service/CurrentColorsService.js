@@ -28,8 +28,8 @@
   };
 
   ns.CurrentColorsService.prototype.setCurrentColors = function (colors) {
-    var historyIndex = pskl.app.historyService.currentIndex;
-    this.cache[historyIndex] = colors;
+    var historyStateId = pskl.app.historyService.getCurrentStateId();
+    this.cache[historyStateId] = colors;
     if (colors.join('') !== this.currentColors.join('')) {
       this.currentColors = colors;
       $.publish(Events.CURRENT_COLORS_UPDATED);
@@ -44,8 +44,8 @@
   };
 
   ns.CurrentColorsService.prototype.loadColorsFromCache_ = function () {
-    var historyIndex = pskl.app.historyService.currentIndex;
-    var colors = this.cache[historyIndex];
+    var historyStateId = pskl.app.historyService.getCurrentStateId();
+    var colors = this.cache[historyStateId];
     if (colors) {
       this.setCurrentColors(colors);
     } else {
@@ -108,8 +108,8 @@
   };
 
   ns.CurrentColorsService.prototype.loadColorsFromCache_ = function () {
-    var historyIndex = pskl.app.historyService.currentIndex;
-    var colors = this.cache[historyIndex];
+    var historyStateId = pskl.app.historyService.getCurrentStateId();
+    var colors = this.cache[historyStateId];
     if (colors) {
       this.setCurrentColors(colors);
     }
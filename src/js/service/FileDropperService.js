@@ -33,6 +33,7 @@
       var file = files[i];
       var isImage = file.type.indexOf('image') === 0;
       var isPiskel = /\.piskel$/i.test(file.name);
+      var isAseprite = pskl.utils.AsepriteFileUtils.isAsepriteFile(file);
       var isPalette = /\.(gpl|txt|pal)$/i.test(file.name);
       if (isImage) {
         pskl.utils.FileUtils.readImageFile(file, function (image) {
@@ -40,6 +41,14 @@
         }.bind(this));
       } else if (isPiskel) {
         pskl.utils.PiskelFileUtils.loadFromFile(file, this.onPiskelFileLoaded_, this.onPiskelFileError_);
+      } else if (isAseprite) {
+        // Let the import wizard propose to either replace or merge with the current sprite.
+        $.publish(Events.DIALOG_SHOW, {
+          dialogId : 'import',
+          initArgs : {
+            rawFiles: [file]
+          }
+        });
       } else if (isPalette) {
         pskl.app.paletteImportService.read(file, this.onPaletteLoaded_.bind(this));
       }
@@ -94,7 +103,8 @@
 
     $.publish(Events.PISKEL_RESET);
     $.publish(Events.PISKEL_SAVE_STATE, {
-      type : pskl.service.HistoryService.SNAPSHOT
+      type : pskl.service.HistoryService.SNAPSHOT,
+      label : 'Import image'
     });
   };
 
@@ -9,6 +9,9 @@
     this.deserializer = deserializer || pskl.utils.serialization.arraybuffer.ArrayBufferDeserializer;
     this.serializer = serializer || pskl.utils.serialization.arraybuffer.ArrayBufferSerializer;
 
+    // States are nodes of an undo tree: saving a state after an undo starts a new branch
+    // and keeps the previous one. The stateQueue contains the states of the current branch,
+    // from the root to the last state of the branch: undo and redo move in this queue.
     this.stateQueue = [];
     this.currentIndex = -1;
     this.lastLoadState = -1;
@@ -26,9 +29,12 @@
   // Interval/buffer (in milliseconds) between two state load (ctrl+z/y spamming)
   ns.HistoryService.LOAD_STATE_INTERVAL = 50;
 
-  // Maximum number of states that can be recorded.
+  // Maximum number of states that can be recorded, in all branches.
   ns.HistoryService.MAX_SAVED_STATES = 500;
 
+  // Version of the history data created by serialize, bump it when the snapshot format changes.
+  ns.HistoryService.SERIALIZATION_VERSION = 2;
+
   ns.HistoryService.prototype.init = function () {
     $.subscribe(Events.PISKEL_SAVE_STATE, this.onSaveStateEvent.bind(this));
 
@@ -37,7 +43,8 @@
     this.shortcutService.registerShortcut(shortcuts.MISC.REDO, this.redo.bind(this));
 
     this.saveState({
-      type : ns.HistoryService.SNAPSHOT
+      type : ns.HistoryService.SNAPSHOT,
+      label : 'New sprite'
     });
   };
 
@@ -46,15 +53,21 @@
   };
 
   ns.HistoryService.prototype.saveState = function (action) {
+    var parent = this.stateQueue[this.currentIndex] || null;
     this.stateQueue = this.stateQueue.slice(0, this.currentIndex + 1);
     this.currentIndex = this.currentIndex + 1;
 
     var state = {
       action : action,
+      label : this.getActionLabel_(action),
+      date : Date.now(),
       frameIndex : action.state ? action.state.frameIndex : this.piskelController.currentFrameIndex,
       layerIndex : action.state ? action.state.layerIndex : this.piskelController.currentLayerIndex,
       fps : this.piskelController.getFPS(),
-      uuid: pskl.utils.Uuid.generate()
+      uuid: pskl.utils.Uuid.generate(),
+      parent : parent,
+      children : [],
+      activeChild : null
     };
 
     var isSnapshot = action.type === ns.HistoryService.SNAPSHOT;
@@ -64,17 +77,147 @@
       state.piskel = this.serializer.serialize(piskel);
     }
 
-    // If the new state pushes over MAX_SAVED_STATES, erase all states between the first and
-    // second snapshot states.
-    if (this.stateQueue.length > ns.HistoryService.MAX_SAVED_STATES) {
-      var firstSnapshotIndex = this.getNextSnapshotIndex_(1);
-      this.stateQueue.splice(0, firstSnapshotIndex);
-      this.currentIndex = this.currentIndex - firstSnapshotIndex;
+    if (this.getStates().length > ns.HistoryService.MAX_SAVED_STATES) {
+      this.pruneStates_();
+    }
+
+    if (parent) {
+      parent.children.push(state);
+      parent.activeChild = state;
     }
     this.stateQueue.push(state);
     $.publish(Events.HISTORY_STATE_SAVED);
   };
 
+  /**
+   * Remove states when the history is full. The states of the current branch between the
+   * first and second snapshot states are erased, along with the branches starting from
+   * them. If the history is still full, the oldest branches are erased.
+   * @private
+   */
+  ns.HistoryService.prototype.pruneStates_ = function () {
+    // The last state of the stateQueue is the parent of the state being saved.
+    var firstSnapshotIndex = this.getNextSnapshotIndex_(1);
+    if (firstSnapshotIndex < this.stateQueue.length) {
+      var root = this.stateQueue[firstSnapshotIndex];
+      root.parent = null;
+      this.stateQueue.splice(0, firstSnapshotIndex);
+      this.currentIndex = this.currentIndex - firstSnapshotIndex;
+    }
+
+    var branches = this.getAlternateBranches_().sort(function (s1, s2) {
+      return s1.date - s2.date;
+    });
+    var statesCount = this.getStates().length;
+    while (statesCount > ns.HistoryService.MAX_SAVED_STATES && branches.length) {
+      var branch = branches.shift();
+      var siblings = branch.parent.children;
+      siblings.splice(siblings.indexOf(branch), 1);
+      statesCount -= this.getStates(branch).length;
+    }
+  };
+
+  /**
+   * @return {Array} the first states of the branches which are not in the stateQueue
+   * @private
+   */
+  ns.HistoryService.prototype.getAlternateBranches_ = function () {
+    return this.stateQueue.reduce(function (branches, state, index) {
+      return branches.concat(state.children.filter(function (child) {
+        return child !== this.stateQueue[index + 1];
+      }.bind(this)));
+    }.bind(this), []);
+  };
+
+  /**
+   * @param  {Object} root (optional) first state of the subtree to list, the root of the
+   *         undo tree by default
+   * @return {Array} all the states of the undo tree, parents before children, siblings
+   *         by creation order
+   */
+  ns.HistoryService.prototype.getStates = function (root) {
+    var states = [];
+    root = root || this.stateQueue[0];
+    var stack = root ? [root] : [];
+    while (stack.length) {
+      var state = stack.pop();
+      states.push(state);
+      for (var i = state.children.length - 1 ; i >= 0 ; i--) {
+        stack.push(state.children[i]);
+      }
+    }
+    return states;
+  };
+
+  ns.HistoryService.prototype.getCurrentState = function () {
+    return this.stateQueue[this.currentIndex] || null;
+  };
+
+  /**
+   * Set a preview image for a state, displayed in the history panel. Thumbnails are not
+   * serialized, see HistoryListController.
+   *
+   * @param {String} stateId
+   *        The uuid of the state
+   * @param {String} thumbnail
+   *        Data url of the image
+   */
+  ns.HistoryService.prototype.setThumbnail = function (stateId, thumbnail) {
+    var state = this.getStateById_(stateId);
+    if (state) {
+      state.thumbnail = thumbnail;
+    }
+  };
+
+  /** @private */
+  ns.HistoryService.prototype.getStateById_ = function (stateId) {
+    return pskl.utils.Array.find(this.getStates(), function (state) {
+      return state.uuid === stateId;
+    });
+  };
+
+  /**
+   * A state can be loaded if all the states since the previous snapshot can be replayed.
+   * States restored from a backup lose the actions which could not be serialized.
+   */
+  ns.HistoryService.prototype.isStateLoadable = function (state) {
+    for (var s = state ; s ; s = s.parent) {
+      if (s.piskel) {
+        return true;
+      } else if (!s.action) {
+        return false;
+      }
+    }
+    return false;
+  };
+
+  /** @private */
+  ns.HistoryService.prototype.getActionLabel_ = function (action) {
+    if (action.label) {
+      return action.label;
+    } else if (action.type === ns.HistoryService.SNAPSHOT) {
+      return 'Snapshot';
+    }
+
+    var scope = action.scope;
+    var replay = action.replay || {};
+    if (scope instanceof pskl.tools.Tool) {
+      return scope.getHelpText();
+    } else if (replay.action) {
+      // Action masked by the selection, see SelectionManager.getMaskedAction.
+      return this.getActionLabel_(replay.action);
+    } else if (typeof replay.fn === 'function') {
+      for (var name in this.piskelController) {
+        if (this.piskelController[name] === replay.fn) {
+          // eg addFrameAt -> Add frame
+          var words = name.replace(/At$/, '').replace(/([A-Z])/g, ' $1').toLowerCase();
+          return words.charAt(0).toUpperCase() + words.substr(1);
+        }
+      }
+    }
+    return 'Edit';
+  };
+
   ns.HistoryService.prototype.getCurrentStateId = function () {
     var state = this.stateQueue[this.currentIndex];
     if (!state) {
@@ -95,7 +238,37 @@
   ns.HistoryService.prototype.isLoadStateAllowed_ = function (index) {
     var timeOk = (Date.now() - this.lastLoadState) > ns.HistoryService.LOAD_STATE_INTERVAL;
     var indexInRange = index >= 0 && index < this.stateQueue.length;
-    return timeOk && indexInRange;
+    return timeOk && indexInRange && this.isStateLoadable(this.stateQueue[index]);
+  };
+
+  /**
+   * Load any state of the undo tree. Its branch becomes the current branch: redo follows
+   * the states last visited after it.
+   *
+   * @param {String} stateId
+   *        The uuid of the state
+   */
+  ns.HistoryService.prototype.loadStateById = function (stateId) {
+    var state = this.getStateById_(stateId);
+    if (!state || !this.isStateLoadable(state)) {
+      return;
+    }
+
+    var branch = [];
+    for (var s = state ; s ; s = s.parent) {
+      branch.unshift(s);
+    }
+    var index = branch.length - 1;
+    for (var i = 0 ; i < index ; i++) {
+      branch[i].activeChild = branch[i + 1];
+    }
+    for (s = state.activeChild ; s ; s = s.activeChild) {
+      branch.push(s);
+    }
+
+    this.stateQueue = branch;
+    this.lastLoadState = -1;
+    this.loadState(index);
   };
 
   ns.HistoryService.prototype.getPreviousSnapshotIndex_ = function (index) {
@@ -182,6 +355,122 @@
     return this.piskelController.getWidth() + 'x' + this.piskelController.getHeight();
   };
 
+  /**
+   * Serialize the undo tree, in order to restore it with the sprite, see BackupService.
+   * Actions are serialized with the ActionCodec, actions which can not be serialized are
+   * lost and their states can only be loaded from a later snapshot.
+   *
+   * @return {Object} the serialized history, with the snapshots of the states as
+   *         ArrayBuffers: it can be stored in IndexedDB but not as JSON
+   */
+  ns.HistoryService.prototype.serialize = function () {
+    var codec = pskl.service.collaboration.ActionCodec;
+    return {
+      version : ns.HistoryService.SERIALIZATION_VERSION,
+      current : this.getCurrentStateId(),
+      states : this.getStates().map(function (state) {
+        return {
+          uuid : state.uuid,
+          parent : state.parent ? state.parent.uuid : null,
+          activeChild : state.activeChild ? state.activeChild.uuid : null,
+          action : state.action ? codec.encode(state.action) : null,
+          label : state.label,
+          date : state.date,
+          frameIndex : state.frameIndex,
+          layerIndex : state.layerIndex,
+          fps : state.fps,
+          piskel : state.piskel
+        };
+      })
+    };
+  };
+
+  /**
+   * Replace the undo tree with a tree created by serialize. The current piskel should be
+   * the one of the current state of the serialized tree.
+   *
+   * @param {Object} data
+   *        The serialized history
+   */
+  ns.HistoryService.prototype.restore = function (data) {
+    if (!data || data.version !== ns.HistoryService.SERIALIZATION_VERSION) {
+      return;
+    }
+
+    var statesById = {};
+    var root = null;
+    data.states.forEach(function (saved) {
+      var parent = statesById[saved.parent];
+      var isValid = saved.parent ? !!parent : !root;
+      if (!isValid) {
+        // Only keep the states connected to the first root.
+        return;
+      }
+
+      var state = {
+        action : this.decodeAction_(saved.action),
+        label : saved.label,
+        date : saved.date,
+        frameIndex : saved.frameIndex,
+        layerIndex : saved.layerIndex,
+        fps : saved.fps,
+        uuid : saved.uuid,
+        piskel : saved.piskel,
+        parent : parent || null,
+        children : [],
+        activeChild : null
+      };
+      if (parent) {
+        parent.children.push(state);
+      } else {
+        root = state;
+      }
+      statesById[state.uuid] = state;
+    }.bind(this));
+
+    var current = statesById[data.current];
+    if (!current) {
+      return;
+    }
+
+    data.states.forEach(function (saved) {
+      var state = statesById[saved.uuid];
+      if (state) {
+        state.activeChild = statesById[saved.activeChild] || null;
+      }
+    });
+
+    // The current state can always be loaded again.
+    current.piskel = this.serializer.serialize(this.piskelController.getPiskel());
+
+    this.stateQueue = [];
+    for (var s = current ; s ; s = s.parent) {
+      this.stateQueue.unshift(s);
+      if (s.parent) {
+        s.parent.activeChild = s;
+      }
+    }
+    this.currentIndex = this.stateQueue.length - 1;
+    for (s = current.activeChild ; s ; s = s.activeChild) {
+      this.stateQueue.push(s);
+    }
+
+    $.publish(Events.HISTORY_STATE_LOADED);
+  };
+
+  /** @private */
+  ns.HistoryService.prototype.decodeAction_ = function (encoded) {
+    if (!encoded) {
+      return null;
+    }
+    try {
+      return pskl.service.collaboration.ActionCodec.decode(encoded);
+    } catch (e) {
+      // eg a tool which does not exist anymore.
+      return null;
+    }
+  };
+
   ns.HistoryService.prototype.setupState = function (state) {
     this.piskelController.setCurrentFrameIndex(state.frameIndex);
     this.piskelController.setCurrentLayerIndex(state.layerIndex);
@@ -0,0 +1,41 @@
+(function () {
+  var ns = $.namespace('pskl.service');
+
+  /**
+   * Keep the tileset of the current piskel in sync with its tilemap layers: pixels drawn on
+   * tilemap layers are reported to the tiles they belong to, and tile updates are drawn on
+   * every cell using the tile. Also holds the tile selected for the tile brush tool.
+   */
+  ns.TilemapService = function (piskelController) {
+    this.piskelController = piskelController;
+    this.selectedTile_ = 0;
+  };
+
+  ns.TilemapService.prototype.init = function () {
+    $.subscribe(Events.PISKEL_SAVE_STATE, this.syncTiles.bind(this));
+    $.subscribe(Events.PISKEL_RESET, this.onPiskelReset_.bind(this));
+  };
+
+  ns.TilemapService.prototype.syncTiles = function () {
+    var piskel = this.piskelController.getPiskel();
+    pskl.utils.TilemapUtils.syncLayers(piskel.getLayers(), piskel.getTileset());
+  };
+
+  ns.TilemapService.prototype.getSelectedTile = function () {
+    return this.selectedTile_;
+  };
+
+  ns.TilemapService.prototype.selectTile = function (index) {
+    this.selectedTile_ = index;
+    $.publish(Events.SELECTED_TILE_CHANGED, [index]);
+  };
+
+  ns.TilemapService.prototype.onPiskelReset_ = function () {
+    this.syncTiles();
+    var tileset = this.piskelController.getTileset();
+    var lastIndex = tileset ? tileset.size() - 1 : 0;
+    if (this.selectedTile_ > lastIndex) {
+      this.selectTile(Math.max(0, lastIndex));
+    }
+  };
+})();
@@ -0,0 +1,186 @@
+(function () {
+  var ns = $.namespace('pskl.service.collaboration');
+
+  var TOOL_SCOPE_PREFIX = 'tool:';
+
+  // Thrown when an action contains values which can not be sent to other clients.
+  var UNSUPPORTED = 'unsupported';
+
+  // Typed arrays are the only instances encoded, see encodeValue.
+  var TYPED_ARRAYS = ['Int8Array', 'Uint8Array', 'Uint8ClampedArray', 'Int16Array', 'Uint16Array',
+    'Int32Array', 'Uint32Array', 'Float32Array', 'Float64Array'];
+
+  var isReplayMethod = function (name) {
+    return pskl.controller.piskel.PublicPiskelController.isReplayMethod(name);
+  };
+
+  var getWrappedController = function () {
+    return pskl.app.piskelController.getWrappedPiskelController();
+  };
+
+  var getTools = function () {
+    var tools = [];
+    if (pskl.app.toolController) {
+      tools = tools.concat(pskl.app.toolController.tools);
+    }
+    if (pskl.app.transformationsController) {
+      tools = tools.concat(pskl.app.transformationsController.tools);
+    }
+    return tools;
+  };
+
+  var encodeScope = function (scope) {
+    if (scope === pskl.app.piskelController) {
+      return 'controller';
+    } else if (scope === pskl.app.selectionManager) {
+      return 'selection';
+    } else if (scope && scope.toolId && getTools().indexOf(scope) !== -1) {
+      return TOOL_SCOPE_PREFIX + scope.toolId;
+    }
+    throw UNSUPPORTED;
+  };
+
+  var decodeScope = function (scopeId) {
+    if (scopeId === 'controller') {
+      return pskl.app.piskelController;
+    } else if (scopeId === 'selection') {
+      return pskl.app.selectionManager;
+    }
+
+    if (typeof scopeId !== 'string' || scopeId.indexOf(TOOL_SCOPE_PREFIX) !== 0) {
+      throw 'Unknown scope: ' + scopeId;
+    }
+    var toolId = scopeId.substr(TOOL_SCOPE_PREFIX.length);
+    var tool = pskl.utils.Array.find(getTools(), function (tool) {
+      return tool.toolId === toolId;
+    });
+    if (!tool) {
+      throw 'Unknown scope: ' + scopeId;
+    }
+    return tool;
+  };
+
+  var encodeMethod = function (fn) {
+    var controller = getWrappedController();
+    for (var name in controller) {
+      if (controller[name] === fn && isReplayMethod(name)) {
+        return {__method : name};
+      }
+    }
+    throw UNSUPPORTED;
+  };
+
+  var encodeValue = function (value, key) {
+    if (value === null || typeof value !== 'object' && typeof value !== 'function') {
+      return value;
+    }
+
+    if (key === 'scope') {
+      return {__scope : encodeScope(value)};
+    } else if (typeof value === 'function') {
+      return encodeMethod(value);
+    } else if (ArrayBuffer.isView(value) && TYPED_ARRAYS.indexOf(value.constructor.name) !== -1) {
+      return {__type : value.constructor.name, values : Array.prototype.slice.call(value)};
+    } else if (Array.isArray(value) || Object.prototype.toString.call(value) === '[object Arguments]') {
+      return Array.prototype.map.call(value, function (item) {
+        return encodeValue(item);
+      });
+    } else if (Object.getPrototypeOf(value) === Object.prototype) {
+      var encoded = {};
+      Object.keys(value).forEach(function (k) {
+        encoded[k] = encodeValue(value[k], k);
+      });
+      return encoded;
+    }
+
+    // Instances of models or controllers are only known to this client.
+    throw UNSUPPORTED;
+  };
+
+  var decodeValue = function (value) {
+    if (value === null || typeof value !== 'object') {
+      return value;
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(decodeValue);
+    } else if (value.__scope) {
+      return decodeScope(value.__scope);
+    } else if (value.__method) {
+      // Encoded actions come from other clients or from backups: only known methods and
+      // types are decoded, anything else could run arbitrary code.
+      if (!isReplayMethod(value.__method)) {
+        throw 'Unknown method: ' + value.__method;
+      }
+      return getWrappedController()[value.__method];
+    } else if (value.__type) {
+      if (TYPED_ARRAYS.indexOf(value.__type) === -1 || !Array.isArray(value.values)) {
+        throw 'Unknown type: ' + value.__type;
+      }
+      return new window[value.__type](value.values);
+    }
+
+    var decoded = {};
+    Object.keys(value).forEach(function (key) {
+      decoded[key] = decodeValue(value[key]);
+    });
+    return decoded;
+  };
+
+  /**
+   * Convert the actions published with PISKEL_SAVE_STATE to JSON data which can be sent
+   * to other clients, and back. Scopes are identified by name: the piskel controller, the
+   * selection manager, or a tool by id. Replay methods of the piskel controller are
+   * identified by name.
+   */
+  ns.ActionCodec = {
+    /**
+     * @param  {Object} action REPLAY action, see pskl.service.HistoryService
+     * @return {Object} the encoded action, or null if the action contains values which can
+     *         not be encoded (eg models)
+     */
+    encode : function (action) {
+      if (action.type !== pskl.service.HistoryService.REPLAY) {
+        return null;
+      }
+
+      try {
+        return encodeValue({
+          scope : action.scope,
+          replay : action.replay,
+          label : action.label
+        });
+      } catch (e) {
+        if (e === UNSUPPORTED) {
+          return null;
+        }
+        throw e;
+      }
+    },
+
+    /**
+     * @param  {Object} encoded the result of encode
+     * @return {Object} a REPLAY action which can be replayed on this client
+     */
+    decode : function (encoded) {
+      var decoded = decodeValue(encoded);
+      return {
+        type : pskl.service.HistoryService.REPLAY,
+        scope : decoded.scope,
+        replay : decoded.replay,
+        label : decoded.label
+      };
+    },
+
+    /**
+     * Structural actions modify the frames or layers of the piskel, or its size. Other
+     * actions can only be replayed on a piskel with the same structure.
+     * @param  {Object} encoded the result of encode
+     * @return {Boolean}
+     */
+    isStructural : function (encoded) {
+      var scope = encoded.scope.__scope;
+      return scope === 'controller' || scope === TOOL_SCOPE_PREFIX + 'tool-crop';
+    }
+  };
+})();
@@ -0,0 +1,481 @@
+(function () {
+  var ns = $.namespace('pskl.service.collaboration');
+
+  // Minimum delay in milliseconds between two cursor positions sent to the other clients.
+  var CURSOR_UPDATE_INTERVAL = 50;
+
+  /**
+   * Edit the current piskel with other clients connected to the same room of a relay
+   * server, see cli/collaboration-relay.js.
+   *
+   * The actions recorded by the HistoryService are sent to the relay, which orders them and
+   * broadcasts them to all the clients of the room. Actions which can not be encoded by the
+   * ActionCodec, as well as undo and redo, are sent as snapshots of the whole piskel.
+   *
+   * Structural conflicts: each action contains the id of the last structural action (adding
+   * or removing frames or layers, resizing...) known by its author, as "base". The relay
+   * rejects actions based on an outdated structure, and clients receiving an action with an
+   * unexpected base know that their structure diverged. In both cases the client discards its
+   * local changes and loads a snapshot of the piskel from another client of the room.
+   *
+   * Concurrent modifications of the same pixels are not resolved: each client keeps the
+   * result of the order in which it applied them.
+   */
+  ns.CollaborationService = function (piskelController, createSocket) {
+    this.piskelController = piskelController;
+    this.createSocket_ = createSocket || function (url) {
+      return new WebSocket(url);
+    };
+
+    this.socket = null;
+    this.reset_();
+  };
+
+  ns.CollaborationService.prototype.init = function () {
+    $.subscribe(Events.PISKEL_SAVE_STATE, this.onSaveState_.bind(this));
+    $.subscribe(Events.HISTORY_STATE_LOADED, this.onHistoryStateLoaded_.bind(this));
+    $.subscribe(Events.CURSOR_MOVED, this.onCursorMoved_.bind(this));
+  };
+
+  /** @private */
+  ns.CollaborationService.prototype.reset_ = function () {
+    this.clientId = null;
+    this.room = null;
+    // Other clients of the room, by id, as {id, name, color, cursor}.
+    this.peers = {};
+
+    // Id of the last structural action applied on the piskel.
+    this.head_ = null;
+    // Sequence number of the last action received from the relay.
+    this.lastSeq_ = 0;
+    // Ids of the actions sent to the relay which were not broadcasted back yet.
+    this.pending_ = [];
+    this.actionCounter_ = 0;
+
+    // While syncing, the actions received are buffered until the snapshot is loaded.
+    this.syncing_ = false;
+    this.buffered_ = [];
+    // Clients waiting for a snapshot until the pending actions are broadcasted back.
+    this.syncRequests_ = [];
+
+    this.applyingRemote_ = false;
+    this.queue_ = Q();
+    this.lastCursorUpdate_ = 0;
+  };
+
+  /**
+   * @param  {String} url url of the relay server, eg ws://localhost:9902
+   * @param  {String} room name of the room to join
+   * @param  {String} name name displayed to the other clients
+   * @return {Promise} resolved when the room is joined
+   */
+  ns.CollaborationService.prototype.connect = function (url, room, name) {
+    this.disconnect();
+
+    var deferred = Q.defer();
+    this.connectDeferred_ = deferred;
+
+    var socket = this.createSocket_(url);
+    socket.onopen = function () {
+      this.send_({type : 'join', room : room, name : name});
+    }.bind(this);
+    socket.onmessage = function (evt) {
+      var message;
+      try {
+        message = JSON.parse(evt.data);
+      } catch (e) {
+        // Drop malformed messages.
+        return;
+      }
+      if (message && typeof message === 'object') {
+        this.onMessage_(message);
+      }
+    }.bind(this);
+    socket.onerror = function () {
+      deferred.reject('Could not connect to ' + url);
+    };
+    socket.onclose = this.onClose_.bind(this);
+    this.socket = socket;
+
+    return deferred.promise;
+  };
+
+  ns.CollaborationService.prototype.disconnect = function () {
+    if (!this.socket) {
+      return;
+    }
+
+    this.socket.onclose = null;
+    this.socket.close();
+    this.socket = null;
+    this.reset_();
+    $.publish(Events.COLLABORATION_STATUS_CHANGED);
+  };
+
+  ns.CollaborationService.prototype.isConnected = function () {
+    return !!this.clientId;
+  };
+
+  /**
+   * @return {Array} the other clients of the room, as {id, name, color}
+   */
+  ns.CollaborationService.prototype.getPeers = function () {
+    return Object.keys(this.peers).map(function (id) {
+      return this.peers[id];
+    }.bind(this));
+  };
+
+  /**
+   * @param  {Number} frameIndex
+   * @return {Array} the cursors of the other clients drawing on this frame, as {col, row, color}
+   */
+  ns.CollaborationService.prototype.getRemoteCursors = function (frameIndex) {
+    return this.getPeers().filter(function (peer) {
+      return peer.cursor && peer.cursor.frameIndex === frameIndex;
+    }).map(function (peer) {
+      return {
+        col : peer.cursor.col,
+        row : peer.cursor.row,
+        color : peer.color
+      };
+    });
+  };
+
+  /** @private */
+  ns.CollaborationService.prototype.onMessage_ = function (message) {
+    var type = message.type;
+    if (type === 'welcome') {
+      this.onWelcome_(message);
+    } else if (type === 'peer-joined') {
+      this.peers[message.peer.id] = message.peer;
+      $.publish(Events.COLLABORATION_STATUS_CHANGED);
+    } else if (type === 'peer-left') {
+      delete this.peers[message.id];
+      $.publish(Events.COLLABORATION_STATUS_CHANGED);
+    } else if (type === 'cursor') {
+      if (this.peers[message.from]) {
+        this.peers[message.from].cursor = message.cursor;
+      }
+    } else if (type === 'action') {
+      this.enqueue_(this.onAction_.bind(this, message));
+    } else if (type === 'reject') {
+      this.onReject_(message);
+    } else if (type === 'sync-request') {
+      this.enqueue_(this.onSyncRequest_.bind(this, message));
+    } else if (type === 'snapshot') {
+      this.enqueue_(this.onSnapshot_.bind(this, message));
+    }
+  };
+
+  /**
+   * Messages modifying the piskel are handled one at a time, in the order of the relay.
+   * @private
+   */
+  ns.CollaborationService.prototype.enqueue_ = function (fn) {
+    this.queue_ = this.queue_.then(fn).catch(function (error) {
+      console.error('Failed to apply a collaboration message', error);
+      this.startSync_();
+    }.bind(this));
+  };
+
+  /** @private */
+  ns.CollaborationService.prototype.onWelcome_ = function (message) {
+    this.clientId = message.id;
+    this.room = message.room;
+    this.head_ = message.head;
+    this.lastSeq_ = message.seq;
+    message.peers.forEach(function (peer) {
+      this.peers[peer.id] = peer;
+    }.bind(this));
+
+    if (message.peers.length) {
+      // Load the piskel edited by the clients already in the room.
+      this.startSync_();
+    }
+
+    this.connectDeferred_.resolve();
+    $.publish(Events.COLLABORATION_STATUS_CHANGED);
+  };
+
+  /** @private */
+  ns.CollaborationService.prototype.onClose_ = function () {
+    var wasConnected = this.isConnected();
+    this.socket = null;
+    this.reset_();
+    if (wasConnected) {
+      $.publish(Events.SHOW_NOTIFICATION, [{
+        content : 'Disconnected from the collaboration session.',
+        hideDelay : 5000
+      }]);
+    }
+    $.publish(Events.COLLABORATION_STATUS_CHANGED);
+  };
+
+  /** @private */
+  ns.CollaborationService.prototype.onAction_ = function (message) {
+    if (this.syncing_) {
+      this.buffered_.push(message);
+      return;
+    }
+
+    this.lastSeq_ = message.seq;
+    if (message.from === this.clientId) {
+      // Already applied when it was sent.
+      this.pending_ = this.pending_.filter(function (id) {
+        return id !== message.id;
+      });
+      this.answerSyncRequests_();
+      return;
+    }
+
+    if (message.base !== this.head_) {
+      // The action was created for another structure of the piskel.
+      this.startSync_();
+      return;
+    }
+
+    if (message.structural) {
+      this.head_ = message.id;
+    }
+
+    if (message.piskel) {
+      return this.loadSnapshot_(message.piskel);
+    }
+    this.replayAction_(message);
+  };
+
+  /** @private */
+  ns.CollaborationService.prototype.onReject_ = function (message) {
+    this.pending_ = this.pending_.filter(function (id) {
+      return id !== message.id;
+    });
+    $.publish(Events.SHOW_NOTIFICATION, [{
+      content : 'Your last change conflicted with a change from another artist and was reverted.',
+      hideDelay : 5000
+    }]);
+    this.startSync_();
+  };
+
+  /**
+   * Request a snapshot of the piskel from another client of the room.
+   * @private
+   */
+  ns.CollaborationService.prototype.startSync_ = function () {
+    if (this.syncing_ || !this.isConnected()) {
+      return;
+    }
+    this.syncing_ = true;
+    this.buffered_ = [];
+    this.send_({type : 'sync-request'});
+  };
+
+  /** @private */
+  ns.CollaborationService.prototype.onSyncRequest_ = function (message) {
+    this.syncRequests_.push(message.requester);
+    this.answerSyncRequests_();
+  };
+
+  /**
+   * Send a snapshot to the clients waiting for one, once all the actions sent by this
+   * client are included in the sequence of the relay.
+   * @private
+   */
+  ns.CollaborationService.prototype.answerSyncRequests_ = function () {
+    if (this.pending_.length || this.syncing_) {
+      return;
+    }
+
+    this.syncRequests_.forEach(function (requester) {
+      this.send_({
+        type : 'snapshot',
+        to : requester,
+        seq : this.lastSeq_,
+        head : this.head_,
+        piskel : this.serialize_()
+      });
+    }.bind(this));
+    this.syncRequests_ = [];
+  };
+
+  /** @private */
+  ns.CollaborationService.prototype.onSnapshot_ = function (message) {
+    if (!this.syncing_) {
+      return;
+    }
+
+    var loaded = message.piskel ? this.loadSnapshot_(message.piskel) : Q();
+    return loaded.then(function () {
+      this.head_ = message.head;
+      this.lastSeq_ = message.seq;
+      this.pending_ = [];
+      this.syncing_ = false;
+
+      var buffered = this.buffered_.filter(function (action) {
+        return action.seq > message.seq;
+      });
+      this.buffered_ = [];
+
+      this.answerSyncRequests_();
+      return buffered.reduce(function (promise, action) {
+        return promise.then(this.onAction_.bind(this, action));
+      }.bind(this), Q());
+    }.bind(this));
+  };
+
+  /** @private */
+  ns.CollaborationService.prototype.loadSnapshot_ = function (serialized) {
+    var deferred = Q.defer();
+    pskl.utils.serialization.Deserializer.deserialize(JSON.parse(serialized), function (piskel) {
+      var controller = this.piskelController.getWrappedPiskelController();
+      var frameIndex = controller.getCurrentFrameIndex();
+      var layerIndex = controller.getCurrentLayerIndex();
+
+      piskel.setDescriptor(this.piskelController.getPiskel().getDescriptor());
+      this.applyRemote_(function () {
+        this.piskelController.setPiskel(piskel, {
+          preserveState : true,
+          historyLabel : 'Synchronize sprite'
+        });
+      });
+      this.restoreIndexes_(frameIndex, layerIndex);
+      $.publish(Events.PISKEL_RESET);
+      deferred.resolve();
+    }.bind(this), deferred.reject);
+    return deferred.promise;
+  };
+
+  /**
+   * Replay an action of another client, and save it in the history of this client.
+   * @private
+   */
+  ns.CollaborationService.prototype.replayAction_ = function (message) {
+    var controller = this.piskelController.getWrappedPiskelController();
+    var frameIndex = controller.getCurrentFrameIndex();
+    var layerIndex = controller.getCurrentLayerIndex();
+
+    var action = pskl.service.collaboration.ActionCodec.decode(message.action);
+    action.state = message.state;
+
+    this.applyRemote_(function () {
+      // Tools replay their action on the current frame and layer, see HistoryService.setupState.
+      controller.setCurrentFrameIndex(message.state.frameIndex);
+      controller.setCurrentLayerIndex(message.state.layerIndex);
+      var frame = controller.getLayerAt(message.state.layerIndex).getFrameAt(message.state.frameIndex);
+      action.scope.replay(frame, action.replay);
+      $.publish(Events.PISKEL_SAVE_STATE, action);
+    });
+
+    this.restoreIndexes_(frameIndex, layerIndex);
+    $.publish(Events.PISKEL_RESET);
+  };
+
+  /** @private */
+  ns.CollaborationService.prototype.applyRemote_ = function (fn) {
+    this.applyingRemote_ = true;
+    try {
+      fn.call(this);
+    } finally {
+      this.applyingRemote_ = false;
+    }
+  };
+
+  /**
+   * Select the frame and layer selected before applying a remote action, if they still exist.
+   * @private
+   */
+  ns.CollaborationService.prototype.restoreIndexes_ = function (frameIndex, layerIndex) {
+    var controller = this.piskelController.getWrappedPiskelController();
+    controller.setCurrentFrameIndex(Math.min(frameIndex, controller.getFrameCount() - 1));
+    controller.setCurrentLayerIndex(Math.min(layerIndex, controller.getLayers().length - 1));
+  };
+
+  /** @private */
+  ns.CollaborationService.prototype.onSaveState_ = function (evt, action) {
+    if (!this.isConnected() || this.applyingRemote_ || this.syncing_) {
+      return;
+    }
+
+    var controller = this.piskelController.getWrappedPiskelController();
+    var state = action.state || {
+      frameIndex : controller.getCurrentFrameIndex(),
+      layerIndex : controller.getCurrentLayerIndex()
+    };
+
+    var encoded = pskl.service.collaboration.ActionCodec.encode(action);
+    if (encoded) {
+      this.sendAction_({
+        structural : pskl.service.collaboration.ActionCodec.isStructural(encoded),
+        state : state,
+        action : encoded
+      });
+    } else {
+      this.sendAction_({
+        structural : true,
+        state : state,
+        piskel : this.serialize_()
+      });
+    }
+  };
+
+  /**
+   * Undo and redo reload a previous state of the piskel, which is sent as a snapshot.
+   * @private
+   */
+  ns.CollaborationService.prototype.onHistoryStateLoaded_ = function () {
+    if (!this.isConnected() || this.applyingRemote_ || this.syncing_) {
+      return;
+    }
+
+    this.sendAction_({
+      structural : true,
+      piskel : this.serialize_()
+    });
+  };
+
+  /** @private */
+  ns.CollaborationService.prototype.sendAction_ = function (payload) {
+    this.actionCounter_++;
+    var id = this.clientId + '-' + this.actionCounter_;
+    var message = $.extend({
+      type : 'action',
+      id : id,
+      base : this.head_
+    }, payload);
+
+    if (payload.structural) {
+      this.head_ = id;
+    }
+    this.pending_.push(id);
+    this.send_(message);
+  };
+
+  /** @private */
+  ns.CollaborationService.prototype.onCursorMoved_ = function (evt, col, row) {
+    var now = Date.now();
+    if (!this.isConnected() || now - this.lastCursorUpdate_ < CURSOR_UPDATE_INTERVAL) {
+      return;
+    }
+
+    this.lastCursorUpdate_ = now;
+    this.send_({
+      type : 'cursor',
+      cursor : {
+        col : col,
+        row : row,
+        frameIndex : this.piskelController.getCurrentFrameIndex()
+      }
+    });
+  };
+
+  /** @private */
+  ns.CollaborationService.prototype.serialize_ = function () {
+    return pskl.utils.serialization.Serializer.serialize(this.piskelController.getPiskel());
+  };
+
+  /** @private */
+  ns.CollaborationService.prototype.send_ = function (message) {
+    if (this.socket) {
+      this.socket.send(JSON.stringify(message));
+    }
+  };
+})();
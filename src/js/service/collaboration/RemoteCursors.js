@@ -0,0 +1,42 @@
+(function () {
+  var ns = $.namespace('pskl.service.collaboration');
+
+  // Offsets of the pixels drawn for each cursor: the hovered pixel and its 4 neighbours.
+  var CURSOR_SHAPE = [[0, 0], [-1, 0], [1, 0], [0, -1], [0, 1]];
+
+  /**
+   * Draw the cursors of the other clients of a collaboration session over the overlay frame.
+   */
+  ns.RemoteCursors = function () {
+    this.frame = null;
+    this.key = null;
+  };
+
+  /**
+   * @param  {pskl.model.Frame} overlayFrame the overlay frame, not modified
+   * @param  {Array} cursors as {col, row, color}, see CollaborationService.getRemoteCursors
+   * @return {pskl.model.Frame} a copy of the overlay frame with the cursors. The same frame
+   *         is returned until the overlay or the cursors change.
+   */
+  ns.RemoteCursors.prototype.decorate = function (overlayFrame, cursors) {
+    var key = overlayFrame.getHash() + '-' + JSON.stringify(cursors);
+    if (this.frame && this.key === key) {
+      return this.frame;
+    }
+
+    var frame = overlayFrame.clone();
+    cursors.forEach(function (cursor) {
+      CURSOR_SHAPE.forEach(function (offset) {
+        var col = cursor.col + offset[0];
+        var row = cursor.row + offset[1];
+        if (frame.containsPixel(col, row)) {
+          frame.setPixel(col, row, cursor.color);
+        }
+      });
+    });
+
+    this.frame = frame;
+    this.key = key;
+    return frame;
+  };
+})();
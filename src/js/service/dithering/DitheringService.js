@@ -0,0 +1,69 @@
+(function () {
+  var ns = $.namespace('pskl.service.dithering');
+
+  var MODES = {
+    PEN : 'pen',
+    GRADIENT : 'gradient'
+  };
+
+  /**
+   * Service to retrieve and modify the options of the dithering tool:
+   * - pattern : one of pskl.utils.DitheringUtils.PATTERNS
+   * - density : ratio of primary color pixels for Bayer patterns, between 0 and 1
+   * - customPattern : cells of the user pattern, true for primary color pixels
+   * - mode : 'pen' to draw the pattern, 'gradient' to fill an area with a dithered gradient
+   * - algorithm : one of pskl.utils.DitheringUtils.ALGORITHMS, used by the gradient mode
+   */
+  ns.DitheringService = function () {
+    this.options = pskl.utils.copy(pskl.UserSettings.KEY_TO_DEFAULT_VALUE_MAP_.DITHERING_OPTIONS);
+  };
+
+  ns.DitheringService.MODES = MODES;
+
+  ns.DitheringService.prototype.init = function () {
+    this.options = this.normalizeOptions_(pskl.UserSettings.get(pskl.UserSettings.DITHERING_OPTIONS));
+  };
+
+  /**
+   * @return {Object} a copy of the current options
+   */
+  ns.DitheringService.prototype.getOptions = function () {
+    return pskl.utils.copy(this.options);
+  };
+
+  /**
+   * Update the current options, invalid values are ignored.
+   * @param {Object} options partial options object, see the constructor for the available keys
+   */
+  ns.DitheringService.prototype.setOptions = function (options) {
+    var updatedOptions = this.normalizeOptions_($.extend(this.getOptions(), options));
+    if (JSON.stringify(updatedOptions) === JSON.stringify(this.options)) {
+      return;
+    }
+    this.options = updatedOptions;
+    pskl.UserSettings.set(pskl.UserSettings.DITHERING_OPTIONS, this.getOptions());
+    $.publish(Events.DITHERING_OPTIONS_CHANGED);
+  };
+
+  ns.DitheringService.prototype.normalizeOptions_ = function (options) {
+    var utils = pskl.utils.DitheringUtils;
+    var defaults = pskl.UserSettings.KEY_TO_DEFAULT_VALUE_MAP_.DITHERING_OPTIONS;
+    var isValid = function (values, value) {
+      return Object.keys(values).some(function (key) {
+        return values[key] === value;
+      });
+    };
+
+    var customPatternLength = utils.CUSTOM_PATTERN_SIZE * utils.CUSTOM_PATTERN_SIZE;
+    var customPattern = Array.isArray(options.customPattern) ? options.customPattern : defaults.customPattern;
+    var density = parseFloat(options.density);
+
+    return {
+      pattern : isValid(utils.PATTERNS, options.pattern) ? options.pattern : defaults.pattern,
+      density : isNaN(density) ? defaults.density : Math.min(1, Math.max(0, density)),
+      customPattern : customPattern.slice(0, customPatternLength).map(Boolean),
+      mode : isValid(MODES, options.mode) ? options.mode : defaults.mode,
+      algorithm : isValid(utils.ALGORITHMS, options.algorithm) ? options.algorithm : defaults.algorithm
+    };
+  };
+})();
@@ -31,7 +31,10 @@
       LASSO_SELECT : createShortcut('tool-lasso-select', 'Lasso selection', 'H'),
       LIGHTEN : createShortcut('tool-lighten', 'Lighten tool', 'U'),
       DITHERING : createShortcut('tool-dithering', 'Dithering tool', 'T'),
-      COLORPICKER : createShortcut('tool-colorpicker', 'Color picker', 'O')
+      COLORPICKER : createShortcut('tool-colorpicker', 'Color picker', 'O'),
+      TILE_BRUSH : createShortcut('tool-tile-brush', 'Tile brush tool', 'I'),
+      TILE_PICKER : createShortcut('tool-tile-picker', 'Tile picker', 'K'),
+      FREE_TRANSFORM : createShortcut('tool-free-transform', 'Free transform tool', 'F')
     },
 
     SELECTION : {
@@ -39,7 +42,11 @@
       COPY : createShortcut('selection-copy', 'Copy selection', 'ctrl+C'),
       PASTE : createShortcut('selection-paste', 'Paste selection', 'ctrl+V'),
       DELETE : createShortcut('selection-delete', 'Delete selection', ['DEL', 'BACK']),
-      COMMIT : createShortcut('selection-commit', 'Commit selection', ['ENTER'])
+      COMMIT : createShortcut('selection-commit', 'Commit selection', ['ENTER']),
+      CANCEL : createShortcut('selection-cancel', 'Cancel selection transformation', ['ESC']),
+      SELECT_ALL : createShortcut('selection-select-all', 'Select all', 'ctrl+A'),
+      INVERT : createShortcut('selection-invert', 'Invert selection', 'ctrl+shift+I'),
+      DESELECT : createShortcut('selection-deselect', 'Dismiss the selection and its mask', 'ctrl+D')
     },
 
     MISC : {
@@ -0,0 +1,16 @@
+(function () {
+  var ns = $.namespace('pskl.service.palette');
+
+  /**
+   * Palette of the current piskel when it uses indexed colors, empty otherwise.
+   */
+  ns.IndexedPalette = function () {
+    this.name = 'Indexed colors';
+    this.id = Constants.INDEXED_PALETTE_ID;
+  };
+
+  ns.IndexedPalette.prototype.getColors = function () {
+    var palette = pskl.app.piskelController.getIndexedPalette();
+    return palette ? palette.getColors().slice(0, Constants.MAX_PALETTE_COLORS) : [];
+  };
+})();
@@ -8,15 +8,134 @@
     this.piskelController = piskelController;
   };
 
+  ns.PaletteMatchingService.DITHERING = {
+    NONE : 'none',
+    FLOYD_STEINBERG : 'floyd-steinberg',
+    ATKINSON : 'atkinson',
+    ORDERED : 'ordered'
+  };
+
+  /**
+   * Error diffusion kernels, as lists of [column offset, row offset, weight].
+   */
+  ns.PaletteMatchingService.DIFFUSION_KERNELS = {
+    'floyd-steinberg' : [[1, 0, 7 / 16], [-1, 1, 3 / 16], [0, 1, 5 / 16], [1, 1, 1 / 16]],
+    // Atkinson dithering only spreads 3/4 of the error, which keeps more contrast.
+    'atkinson' : [[1, 0, 1 / 8], [2, 0, 1 / 8], [-1, 1, 1 / 8], [0, 1, 1 / 8], [1, 1, 1 / 8], [0, 2, 1 / 8]]
+  };
+
+  /**
+   * Keep the palette indexes of indexed piskels in sync with their pixels.
+   */
+  ns.PaletteMatchingService.prototype.init = function () {
+    $.subscribe(Events.PISKEL_SAVE_STATE, this.updateIndexedFrames.bind(this));
+    $.subscribe(Events.PISKEL_RESET, this.updateIndexedFrames.bind(this));
+  };
+
+  /**
+   * Switch the current piskel to indexed color mode: all pixels are matched to the nearest
+   * color of the palette and linked to the corresponding palette entry.
+   * @param {pskl.model.Palette} palette
+   */
+  ns.PaletteMatchingService.prototype.convertToIndexed = function (palette) {
+    if (!palette || palette.size() === 0) {
+      return;
+    }
+    this.piskelController.setIndexedPalette(palette);
+    this.updateIndexedFrames();
+  };
+
+  /**
+   * Switch the current piskel back to RGBA mode, pixels keep their current color.
+   */
+  ns.PaletteMatchingService.prototype.convertToRGBA = function () {
+    this.piskelController.setIndexedPalette(null);
+  };
+
+  /**
+   * Index all the frames of the current piskel modified since they were last indexed.
+   * Does nothing if the piskel is not in indexed color mode.
+   */
+  ns.PaletteMatchingService.prototype.updateIndexedFrames = function () {
+    var piskel = this.piskelController.getPiskel();
+    if (!piskel.isIndexed() || piskel.getPalette().size() === 0) {
+      return;
+    }
+
+    var paletteData = this.buildPaletteData_(piskel.getPalette().getColors());
+    var indexCache = {};
+    piskel.getLayers().forEach(function (layer) {
+      layer.getFrames().forEach(function (frame) {
+        if (!frame.hasUpToDateIndexes()) {
+          this.indexFrame(frame, paletteData, indexCache);
+        }
+      }.bind(this));
+    }.bind(this));
+  };
+
+  /**
+   * Compute the palette indexes of a frame. Pixels keep their previous index if its color
+   * still matches, other pixels are linked to the nearest palette color and recolored.
+   * Transparent pixels have the index -1.
+   * @param {pskl.model.Frame} frame
+   * @param {Array} paletteData palette data created by buildPaletteData_
+   * @param {Object} indexCache optional cache of palette indexes, shared between frames
+   */
+  ns.PaletteMatchingService.prototype.indexFrame = function (frame, paletteData, indexCache) {
+    indexCache = indexCache || {};
+    var pixels = frame.pixels;
+    var previousIndexes = frame.indexes && frame.indexes.length === pixels.length ? frame.indexes : null;
+    var indexes = new Int16Array(pixels.length);
+    var modified = false;
+
+    for (var i = 0; i < pixels.length; i++) {
+      var colorInt = pixels[i];
+      if (((colorInt >>> 24) & 0xff) === 0) {
+        indexes[i] = -1;
+        continue;
+      }
+
+      var previousIndex = previousIndexes ? previousIndexes[i] : -1;
+      if (previousIndex !== -1 && paletteData[previousIndex] && paletteData[previousIndex].int === colorInt) {
+        indexes[i] = previousIndex;
+        continue;
+      }
+
+      var index = indexCache[colorInt];
+      if (index === undefined) {
+        index = this.findNearestIndex_(colorInt & 0xff, (colorInt >> 8) & 0xff, (colorInt >> 16) & 0xff, paletteData);
+        indexCache[colorInt] = index;
+      }
+
+      indexes[i] = index;
+      if (pixels[i] !== paletteData[index].int) {
+        pixels[i] = paletteData[index].int;
+        modified = true;
+      }
+    }
+
+    if (modified) {
+      frame.version++;
+    }
+    frame.setIndexes(indexes);
+  };
+
   /**
    * Apply palette matching to all frames and layers.
    * @param {pskl.model.Palette} palette - Target palette
-   * @param {Object} options - { allLayers: boolean, allFrames: boolean }
+   * @param {Object} options - {
+   *   allLayers: boolean,
+   *   allFrames: boolean,
+   *   dithering: one of PaletteMatchingService.DITHERING, defaults to NONE,
+   *   metric: one of pskl.utils.ColorDistanceUtils.METRICS, defaults to REDMEAN
+   * }
    */
   ns.PaletteMatchingService.prototype.matchToPalette = function (palette, options) {
     options = options || {};
     var allLayers = options.allLayers !== false;
     var allFrames = options.allFrames !== false;
+    var dithering = options.dithering || ns.PaletteMatchingService.DITHERING.NONE;
+    var metric = options.metric || pskl.utils.ColorDistanceUtils.METRICS.REDMEAN;
 
     var colors = palette.getColors();
     if (!colors || colors.length === 0) {
@@ -24,7 +143,7 @@
     }
 
     // Pre-convert palette to RGB components for fast lookup
-    var paletteData = this.buildPaletteData_(colors);
+    var paletteData = this.buildPaletteData_(colors, metric);
 
     // Global cache across all frames (same colors map to same results)
     var colorCache = {};
@@ -41,7 +160,11 @@
         [layer.getFrameAt(currentFrameIndex)];
 
       for (var f = 0; f < frames.length; f++) {
-        this.matchFrameToPalette_(frames[f], paletteData, colorCache);
+        if (dithering === ns.PaletteMatchingService.DITHERING.NONE) {
+          this.matchFrameToPalette_(frames[f], paletteData, colorCache, metric);
+        } else {
+          this.ditherFrameToPalette_(frames[f], paletteData, colorCache, dithering, metric);
+        }
       }
     }
   };
@@ -50,16 +173,22 @@
    * Build optimized palette data structure.
    * @private
    */
-  ns.PaletteMatchingService.prototype.buildPaletteData_ = function (colors) {
+  ns.PaletteMatchingService.prototype.buildPaletteData_ = function (colors, metric) {
+    var isLabMetric = pskl.utils.ColorDistanceUtils.isLabMetric(metric);
     var data = [];
     for (var i = 0; i < colors.length; i++) {
       var hex = colors[i].replace(/^#/, '');
       var bigint = parseInt(hex, 16);
-      data.push({
+      var color = {
         r: (bigint >> 16) & 255,
         g: (bigint >> 8) & 255,
-        b: bigint & 255
-      });
+        b: bigint & 255,
+        int: pskl.utils.colorToInt(colors[i])
+      };
+      if (isLabMetric) {
+        color.lab = pskl.utils.ColorDistanceUtils.rgbToLab(color.r, color.g, color.b);
+      }
+      data.push(color);
     }
     return data;
   };
@@ -69,7 +198,7 @@
    * Operates directly on pixel buffer for maximum speed.
    * @private
    */
-  ns.PaletteMatchingService.prototype.matchFrameToPalette_ = function (frame, paletteData, colorCache) {
+  ns.PaletteMatchingService.prototype.matchFrameToPalette_ = function (frame, paletteData, colorCache, metric) {
     var pixels = frame.pixels;
     var length = pixels.length;
     var modified = false;
@@ -98,34 +227,10 @@
       var g = (colorInt >> 8) & 0xff;
       var b = (colorInt >> 16) & 0xff;
 
-      // Find nearest palette color (inline for speed)
-      var minDist = Infinity;
-      var nearestR = paletteData[0].r;
-      var nearestG = paletteData[0].g;
-      var nearestB = paletteData[0].b;
-
-      for (var p = 0; p < paletteData.length; p++) {
-        var pr = paletteData[p].r;
-        var pg = paletteData[p].g;
-        var pb = paletteData[p].b;
-
-        // Redmean weighted distance (skip sqrt - only comparing)
-        var rMean = (r + pr) >> 1;
-        var dr = r - pr;
-        var dg = g - pg;
-        var db = b - pb;
-        var dist = ((512 + rMean) * dr * dr >> 8) + 4 * dg * dg + ((767 - rMean) * db * db >> 8);
-
-        if (dist < minDist) {
-          minDist = dist;
-          nearestR = pr;
-          nearestG = pg;
-          nearestB = pb;
-          if (dist === 0) {
-            break; // Exact match
-          }
-        }
-      }
+      var nearest = paletteData[this.findNearestIndex_(r, g, b, paletteData, metric)];
+      var nearestR = nearest.r;
+      var nearestG = nearest.g;
+      var nearestB = nearest.b;
 
       // Build new color int (preserve alpha)
       var newColorInt = ((alpha << 24) >>> 0) + (nearestB << 16) + (nearestG << 8) + nearestR;
@@ -142,4 +247,169 @@
       frame.version++;
     }
   };
+
+  /**
+   * Match all pixels in a frame to the palette, dithering the difference between the
+   * original colors and the palette colors. Pixels are processed from left to right and
+   * top to bottom, transparent pixels are skipped and do not receive any error.
+   * @private
+   */
+  ns.PaletteMatchingService.prototype.ditherFrameToPalette_ = function (frame, paletteData, cache, dithering, metric) {
+    var pixels = frame.pixels;
+    var width = frame.getWidth();
+    var height = frame.getHeight();
+    var kernel = ns.PaletteMatchingService.DIFFUSION_KERNELS[dithering];
+    var errors = kernel ? new Float32Array(pixels.length * 3) : null;
+    // Amplitude of the ordered dithering noise, smaller for bigger palettes.
+    var spread = 255 / Math.cbrt(Math.max(2, paletteData.length));
+    var modified = false;
+
+    for (var row = 0; row < height; row++) {
+      for (var col = 0; col < width; col++) {
+        var i = row * width + col;
+        var colorInt = pixels[i];
+        var alpha = (colorInt >>> 24) & 0xff;
+        if (alpha === 0) {
+          continue;
+        }
+
+        var r = colorInt & 0xff;
+        var g = (colorInt >> 8) & 0xff;
+        var b = (colorInt >> 16) & 0xff;
+        if (errors) {
+          r += errors[i * 3];
+          g += errors[i * 3 + 1];
+          b += errors[i * 3 + 2];
+        } else {
+          var bias = (this.getOrderedThreshold_(col, row) - 0.5) * spread;
+          r += bias;
+          g += bias;
+          b += bias;
+        }
+        r = Math.max(0, Math.min(255, Math.round(r)));
+        g = Math.max(0, Math.min(255, Math.round(g)));
+        b = Math.max(0, Math.min(255, Math.round(b)));
+
+        // Cache keys are prefixed to avoid any collision with the colors of matchFrameToPalette_.
+        var key = 'rgb' + ((r << 16) | (g << 8) | b);
+        var index = cache[key];
+        if (index === undefined) {
+          index = this.findNearestIndex_(r, g, b, paletteData, metric);
+          cache[key] = index;
+        }
+
+        var nearest = paletteData[index];
+        var newColorInt = ((alpha << 24) >>> 0) + (nearest.b << 16) + (nearest.g << 8) + nearest.r;
+        if (pixels[i] !== newColorInt) {
+          pixels[i] = newColorInt;
+          modified = true;
+        }
+
+        if (errors) {
+          this.diffuseError_(errors, kernel, col, row, width, height, [
+            r - nearest.r,
+            g - nearest.g,
+            b - nearest.b
+          ]);
+        }
+      }
+    }
+
+    if (modified) {
+      frame.version++;
+    }
+  };
+
+  /**
+   * Spread the quantization error of a pixel to its neighbours, following the kernel weights.
+   * @private
+   */
+  ns.PaletteMatchingService.prototype.diffuseError_ = function (errors, kernel, col, row, width, height, error) {
+    for (var k = 0; k < kernel.length; k++) {
+      var x = col + kernel[k][0];
+      var y = row + kernel[k][1];
+      if (x < 0 || x >= width || y >= height) {
+        continue;
+      }
+      var offset = (y * width + x) * 3;
+      var weight = kernel[k][2];
+      errors[offset] += error[0] * weight;
+      errors[offset + 1] += error[1] * weight;
+      errors[offset + 2] += error[2] * weight;
+    }
+  };
+
+  /**
+   * @return {Number} threshold of the 4x4 Bayer matrix for the pixel, centered in the ]0, 1[ range
+   * @private
+   */
+  ns.PaletteMatchingService.prototype.getOrderedThreshold_ = function (col, row) {
+    var pattern = pskl.utils.DitheringUtils.PATTERNS.BAYER_4;
+    return pskl.utils.DitheringUtils.getThreshold(pattern, col, row) + 1 / 32;
+  };
+
+  /**
+   * Find the index of the palette color nearest to the provided RGB components.
+   * @param {String} metric one of pskl.utils.ColorDistanceUtils.METRICS, defaults to REDMEAN
+   * @private
+   */
+  ns.PaletteMatchingService.prototype.findNearestIndex_ = function (r, g, b, paletteData, metric) {
+    if (metric && metric !== pskl.utils.ColorDistanceUtils.METRICS.REDMEAN) {
+      return this.findNearestIndexWithMetric_(r, g, b, paletteData, metric);
+    }
+
+    var minDist = Infinity;
+    var nearestIndex = 0;
+
+    for (var p = 0; p < paletteData.length; p++) {
+      var pr = paletteData[p].r;
+      var pg = paletteData[p].g;
+      var pb = paletteData[p].b;
+
+      // Redmean weighted distance (skip sqrt - only comparing)
+      var rMean = (r + pr) >> 1;
+      var dr = r - pr;
+      var dg = g - pg;
+      var db = b - pb;
+      var dist = ((512 + rMean) * dr * dr >> 8) + 4 * dg * dg + ((767 - rMean) * db * db >> 8);
+
+      if (dist < minDist) {
+        minDist = dist;
+        nearestIndex = p;
+        if (dist === 0) {
+          break; // Exact match
+        }
+      }
+    }
+
+    return nearestIndex;
+  };
+
+  /**
+   * Slower variant of findNearestIndex_ supporting all the distance metrics.
+   * Palette data for CIELAB metrics must have been built with the same metric.
+   * @private
+   */
+  ns.PaletteMatchingService.prototype.findNearestIndexWithMetric_ = function (r, g, b, paletteData, metric) {
+    var distanceUtils = pskl.utils.ColorDistanceUtils;
+    var color = {r: r, g: g, b: b};
+    if (distanceUtils.isLabMetric(metric)) {
+      color.lab = distanceUtils.rgbToLab(r, g, b);
+    }
+
+    var minDist = Infinity;
+    var nearestIndex = 0;
+    for (var p = 0; p < paletteData.length; p++) {
+      var dist = distanceUtils.distance(color, paletteData[p], metric);
+      if (dist < minDist) {
+        minDist = dist;
+        nearestIndex = p;
+        if (dist === 0) {
+          break; // Exact match
+        }
+      }
+    }
+
+    return nearestIndex;
+  };
 })();
@@ -1,6 +1,10 @@
 (function () {
   var ns = $.namespace('pskl.service.storage');
 
+  var ONE_DAY = 24 * 60 * 60 * 1000;
+  // Size of the thumbnails stored with each save.
+  var THUMBNAIL_SIZE = 60;
+
   ns.IndexedDbStorageService = function (piskelController) {
     this.piskelController = piskelController;
     this.piskelDatabase = new pskl.database.PiskelDatabase();
@@ -17,16 +21,23 @@
     var description = piskel.getDescriptor().description;
     var date = Date.now();
     var serialized = pskl.utils.serialization.Serializer.serialize(piskel);
+    var info = {
+      thumbnail: this.createThumbnail_(piskel),
+      frames: piskel.getFrameCount(),
+      layers: piskel.getLayers().length
+    };
 
-    return this.save_(name, description, date, serialized);
+    return this.save_(name, description, date, serialized, info);
   };
 
-  ns.IndexedDbStorageService.prototype.save_ = function (name, description, date, serialized) {
+  ns.IndexedDbStorageService.prototype.save_ = function (name, description, date, serialized, info) {
     return this.piskelDatabase.get(name).then(function (piskelData) {
       if (typeof piskelData !== 'undefined') {
-        return this.piskelDatabase.update(name, description, date, serialized);
+        return this.piskelDatabase.update(name, description, date, serialized, info).then(function () {
+          return this.pruneRevisions_(name, date);
+        }.bind(this));
       } else {
-        return this.piskelDatabase.create(name, description, date, serialized);
+        return this.piskelDatabase.create(name, description, date, serialized, info);
       }
     }.bind(this));
   };
@@ -34,17 +45,11 @@
   ns.IndexedDbStorageService.prototype.load = function (name) {
     return this.piskelDatabase.get(name).then(function (piskelData) {
       if (typeof piskelData !== 'undefined') {
-        var serialized = piskelData.serialized;
-        pskl.utils.serialization.Deserializer.deserialize(
-          JSON.parse(serialized),
-          function (piskel) {
-            pskl.app.piskelController.setPiskel(piskel);
-          }
-        );
+        this.loadSerialized_(piskelData.serialized);
       } else {
         console.log('no local browser save found for name: ' + name);
       }
-    });
+    }.bind(this));
   };
 
   ns.IndexedDbStorageService.prototype.remove = function (name) {
@@ -54,4 +59,77 @@
   ns.IndexedDbStorageService.prototype.getKeys = function () {
     return this.piskelDatabase.list();
   };
+
+  /**
+   * Returns a promise that resolves the saved piskel for the provided name, including
+   * the serialized sprite.
+   */
+  ns.IndexedDbStorageService.prototype.get = function (name) {
+    return this.piskelDatabase.get(name);
+  };
+
+  /**
+   * Returns a promise that resolves the previous saves of a piskel, most recent first.
+   */
+  ns.IndexedDbStorageService.prototype.getRevisions = function (name) {
+    return this.piskelDatabase.getRevisions(name);
+  };
+
+  /**
+   * Returns a promise that resolves the revision for the provided id, including
+   * the serialized sprite.
+   */
+  ns.IndexedDbStorageService.prototype.getRevision = function (id) {
+    return this.piskelDatabase.getRevision(id);
+  };
+
+  /**
+   * Load a previous save of a piskel in the editor. The revision replaces the current
+   * save of the piskel when it is saved again.
+   */
+  ns.IndexedDbStorageService.prototype.loadRevision = function (id) {
+    return this.piskelDatabase.getRevision(id).then(function (revision) {
+      if (typeof revision !== 'undefined') {
+        this.loadSerialized_(revision.serialized);
+      } else {
+        console.log('no local browser revision found for id: ' + id);
+      }
+    }.bind(this));
+  };
+
+  ns.IndexedDbStorageService.prototype.removeRevision = function (id) {
+    return this.piskelDatabase.deleteRevision(id);
+  };
+
+  /**
+   * Delete the revisions which are not kept by the LOCAL_REVISIONS user setting.
+   * @private
+   */
+  ns.IndexedDbStorageService.prototype.pruneRevisions_ = function (name, date) {
+    var settings = pskl.UserSettings.get(pskl.UserSettings.LOCAL_REVISIONS);
+    return this.piskelDatabase.pruneRevisions(name, {
+      maxCount: settings.maxCount,
+      minDate: settings.maxAge ? date - settings.maxAge * ONE_DAY : 0
+    });
+  };
+
+  /** @private */
+  ns.IndexedDbStorageService.prototype.loadSerialized_ = function (serialized) {
+    pskl.utils.serialization.Deserializer.deserialize(
+      JSON.parse(serialized),
+      function (piskel) {
+        pskl.app.piskelController.setPiskel(piskel);
+      }
+    );
+  };
+
+  /**
+   * @return {String} data URI of the first frame of the piskel
+   * @private
+   */
+  ns.IndexedDbStorageService.prototype.createThumbnail_ = function (piskel) {
+    var frame = pskl.utils.LayerUtils.mergeFrameAt(piskel.getLayers(), 0);
+    var zoom = Math.min(THUMBNAIL_SIZE / piskel.getWidth(), THUMBNAIL_SIZE / piskel.getHeight());
+    return pskl.utils.FrameUtils.toImage(frame, zoom).toDataURL('image/png');
+  };
 })();
@@ -0,0 +1,153 @@
+(function () {
+  var ns = $.namespace('pskl.service.storage');
+
+  /**
+   * Store sprites on a HTTP server configured in the REMOTE_STORAGE user setting, see
+   * cli/storage-server.js for a reference implementation. The server API is:
+   * - GET /sprites : list of {name, description, date}
+   * - GET /sprites/:name : {name, description, date, serialized}
+   * - PUT /sprites/:name : save {name, description, date, serialized}
+   * - DELETE /sprites/:name
+   *
+   * Requests are authenticated with a bearer token. Each response for a sprite contains an
+   * ETag header, sent back in the If-Match header when saving or deleting the sprite, so
+   * that the server rejects the request with a 412 if someone else saved it in between.
+   */
+  ns.RemoteStorageService = function (piskelController) {
+    this.piskelController = piskelController;
+    // ETags of the sprites loaded or saved during this session, by name.
+    this.etags_ = {};
+  };
+
+  ns.RemoteStorageService.prototype.init = function () {};
+
+  ns.RemoteStorageService.prototype.isConfigured = function () {
+    return !!this.getSettings_().url;
+  };
+
+  /**
+   * Returns a promise that resolves the list of sprites stored on the server.
+   */
+  ns.RemoteStorageService.prototype.list = function () {
+    return this.request_('GET', this.getUrl_('sprites')).then(function (xhr) {
+      return JSON.parse(xhr.responseText);
+    });
+  };
+
+  ns.RemoteStorageService.prototype.load = function (name) {
+    return this.request_('GET', this.getSpriteUrl_(name)).then(function (xhr) {
+      var data = JSON.parse(xhr.responseText);
+      this.etags_[name] = xhr.getResponseHeader('ETag');
+
+      var deferred = Q.defer();
+      pskl.utils.serialization.Deserializer.deserialize(
+        JSON.parse(data.serialized),
+        function (piskel) {
+          pskl.app.piskelController.setPiskel(piskel);
+          deferred.resolve(piskel);
+        },
+        deferred.reject
+      );
+      return deferred.promise;
+    }.bind(this));
+  };
+
+  ns.RemoteStorageService.prototype.save = function (piskel) {
+    var descriptor = piskel.getDescriptor();
+    var name = descriptor.name;
+    var body = JSON.stringify({
+      name : name,
+      description : descriptor.description,
+      date : Date.now(),
+      serialized : pskl.utils.serialization.Serializer.serialize(piskel)
+    });
+
+    var headers = {'Content-Type' : 'application/json'};
+    var etag = this.etags_[name];
+    if (etag) {
+      headers['If-Match'] = etag;
+    } else {
+      // Never overwrite a sprite which was not loaded from the server.
+      headers['If-None-Match'] = '*';
+    }
+
+    return this.request_('PUT', this.getSpriteUrl_(name), body, headers).then(function (xhr) {
+      this.etags_[name] = xhr.getResponseHeader('ETag');
+    }.bind(this));
+  };
+
+  ns.RemoteStorageService.prototype.remove = function (name) {
+    var headers = {};
+    if (this.etags_[name]) {
+      headers['If-Match'] = this.etags_[name];
+    }
+
+    return this.request_('DELETE', this.getSpriteUrl_(name), undefined, headers).then(function () {
+      delete this.etags_[name];
+    }.bind(this));
+  };
+
+  /**
+   * Returns a promise that resolves the xhr of successful requests, and rejects an error
+   * message otherwise.
+   * @private
+   */
+  ns.RemoteStorageService.prototype.request_ = function (method, url, body, headers) {
+    var deferred = Q.defer();
+    if (!this.isConfigured()) {
+      deferred.reject('No storage server configured.');
+      return deferred.promise;
+    }
+
+    headers = headers || {};
+    var token = this.getSettings_().token;
+    if (token) {
+      headers.Authorization = 'Bearer ' + token;
+    }
+
+    var options = {
+      headers : headers,
+      body : body
+    };
+
+    pskl.utils.Xhr.request(method, url, options, deferred.resolve, function (e, xhr) {
+      deferred.reject(this.getErrorMessage_(xhr, headers));
+    }.bind(this));
+
+    return deferred.promise;
+  };
+
+  /** @private */
+  ns.RemoteStorageService.prototype.getErrorMessage_ = function (xhr, headers) {
+    var status = xhr ? xhr.status : 0;
+    if (status === 0) {
+      return 'Could not reach the storage server.';
+    } else if (status === 401) {
+      return 'Invalid access token for the storage server.';
+    } else if (status === 404) {
+      return 'This sprite does not exist on the storage server.';
+    } else if (status === 412 && headers['If-None-Match']) {
+      return 'A sprite with this name already exists on the storage server, load it before saving.';
+    } else if (status === 412) {
+      return 'This sprite was modified on the storage server since it was loaded, load it again before saving.';
+    } else if (status === 413) {
+      return 'This sprite is too big for the storage server.';
+    }
+    return 'Unexpected error on the storage server (' + status + ').';
+  };
+
+  /** @private */
+  ns.RemoteStorageService.prototype.getSettings_ = function () {
+    return pskl.UserSettings.get(pskl.UserSettings.REMOTE_STORAGE);
+  };
+
+  /** @private */
+  ns.RemoteStorageService.prototype.getUrl_ = function (path) {
+    return this.getSettings_().url.replace(/\/+$/, '') + '/' + path;
+  };
+
+  /** @private */
+  ns.RemoteStorageService.prototype.getSpriteUrl_ = function (name) {
+    return this.getUrl_('sprites/' + encodeURIComponent(name));
+  };
+})();
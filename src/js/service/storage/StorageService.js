@@ -40,6 +40,10 @@
     return this.delegateSave_(pskl.app.fileDownloadStorageService, piskel);
   };
 
+  ns.StorageService.prototype.saveToRemote = function (piskel) {
+    return this.delegateSave_(pskl.app.remoteStorageService, piskel);
+  };
+
   ns.StorageService.prototype.saveToDesktop = function (piskel, saveAsNew) {
     return this.delegateSave_(pskl.app.desktopStorageService, piskel, saveAsNew);
   };
@@ -15,11 +15,22 @@
     return this.toolId;
   };
 
+  /**
+   * True if the tool only modifies the pixels of the current selection, see
+   * pskl.selection.SelectionManager.getMask.
+   */
+  ns.Tool.prototype.usesSelectionMask = true;
+
   ns.Tool.prototype.raiseSaveStateEvent = function (replayData) {
-    $.publish(Events.PISKEL_SAVE_STATE, {
+    var action = {
       type : pskl.service.HistoryService.REPLAY,
       scope : this,
       replay : replayData
-    });
+    };
+
+    if (pskl.app.selectionManager) {
+      action = pskl.app.selectionManager.getMaskedAction(action);
+    }
+    $.publish(Events.PISKEL_SAVE_STATE, action);
   };
 })();
@@ -1,12 +1,27 @@
 var ns = $.namespace('pskl.tools');
 
 ns.ToolsHelper = {
+  /**
+   * Retrieve the layers which can be modified by a tool: either all layers or only the
+   * current layer. Locked layers are never returned.
+   *
+   * @param  {Boolean} useAllLayers true if all layers should be returned
+   * @return {Array[Layer]} list of Layer instances, can be empty
+   */
+  getTargetLayers : function (useAllLayers) {
+    var layers = useAllLayers ? pskl.app.piskelController.getLayers() : [pskl.app.piskelController.getCurrentLayer()];
+    return layers.filter(function (layer) {
+      return !layer.isEffectivelyLocked();
+    });
+  },
+
   /**
    * Retrieve a list of frames containing either :
    * - only the current frame (useAllLayers = false, useAllFrames = false)
    * - only the frames of the current layer (useAllLayers = false, useAllFrames = true)
    * - only the frames at the currentIndex in each layer  (useAllLayers = true, useAllFrames = false)
    * - all frames  (useAllLayers = true, useAllFrames = true)
+   * Frames of locked layers are never returned.
    *
    * @param  {Boolean} useAllLayers true if frames from all layers should be returned
    * @param  {Boolean} useAllFrames true if frames at any index should be returned
@@ -14,7 +29,7 @@ ns.ToolsHelper = {
    */
   getTargetFrames : function (useAllLayers, useAllFrames) {
     var currentFrameIndex = pskl.app.piskelController.getCurrentFrameIndex();
-    var layers = useAllLayers ? pskl.app.piskelController.getLayers() : [pskl.app.piskelController.getCurrentLayer()];
+    var layers = ns.ToolsHelper.getTargetLayers(useAllLayers);
     return layers.reduce(function (previous, layer) {
       var frames = useAllFrames ? layer.getFrames() : [layer.getFrameAt(currentFrameIndex)];
       return previous.concat(frames);
@@ -45,7 +45,7 @@
 
   ns.ColorSwap.prototype.swapColors_ = function(oldColor, newColor, allLayers, allFrames) {
     var currentFrameIndex = pskl.app.piskelController.getCurrentFrameIndex();
-    var layers = allLayers ? pskl.app.piskelController.getLayers() : [pskl.app.piskelController.getCurrentLayer()];
+    var layers = pskl.tools.ToolsHelper.getTargetLayers(allLayers);
     layers.forEach(function (layer) {
       var frames = allFrames ? layer.getFrames() : [layer.getFrameAt(currentFrameIndex)];
       frames.forEach(function (frame) {
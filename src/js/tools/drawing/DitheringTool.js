@@ -11,18 +11,27 @@
     this.toolId = 'tool-dithering';
     this.helpText = 'Dithering tool';
     this.shortcut = pskl.service.keyboard.Shortcuts.TOOL.DITHERING;
+
+    // Start point and filled area of the current gradient, in gradient mode.
+    this.gradientStart = null;
+    this.gradientArea = null;
   };
 
   pskl.utils.inherit(ns.DitheringTool, ns.SimplePen);
 
   ns.DitheringTool.prototype.supportsDynamicPenSize = function() {
-    return true;
+    return !this.isGradientMode_();
   };
 
   /**
    * @override
    */
   ns.DitheringTool.prototype.applyToolAt = function(col, row, frame, overlay, event) {
+    if (this.isGradientMode_()) {
+      this.startGradient_(col, row, frame, overlay);
+      return;
+    }
+
     this.previousCol = col;
     this.previousRow = row;
 
@@ -34,17 +43,73 @@
   };
 
   ns.DitheringTool.prototype.applyToolOnPixel = function(col, row, frame, overlay, event) {
-    var usePrimaryColor = (col + row) % 2;
+    var options = pskl.app.ditheringService.getOptions();
+    var usePrimaryColor = pskl.utils.DitheringUtils.isPrimaryPixel(options, col, row);
+    this.draw(this.getDitheringColor_(usePrimaryColor), col, row, frame, overlay);
+  };
 
+  /**
+   * @override
+   */
+  ns.DitheringTool.prototype.moveToolAt = function(col, row, frame, overlay, event) {
+    if (this.gradientStart) {
+      this.drawGradient_(col, row, overlay);
+    } else {
+      ns.SimplePen.prototype.moveToolAt.apply(this, arguments);
+    }
+  };
+
+  /**
+   * @override
+   */
+  ns.DitheringTool.prototype.releaseToolAt = function(col, row, frame, overlay, event) {
+    // The gradient drawn in the overlay during the last move is applied to the frame.
+    var isGradient = !!this.gradientStart;
+    this.gradientStart = null;
+    this.gradientArea = null;
+    ns.SimplePen.prototype.releaseToolAt.apply(this, arguments);
+    if (isGradient) {
+      overlay.clear();
+    }
+  };
+
+  ns.DitheringTool.prototype.isGradientMode_ = function () {
+    var options = pskl.app.ditheringService.getOptions();
+    return options.mode === pskl.service.dithering.DitheringService.MODES.GRADIENT;
+  };
+
+  /**
+   * The gradient fills the area of similar connected pixels around the start point.
+   */
+  ns.DitheringTool.prototype.startGradient_ = function (col, row, frame, overlay) {
+    if (!frame.containsPixel(col, row)) {
+      return;
+    }
+    this.gradientStart = {col : col, row : row};
+    this.gradientArea = pskl.PixelUtils.getSimilarConnectedPixelsFromFrame(frame, col, row);
+    this.drawGradient_(col, row, overlay);
+  };
+
+  ns.DitheringTool.prototype.drawGradient_ = function (col, row, overlay) {
+    overlay.clear();
+    this.resetUsedPixels_();
+
+    var options = pskl.app.ditheringService.getOptions();
+    var end = {col : col, row : row};
+    var pixels = pskl.utils.DitheringUtils.getGradientPixels(options, this.gradientArea, this.gradientStart, end);
+    pixels.forEach(function (pixel) {
+      var color = this.getDitheringColor_(pixel.primary);
+      this.draw(color, pixel.col, pixel.row, overlay, overlay);
+    }.bind(this));
+  };
+
+  ns.DitheringTool.prototype.getDitheringColor_ = function (usePrimaryColor) {
     if (pskl.app.mouseStateService.isRightButtonPressed()) {
       usePrimaryColor = !usePrimaryColor;
     }
 
-    var ditheringColor = usePrimaryColor ?
+    return usePrimaryColor ?
       pskl.app.selectedColorsService.getPrimaryColor() :
       pskl.app.selectedColorsService.getSecondaryColor();
-
-    this.draw(ditheringColor, col, row, frame, overlay);
   };
-
 })();
@@ -0,0 +1,412 @@
+/**
+ * @provide pskl.tools.drawing.FreeTransform
+ *
+ * @require pskl.utils
+ */
+(function() {
+  var ns = $.namespace('pskl.tools.drawing');
+
+  var HANDLE_COLOR = 'rgba(0, 120, 255, 0.8)';
+  var OUTLINE_COLOR = 'rgba(0, 120, 255, 0.4)';
+  // Distance in pixels between the top edge of the bounding box and the rotation handle.
+  var ROTATION_HANDLE_DISTANCE = 2;
+  // Rotation step used when holding shift.
+  var ROTATION_SNAP = 15;
+
+  /**
+   * Rotate and scale the current selection, frame, layer or sprite with arbitrary angles
+   * and scale factors. The transformation is previewed on the current frame until it is
+   * applied or cancelled.
+   */
+  ns.FreeTransform = function() {
+    this.toolId = ns.FreeTransform.TOOL_ID;
+    this.helpText = 'Rotate and scale';
+    this.shortcut = pskl.service.keyboard.Shortcuts.TOOL.FREE_TRANSFORM;
+
+    this.tooltipDescriptors = [
+      {description : 'Drag a corner to scale, drag anywhere else to rotate.'},
+      {key : 'shift', description : 'Keep the proportions or rotate by steps of 15 degrees'},
+      {key : 'enter', description : 'Apply the transformation'},
+      {key : 'esc', description : 'Cancel the transformation'}
+    ];
+
+    this.algorithm = pskl.tools.transform.TransformUtils.ALGORITHMS.ROTSPRITE;
+    this.target = ns.FreeTransform.TARGETS.FRAME;
+    this.session = null;
+
+    $.subscribe(Events.TOOL_SELECTED, this.onToolSelected_.bind(this));
+    $.subscribe(Events.PISKEL_RESET, this.onPiskelReset_.bind(this));
+  };
+
+  ns.FreeTransform.TOOL_ID = 'tool-free-transform';
+
+  ns.FreeTransform.TARGETS = {
+    // Current frame of the current layer.
+    FRAME : 'frame',
+    // All the frames of the current layer.
+    LAYER : 'layer',
+    // All the frames of all the layers.
+    ALL : 'all'
+  };
+
+  pskl.utils.inherit(ns.FreeTransform, ns.BaseTool);
+
+  /**
+   * The selection is transformed instead of the whole frame when a selection is active, the
+   * transformed pixels are not limited to the selection.
+   * @override
+   */
+  ns.FreeTransform.prototype.usesSelectionMask = false;
+
+  /**
+   * @return {Object} the current transformation, as {angle, scaleX, scaleY}
+   */
+  ns.FreeTransform.prototype.getTransform = function () {
+    if (!this.session) {
+      return {angle : 0, scaleX : 1, scaleY : 1};
+    }
+    return {
+      angle : this.session.angle,
+      scaleX : this.session.scaleX,
+      scaleY : this.session.scaleY
+    };
+  };
+
+  /**
+   * Update the transformation previewed on the current frame.
+   * @param {Object} transform {angle, scaleX, scaleY}, missing values are not updated
+   */
+  ns.FreeTransform.prototype.setTransform = function (transform) {
+    if (!this.session) {
+      this.startSession_(pskl.app.piskelController.getCurrentFrame());
+    }
+    $.extend(this.session, transform);
+    this.updatePreview_();
+  };
+
+  /**
+   * @param {Object} options {algorithm, target}, missing values are not updated
+   */
+  ns.FreeTransform.prototype.setOptions = function (options) {
+    this.algorithm = options.algorithm || this.algorithm;
+    this.target = options.target || this.target;
+    if (this.session) {
+      this.updatePreview_();
+    } else {
+      this.publishChange_();
+    }
+  };
+
+  ns.FreeTransform.prototype.getOptions = function () {
+    return {
+      algorithm : this.algorithm,
+      target : this.target
+    };
+  };
+
+  ns.FreeTransform.prototype.hasSession = function () {
+    return !!this.session;
+  };
+
+  /**
+   * @override
+   */
+  ns.FreeTransform.prototype.applyToolAt = function(col, row, frame, overlay, event) {
+    if (this.session && this.session.frame !== frame) {
+      // The current frame changed since the transformation started.
+      this.cancel();
+    }
+    if (!this.session) {
+      this.startSession_(frame);
+    }
+
+    var session = this.session;
+    session.startCol = col;
+    session.startRow = row;
+    session.startTransform = this.getTransform();
+    session.dragCorner = this.getCornerAt_(col, row);
+    session.mode = session.dragCorner && !this.isRotationHandle_(session.dragCorner) ? 'scale' : 'rotate';
+  };
+
+  /**
+   * @override
+   */
+  ns.FreeTransform.prototype.moveToolAt = function(col, row, frame, overlay, event) {
+    var session = this.session;
+    if (!session || !session.mode) {
+      return;
+    }
+
+    if (session.mode === 'scale') {
+      this.scaleTo_(col, row, event.shiftKey);
+    } else {
+      this.rotateTo_(col, row, event.shiftKey);
+    }
+    this.updatePreview_();
+  };
+
+  /**
+   * @override
+   */
+  ns.FreeTransform.prototype.releaseToolAt = function(col, row, frame, overlay, event) {
+    if (this.session) {
+      this.moveToolAt(col, row, frame, overlay, event);
+      this.session.mode = null;
+    }
+  };
+
+  /**
+   * @override
+   */
+  ns.FreeTransform.prototype.moveUnactiveToolAt = function (col, row, frame, overlay, event) {
+    // Keep the handles displayed instead of the highlighted pixel.
+    if (!this.session) {
+      ns.BaseTool.prototype.moveUnactiveToolAt.apply(this, arguments);
+    }
+  };
+
+  /**
+   * Apply the previewed transformation to all the target frames and save it in the history.
+   */
+  ns.FreeTransform.prototype.commit = function () {
+    var session = this.session;
+    if (!session) {
+      return;
+    }
+    this.restoreFrame_();
+    this.session = null;
+    this.overlay_().clear();
+
+    var replayData = {
+      angle : session.angle,
+      scaleX : session.scaleX,
+      scaleY : session.scaleY,
+      algorithm : this.algorithm,
+      pivot : session.pivot,
+      pixels : session.pixels,
+      allLayers : this.target === ns.FreeTransform.TARGETS.ALL,
+      allFrames : this.target !== ns.FreeTransform.TARGETS.FRAME
+    };
+    this.applyTransform_(replayData);
+
+    if (session.pixels) {
+      // The selected pixels moved, the selection no longer matches them.
+      $.publish(Events.SELECTION_DISMISSED);
+    }
+    $.publish(Events.PISKEL_RESET);
+    this.raiseSaveStateEvent(replayData);
+    this.publishChange_();
+  };
+
+  /**
+   * Restore the current frame and stop previewing the transformation.
+   */
+  ns.FreeTransform.prototype.cancel = function () {
+    if (!this.session) {
+      return;
+    }
+    this.restoreFrame_();
+    this.session = null;
+    this.overlay_().clear();
+    this.publishChange_();
+  };
+
+  ns.FreeTransform.prototype.replay = function(frame, replayData) {
+    this.applyTransform_(replayData);
+  };
+
+  ns.FreeTransform.prototype.applyTransform_ = function (data) {
+    pskl.tools.ToolsHelper.getTargetFrames(data.allLayers, data.allFrames).forEach(function (frame) {
+      pskl.tools.transform.TransformUtils.freeTransform(frame, data);
+    });
+  };
+
+  ns.FreeTransform.prototype.onToolSelected_ = function (evt, tool) {
+    if (tool !== this) {
+      this.cancel();
+    }
+  };
+
+  /**
+   * The frames were replaced (undo, import...), drop the transformation without restoring
+   * the previewed frame.
+   */
+  ns.FreeTransform.prototype.onPiskelReset_ = function () {
+    if (this.session) {
+      this.session = null;
+      this.overlay_().clear();
+      this.publishChange_();
+    }
+  };
+
+  ns.FreeTransform.prototype.startSession_ = function (frame) {
+    var selection = pskl.app.selectionManager.currentSelection;
+    var pixels = selection && selection.pixels.length ? selection.pixels.map(function (pixel) {
+      return {col : pixel.col, row : pixel.row};
+    }) : null;
+
+    var bounds = this.getBounds_(frame, pixels);
+    this.session = {
+      frame : frame,
+      original : frame.clone(),
+      pixels : pixels,
+      bounds : bounds,
+      pivot : {
+        x : (bounds.minx + bounds.maxx + 1) / 2,
+        y : (bounds.miny + bounds.maxy + 1) / 2
+      },
+      angle : 0,
+      scaleX : 1,
+      scaleY : 1
+    };
+  };
+
+  /**
+   * @return {Object} bounding box {minx, miny, maxx, maxy} of the selection, or of the
+   *         frame content, or of the whole frame if the frame is empty
+   */
+  ns.FreeTransform.prototype.getBounds_ = function (frame, pixels) {
+    var bounds;
+    if (pixels) {
+      bounds = {minx : Infinity, miny : Infinity, maxx : -Infinity, maxy : -Infinity};
+      pixels.forEach(function (pixel) {
+        bounds.minx = Math.min(bounds.minx, pixel.col);
+        bounds.maxx = Math.max(bounds.maxx, pixel.col);
+        bounds.miny = Math.min(bounds.miny, pixel.row);
+        bounds.maxy = Math.max(bounds.maxy, pixel.row);
+      });
+    } else {
+      bounds = pskl.tools.transform.TransformUtils.getBoundaries([frame]);
+    }
+
+    if (bounds.minx > bounds.maxx) {
+      bounds = {minx : 0, miny : 0, maxx : frame.getWidth() - 1, maxy : frame.getHeight() - 1};
+    }
+    return bounds;
+  };
+
+  ns.FreeTransform.prototype.restoreFrame_ = function () {
+    this.session.frame.setPixels(this.session.original.pixels);
+  };
+
+  ns.FreeTransform.prototype.updatePreview_ = function () {
+    var session = this.session;
+    session.frame.setPixels(session.original.pixels);
+    pskl.tools.transform.TransformUtils.freeTransform(session.frame, {
+      angle : session.angle,
+      scaleX : session.scaleX,
+      scaleY : session.scaleY,
+      algorithm : this.algorithm,
+      pivot : session.pivot,
+      pixels : session.pixels
+    });
+    this.drawHandles_();
+    this.publishChange_();
+  };
+
+  /**
+   * @return {Array} positions of the handles, as {x, y, corner} where corner is the
+   *         untransformed position of the handle relative to the pivot
+   */
+  ns.FreeTransform.prototype.getHandles_ = function () {
+    var session = this.session;
+    var bounds = session.bounds;
+    var pivot = session.pivot;
+    var left = bounds.minx + 0.5 - pivot.x;
+    var right = bounds.maxx + 0.5 - pivot.x;
+    var top = bounds.miny + 0.5 - pivot.y;
+    var bottom = bounds.maxy + 0.5 - pivot.y;
+    var corners = [
+      {x : left, y : top},
+      {x : right, y : top},
+      {x : right, y : bottom},
+      {x : left, y : bottom},
+      // Rotation handle
+      {x : 0, y : bounds.miny - ROTATION_HANDLE_DISTANCE + 0.5 - pivot.y, rotation : true}
+    ];
+
+    return corners.map(function (corner) {
+      // The rotation handle is not scaled, it always stays above the top edge.
+      var x = corner.rotation ? corner.x : corner.x * session.scaleX;
+      var y = corner.rotation ? top * session.scaleY - ROTATION_HANDLE_DISTANCE : corner.y * session.scaleY;
+      var position = pskl.tools.transform.TransformUtils.transformVector(x, y, {angle : session.angle});
+      return {
+        col : Math.floor(pivot.x + position.x),
+        row : Math.floor(pivot.y + position.y),
+        corner : corner
+      };
+    }.bind(this));
+  };
+
+  ns.FreeTransform.prototype.getCornerAt_ = function (col, row) {
+    var handle = pskl.utils.Array.find(this.getHandles_(), function (handle) {
+      return Math.abs(handle.col - col) <= 1 && Math.abs(handle.row - row) <= 1;
+    });
+    return handle ? handle.corner : null;
+  };
+
+  ns.FreeTransform.prototype.isRotationHandle_ = function (corner) {
+    return !!corner.rotation;
+  };
+
+  ns.FreeTransform.prototype.scaleTo_ = function (col, row, keepRatio) {
+    var session = this.session;
+    var corner = session.dragCorner;
+    // Position of the mouse in the coordinates of the untransformed bounding box.
+    var position = pskl.tools.transform.TransformUtils.invertVector(
+      col + 0.5 - session.pivot.x, row + 0.5 - session.pivot.y, {angle : session.angle});
+
+    var scaleX = corner.x !== 0 ? position.x / corner.x : session.scaleX;
+    var scaleY = corner.y !== 0 ? position.y / corner.y : session.scaleY;
+    if (keepRatio) {
+      var start = session.startTransform;
+      var ratio = Math.max(Math.abs(scaleX / start.scaleX), Math.abs(scaleY / start.scaleY));
+      scaleX = start.scaleX * ratio * (scaleX < 0 !== start.scaleX < 0 ? -1 : 1);
+      scaleY = start.scaleY * ratio * (scaleY < 0 !== start.scaleY < 0 ? -1 : 1);
+    }
+    session.scaleX = this.round_(scaleX);
+    session.scaleY = this.round_(scaleY);
+  };
+
+  ns.FreeTransform.prototype.rotateTo_ = function (col, row, snap) {
+    var session = this.session;
+    var pivot = session.pivot;
+    var startAngle = Math.atan2(session.startRow + 0.5 - pivot.y, session.startCol + 0.5 - pivot.x);
+    var currentAngle = Math.atan2(row + 0.5 - pivot.y, col + 0.5 - pivot.x);
+
+    var angle = session.startTransform.angle + (currentAngle - startAngle) * 180 / Math.PI;
+    if (snap) {
+      angle = Math.round(angle / ROTATION_SNAP) * ROTATION_SNAP;
+    }
+    session.angle = this.round_(((angle % 360) + 360) % 360);
+  };
+
+  ns.FreeTransform.prototype.round_ = function (value) {
+    return Math.round(value * 100) / 100;
+  };
+
+  ns.FreeTransform.prototype.drawHandles_ = function () {
+    var overlay = this.overlay_();
+    overlay.clear();
+
+    var handles = this.getHandles_();
+    for (var i = 0 ; i < 4 ; i++) {
+      var from = handles[i];
+      var to = handles[(i + 1) % 4];
+      pskl.PixelUtils.getLinePixels(from.col, to.col, from.row, to.row).forEach(function (pixel) {
+        overlay.setPixel(pixel.col, pixel.row, OUTLINE_COLOR);
+      });
+    }
+    handles.forEach(function (handle) {
+      overlay.setPixel(handle.col, handle.row, HANDLE_COLOR);
+    });
+  };
+
+  ns.FreeTransform.prototype.overlay_ = function () {
+    return pskl.app.drawingController.overlayFrame;
+  };
+
+  ns.FreeTransform.prototype.publishChange_ = function () {
+    $.publish(Events.FREE_TRANSFORM_CHANGED);
+  };
+})();
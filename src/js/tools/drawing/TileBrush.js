@@ -0,0 +1,85 @@
+/**
+ * @provide pskl.tools.drawing.TileBrush
+ *
+ * @require pskl.utils
+ */
+(function() {
+  var ns = $.namespace('pskl.tools.drawing');
+
+  /**
+   * Place the selected tile of the tileset on the cells of a tilemap layer.
+   * The right button clears the cells.
+   */
+  ns.TileBrush = function() {
+    this.toolId = 'tool-tile-brush';
+    this.helpText = 'Tile brush tool';
+    this.shortcut = pskl.service.keyboard.Shortcuts.TOOL.TILE_BRUSH;
+
+    this.cells = [];
+  };
+
+  pskl.utils.inherit(ns.TileBrush, ns.BaseTool);
+
+  /**
+   * @override
+   */
+  ns.TileBrush.prototype.applyToolAt = function(col, row, frame, overlay, event) {
+    var tileset = pskl.app.piskelController.getTileset();
+    if (!tileset || !pskl.app.piskelController.getCurrentLayer().isTilemap()) {
+      return;
+    }
+
+    var tile = pskl.app.tilemapService.getSelectedTile();
+    if (pskl.app.mouseStateService.isRightButtonPressed() || !tileset.getTileAt(tile)) {
+      tile = -1;
+    }
+
+    var tileSize = tileset.getTileSize();
+    var cell = {
+      col : Math.floor(col / tileSize),
+      row : Math.floor(row / tileSize),
+      tile : tile
+    };
+    if (frame.getTileMap() && frame.getTileMap().getTileAt(cell.col, cell.row) !== tile) {
+      this.cells.push(cell);
+      this.setCellsToFrame_(frame, [cell], tileset);
+    }
+  };
+
+  /**
+   * @override
+   */
+  ns.TileBrush.prototype.moveToolAt = function(col, row, frame, overlay, event) {
+    this.applyToolAt(col, row, frame, overlay, event);
+  };
+
+  /**
+   * @override
+   */
+  ns.TileBrush.prototype.releaseToolAt = function(col, row, frame, overlay, event) {
+    if (this.cells.length > 0) {
+      this.raiseSaveStateEvent({
+        cells : this.cells
+      });
+    }
+    this.cells = [];
+  };
+
+  ns.TileBrush.prototype.replay = function (frame, replayData) {
+    var piskelController = pskl.app.piskelController;
+    // Tiles drawn since the previous replayed action need to be extracted before placing tiles.
+    pskl.utils.TilemapUtils.syncLayers(piskelController.getLayers(), piskelController.getTileset());
+    this.setCellsToFrame_(frame, replayData.cells, piskelController.getTileset());
+  };
+
+  ns.TileBrush.prototype.setCellsToFrame_ = function (frame, cells, tileset) {
+    var tileMap = frame.getTileMap();
+    if (!tileMap) {
+      return;
+    }
+    cells.forEach(function (cell) {
+      tileMap.setTileAt(cell.col, cell.row, cell.tile);
+    });
+    pskl.utils.TilemapUtils.renderFrame(frame, tileset);
+  };
+})();
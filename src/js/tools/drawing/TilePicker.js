@@ -0,0 +1,33 @@
+/**
+ * @provide pskl.tools.drawing.TilePicker
+ *
+ * @require pskl.utils
+ */
+(function() {
+  var ns = $.namespace('pskl.tools.drawing');
+
+  ns.TilePicker = function() {
+    this.toolId = 'tool-tile-picker';
+    this.helpText = 'Tile picker';
+    this.shortcut = pskl.service.keyboard.Shortcuts.TOOL.TILE_PICKER;
+  };
+
+  pskl.utils.inherit(ns.TilePicker, ns.BaseTool);
+
+  /**
+   * @override
+   */
+  ns.TilePicker.prototype.applyToolAt = function(col, row, frame, overlay, event) {
+    var tileset = pskl.app.piskelController.getTileset();
+    var tileMap = frame.getTileMap();
+    if (!tileset || !tileMap || !frame.containsPixel(col, row)) {
+      return;
+    }
+
+    var tileSize = tileset.getTileSize();
+    var tile = tileMap.getTileAt(Math.floor(col / tileSize), Math.floor(row / tileSize));
+    if (tile !== -1) {
+      pskl.app.tilemapService.selectTile(tile);
+    }
+  };
+})();
@@ -14,7 +14,7 @@
 
   /** @override */
   ns.AbstractDragSelect.prototype.onSelectStart_ = function (col, row, frame, overlay) {
-    if (this.hasSelection) {
+    if (this.hasSelection && !this.isCombining_()) {
       this.hasSelection = false;
       this.commitSelection();
     } else {
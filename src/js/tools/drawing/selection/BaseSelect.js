@@ -19,35 +19,89 @@
     this.selection = null;
     this.hasSelection = false;
 
+    // Handles of the current selection, see SelectionTransform.
+    this.transformation = null;
+
+    // How the selection being drawn is combined with the previous one, see SelectionOperations.MODES.
+    this.combineMode = pskl.selection.SelectionOperations.MODES.REPLACE;
+    this.previousPixels_ = null;
+
     this.tooltipDescriptors = [
       {description : 'Drag the selection to move it. You may switch to other layers and frames.'},
+      {description : 'Drag the handles to scale, flip or rotate the selection.'},
+      {description : 'Select several frames in the frames list to move, cut and paste the content of all of them.'},
       {key : 'ctrl+c', description : 'Copy the selected area'},
       {key : 'ctrl+v', description : 'Paste the copied area'},
-      {key : 'shift', description : 'Hold to move the content'}
+      {key : 'shift', description : 'Hold to move the content, add to the selection or keep the proportions'},
+      {key : 'alt', description : 'Hold to subtract from the selection'},
+      {key : 'shift+alt', description : 'Hold to intersect with the selection'},
+      {key : 'ctrl', description : 'Hold on a side handle to skew the selection'},
+      {key : 'enter', description : 'Apply the transformation'},
+      {key : 'esc', description : 'Cancel the transformation'},
+      {key : 'ctrl+d', description : 'Dismiss the selection, the other tools only draw inside of it'}
     ];
 
     $.subscribe(Events.SELECTION_DISMISSED, this.onSelectionDismissed_.bind(this));
+    $.subscribe(Events.TOOL_SELECTED, this.onToolSelected_.bind(this));
+    $.subscribe(Events.PISKEL_RESET, this.onPiskelReset_.bind(this));
   };
 
   pskl.utils.inherit(ns.BaseSelect, pskl.tools.drawing.BaseTool);
 
+  /**
+   * Selection tools modify the selection itself, they are not limited by its mask.
+   * @override
+   */
+  ns.BaseSelect.prototype.usesSelectionMask = false;
+
   /**
    * @override
    */
   ns.BaseSelect.prototype.applyToolAt = function(col, row, frame, overlay, event) {
+    var transformation = this.transformation;
+    if (transformation && transformation.isPending() && transformation.frame !== frame) {
+      // The transformation was previewed on another frame.
+      this.cancelTransform();
+      transformation = this.transformation;
+    }
+
+    var handle = transformation && transformation.getHandleAt(col, row);
+    if (handle) {
+      this.mode = 'transform';
+      this.commitMovingContent_();
+      transformation.startDrag(handle, col, row, frame);
+      return;
+    }
+
+    // Any other click applies the previewed transformation before moving or replacing the selection.
+    this.commitTransform();
+    this.transformation = null;
+
     this.startCol = col;
     this.startRow = row;
 
     this.lastMoveCol = col;
     this.lastMoveRow = row;
 
+    var modes = pskl.selection.SelectionOperations.MODES;
+    this.combineMode = this.hasSelection && this.selection ? this.getCombineMode_(event) : modes.REPLACE;
+    var isInSelection = this.isInSelection(col, row);
+    if (isInSelection && this.combineMode === modes.ADD) {
+      // Shift on the selection moves the content instead of adding to the selection.
+      this.combineMode = modes.REPLACE;
+    }
+
     // The select tool can be in two different state.
-    // If the initial click of the tool is not on a selection, we go in 'select'
-    // mode to create a selection.
+    // If the initial click of the tool is not on a selection, or if the new selection is
+    // combined with the previous one, we go in 'select' mode to create a selection.
     // If the initial click is on a previous selection, we go in 'moveSelection'
     // mode to allow to move the selection by drag'n dropping it.
-    if (!this.isInSelection(col, row)) {
+    if (!isInSelection || this.combineMode !== modes.REPLACE) {
       this.mode = 'select';
+      if (this.combineMode !== modes.REPLACE) {
+        this.commitMovingContent_();
+        this.previousPixels_ = this.selection.pixels.slice(0);
+      }
       this.onSelectStart_(col, row, frame, overlay);
     } else {
       this.mode = 'moveSelection';
@@ -68,6 +122,8 @@
       this.onSelect_(col, row, frame, overlay);
     } else if (this.mode == 'moveSelection') {
       this.onSelectionMove_(col, row, frame, overlay);
+    } else if (this.mode == 'transform') {
+      this.onTransform_(col, row, overlay, event);
     }
   };
 
@@ -77,8 +133,14 @@
   ns.BaseSelect.prototype.releaseToolAt = function(col, row, frame, overlay, event) {
     if (this.mode == 'select') {
       this.onSelectEnd_(col, row, frame, overlay);
+      this.createTransformation_(overlay);
+      this.previousPixels_ = null;
     } else if (this.mode == 'moveSelection') {
       this.onSelectionMoveEnd_(col, row, frame, overlay);
+      this.createTransformation_(overlay);
+    } else if (this.mode == 'transform') {
+      this.onTransform_(col, row, overlay, event);
+      this.transformation.endDrag();
     }
   };
 
@@ -106,7 +168,13 @@
   };
 
   ns.BaseSelect.prototype.isInSelection = function (col, row) {
-    return this.selection && this.selection.pixels.some(function (pixel) {
+    if (!this.selection) {
+      return false;
+    }
+
+    var isTransformed = this.transformation && this.transformation.isPending();
+    var pixels = isTransformed ? this.transformation.getTransformedPixels() : this.selection.pixels;
+    return pixels.some(function (pixel) {
       return pixel.col === col && pixel.row === row;
     });
   };
@@ -116,11 +184,14 @@
    * typically by clicking outside of the selected area.
    */
   ns.BaseSelect.prototype.commitSelection = function () {
-    if (this.isMovingContent_) {
-      $.publish(Events.CLIPBOARD_PASTE);
-      this.isMovingContent_ = false;
+    if (this.commitTransform()) {
+      // Keep the transformed selection, the next commit will dismiss it.
+      this.redrawSelection_();
+      return;
     }
 
+    this.commitMovingContent_();
+
     // Clean previous selection:
     $.publish(Events.SELECTION_DISMISSED);
   };
@@ -129,11 +200,234 @@
    * Protected method, should be called when the selection is dismissed.
    */
   ns.BaseSelect.prototype.onSelectionDismissed_ = function () {
+    this.applyTransform_();
+    this.transformation = null;
+
     var overlay = pskl.app.drawingController.overlayFrame;
     overlay.clear();
     this.hasSelection = false;
   };
 
+  /**
+   * Replace the current selection, for instance with the result of a selection command.
+   * An empty selection dismisses the current selection.
+   * @param {pskl.selection.BaseSelection} selection
+   */
+  ns.BaseSelect.prototype.setSelection = function (selection) {
+    if (!selection.pixels.length) {
+      this.hasSelection = false;
+      this.commitSelection();
+      return;
+    }
+
+    this.commitTransform();
+    this.commitMovingContent_();
+    this.selection = selection;
+    this.hasSelection = true;
+    $.publish(Events.SELECTION_CREATED, [this.selection]);
+
+    var overlay = pskl.app.drawingController.overlayFrame;
+    overlay.clear();
+    this.drawSelectionOnOverlay_(overlay);
+    this.createTransformation_(overlay);
+  };
+
+  /**
+   * Alt is used to subtract from the selection.
+   * @override
+   */
+  ns.BaseSelect.prototype.supportsAlt = function () {
+    return true;
+  };
+
+  /**
+   * Protected method, should be called by the specialized tools on the selection being
+   * drawn, to combine it with the previous selection when holding shift or alt.
+   * @return {pskl.selection.BaseSelection} the selection
+   * @protected
+   */
+  ns.BaseSelect.prototype.combineSelection_ = function (selection) {
+    if (this.isCombining_()) {
+      selection.pixels = pskl.selection.SelectionOperations.combine(
+        this.previousPixels_, selection.pixels, this.combineMode);
+    }
+    return selection;
+  };
+
+  /**
+   * @return {Boolean} true if the selection being drawn is combined with the previous one
+   * @protected
+   */
+  ns.BaseSelect.prototype.isCombining_ = function () {
+    return !!this.previousPixels_;
+  };
+
+  /** @private */
+  ns.BaseSelect.prototype.getCombineMode_ = function (event) {
+    var modes = pskl.selection.SelectionOperations.MODES;
+    if (event.altKey) {
+      return event.shiftKey ? modes.INTERSECT : modes.SUBTRACT;
+    }
+    return event.shiftKey ? modes.ADD : modes.REPLACE;
+  };
+
+  /**
+   * Paste the content cut when moving the selection with shift.
+   * @private
+   */
+  ns.BaseSelect.prototype.commitMovingContent_ = function () {
+    if (this.isMovingContent_) {
+      $.publish(Events.CLIPBOARD_PASTE);
+      this.isMovingContent_ = false;
+    }
+  };
+
+  /**
+   * Restore the content of the frame and the selection as they were before dragging the handles.
+   * @return {Boolean} true if a transformation was cancelled
+   */
+  ns.BaseSelect.prototype.cancelTransform = function () {
+    if (!this.transformation || !this.transformation.isPending()) {
+      return false;
+    }
+
+    this.transformation.restore();
+    this.transformation = new ns.SelectionTransform(this.selection);
+    this.redrawSelection_();
+    return true;
+  };
+
+  ns.BaseSelect.prototype.replay = function (frame, replayData) {
+    pskl.tools.transform.TransformUtils.freeTransform(frame, replayData);
+  };
+
+  /**
+   * Apply the previewed transformation and save it in the history.
+   * @return {Array} the transformed selection pixels, or null if no transformation was applied
+   * @private
+   */
+  ns.BaseSelect.prototype.applyTransform_ = function () {
+    var transformation = this.transformation;
+    if (!transformation || !transformation.isPending()) {
+      return null;
+    }
+    this.transformation = null;
+
+    var pixels = transformation.getTransformedPixels();
+    var replayData = transformation.getOptions();
+    transformation.restore();
+    if (transformation.frame !== pskl.app.piskelController.getCurrentFrame()) {
+      // The history can only replay the transformation on the current frame.
+      return null;
+    }
+
+    pskl.tools.transform.TransformUtils.freeTransform(transformation.frame, replayData);
+    $.publish(Events.PISKEL_RESET);
+    this.raiseSaveStateEvent(replayData);
+    return pixels;
+  };
+
+  /**
+   * Apply the previewed transformation and update the selection with the transformed pixels.
+   * @return {Boolean} true if a transformation was applied
+   */
+  ns.BaseSelect.prototype.commitTransform = function () {
+    var pixels = this.applyTransform_();
+    if (!pixels) {
+      return false;
+    }
+
+    this.selection.pixels = pixels.map(function (pixel) {
+      return {col : pixel.col, row : pixel.row};
+    });
+    // The copied colors no longer match the selected pixels.
+    this.selection.hasPastedContent = false;
+    this.selection.frames = null;
+    this.transformation = new ns.SelectionTransform(this.selection);
+    return true;
+  };
+
+  /** @private */
+  ns.BaseSelect.prototype.createTransformation_ = function (overlay) {
+    if (this.hasSelection && this.selection && this.selection.pixels.length) {
+      this.transformation = new ns.SelectionTransform(this.selection);
+      this.transformation.drawHandles(overlay);
+    } else {
+      this.transformation = null;
+    }
+  };
+
+  /** @private */
+  ns.BaseSelect.prototype.onTransform_ = function (col, row, overlay, event) {
+    this.transformation.dragTo(col, row, {
+      keepRatio : event.shiftKey,
+      skew : pskl.utils.UserAgent.isMac ? event.metaKey : event.ctrlKey
+    });
+
+    overlay.clear();
+    this.transformation.getTransformedPixels().forEach(function (pixel) {
+      overlay.setPixel(pixel.col, pixel.row, Constants.SELECTION_TRANSPARENT_COLOR);
+    });
+    this.transformation.drawHandles(overlay);
+  };
+
+  /** @private */
+  ns.BaseSelect.prototype.redrawSelection_ = function () {
+    var overlay = pskl.app.drawingController.overlayFrame;
+    overlay.clear();
+    this.drawSelectionOnOverlay_(overlay);
+    if (this.transformation) {
+      this.transformation.drawHandles(overlay);
+    }
+  };
+
+  /**
+   * The selection is kept when switching tools, to be used as a mask by the other tools.
+   * Apply the pending changes when leaving the tool, display the current selection when
+   * selecting the tool.
+   * @private
+   */
+  ns.BaseSelect.prototype.onToolSelected_ = function (evt, tool) {
+    if (tool === this) {
+      this.showCurrentSelection_();
+      return;
+    }
+
+    var isTransformed = this.commitTransform();
+    this.commitMovingContent_();
+    this.transformation = null;
+    if (isTransformed && tool instanceof ns.BaseSelect) {
+      // The new selection tool might already display the selection as it was before the transformation.
+      tool.showCurrentSelection_();
+    }
+  };
+
+  /** @private */
+  ns.BaseSelect.prototype.showCurrentSelection_ = function () {
+    var selection = pskl.app.selectionManager.currentSelection;
+    this.selection = selection;
+    this.hasSelection = !!(selection && selection.pixels.length);
+
+    var overlay = pskl.app.drawingController.overlayFrame;
+    overlay.clear();
+    if (this.hasSelection) {
+      this.drawSelectionOnOverlay_(overlay);
+    }
+    this.createTransformation_(overlay);
+  };
+
+  /**
+   * The frames were replaced (undo, import...), drop the transformation without restoring
+   * the previewed frame.
+   * @private
+   */
+  ns.BaseSelect.prototype.onPiskelReset_ = function () {
+    if (this.transformation && this.transformation.isPending()) {
+      this.transformation = new ns.SelectionTransform(this.selection);
+      this.redrawSelection_();
+    }
+  };
+
   /**
    * For each pixel in the selection draw it in white transparent on the tool overlay
    * @protected
@@ -79,7 +79,7 @@
 
   /** @private */
   ns.LassoSelect.prototype.setSelection_ = function (selection, overlay) {
-    this.selection = selection;
+    this.selection = this.combineSelection_(selection);
 
     $.publish(Events.SELECTION_CREATED, [this.selection]);
     overlay.clear();
@@ -9,12 +9,14 @@
   ns.RectangleSelect = function() {
     ns.AbstractDragSelect.call(this);
 
-    this.toolId = 'tool-rectangle-select';
+    this.toolId = ns.RectangleSelect.TOOL_ID;
     this.helpText = 'Rectangle selection';
     this.shortcut = pskl.service.keyboard.Shortcuts.TOOL.RECTANGLE_SELECT;
 
   };
 
+  ns.RectangleSelect.TOOL_ID = 'tool-rectangle-select';
+
   pskl.utils.inherit(ns.RectangleSelect, ns.AbstractDragSelect);
 
   /** @override */
@@ -30,7 +32,8 @@
    */
   ns.RectangleSelect.prototype.onDragSelect_ = function (col, row, frame, overlay) {
     overlay.clear();
-    this.selection = new pskl.selection.RectangularSelection(this.startCol, this.startRow, col, row);
+    var selection = new pskl.selection.RectangularSelection(this.startCol, this.startRow, col, row);
+    this.selection = this.combineSelection_(selection);
     $.publish(Events.SELECTION_CREATED, [this.selection]);
     this.drawSelectionOnOverlay_(overlay);
   };
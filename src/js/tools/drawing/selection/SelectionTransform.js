@@ -0,0 +1,295 @@
+/**
+ * @provide pskl.tools.drawing.selection.SelectionTransform
+ *
+ * @require pskl.utils
+ */
+(function() {
+  var ns = $.namespace('pskl.tools.drawing.selection');
+
+  var HANDLE_COLOR = 'rgba(0, 120, 255, 0.8)';
+  // Distance in pixels between the top handle and the rotation handle.
+  var ROTATION_HANDLE_DISTANCE = 2;
+  // Rotation step used when holding shift.
+  var ROTATION_SNAP = 15;
+
+  /**
+   * Bounding box handles of a selection, used to scale, skew, flip and rotate the selected
+   * pixels: corner handles scale, side handles scale one axis (or skew when holding ctrl),
+   * the handle above the selection rotates. Dragging a handle over the opposite side flips
+   * the content. The transformation is previewed on the frame until it is applied.
+   *
+   * @param {pskl.selection.BaseSelection} selection the selection to transform
+   */
+  ns.SelectionTransform = function (selection) {
+    this.pixels = selection.pixels.map(function (pixel) {
+      return {col : pixel.col, row : pixel.row};
+    });
+
+    var bounds = {minx : Infinity, miny : Infinity, maxx : -Infinity, maxy : -Infinity};
+    this.pixels.forEach(function (pixel) {
+      bounds.minx = Math.min(bounds.minx, pixel.col);
+      bounds.maxx = Math.max(bounds.maxx, pixel.col);
+      bounds.miny = Math.min(bounds.miny, pixel.row);
+      bounds.maxy = Math.max(bounds.maxy, pixel.row);
+    });
+    this.bounds = bounds;
+    this.pivot = {
+      x : (bounds.minx + bounds.maxx + 1) / 2,
+      y : (bounds.miny + bounds.maxy + 1) / 2
+    };
+
+    this.transform = {angle : 0, scaleX : 1, scaleY : 1, skewX : 0, skewY : 0};
+
+    // Frame previewing the transformation and its original content, set when dragging a handle.
+    this.frame = null;
+    this.original = null;
+    this.drag = null;
+    this.transformedPixels = null;
+  };
+
+  /**
+   * @return {Boolean} true if a transformation is previewed on a frame
+   */
+  ns.SelectionTransform.prototype.isPending = function () {
+    return !!this.frame;
+  };
+
+  /**
+   * @return {Object} the freeTransform options of the current transformation
+   */
+  ns.SelectionTransform.prototype.getOptions = function () {
+    return $.extend({
+      algorithm : pskl.tools.transform.TransformUtils.ALGORITHMS.NEAREST,
+      pivot : this.pivot,
+      pixels : this.pixels
+    }, this.transform);
+  };
+
+  /**
+   * @return {Object} the handle at the provided coordinates, or null
+   */
+  ns.SelectionTransform.prototype.getHandleAt = function (col, row) {
+    return pskl.utils.Array.find(this.getHandles(), function (handle) {
+      return handle.col === col && handle.row === row;
+    }) || null;
+  };
+
+  /**
+   * @return {Array} the handles as {col, row, x, y, type} where x and y are the position of
+   *         the handle on the untransformed bounding box, relative to the pivot, and type is
+   *         'corner', 'side' or 'rotation'
+   */
+  ns.SelectionTransform.prototype.getHandles = function () {
+    var bounds = this.bounds;
+    var pivot = this.pivot;
+    var left = bounds.minx - pivot.x;
+    var right = bounds.maxx + 1 - pivot.x;
+    var top = bounds.miny - pivot.y;
+    var bottom = bounds.maxy + 1 - pivot.y;
+
+    var handles = [
+      {x : left, y : top, type : 'corner'},
+      {x : 0, y : top, type : 'side'},
+      {x : right, y : top, type : 'corner'},
+      {x : right, y : 0, type : 'side'},
+      {x : right, y : bottom, type : 'corner'},
+      {x : 0, y : bottom, type : 'side'},
+      {x : left, y : bottom, type : 'corner'},
+      {x : left, y : 0, type : 'side'}
+    ].map(function (handle) {
+      var position = pskl.tools.transform.TransformUtils.transformVector(handle.x, handle.y, this.transform);
+      // Move the handle half a pixel away from the pivot, to put it outside of the selection.
+      var length = Math.sqrt(position.x * position.x + position.y * position.y) || 1;
+      handle.col = Math.floor(pivot.x + position.x * (1 + 0.5 / length));
+      handle.row = Math.floor(pivot.y + position.y * (1 + 0.5 / length));
+      handle.direction = {x : position.x / length, y : position.y / length};
+      return handle;
+    }.bind(this));
+
+    var topHandle = handles[1];
+    handles.push({
+      x : 0,
+      y : top,
+      type : 'rotation',
+      col : Math.floor(topHandle.col + 0.5 + topHandle.direction.x * ROTATION_HANDLE_DISTANCE),
+      row : Math.floor(topHandle.row + 0.5 + topHandle.direction.y * ROTATION_HANDLE_DISTANCE)
+    });
+    return handles;
+  };
+
+  /**
+   * Start dragging a handle. The first drag starts previewing the transformation on the frame.
+   */
+  ns.SelectionTransform.prototype.startDrag = function (handle, col, row, frame) {
+    if (!this.frame) {
+      this.frame = frame;
+      this.original = frame.clone();
+    }
+    this.drag = {
+      handle : handle,
+      col : col,
+      row : row,
+      transform : $.extend({}, this.transform)
+    };
+  };
+
+  /**
+   * Update the transformation for the current mouse position and refresh the preview.
+   * @param {Object} modifiers {keepRatio, skew}: shift keeps the proportions and snaps the
+   *        rotation, ctrl makes the side handles skew the selection
+   */
+  ns.SelectionTransform.prototype.dragTo = function (col, row, modifiers) {
+    var drag = this.drag;
+    if (!drag) {
+      return;
+    }
+
+    var transform;
+    if (drag.handle.type === 'rotation') {
+      transform = this.getRotation_(col, row, modifiers.keepRatio);
+    } else if (drag.handle.type === 'side' && modifiers.skew) {
+      transform = this.getSkew_(col, row);
+    } else {
+      transform = this.getScale_(col, row, modifiers.keepRatio);
+    }
+
+    // Ignore the positions which would flatten the selection.
+    if (pskl.tools.transform.TransformUtils.invertVector(0, 0, transform)) {
+      this.transform = transform;
+      this.preview_();
+    }
+  };
+
+  ns.SelectionTransform.prototype.endDrag = function () {
+    this.drag = null;
+  };
+
+  /**
+   * Restore the original content of the frame.
+   */
+  ns.SelectionTransform.prototype.restore = function () {
+    if (this.frame) {
+      this.frame.setPixels(this.original.pixels);
+    }
+  };
+
+  /**
+   * @return {Array} the selected pixels after the transformation, as {col, row}
+   */
+  ns.SelectionTransform.prototype.getTransformedPixels = function () {
+    if (!this.isPending()) {
+      return this.pixels;
+    }
+
+    if (!this.transformedPixels) {
+      var mask = new pskl.model.Frame(this.frame.getWidth(), this.frame.getHeight());
+      this.pixels.forEach(function (pixel) {
+        mask.setPixel(pixel.col, pixel.row, Constants.SELECTION_TRANSPARENT_COLOR);
+      });
+
+      var options = this.getOptions();
+      options.pixels = null;
+      pskl.tools.transform.TransformUtils.freeTransform(mask, options);
+
+      var transparentColorInt = pskl.utils.colorToInt(Constants.TRANSPARENT_COLOR);
+      var pixels = [];
+      mask.forEachPixel(function (color, col, row) {
+        if (color !== transparentColorInt) {
+          pixels.push({col : col, row : row});
+        }
+      });
+      this.transformedPixels = pixels;
+    }
+    return this.transformedPixels;
+  };
+
+  ns.SelectionTransform.prototype.drawHandles = function (overlay) {
+    this.getHandles().forEach(function (handle) {
+      overlay.setPixel(handle.col, handle.row, HANDLE_COLOR);
+    });
+  };
+
+  /** @private */
+  ns.SelectionTransform.prototype.preview_ = function () {
+    this.transformedPixels = null;
+    this.frame.setPixels(this.original.pixels);
+    pskl.tools.transform.TransformUtils.freeTransform(this.frame, this.getOptions());
+  };
+
+  /**
+   * @return {Object} position of the mouse relative to the pivot, with the rotation and the
+   *         skew of the transformation removed
+   * @private
+   */
+  ns.SelectionTransform.prototype.getLocalPosition_ = function (col, row, transform) {
+    return pskl.tools.transform.TransformUtils.invertVector(col + 0.5 - this.pivot.x, row + 0.5 - this.pivot.y, {
+      angle : transform.angle,
+      skewX : transform.skewX,
+      skewY : transform.skewY
+    }) || {x : 0, y : 0};
+  };
+
+  /** @private */
+  ns.SelectionTransform.prototype.getScale_ = function (col, row, keepRatio) {
+    var drag = this.drag;
+    var start = drag.transform;
+    var transform = $.extend({}, start);
+    var from = this.getLocalPosition_(drag.col, drag.row, start);
+    var to = this.getLocalPosition_(col, row, start);
+
+    var ratioX = drag.handle.x !== 0 && from.x !== 0 ? to.x / from.x : 1;
+    var ratioY = drag.handle.y !== 0 && from.y !== 0 ? to.y / from.y : 1;
+    if (keepRatio && drag.handle.type === 'corner') {
+      var ratio = Math.max(Math.abs(ratioX), Math.abs(ratioY));
+      ratioX = ratioX < 0 ? -ratio : ratio;
+      ratioY = ratioY < 0 ? -ratio : ratio;
+    }
+    transform.scaleX = this.round_(start.scaleX * ratioX);
+    transform.scaleY = this.round_(start.scaleY * ratioY);
+    return transform;
+  };
+
+  /** @private */
+  ns.SelectionTransform.prototype.getSkew_ = function (col, row) {
+    var drag = this.drag;
+    var start = drag.transform;
+    var transform = $.extend({}, start);
+    var rotation = {angle : start.angle};
+    var from = pskl.tools.transform.TransformUtils.invertVector(drag.col - col, drag.row - row, rotation);
+    var toRadians = Math.PI / 180;
+
+    if (drag.handle.x === 0) {
+      // Top and bottom handles skew horizontally.
+      var height = drag.handle.y * start.scaleY;
+      var skewX = Math.tan(start.skewX * toRadians) - from.x / height;
+      transform.skewX = this.round_(Math.atan(skewX) / toRadians);
+    } else {
+      // Left and right handles skew vertically.
+      var width = drag.handle.x * start.scaleX;
+      var skewY = Math.tan(start.skewY * toRadians) - from.y / width;
+      transform.skewY = this.round_(Math.atan(skewY) / toRadians);
+    }
+    return transform;
+  };
+
+  /** @private */
+  ns.SelectionTransform.prototype.getRotation_ = function (col, row, snap) {
+    var drag = this.drag;
+    var pivot = this.pivot;
+    var startAngle = Math.atan2(drag.row + 0.5 - pivot.y, drag.col + 0.5 - pivot.x);
+    var currentAngle = Math.atan2(row + 0.5 - pivot.y, col + 0.5 - pivot.x);
+
+    var angle = drag.transform.angle + (currentAngle - startAngle) * 180 / Math.PI;
+    if (snap) {
+      angle = Math.round(angle / ROTATION_SNAP) * ROTATION_SNAP;
+    }
+    return $.extend({}, drag.transform, {
+      angle : this.round_(((angle % 360) + 360) % 360)
+    });
+  };
+
+  /** @private */
+  ns.SelectionTransform.prototype.round_ = function (value) {
+    return Math.round(value * 100) / 100;
+  };
+})();
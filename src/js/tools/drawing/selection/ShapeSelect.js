@@ -22,14 +22,14 @@
    * @override
    */
   ns.ShapeSelect.prototype.onSelectStart_ = function (col, row, frame, overlay) {
-    if (this.hasSelection) {
+    if (this.hasSelection && !this.isCombining_()) {
       this.hasSelection = false;
       this.commitSelection();
     } else {
       this.hasSelection = true;
       // From the pixel clicked, get shape using an algorithm similar to the paintbucket one:
       var pixels = pskl.PixelUtils.getSimilarConnectedPixelsFromFrame(frame, col, row);
-      this.selection = new pskl.selection.ShapeSelection(pixels);
+      this.selection = this.combineSelection_(new pskl.selection.ShapeSelection(pixels));
 
       $.publish(Events.SELECTION_CREATED, [this.selection]);
       this.drawSelectionOnOverlay_(overlay);
@@ -16,6 +16,12 @@
   // rely on the default AbstractTransformTool behavior.
   pskl.utils.inherit(ns.Crop, pskl.tools.Tool);
 
+  /**
+   * Cropping resizes the sprite and dismisses the selection.
+   * @override
+   */
+  ns.Crop.prototype.usesSelectionMask = false;
+
   ns.Crop.prototype.applyTransformation = function (evt) {
     var frames = this.getFrames_();
 
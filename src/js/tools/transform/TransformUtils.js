@@ -125,6 +125,182 @@
 
       ns.TransformUtils.moveFramePixels(frame, dx, dy);
       return frame;
+    },
+
+    ALGORITHMS : {
+      // Nearest neighbor sampling.
+      NEAREST : 'nearest',
+      // Nearest neighbor sampling, followed by the removal of isolated pixels.
+      NEAREST_CLEANUP : 'nearest-cleanup',
+      // Nearest neighbor sampling of the sprite upscaled 8 times with Scale2x, see
+      // https://en.wikipedia.org/wiki/Pixel-art_scaling_algorithms#RotSprite
+      ROTSPRITE : 'rotsprite'
+    },
+
+    /**
+     * Rotate, skew and scale the content of a frame, around a pivot point.
+     * @param  {pskl.model.Frame} frame the frame to transform, modified in place
+     * @param  {Object} options {
+     *   angle : clockwise rotation in degrees,
+     *   scaleX, scaleY : scale factors, negative values flip the content,
+     *   skewX, skewY : horizontal and vertical skew angles in degrees,
+     *   algorithm : one of TransformUtils.ALGORITHMS, defaults to NEAREST,
+     *   pivot : {x, y} center of the transformation, defaults to the center of the frame,
+     *   pixels : optional list of {col, row}, only these pixels are transformed and pasted
+     *            over the rest of the frame
+     * }
+     * @return {pskl.model.Frame} the frame
+     */
+    freeTransform : function (frame, options) {
+      var source = frame.clone();
+      if (options.pixels) {
+        source.clear();
+        options.pixels.forEach(function (pixel) {
+          if (frame.containsPixel(pixel.col, pixel.row)) {
+            source.setPixel(pixel.col, pixel.row, frame.getPixel(pixel.col, pixel.row));
+            frame.setPixel(pixel.col, pixel.row, Constants.TRANSPARENT_COLOR);
+          }
+        });
+      } else {
+        frame.clear();
+      }
+
+      var transparentColorInt = pskl.utils.colorToInt(Constants.TRANSPARENT_COLOR);
+      ns.TransformUtils.transformFrame_(source, options).forEachPixel(function (color, x, y) {
+        if (color !== transparentColorInt) {
+          frame.setPixel(x, y, color);
+        }
+      });
+      return frame;
+    },
+
+    /**
+     * @return {pskl.model.Frame} a new frame with the same size as the source frame,
+     *         containing the transformed pixels. See freeTransform for the options.
+     * @private
+     */
+    transformFrame_ : function (source, options) {
+      var algorithms = ns.TransformUtils.ALGORITHMS;
+      var result = pskl.model.Frame.createEmptyFromFrame(source);
+      if (!ns.TransformUtils.invertVector(0, 0, options)) {
+        // The transformation flattens the content.
+        return result;
+      }
+
+      var factor = 1;
+      var sampled = source;
+      if (options.algorithm === algorithms.ROTSPRITE) {
+        factor = 8;
+        sampled = pskl.utils.UpscaleUtils.resizeFrame(source, source.getWidth() * factor,
+          source.getHeight() * factor, pskl.utils.UpscaleUtils.ALGORITHMS.SCALE2X);
+      }
+
+      var pivot = options.pivot || {x : source.getWidth() / 2, y : source.getHeight() / 2};
+      // Avoid rounding errors when the sampled point is exactly on the border of a pixel.
+      var epsilon = 1e-9;
+
+      result.forEachPixel(function (color, x, y) {
+        // Inverse transformation of the center of the pixel.
+        var vector = ns.TransformUtils.invertVector(x + 0.5 - pivot.x, y + 0.5 - pivot.y, options);
+        var sourceX = pivot.x + vector.x;
+        var sourceY = pivot.y + vector.y;
+
+        var col = Math.floor(sourceX * factor + epsilon);
+        var row = Math.floor(sourceY * factor + epsilon);
+        if (sampled.containsPixel(col, row)) {
+          result.setPixel(x, y, sampled.getPixel(col, row));
+        }
+      });
+
+      if (options.algorithm === algorithms.NEAREST_CLEANUP) {
+        ns.TransformUtils.cleanup_(result);
+      }
+      return result;
+    },
+
+    /**
+     * Apply the scale, skew and rotation of a free transformation to a vector, in this order.
+     * See freeTransform for the options.
+     * @return {Object} the transformed vector {x, y}
+     */
+    transformVector : function (x, y, options) {
+      var matrix = ns.TransformUtils.getMatrix_(options);
+      x = x * matrix.scaleX;
+      y = y * matrix.scaleY;
+      var skewedX = x + matrix.skewX * y;
+      var skewedY = y + matrix.skewY * x;
+      return {
+        x : skewedX * matrix.cos - skewedY * matrix.sin,
+        y : skewedX * matrix.sin + skewedY * matrix.cos
+      };
+    },
+
+    /**
+     * Inverse of transformVector.
+     * @return {Object} the original vector {x, y}, or null if the transformation flattens
+     *         the content and cannot be inverted
+     */
+    invertVector : function (x, y, options) {
+      var matrix = ns.TransformUtils.getMatrix_(options);
+      var determinant = 1 - matrix.skewX * matrix.skewY;
+      if (matrix.scaleX === 0 || matrix.scaleY === 0 || Math.abs(determinant) < 1e-9) {
+        return null;
+      }
+
+      var rotatedX = x * matrix.cos + y * matrix.sin;
+      var rotatedY = y * matrix.cos - x * matrix.sin;
+      return {
+        x : (rotatedX - matrix.skewX * rotatedY) / determinant / matrix.scaleX,
+        y : (rotatedY - matrix.skewY * rotatedX) / determinant / matrix.scaleY
+      };
+    },
+
+    /**
+     * @private
+     */
+    getMatrix_ : function (options) {
+      var angle = (options.angle || 0) * Math.PI / 180;
+      return {
+        scaleX : typeof options.scaleX === 'number' ? options.scaleX : 1,
+        scaleY : typeof options.scaleY === 'number' ? options.scaleY : 1,
+        skewX : Math.tan((options.skewX || 0) * Math.PI / 180),
+        skewY : Math.tan((options.skewY || 0) * Math.PI / 180),
+        cos : Math.cos(angle),
+        sin : Math.sin(angle)
+      };
+    },
+
+    /**
+     * Replace the pixels which differ from all their neighbours when at least 3 of these
+     * neighbours share the same color. Removes the isolated pixels and holes created by
+     * nearest neighbor rotations.
+     * @private
+     */
+    cleanup_ : function (frame) {
+      var clone = frame.clone();
+      var neighbours = [[0, -1], [1, 0], [0, 1], [-1, 0]];
+      clone.forEachPixel(function (color, x, y) {
+        var counts = {};
+        var majority = null;
+        var isIsolated = true;
+        neighbours.forEach(function (offset) {
+          var neighbour = clone.getPixel(x + offset[0], y + offset[1]);
+          if (neighbour === null) {
+            return;
+          }
+          if (neighbour === color) {
+            isIsolated = false;
+          }
+          counts[neighbour] = (counts[neighbour] || 0) + 1;
+          if (counts[neighbour] >= 3) {
+            majority = neighbour;
+          }
+        });
+
+        if (isIsolated && majority !== null) {
+          frame.setPixel(x, y, majority);
+        }
+      });
     }
   };
 })();
@@ -0,0 +1,42 @@
+(function () {
+  var ns = $.namespace('pskl.utils');
+
+  ns.AsepriteFileUtils = {
+    FAILURE : {
+      EMPTY : 'No data found in aseprite file',
+      DESERIALIZATION : 'Aseprite data deserialization failed'
+    },
+
+    isAsepriteFile : function (file) {
+      return (/\.(ase|aseprite)$/i).test(file.name);
+    },
+
+    /**
+     * Load a piskel from an aseprite file (.ase or .aseprite).
+     * Success callback is expected to receive a single Piskel object argument.
+     * @param  {File} file the aseprite file to load
+     * @param  {Function} onSuccess Called if the deserialization of the file is successful
+     * @param  {Function} onError Called with the failure reason if the file could not be read
+     */
+    loadFromFile : function (file, onSuccess, onError) {
+      pskl.utils.FileUtils.readFileAsArrayBuffer(file, function (buffer) {
+        if (!buffer || buffer.byteLength === 0) {
+          onError(ns.AsepriteFileUtils.FAILURE.EMPTY);
+          return;
+        }
+
+        var name = file.name.replace(/\.(ase|aseprite)$/i, '');
+        var piskel;
+        try {
+          piskel = pskl.utils.serialization.aseprite.AsepriteDeserializer.deserialize(buffer, name);
+        } catch (e) {
+          console.error(e);
+          onError(ns.AsepriteFileUtils.FAILURE.DESERIALIZATION);
+          return;
+        }
+
+        onSuccess(piskel);
+      });
+    }
+  };
+})();
@@ -0,0 +1,91 @@
+(function () {
+  var ns = $.namespace('pskl.utils');
+
+  var overlay = function (backdrop, source) {
+    if (backdrop <= 0.5) {
+      return source * 2 * backdrop;
+    }
+    var b = 2 * backdrop - 1;
+    return source + b - source * b;
+  };
+
+  /**
+   * Separable blend functions, working on color channels normalized between 0 and 1.
+   * Formulas from https://www.w3.org/TR/compositing-1/#blending
+   */
+  var BLEND_FUNCTIONS = {
+    'normal' : function (backdrop, source) {
+      return source;
+    },
+    'multiply' : function (backdrop, source) {
+      return backdrop * source;
+    },
+    'screen' : function (backdrop, source) {
+      return backdrop + source - backdrop * source;
+    },
+    'overlay' : overlay,
+    'add' : function (backdrop, source) {
+      return Math.min(1, backdrop + source);
+    },
+    'darken' : function (backdrop, source) {
+      return Math.min(backdrop, source);
+    },
+    'lighten' : function (backdrop, source) {
+      return Math.max(backdrop, source);
+    },
+    'difference' : function (backdrop, source) {
+      return Math.abs(backdrop - source);
+    }
+  };
+
+  ns.BlendUtils = {
+    /**
+     * Blend a source color over a backdrop color, both colors being ABGR integers as stored
+     * in pskl.model.Frame pixels.
+     * @param  {Number} backdrop color of the layers below
+     * @param  {Number} source color of the blended layer
+     * @param  {String} blendMode one of pskl.model.Layer.BLEND_MODES
+     * @param  {Number} opacity (optional) opacity of the blended layer, between 0 and 1
+     * @return {Number} the resulting color as an ABGR integer
+     */
+    blendColors : function (backdrop, source, blendMode, opacity) {
+      opacity = isNaN(opacity) ? 1 : opacity;
+      var sourceAlpha = ((source >>> 24) / 255) * opacity;
+      if (sourceAlpha === 0) {
+        return backdrop;
+      }
+
+      var backdropAlpha = (backdrop >>> 24) / 255;
+      var alpha = sourceAlpha + backdropAlpha * (1 - sourceAlpha);
+      var blend = BLEND_FUNCTIONS[blendMode] || BLEND_FUNCTIONS.normal;
+
+      var color = Math.round(alpha * 255) << 24 >>> 0;
+      // Channels are stored as red, green and blue from the lowest to the highest bits.
+      for (var shift = 0 ; shift <= 16 ; shift += 8) {
+        var b = ((backdrop >>> shift) & 0xff) / 255;
+        var s = ((source >>> shift) & 0xff) / 255;
+        var blended = (1 - backdropAlpha) * s + backdropAlpha * blend(b, s);
+        var channel = (sourceAlpha * blended + (1 - sourceAlpha) * backdropAlpha * b) / alpha;
+        color += Math.round(channel * 255) << shift;
+      }
+      return color >>> 0;
+    },
+
+    /**
+     * Blend all the pixels of a source frame over the pixels of a backdrop frame.
+     * The backdrop frame is updated in place, both frames should have the same dimensions.
+     * @param  {Frame} frame the backdrop frame
+     * @param  {Frame} sourceFrame the frame to blend over the backdrop
+     * @param  {String} blendMode one of pskl.model.Layer.BLEND_MODES
+     * @param  {Number} opacity (optional) opacity of the source frame, between 0 and 1
+     */
+    blendFrame : function (frame, sourceFrame, blendMode, opacity) {
+      var pixels = frame.getPixels();
+      var sourcePixels = sourceFrame.getPixels();
+      for (var i = 0 ; i < pixels.length ; i++) {
+        pixels[i] = ns.BlendUtils.blendColors(pixels[i], sourcePixels[i], blendMode, opacity);
+      }
+      frame.setPixels(pixels);
+    }
+  };
+})();
@@ -0,0 +1,179 @@
+(function () {
+  var ns = $.namespace('pskl.utils');
+
+  var toLinear = function (c) {
+    c = c / 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  };
+
+  var labCurve = function (t) {
+    return t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116;
+  };
+
+  var toDegrees = function (radians) {
+    var degrees = radians * 180 / Math.PI;
+    return degrees < 0 ? degrees + 360 : degrees;
+  };
+
+  var toRadians = function (degrees) {
+    return degrees * Math.PI / 180;
+  };
+
+  /**
+   * Distances between RGB colors, used to find the nearest color of a palette.
+   * Distances are only meant to be compared with each other: some metrics skip the final
+   * square root.
+   */
+  ns.ColorDistanceUtils = {
+    METRICS : {
+      // Redmean weighted euclidean distance, cheap approximation of the perceived distance.
+      REDMEAN : 'redmean',
+      // Euclidean distance weighted by the luminance of each channel.
+      WEIGHTED_RGB : 'weighted-rgb',
+      // Euclidean distance in the CIELAB color space (CIE76 delta E).
+      CIELAB : 'cielab',
+      // CIEDE2000 delta E, closest to the human perception but much slower.
+      CIEDE2000 : 'ciede2000'
+    },
+
+    /**
+     * @param  {String} metric one of ColorDistanceUtils.METRICS
+     * @return {Boolean} true if the metric compares colors in the CIELAB color space
+     */
+    isLabMetric : function (metric) {
+      var metrics = ns.ColorDistanceUtils.METRICS;
+      return metric === metrics.CIELAB || metric === metrics.CIEDE2000;
+    },
+
+    /**
+     * Convert sRGB components (0-255) to the CIELAB color space, using the D65 white point.
+     * @return {Object} {l, a, b}
+     */
+    rgbToLab : function (r, g, b) {
+      var lr = toLinear(r);
+      var lg = toLinear(g);
+      var lb = toLinear(b);
+
+      var x = (lr * 0.4124564 + lg * 0.3575761 + lb * 0.1804375) / 0.95047;
+      var y = lr * 0.2126729 + lg * 0.7151522 + lb * 0.0721750;
+      var z = (lr * 0.0193339 + lg * 0.1191920 + lb * 0.9503041) / 1.08883;
+
+      var fx = labCurve(x);
+      var fy = labCurve(y);
+      var fz = labCurve(z);
+      return {
+        l : 116 * fy - 16,
+        a : 500 * (fx - fy),
+        b : 200 * (fy - fz)
+      };
+    },
+
+    /**
+     * Compute the distance between two colors.
+     * @param  {Object} color1 {r, g, b}, plus {lab} for CIELAB metrics (see rgbToLab)
+     * @param  {Object} color2 {r, g, b}, plus {lab} for CIELAB metrics (see rgbToLab)
+     * @param  {String} metric one of ColorDistanceUtils.METRICS, defaults to REDMEAN
+     * @return {Number}
+     */
+    distance : function (color1, color2, metric) {
+      var metrics = ns.ColorDistanceUtils.METRICS;
+      if (metric === metrics.WEIGHTED_RGB) {
+        return ns.ColorDistanceUtils.weightedRgb(color1, color2);
+      } else if (metric === metrics.CIELAB) {
+        return ns.ColorDistanceUtils.cie76(color1.lab, color2.lab);
+      } else if (metric === metrics.CIEDE2000) {
+        return ns.ColorDistanceUtils.ciede2000(color1.lab, color2.lab);
+      }
+      return ns.ColorDistanceUtils.redmean(color1, color2);
+    },
+
+    /**
+     * Redmean weighted distance, without the square root.
+     */
+    redmean : function (color1, color2) {
+      var rMean = (color1.r + color2.r) / 2;
+      var dr = color1.r - color2.r;
+      var dg = color1.g - color2.g;
+      var db = color1.b - color2.b;
+      return (512 + rMean) * dr * dr / 256 + 4 * dg * dg + (767 - rMean) * db * db / 256;
+    },
+
+    /**
+     * Squared euclidean distance weighted with the luma coefficients of each channel.
+     */
+    weightedRgb : function (color1, color2) {
+      var dr = color1.r - color2.r;
+      var dg = color1.g - color2.g;
+      var db = color1.b - color2.b;
+      return 0.299 * dr * dr + 0.587 * dg * dg + 0.114 * db * db;
+    },
+
+    /**
+     * Squared CIE76 delta E.
+     */
+    cie76 : function (lab1, lab2) {
+      var dl = lab1.l - lab2.l;
+      var da = lab1.a - lab2.a;
+      var db = lab1.b - lab2.b;
+      return dl * dl + da * da + db * db;
+    },
+
+    /**
+     * CIEDE2000 delta E, see http://www2.ece.rochester.edu/~gsharma/ciede2000/
+     */
+    ciede2000 : function (lab1, lab2) {
+      var c1 = Math.sqrt(lab1.a * lab1.a + lab1.b * lab1.b);
+      var c2 = Math.sqrt(lab2.a * lab2.a + lab2.b * lab2.b);
+      var cMean7 = Math.pow((c1 + c2) / 2, 7);
+      var g = 0.5 * (1 - Math.sqrt(cMean7 / (cMean7 + Math.pow(25, 7))));
+
+      var a1 = (1 + g) * lab1.a;
+      var a2 = (1 + g) * lab2.a;
+      var cp1 = Math.sqrt(a1 * a1 + lab1.b * lab1.b);
+      var cp2 = Math.sqrt(a2 * a2 + lab2.b * lab2.b);
+      var hp1 = cp1 === 0 ? 0 : toDegrees(Math.atan2(lab1.b, a1));
+      var hp2 = cp2 === 0 ? 0 : toDegrees(Math.atan2(lab2.b, a2));
+
+      var dL = lab2.l - lab1.l;
+      var dC = cp2 - cp1;
+      var dh = 0;
+      if (cp1 * cp2 !== 0) {
+        dh = hp2 - hp1;
+        if (dh > 180) {
+          dh -= 360;
+        } else if (dh < -180) {
+          dh += 360;
+        }
+      }
+      var dH = 2 * Math.sqrt(cp1 * cp2) * Math.sin(toRadians(dh / 2));
+
+      var lMean = (lab1.l + lab2.l) / 2;
+      var cpMean = (cp1 + cp2) / 2;
+      var hpMean = hp1 + hp2;
+      if (cp1 * cp2 !== 0) {
+        if (Math.abs(hp1 - hp2) > 180) {
+          hpMean += hpMean < 360 ? 360 : -360;
+        }
+        hpMean = hpMean / 2;
+      }
+
+      var t = 1 - 0.17 * Math.cos(toRadians(hpMean - 30)) +
+        0.24 * Math.cos(toRadians(2 * hpMean)) +
+        0.32 * Math.cos(toRadians(3 * hpMean + 6)) -
+        0.20 * Math.cos(toRadians(4 * hpMean - 63));
+      var lMean50 = (lMean - 50) * (lMean - 50);
+      var sl = 1 + 0.015 * lMean50 / Math.sqrt(20 + lMean50);
+      var sc = 1 + 0.045 * cpMean;
+      var sh = 1 + 0.015 * cpMean * t;
+      var cpMean7 = Math.pow(cpMean, 7);
+      var rc = 2 * Math.sqrt(cpMean7 / (cpMean7 + Math.pow(25, 7)));
+      var dTheta = 30 * Math.exp(-Math.pow((hpMean - 275) / 25, 2));
+      var rt = -Math.sin(toRadians(2 * dTheta)) * rc;
+
+      var l = dL / sl;
+      var c = dC / sc;
+      var h = dH / sh;
+      return Math.sqrt(l * l + c * c + h * h + rt * c * h);
+    }
+  };
+})();
@@ -0,0 +1,180 @@
+(function () {
+  var ns = $.namespace('pskl.utils');
+
+  var bayerMatrixCache = {};
+
+  // Floyd-Steinberg error distribution, as [column offset, row offset, weight].
+  var ERROR_DIFFUSION = [
+    [1, 0, 7 / 16],
+    [-1, 1, 3 / 16],
+    [0, 1, 5 / 16],
+    [1, 1, 1 / 16]
+  ];
+
+  ns.DitheringUtils = {
+    PATTERNS : {
+      CHECKER : 'checker',
+      BAYER_2 : 'bayer2',
+      BAYER_4 : 'bayer4',
+      BAYER_8 : 'bayer8',
+      CUSTOM : 'custom'
+    },
+
+    ALGORITHMS : {
+      ORDERED : 'ordered',
+      ERROR_DIFFUSION : 'diffusion'
+    },
+
+    // Width and height of the custom user patterns.
+    CUSTOM_PATTERN_SIZE : 4,
+
+    /**
+     * Get the ordered dithering (Bayer) matrix for the provided size, as an array of
+     * size x size thresholds between 0 (included) and 1 (excluded), row by row.
+     * @param  {Number} size power of 2
+     * @return {Array<Number>}
+     */
+    getBayerMatrix : function (size) {
+      if (!bayerMatrixCache[size]) {
+        var values = ns.DitheringUtils.getBayerValues_(size);
+        bayerMatrixCache[size] = values.map(function (value) {
+          return value / (size * size);
+        });
+      }
+      return bayerMatrixCache[size];
+    },
+
+    getBayerValues_ : function (size) {
+      if (size <= 1) {
+        return [0];
+      }
+      // Each quadrant of the matrix is made of the previous matrix, with an offset.
+      var half = size / 2;
+      var previous = ns.DitheringUtils.getBayerValues_(half);
+      var offsets = [0, 2, 3, 1];
+      var values = [];
+      for (var row = 0 ; row < size ; row++) {
+        for (var col = 0 ; col < size ; col++) {
+          var quadrant = (row >= half ? 2 : 0) + (col >= half ? 1 : 0);
+          var value = previous[(row % half) * half + (col % half)];
+          values.push(4 * value + offsets[quadrant]);
+        }
+      }
+      return values;
+    },
+
+    /**
+     * @param  {String} pattern one of PATTERNS
+     * @return {Number} the size of the Bayer matrix used by the pattern, 0 for other patterns
+     */
+    getBayerSize : function (pattern) {
+      var sizes = {
+        'bayer2' : 2,
+        'bayer4' : 4,
+        'bayer8' : 8
+      };
+      return sizes[pattern] || 0;
+    },
+
+    /**
+     * Get the threshold of a pixel for ordered dithering.
+     * @param  {String} pattern one of the Bayer PATTERNS
+     * @return {Number} threshold between 0 (included) and 1 (excluded)
+     */
+    getThreshold : function (pattern, col, row) {
+      var size = ns.DitheringUtils.getBayerSize(pattern) || 8;
+      var matrix = ns.DitheringUtils.getBayerMatrix(size);
+      return matrix[ns.DitheringUtils.mod_(row, size) * size + ns.DitheringUtils.mod_(col, size)];
+    },
+
+    /**
+     * Check if a pixel should use the primary color when drawing with the provided options.
+     * @param  {Object} options dithering options, see pskl.service.dithering.DitheringService
+     * @param  {Number} col
+     * @param  {Number} row
+     * @return {Boolean}
+     */
+    isPrimaryPixel : function (options, col, row) {
+      var patterns = ns.DitheringUtils.PATTERNS;
+      if (options.pattern === patterns.CUSTOM) {
+        var size = ns.DitheringUtils.CUSTOM_PATTERN_SIZE;
+        var index = ns.DitheringUtils.mod_(row, size) * size + ns.DitheringUtils.mod_(col, size);
+        return !!options.customPattern[index];
+      } else if (ns.DitheringUtils.getBayerSize(options.pattern)) {
+        return ns.DitheringUtils.getThreshold(options.pattern, col, row) < options.density;
+      }
+      return (col + row) % 2 === 1;
+    },
+
+    /**
+     * Dither a list of pixels between the primary color, at the start of the gradient vector,
+     * and the secondary color, at its end.
+     * @param  {Object} options dithering options, the algorithm is used to pick the colors
+     * @param  {Array<Object>} pixels list of pixels as {col, row}
+     * @param  {Object} start start of the gradient vector, as {col, row}
+     * @param  {Object} end end of the gradient vector, as {col, row}
+     * @return {Array<Object>} the pixels as {col, row, primary}, primary is true if the pixel
+     *         uses the primary color
+     */
+    getGradientPixels : function (options, pixels, start, end) {
+      var getPosition = ns.DitheringUtils.getGradientPosition_.bind(null, start, end);
+      if (options.algorithm === ns.DitheringUtils.ALGORITHMS.ERROR_DIFFUSION) {
+        return ns.DitheringUtils.diffuseGradient_(pixels, getPosition);
+      }
+
+      return pixels.map(function (pixel) {
+        var threshold = ns.DitheringUtils.getThreshold(options.pattern, pixel.col, pixel.row);
+        return {
+          col : pixel.col,
+          row : pixel.row,
+          primary : threshold >= getPosition(pixel)
+        };
+      });
+    },
+
+    /**
+     * @return {Number} position of the pixel projected on the gradient vector, between 0 and 1
+     */
+    getGradientPosition_ : function (start, end, pixel) {
+      var dx = end.col - start.col;
+      var dy = end.row - start.row;
+      var length = dx * dx + dy * dy;
+      if (length === 0) {
+        return 0;
+      }
+      var position = ((pixel.col - start.col) * dx + (pixel.row - start.row) * dy) / length;
+      return Math.min(1, Math.max(0, position));
+    },
+
+    diffuseGradient_ : function (pixels, getPosition) {
+      var errors = {};
+      var key = function (col, row) {
+        return col + ',' + row;
+      };
+
+      // Error diffusion needs the pixels to be processed from left to right and top to bottom.
+      var sortedPixels = pixels.slice().sort(function (a, b) {
+        return a.row - b.row || a.col - b.col;
+      });
+
+      return sortedPixels.map(function (pixel) {
+        var value = 1 - getPosition(pixel) + (errors[key(pixel.col, pixel.row)] || 0);
+        var primary = value >= 0.5;
+        var error = value - (primary ? 1 : 0);
+        ERROR_DIFFUSION.forEach(function (diffusion) {
+          var neighbourKey = key(pixel.col + diffusion[0], pixel.row + diffusion[1]);
+          errors[neighbourKey] = (errors[neighbourKey] || 0) + error * diffusion[2];
+        });
+        return {
+          col : pixel.col,
+          row : pixel.row,
+          primary : primary
+        };
+      });
+    },
+
+    mod_ : function (value, size) {
+      return ((value % size) + size) % size;
+    }
+  };
+})();
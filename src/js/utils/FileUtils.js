@@ -14,6 +14,14 @@
       reader.readAsDataURL(file);
     },
 
+    readFileAsText : function (file, callback) {
+      var reader = new FileReader();
+      reader.addEventListener('loadend', function() {
+        callback(reader.result);
+      });
+      reader.readAsText(file);
+    },
+
     readFileAsArrayBuffer : function (file, callback) {
       var reader = new FileReader();
       reader.addEventListener('loadend', function() {
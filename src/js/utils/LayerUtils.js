@@ -6,7 +6,12 @@
       var clonedFrames = layer.getFrames().map(function (frame) {
         return frame.clone();
       });
-      return pskl.model.Layer.fromFrames(layer.getName() + ' (clone)', clonedFrames);
+      var clone = pskl.model.Layer.fromFrames(layer.getName() + ' (clone)', clonedFrames);
+      clone.setTilemap(layer.isTilemap());
+      clone.setVisible(layer.isVisible());
+      clone.setLocked(layer.isLocked());
+      clone.setBlendMode(layer.getBlendMode());
+      return clone;
     },
 
     mergeLayers : function (layerA, layerB) {
@@ -15,18 +20,41 @@
       var mergedFrames = [];
       framesA.forEach(function (frame, index) {
         var otherFrame = framesB[index];
-        mergedFrames.push(pskl.utils.FrameUtils.merge([otherFrame, frame]));
+        if (layerA.hasBlendMode()) {
+          var mergedFrame = otherFrame.clone();
+          pskl.utils.BlendUtils.blendFrame(mergedFrame, frame, layerA.getBlendMode());
+          mergedFrames.push(mergedFrame);
+        } else {
+          mergedFrames.push(pskl.utils.FrameUtils.merge([otherFrame, frame]));
+        }
       });
       var mergedLayer = pskl.model.Layer.fromFrames(layerA.getName(), mergedFrames);
+      // The merged content is blended with the layers below as the bottom layer was.
+      mergedLayer.setBlendMode(layerB.getBlendMode());
       return mergedLayer;
     },
 
+    /**
+     * Hidden layers are not rendered, see pskl.model.Layer.prototype.isEffectivelyVisible.
+     * @param  {Array<Layer>} layers
+     * @return {Array<Layer>} the visible layers
+     */
+    getVisibleLayers : function (layers) {
+      return layers.filter(function (l) {
+        return l.isEffectivelyVisible();
+      });
+    },
+
     getFrameHashAt : function (layers, index) {
       var hashBuffer = [];
-      layers.forEach(function (l) {
+      ns.LayerUtils.getVisibleLayers(layers).forEach(function (l) {
         var frame = l.getFrameAt(index);
         hashBuffer.push(frame.getHash());
         hashBuffer.push(l.getOpacity());
+        hashBuffer.push(l.getBlendMode());
+        for (var group = l.getGroup() ; group ; group = group.getParent()) {
+          hashBuffer.push(group.getId() + ':' + group.getOpacity());
+        }
         return frame;
       });
       return hashBuffer.join('-');
@@ -34,19 +62,24 @@
 
     /**
      * Create a frame instance merging all the frames from the layers array at
-     * the provided index.
+     * the provided index. Hidden layers are skipped.
      *
      * @param  {Array<Layer>} layers array of layers to use
      * @param  {Number} index frame index to merge
      * @return {Frame} Frame instance (can be a fake frame when using
-     *         transparency)
+     *         transparency or blend modes)
      */
     mergeFrameAt : function (layers, index) {
-      var isTransparent = layers.some(function (l) {return l.isTransparent();});
+      var visibleLayers = ns.LayerUtils.getVisibleLayers(layers);
+      if (visibleLayers.length === 0) {
+        return pskl.model.Frame.createEmptyFromFrame(layers[0].getFrameAt(index));
+      }
+
+      var isTransparent = visibleLayers.some(function (l) {return l.isTransparent() || l.hasBlendMode();});
       if (isTransparent) {
-        return pskl.utils.LayerUtils.mergeTransparentFrameAt_(layers, index);
+        return pskl.utils.LayerUtils.mergeTransparentFrameAt_(visibleLayers, index);
       } else {
-        return pskl.utils.LayerUtils.mergeOpaqueFrameAt_(layers, index);
+        return pskl.utils.LayerUtils.mergeOpaqueFrameAt_(visibleLayers, index);
       }
     },
 
@@ -73,18 +106,105 @@
       return pskl.utils.FrameUtils.toImage(frame, 1, opacity);
     },
 
+    /**
+     * Render the frames of all the visible layers at the provided index in a canvas. The layers
+     * of a group are rendered together before applying the opacity of the group.
+     * @param  {Array<Layer>} layers array of layers to use, from bottom to top
+     * @param  {Number} index frame index to render
+     * @param  {Boolean} preserveOpacity true to apply the opacity of each layer and group
+     * @return {Canvas}
+     */
     flattenFrameAt : function (layers, index, preserveOpacity) {
+      var visibleLayers = ns.LayerUtils.getVisibleLayers(layers);
+      var hasBlendMode = visibleLayers.some(function (l) {return l.hasBlendMode();});
+      if (hasBlendMode) {
+        return pskl.utils.FrameUtils.toImage(ns.LayerUtils.blendFrameAt(layers, index, preserveOpacity));
+      }
+
       var width = layers[0].getFrameAt(index).getWidth();
       var height = layers[0].getFrameAt(index).getHeight();
-      var canvas = pskl.utils.CanvasUtils.createCanvas(width, height);
+      return ns.LayerUtils.flattenGroup_(visibleLayers, null, index, preserveOpacity, width, height);
+    },
 
+    /**
+     * @private
+     */
+    flattenGroup_ : function (layers, group, index, preserveOpacity, width, height) {
+      var canvas = pskl.utils.CanvasUtils.createCanvas(width, height);
       var context = canvas.getContext('2d');
-      layers.forEach(function (l) {
-        var render = ns.LayerUtils.renderFrameAt(l, index, preserveOpacity);
+      ns.LayerUtils.getGroupBlocks_(layers, group).forEach(function (block) {
+        var render;
+        if (block.group) {
+          render = ns.LayerUtils.flattenGroup_(block.layers, block.group, index, preserveOpacity, width, height);
+          context.globalAlpha = preserveOpacity ? block.group.getOpacity() : 1;
+        } else {
+          render = ns.LayerUtils.renderFrameAt(block.layers[0], index, preserveOpacity);
+        }
         context.drawImage(render, 0, 0, width, height, 0, 0, width, height);
+        context.globalAlpha = 1;
       });
-
       return canvas;
+    },
+
+    /**
+     * Create a frame blending the frames of all visible layers at the provided index, using the
+     * blend mode of each layer. The layers of a group are blended together before blending the
+     * group with the layers below, using the opacity of the group.
+     *
+     * @param  {Array<Layer>} layers array of layers to use, from bottom to top
+     * @param  {Number} index frame index to blend
+     * @param  {Boolean} preserveOpacity set to true to apply the opacity of each layer and group
+     * @return {Frame} the blended frame
+     */
+    blendFrameAt : function (layers, index, preserveOpacity) {
+      var firstFrame = layers[0].getFrameAt(index);
+      var visibleLayers = ns.LayerUtils.getVisibleLayers(layers);
+      return ns.LayerUtils.blendGroup_(visibleLayers, null, index, preserveOpacity, firstFrame);
+    },
+
+    /**
+     * @private
+     */
+    blendGroup_ : function (layers, group, index, preserveOpacity, firstFrame) {
+      var blendedFrame = new pskl.model.Frame(firstFrame.getWidth(), firstFrame.getHeight());
+      ns.LayerUtils.getGroupBlocks_(layers, group).forEach(function (block) {
+        if (block.group) {
+          var groupFrame = ns.LayerUtils.blendGroup_(block.layers, block.group, index, preserveOpacity, firstFrame);
+          var groupOpacity = preserveOpacity ? block.group.getOpacity() : 1;
+          pskl.utils.BlendUtils.blendFrame(blendedFrame, groupFrame, 'normal', groupOpacity);
+        } else {
+          var l = block.layers[0];
+          var opacity = preserveOpacity ? l.getOpacity() : 1;
+          pskl.utils.BlendUtils.blendFrame(blendedFrame, l.getFrameAt(index), l.getBlendMode(), opacity);
+        }
+      });
+      return blendedFrame;
+    },
+
+    /**
+     * Split layers of a group in blocks rendered one after the other: a block is either a layer
+     * directly in the group, or the consecutive layers of a child group.
+     * @param  {Array<Layer>} layers layers of the group, from bottom to top
+     * @param  {LayerGroup} group the group, null for the root of the piskel
+     * @return {Array} blocks as {group, layers}, group being null for a single layer
+     * @private
+     */
+    getGroupBlocks_ : function (layers, group) {
+      var blocks = [];
+      layers.forEach(function (layer) {
+        var childGroup = layer.getGroup();
+        while (childGroup && childGroup.getParent() !== group) {
+          childGroup = childGroup.getParent();
+        }
+
+        var lastBlock = blocks[blocks.length - 1];
+        if (childGroup && lastBlock && lastBlock.group === childGroup) {
+          lastBlock.layers.push(layer);
+        } else {
+          blocks.push({group : childGroup, layers : [layer]});
+        }
+      });
+      return blocks;
     }
   };
 
@@ -84,6 +84,21 @@
       piskel.getLayers().forEach(function (l) {
         l.addFrameAt(ns.MergeUtils.createEmptyFrame_(piskel), index);
       });
+
+      // Keep custom frame durations aligned with their frames.
+      if (index < piskel.frameDurations.length) {
+        piskel.frameDurations.splice(index, 0, null);
+      }
+
+      // Shift the tags after the new frame.
+      piskel.tags.forEach(function (tag) {
+        if (tag.from >= index) {
+          tag.from++;
+          tag.to++;
+        } else if (tag.to >= index) {
+          tag.to++;
+        }
+      });
     }
   };
 })();
@@ -0,0 +1,141 @@
+(function () {
+  var ns = $.namespace('pskl.utils');
+
+  // Maximum number of animation loops baked in an export to complete the color cycles.
+  var MAX_EXPORT_LOOPS = 16;
+  // Maximum number of color changes returned by getChangeTimes.
+  var MAX_CHANGE_TIMES = 10000;
+
+  ns.PaletteCycleUtils = {
+    /**
+     * Same as pskl.utils.LayerUtils.mergeFrameAt, using the colors of the palette cycled at
+     * the provided time for frames linked to the palette.
+     *
+     * @param  {Array<Layer>} layers array of layers to use
+     * @param  {Number} index frame index to merge
+     * @param  {pskl.model.Palette} palette indexed palette of the piskel, can be null
+     * @param  {Number} time in milliseconds
+     * @return {Frame}
+     */
+    mergeCycledFrameAt : function (layers, index, palette, time) {
+      var cycledLayers = ns.PaletteCycleUtils.createCycledLayers_(layers, index, palette, time);
+      if (!cycledLayers) {
+        return pskl.utils.LayerUtils.mergeFrameAt(layers, index);
+      }
+      return pskl.utils.LayerUtils.mergeFrameAt(cycledLayers, 0);
+    },
+
+    /**
+     * Same as pskl.utils.LayerUtils.flattenFrameAt, using the colors of the palette cycled at
+     * the provided time for frames linked to the palette.
+     * @return {Canvas}
+     */
+    flattenCycledFrameAt : function (layers, index, palette, time, preserveOpacity) {
+      var cycledLayers = ns.PaletteCycleUtils.createCycledLayers_(layers, index, palette, time);
+      if (!cycledLayers) {
+        return pskl.utils.LayerUtils.flattenFrameAt(layers, index, preserveOpacity);
+      }
+      return pskl.utils.LayerUtils.flattenFrameAt(cycledLayers, 0, preserveOpacity);
+    },
+
+    /**
+     * Create single frame copies of the visible layers, where the frame at the provided index
+     * is recolored using the cycled palette.
+     * @return {Array<Layer>} the cycled layers, null if there is nothing to cycle
+     */
+    createCycledLayers_ : function (layers, index, palette, time) {
+      var visibleLayers = pskl.utils.LayerUtils.getVisibleLayers(layers);
+      if (!palette || !palette.hasCycles() || visibleLayers.length === 0) {
+        return null;
+      }
+
+      var colors = palette.getCycledColors(time).map(pskl.utils.colorToInt);
+      var cycleState = palette.getCycleState(time);
+      return visibleLayers.map(function (layer) {
+        var frame = layer.getFrameAt(index);
+        var cycledFrame = frame;
+        if (frame.hasUpToDateIndexes()) {
+          cycledFrame = frame.clone();
+          cycledFrame.applyPalette(colors);
+          // Keep the same hash for a given frame and cycle state, renderers rely on it for caching.
+          cycledFrame.id = frame.id + '-cycle-' + cycleState;
+          cycledFrame.version = frame.version;
+        }
+
+        var cycledLayer = pskl.model.Layer.fromFrames(layer.getName(), [cycledFrame]);
+        cycledLayer.setOpacity(layer.getOpacity());
+        cycledLayer.setBlendMode(layer.getBlendMode());
+        cycledLayer.setGroup(layer.getGroup());
+        return cycledLayer;
+      });
+    },
+
+    /**
+     * Get the times at which the cycled colors of the palette change, between two times.
+     * @param  {pskl.model.Palette} palette
+     * @param  {Number} from start time in milliseconds (excluded)
+     * @param  {Number} to end time in milliseconds (excluded)
+     * @return {Array<Number>} sorted times, rounded to the millisecond. Empty if one of the
+     *         times is not finite, at most MAX_CHANGE_TIMES for each cycle.
+     */
+    getChangeTimes : function (palette, from, to) {
+      var times = [];
+      if (!isFinite(from) || !isFinite(to)) {
+        return times;
+      }
+
+      var isListed = {};
+      palette.getCycles().forEach(function (cycle) {
+        if (!cycle.isAnimated()) {
+          return;
+        }
+        var stepDuration = cycle.getStepDuration();
+        var firstStep = Math.floor(from / stepDuration) + 1;
+        var lastStep = firstStep + MAX_CHANGE_TIMES;
+        for (var step = firstStep ; step * stepDuration < to && step < lastStep ; step++) {
+          var time = Math.round(step * stepDuration);
+          if (time > from && time < to && !isListed[time]) {
+            isListed[time] = true;
+            times.push(time);
+          }
+        }
+      });
+      return times.sort(function (a, b) {
+        return a - b;
+      });
+    },
+
+    /**
+     * Get the number of animation loops to export so that the exported animation also loops
+     * through the color cycles. Falls back to the loops needed to play the longest cycle once
+     * if the cycles and the animation never align.
+     * @param  {pskl.model.Palette} palette
+     * @param  {Number} duration duration of the animation in milliseconds
+     * @return {Number}
+     */
+    getExportLoopCount : function (palette, duration) {
+      var periods = palette.getCycles().filter(function (cycle) {
+        return cycle.isAnimated();
+      }).map(function (cycle) {
+        return cycle.getPeriod();
+      });
+      if (periods.length === 0 || duration <= 0) {
+        return 1;
+      }
+
+      for (var loops = 1 ; loops <= MAX_EXPORT_LOOPS ; loops++) {
+        var total = loops * duration;
+        var isAligned = periods.every(function (period) {
+          var ratio = total / period;
+          return Math.abs(ratio - Math.round(ratio)) < 1e-3;
+        });
+        if (isAligned) {
+          return loops;
+        }
+      }
+
+      var longestPeriod = Math.max.apply(Math, periods);
+      return Math.min(MAX_EXPORT_LOOPS, Math.ceil(longestPeriod / duration));
+    }
+  };
+})();
@@ -0,0 +1,100 @@
+(function () {
+  var ns = $.namespace('pskl.utils');
+
+  var getLayerNames = function (piskel) {
+    return piskel.getLayers().map(function (layer) {
+      return layer.getName();
+    });
+  };
+
+  var framesEqual = function (frame, otherFrame) {
+    if (frame.pixels.length !== otherFrame.pixels.length) {
+      return false;
+    }
+    for (var i = 0 ; i < frame.pixels.length ; i++) {
+      if (frame.pixels[i] !== otherFrame.pixels[i]) {
+        return false;
+      }
+    }
+    return true;
+  };
+
+  ns.PiskelDiffUtils = {
+    /**
+     * Compare two versions of a piskel. Layers are matched by name, the first layer is used
+     * when several layers have the same name.
+     *
+     * @param  {pskl.model.Piskel} piskel the reference version
+     * @param  {pskl.model.Piskel} otherPiskel the compared version
+     * @return {Object} the differences, as:
+     *         - resized: true if the dimensions are different
+     *         - frameCount: {from, to} number of frames of each version
+     *         - addedLayers, removedLayers: names of the layers only found in otherPiskel,
+     *           respectively only found in piskel
+     *         - changedLayers: names of the common layers with different content
+     *         - changedFrames: indexes of the common frames with different content in at
+     *           least one common layer
+     */
+    diff : function (piskel, otherPiskel) {
+      var names = getLayerNames(piskel);
+      var otherNames = getLayerNames(otherPiskel);
+      var resized = piskel.getWidth() !== otherPiskel.getWidth() ||
+        piskel.getHeight() !== otherPiskel.getHeight();
+
+      var result = {
+        resized : resized,
+        frameCount : {
+          from : piskel.getFrameCount(),
+          to : otherPiskel.getFrameCount()
+        },
+        addedLayers : otherNames.filter(function (name) {
+          return names.indexOf(name) === -1;
+        }),
+        removedLayers : names.filter(function (name) {
+          return otherNames.indexOf(name) === -1;
+        }),
+        changedLayers : [],
+        changedFrames : []
+      };
+
+      var commonFrameCount = Math.min(result.frameCount.from, result.frameCount.to);
+      piskel.getLayers().forEach(function (layer) {
+        var otherLayer = otherPiskel.getLayersByName(layer.getName())[0];
+        if (!otherLayer) {
+          return;
+        }
+
+        var changed = layer.size() !== otherLayer.size();
+        for (var i = 0 ; i < commonFrameCount ; i++) {
+          if (resized || !framesEqual(layer.getFrameAt(i), otherLayer.getFrameAt(i))) {
+            changed = true;
+            if (result.changedFrames.indexOf(i) === -1) {
+              result.changedFrames.push(i);
+            }
+          }
+        }
+
+        if (changed) {
+          result.changedLayers.push(layer.getName());
+        }
+      });
+
+      result.changedFrames.sort(function (a, b) {
+        return a - b;
+      });
+      return result;
+    },
+
+    /**
+     * @param  {Object} diff the result of diff
+     * @return {Boolean} true if the compared versions have the same content
+     */
+    isEmpty : function (diff) {
+      return !diff.resized &&
+        diff.frameCount.from === diff.frameCount.to &&
+        diff.addedLayers.length === 0 &&
+        diff.removedLayers.length === 0 &&
+        diff.changedLayers.length === 0;
+    }
+  };
+})();
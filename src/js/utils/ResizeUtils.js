@@ -10,6 +10,7 @@
      *         - height {Number} target height after the resize
      *         - resizeContent {Booleam} true of the sprite content should be resized
      *         - origin {String} should be a valid AnchorWidget origin
+     *         - algorithm {String} optional pskl.utils.UpscaleUtils algorithm used to resize the content
      * @return {Piskel} The resized piskel
      */
     resizePiskel : function (piskel, options) {
@@ -21,6 +22,10 @@
       var resizedPiskel = pskl.model.Piskel.fromLayers(resizedLayers, fps, piskel.getDescriptor());
       // propagate savepath to new Piskel
       resizedPiskel.savePath = piskel.savePath;
+      resizedPiskel.frameDurations = piskel.frameDurations.slice();
+      resizedPiskel.tags = piskel.tags.map(pskl.model.piskel.Tag.fromObject);
+      resizedPiskel.setPalette(piskel.getPalette());
+      resizedPiskel.setTileset(piskel.getTileset());
 
       return resizedPiskel;
     },
@@ -32,6 +37,12 @@
       });
       var resizedLayer = pskl.model.Layer.fromFrames(layer.getName(), resizedFrames);
       resizedLayer.setOpacity(opacity);
+      resizedLayer.setBlendMode(layer.getBlendMode());
+      resizedLayer.setGroup(layer.getGroup());
+      resizedLayer.setVisible(layer.isVisible());
+      resizedLayer.setLocked(layer.isLocked());
+      // Resized frames have no tile map, tiles are extracted again from their pixels.
+      resizedLayer.setTilemap(layer.isTilemap());
       return resizedLayer;
     },
 
@@ -41,6 +52,9 @@
       var origin = options.origin;
 
       if (options.resizeContent) {
+        if (pskl.utils.UpscaleUtils.getFactor(options.algorithm) > 1) {
+          return pskl.utils.UpscaleUtils.resizeFrame(frame, width, height, options.algorithm);
+        }
         return pskl.utils.FrameUtils.resize(frame, width, height, false);
       } else {
         var resizedFrame = new pskl.model.Frame(width, height);
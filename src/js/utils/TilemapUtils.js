@@ -0,0 +1,213 @@
+(function () {
+  var ns = $.namespace('pskl.utils');
+
+  /**
+   * Iterate on the pixels of a tile map cell, cells on the right and bottom edges of the frame
+   * can be partially outside of the frame.
+   * @param {Function} callback called with the index of the pixel in the frame and in the tile
+   */
+  var forEachCellPixel = function (frame, tileSize, column, row, callback) {
+    var width = frame.getWidth();
+    var maxX = Math.min(tileSize, width - column * tileSize);
+    var maxY = Math.min(tileSize, frame.getHeight() - row * tileSize);
+    for (var y = 0 ; y < maxY ; y++) {
+      for (var x = 0 ; x < maxX ; x++) {
+        var frameIndex = (row * tileSize + y) * width + column * tileSize + x;
+        if (callback(frameIndex, y * tileSize + x) === false) {
+          return;
+        }
+      }
+    }
+  };
+
+  ns.TilemapUtils = {
+    /**
+     * Create an empty tile map covering the provided frame.
+     * @param  {pskl.model.Frame} frame
+     * @param  {Number} tileSize
+     * @return {pskl.model.TileMap}
+     */
+    createTileMap : function (frame, tileSize) {
+      var columns = Math.ceil(frame.getWidth() / tileSize);
+      var rows = Math.ceil(frame.getHeight() / tileSize);
+      return new pskl.model.TileMap(columns, rows);
+    },
+
+    /**
+     * Draw the tiles referenced by the tile map of a frame in the frame.
+     * @param  {pskl.model.Frame} frame frame with a tile map
+     * @param  {pskl.model.Tileset} tileset
+     */
+    renderFrame : function (frame, tileset) {
+      var tileMap = frame.getTileMap();
+      var tileSize = tileset.getTileSize();
+      var pixels = frame.pixels;
+      var modified = false;
+
+      for (var row = 0 ; row < tileMap.getRows() ; row++) {
+        for (var column = 0 ; column < tileMap.getColumns() ; column++) {
+          var tile = tileset.getTileAt(tileMap.getTileAt(column, row));
+          forEachCellPixel(frame, tileSize, column, row, function (frameIndex, tileIndex) {
+            var color = tile ? tile.pixels[tileIndex] : 0;
+            if (pixels[frameIndex] !== color) {
+              pixels[frameIndex] = color;
+              modified = true;
+            }
+          });
+        }
+      }
+
+      if (modified) {
+        frame.version++;
+      }
+      tileMap.syncedVersion = frame.version;
+    },
+
+    /**
+     * Report the changes made to the pixels of a frame since it was last synchronized to its
+     * tile map and to the tileset:
+     * - edited cells update the tile they reference, the first edited cell wins if several
+     *   cells referencing the same tile were edited differently
+     * - cells drawn on empty cells reference an identical tile, or a new tile
+     * - cells which were entirely erased become empty
+     *
+     * @param  {pskl.model.Frame} frame
+     * @param  {pskl.model.Tileset} tileset
+     * @return {Array<Number>} the indexes of the modified tiles
+     */
+    syncFrame : function (frame, tileset) {
+      var tileSize = tileset.getTileSize();
+      if (!frame.getTileMap()) {
+        frame.setTileMap(ns.TilemapUtils.createTileMap(frame, tileSize));
+      }
+
+      var tileMap = frame.getTileMap();
+      var pixels = frame.pixels;
+      var modifiedTiles = [];
+
+      for (var row = 0 ; row < tileMap.getRows() ; row++) {
+        for (var column = 0 ; column < tileMap.getColumns() ; column++) {
+          var cellPixels = ns.TilemapUtils.getCellPixels_(frame, tileSize, column, row);
+          var tileIndex = tileMap.getTileAt(column, row);
+          var tile = tileset.getTileAt(tileIndex);
+
+          if (ns.TilemapUtils.isEmpty_(cellPixels)) {
+            tileMap.setTileAt(column, row, -1);
+          } else if (!tile) {
+            var existingTile = tileset.findTile(cellPixels);
+            if (existingTile === -1) {
+              var newTile = new pskl.model.Frame(tileSize, tileSize);
+              newTile.setPixels(cellPixels);
+              existingTile = tileset.addTile(newTile);
+            }
+            tileMap.setTileAt(column, row, existingTile);
+          } else if (modifiedTiles.indexOf(tileIndex) === -1) {
+            if (!ns.TilemapUtils.cellMatchesTile_(frame, tileSize, column, row, tile)) {
+              ns.TilemapUtils.copyCellToTile_(frame, tileSize, column, row, tile);
+              modifiedTiles.push(tileIndex);
+            }
+          }
+        }
+      }
+
+      return modifiedTiles;
+    },
+
+    /**
+     * Synchronize all the frames of the tilemap layers modified since their last synchronization,
+     * then redraw the frames to display the up to date tiles.
+     * @param  {Array<pskl.model.Layer>} layers
+     * @param  {pskl.model.Tileset} tileset
+     */
+    syncLayers : function (layers, tileset) {
+      if (!tileset) {
+        return;
+      }
+
+      var tilemapFrames = [];
+      layers.forEach(function (layer) {
+        if (layer.isTilemap()) {
+          tilemapFrames = tilemapFrames.concat(layer.getFrames());
+        }
+      });
+
+      var isStale = function (frame) {
+        return !frame.getTileMap() || frame.getTileMap().syncedVersion !== frame.version;
+      };
+      var staleFrames = tilemapFrames.filter(isStale);
+      var modifiedTiles = 0;
+      staleFrames.forEach(function (frame) {
+        modifiedTiles += ns.TilemapUtils.syncFrame(frame, tileset).length;
+      });
+
+      // When tiles are modified, all their placements need to be redrawn.
+      var framesToRender = modifiedTiles > 0 ? tilemapFrames : staleFrames;
+      framesToRender.forEach(function (frame) {
+        ns.TilemapUtils.renderFrame(frame, tileset);
+      });
+    },
+
+    /**
+     * Remove a tile from the tileset and update the tile maps of all the tilemap layers:
+     * cells using the removed tile become empty and cells using the following tiles are
+     * updated to their new index.
+     * @param  {Array<pskl.model.Layer>} layers
+     * @param  {pskl.model.Tileset} tileset
+     * @param  {Number} index index of the tile to remove
+     */
+    removeTileAt : function (layers, tileset, index) {
+      tileset.removeTileAt(index);
+      layers.forEach(function (layer) {
+        if (!layer.isTilemap()) {
+          return;
+        }
+        layer.getFrames().forEach(function (frame) {
+          var tiles = frame.getTileMap() ? frame.getTileMap().getTiles() : [];
+          for (var i = 0 ; i < tiles.length ; i++) {
+            if (tiles[i] === index) {
+              tiles[i] = -1;
+            } else if (tiles[i] > index) {
+              tiles[i]--;
+            }
+          }
+          if (frame.getTileMap()) {
+            ns.TilemapUtils.renderFrame(frame, tileset);
+          }
+        });
+      });
+    },
+
+    getCellPixels_ : function (frame, tileSize, column, row) {
+      var cellPixels = new Uint32Array(tileSize * tileSize);
+      forEachCellPixel(frame, tileSize, column, row, function (frameIndex, tileIndex) {
+        cellPixels[tileIndex] = frame.pixels[frameIndex];
+      });
+      return cellPixels;
+    },
+
+    isEmpty_ : function (pixels) {
+      for (var i = 0 ; i < pixels.length ; i++) {
+        if (pixels[i] !== 0) {
+          return false;
+        }
+      }
+      return true;
+    },
+
+    cellMatchesTile_ : function (frame, tileSize, column, row, tile) {
+      var matches = true;
+      forEachCellPixel(frame, tileSize, column, row, function (frameIndex, tileIndex) {
+        matches = frame.pixels[frameIndex] === tile.pixels[tileIndex];
+        return matches;
+      });
+      return matches;
+    },
+
+    copyCellToTile_ : function (frame, tileSize, column, row, tile) {
+      forEachCellPixel(frame, tileSize, column, row, function (frameIndex, tileIndex) {
+        tile.pixels[tileIndex] = frame.pixels[frameIndex];
+      });
+      tile.version++;
+    }
+  };
+})();
@@ -0,0 +1,447 @@
+(function () {
+  var ns = $.namespace('pskl.utils');
+
+  // Thresholds used by hqx to decide if two colors are different, in the YUV color space.
+  var YUV_THRESHOLD = {y : 48, u : 7, v : 6};
+
+  // Weights of the YUV components in the color distance used by xBR.
+  var XBR_WEIGHTS = {y : 48, u : 7, v : 6};
+
+  var TRANSPARENT = 0;
+
+  /**
+   * Blend a list of ABGR colors with the provided weights. Color channels are weighted by the
+   * alpha of each color, so that blending with a transparent pixel does not darken the result.
+   */
+  var blend = function (colors, weights) {
+    var r = 0;
+    var g = 0;
+    var b = 0;
+    var a = 0;
+    var total = 0;
+    for (var i = 0 ; i < colors.length ; i++) {
+      var color = colors[i];
+      var weight = weights[i];
+      var alpha = (color >>> 24) * weight;
+      r += (color & 0xff) * alpha;
+      g += ((color >>> 8) & 0xff) * alpha;
+      b += ((color >>> 16) & 0xff) * alpha;
+      a += alpha;
+      total += weight;
+    }
+
+    if (a === 0) {
+      return TRANSPARENT;
+    }
+    return ((Math.round(a / total) << 24) |
+      (Math.round(b / a) << 16) |
+      (Math.round(g / a) << 8) |
+      Math.round(r / a)) >>> 0;
+  };
+
+  /**
+   * Helper to read the pixels of an image with coordinates clamped to the image bounds, and
+   * to compare them in the YUV color space.
+   */
+  var Source = function (pixels, width, height) {
+    this.pixels = pixels;
+    this.width = width;
+    this.height = height;
+    this.yuv = null;
+  };
+
+  Source.prototype.index = function (x, y) {
+    x = x < 0 ? 0 : (x >= this.width ? this.width - 1 : x);
+    y = y < 0 ? 0 : (y >= this.height ? this.height - 1 : y);
+    return y * this.width + x;
+  };
+
+  Source.prototype.get = function (x, y) {
+    return this.pixels[this.index(x, y)];
+  };
+
+  /**
+   * @return {Array} YUVA components of the pixel at the provided coordinates, computed once
+   */
+  Source.prototype.getYuv = function (x, y) {
+    if (!this.yuv) {
+      this.yuv = [];
+    }
+    var index = this.index(x, y);
+    if (!this.yuv[index]) {
+      var color = this.pixels[index];
+      var r = color & 0xff;
+      var g = (color >>> 8) & 0xff;
+      var b = (color >>> 16) & 0xff;
+      this.yuv[index] = [
+        0.299 * r + 0.587 * g + 0.114 * b,
+        -0.169 * r - 0.331 * g + 0.5 * b,
+        0.5 * r - 0.419 * g - 0.081 * b,
+        color >>> 24
+      ];
+    }
+    return this.yuv[index];
+  };
+
+  /**
+   * hqx comparison: true if the two pixels are perceptually different.
+   */
+  Source.prototype.isDifferent = function (x1, y1, x2, y2) {
+    var c1 = this.getYuv(x1, y1);
+    var c2 = this.getYuv(x2, y2);
+    if (c1[3] === 0 || c2[3] === 0) {
+      return c1[3] !== c2[3];
+    }
+    return Math.abs(c1[0] - c2[0]) > YUV_THRESHOLD.y ||
+      Math.abs(c1[1] - c2[1]) > YUV_THRESHOLD.u ||
+      Math.abs(c1[2] - c2[2]) > YUV_THRESHOLD.v ||
+      Math.abs(c1[3] - c2[3]) > YUV_THRESHOLD.y;
+  };
+
+  /**
+   * xBR distance between two pixels.
+   */
+  Source.prototype.distance = function (x1, y1, x2, y2) {
+    var c1 = this.getYuv(x1, y1);
+    var c2 = this.getYuv(x2, y2);
+    return XBR_WEIGHTS.y * Math.abs(c1[0] - c2[0]) +
+      XBR_WEIGHTS.u * Math.abs(c1[1] - c2[1]) +
+      XBR_WEIGHTS.v * Math.abs(c1[2] - c2[2]) +
+      XBR_WEIGHTS.y * Math.abs(c1[3] - c2[3]);
+  };
+
+  /**
+   * Scale2x / EPX: each pixel becomes 2x2 pixels, corners take the color of the two
+   * neighbours they touch when these neighbours are identical.
+   */
+  var scale2x = function (source) {
+    var w = source.width;
+    var result = new Uint32Array(w * source.height * 4);
+    for (var y = 0 ; y < source.height ; y++) {
+      for (var x = 0 ; x < w ; x++) {
+        var e = source.get(x, y);
+        var b = source.get(x, y - 1);
+        var d = source.get(x - 1, y);
+        var f = source.get(x + 1, y);
+        var h = source.get(x, y + 1);
+
+        var e0 = e;
+        var e1 = e;
+        var e2 = e;
+        var e3 = e;
+        if (b !== h && d !== f) {
+          e0 = d === b ? d : e;
+          e1 = b === f ? f : e;
+          e2 = d === h ? d : e;
+          e3 = h === f ? f : e;
+        }
+
+        var i = (y * 2) * w * 2 + x * 2;
+        result[i] = e0;
+        result[i + 1] = e1;
+        result[i + w * 2] = e2;
+        result[i + w * 2 + 1] = e3;
+      }
+    }
+    return result;
+  };
+
+  /**
+   * Scale3x: same principle as Scale2x, each pixel becomes 3x3 pixels.
+   */
+  var scale3x = function (source) {
+    var w = source.width;
+    var result = new Uint32Array(w * source.height * 9);
+    for (var y = 0 ; y < source.height ; y++) {
+      for (var x = 0 ; x < w ; x++) {
+        var a = source.get(x - 1, y - 1);
+        var b = source.get(x, y - 1);
+        var c = source.get(x + 1, y - 1);
+        var d = source.get(x - 1, y);
+        var e = source.get(x, y);
+        var f = source.get(x + 1, y);
+        var g = source.get(x - 1, y + 1);
+        var h = source.get(x, y + 1);
+        var i = source.get(x + 1, y + 1);
+
+        var out = [e, e, e, e, e, e, e, e, e];
+        if (b !== h && d !== f) {
+          out[0] = d === b ? d : e;
+          out[1] = (d === b && e !== c) || (b === f && e !== a) ? b : e;
+          out[2] = b === f ? f : e;
+          out[3] = (d === b && e !== g) || (d === h && e !== a) ? d : e;
+          out[5] = (b === f && e !== i) || (h === f && e !== c) ? f : e;
+          out[6] = d === h ? d : e;
+          out[7] = (d === h && e !== i) || (h === f && e !== g) ? h : e;
+          out[8] = h === f ? f : e;
+        }
+
+        for (var k = 0 ; k < 9 ; k++) {
+          result[(y * 3 + Math.floor(k / 3)) * w * 3 + x * 3 + (k % 3)] = out[k];
+        }
+      }
+    }
+    return result;
+  };
+
+  /**
+   * hqx corner sub-pixel of the pixel (x, y), on the side given by sx and sy (-1 or 1).
+   * This is a compact version of the hqx rules: the corner is decided from the two edge
+   * neighbours and the corner neighbour, instead of the full 8 neighbours lookup table.
+   */
+  var hqxCorner = function (source, x, y, sx, sy) {
+    var e = source.get(x, y);
+    var h = source.get(x + sx, y);
+    var v = source.get(x, y + sy);
+    var c = source.get(x + sx, y + sy);
+
+    var diffH = source.isDifferent(x, y, x + sx, y);
+    var diffV = source.isDifferent(x, y, x, y + sy);
+    if (diffH && diffV && !source.isDifferent(x + sx, y, x, y + sy)) {
+      // Diagonal edge between the pixel and its corner.
+      if (!source.isDifferent(x + sx, y, x + sx, y + sy)) {
+        return blend([e, h, v], [2, 3, 3]);
+      }
+      return blend([e, h, v], [2, 1, 1]);
+    } else if (!diffH && !diffV && source.isDifferent(x, y, x + sx, y + sy)) {
+      return blend([e, c], [3, 1]);
+    } else if (diffH && !diffV) {
+      return blend([e, h], [3, 1]);
+    } else if (diffV && !diffH) {
+      return blend([e, v], [3, 1]);
+    }
+    return e;
+  };
+
+  /**
+   * hqx side sub-pixel of the pixel (x, y), only used by hq3x. (sx, sy) points to the
+   * neighbour on this side.
+   */
+  var hqxSide = function (source, x, y, sx, sy) {
+    var e = source.get(x, y);
+    if (!source.isDifferent(x, y, x + sx, y + sy)) {
+      return e;
+    }
+    // Perpendicular neighbours: if one of them matches the side neighbour, there is a
+    // diagonal edge near this side.
+    var px = sy;
+    var py = sx;
+    var isEdge = !source.isDifferent(x + sx, y + sy, x + px, y + py) ||
+      !source.isDifferent(x + sx, y + sy, x - px, y - py);
+    return isEdge ? blend([e, source.get(x + sx, y + sy)], [3, 1]) : e;
+  };
+
+  var hqx = function (source, factor) {
+    var w = source.width;
+    var size = w * factor;
+    var result = new Uint32Array(size * source.height * factor);
+    var last = factor - 1;
+    for (var y = 0 ; y < source.height ; y++) {
+      for (var x = 0 ; x < w ; x++) {
+        var i = y * factor * size + x * factor;
+        result[i] = hqxCorner(source, x, y, -1, -1);
+        result[i + last] = hqxCorner(source, x, y, 1, -1);
+        result[i + last * size] = hqxCorner(source, x, y, -1, 1);
+        result[i + last * size + last] = hqxCorner(source, x, y, 1, 1);
+        if (factor === 3) {
+          result[i + 1] = hqxSide(source, x, y, 0, -1);
+          result[i + size] = hqxSide(source, x, y, -1, 0);
+          result[i + size + 1] = source.get(x, y);
+          result[i + size + 2] = hqxSide(source, x, y, 1, 0);
+          result[i + 2 * size + 1] = hqxSide(source, x, y, 0, 1);
+        }
+      }
+    }
+    return result;
+  };
+
+  /**
+   * xBR (level 1) corner sub-pixel of the pixel (x, y), on the side given by sx and sy.
+   * Offsets are named after the bottom right corner:
+   *        A1 B1 C1
+   *     A0  A  B  C  C4
+   *     D0  D  E  F  F4
+   *     G0  G  H  I  I4
+   *        G5 H5 I5
+   */
+  var xbrCorner = function (source, x, y, sx, sy) {
+    var px = function (dx, dy) {
+      return source.get(x + dx * sx, y + dy * sy);
+    };
+    var dist = function (dx1, dy1, dx2, dy2) {
+      return source.distance(x + dx1 * sx, y + dy1 * sy, x + dx2 * sx, y + dy2 * sy);
+    };
+
+    var e = px(0, 0);
+    var b = px(0, -1);
+    var c = px(1, -1);
+    var d = px(-1, 0);
+    var f = px(1, 0);
+    var g = px(-1, 1);
+    var h = px(0, 1);
+    var i = px(1, 1);
+    if (e === f || e === h) {
+      return e;
+    }
+
+    // Weighted distances along the two diagonals crossing the corner.
+    var alongEdge = dist(0, 0, 1, -1) + dist(0, 0, -1, 1) + dist(1, 1, 2, 0) + dist(1, 1, 0, 2) +
+      4 * dist(0, 1, 1, 0);
+    var acrossEdge = dist(0, 1, -1, 0) + dist(0, 1, 1, 2) + dist(1, 0, 2, 1) + dist(1, 0, 0, -1) +
+      4 * dist(0, 0, 1, 1);
+
+    var isEdge = alongEdge < acrossEdge && (
+      (f !== b && h !== d) ||
+      (e === i && f !== px(2, 1) && h !== px(1, 2)) ||
+      e === g || e === c);
+    if (!isEdge) {
+      return e;
+    }
+
+    var closest = dist(0, 0, 1, 0) <= dist(0, 0, 0, 1) ? f : h;
+    return blend([e, closest], [1, 1]);
+  };
+
+  var xbr = function (source) {
+    var w = source.width;
+    var size = w * 2;
+    var result = new Uint32Array(size * source.height * 2);
+    for (var y = 0 ; y < source.height ; y++) {
+      for (var x = 0 ; x < w ; x++) {
+        var i = y * 2 * size + x * 2;
+        result[i] = xbrCorner(source, x, y, -1, -1);
+        result[i + 1] = xbrCorner(source, x, y, 1, -1);
+        result[i + size] = xbrCorner(source, x, y, -1, 1);
+        result[i + size + 1] = xbrCorner(source, x, y, 1, 1);
+      }
+    }
+    return result;
+  };
+
+  var nearest = function (pixels, width, height, targetWidth, targetHeight) {
+    var result = new Uint32Array(targetWidth * targetHeight);
+    for (var y = 0 ; y < targetHeight ; y++) {
+      var sourceY = Math.floor(y * height / targetHeight);
+      for (var x = 0 ; x < targetWidth ; x++) {
+        result[y * targetWidth + x] = pixels[sourceY * width + Math.floor(x * width / targetWidth)];
+      }
+    }
+    return result;
+  };
+
+  /**
+   * Upscaling algorithms designed for pixel art. Pixels are stored as in pskl.model.Frame,
+   * one ABGR integer per pixel.
+   */
+  ns.UpscaleUtils = {
+    ALGORITHMS : {
+      NEAREST : 'nearest',
+      SCALE2X : 'scale2x',
+      SCALE3X : 'scale3x',
+      // Same output as Scale2x, which is a rewrite of EPX.
+      EPX : 'epx',
+      HQ2X : 'hq2x',
+      HQ3X : 'hq3x',
+      XBR : 'xbr'
+    },
+
+    /**
+     * @param  {String} algorithm one of UpscaleUtils.ALGORITHMS
+     * @return {Number} scale factor of one pass of the algorithm, 1 for nearest neighbor
+     */
+    getFactor : function (algorithm) {
+      var algorithms = ns.UpscaleUtils.ALGORITHMS;
+      if (algorithm === algorithms.SCALE3X || algorithm === algorithms.HQ3X) {
+        return 3;
+      } else if (algorithm && algorithm !== algorithms.NEAREST) {
+        return 2;
+      }
+      return 1;
+    },
+
+    /**
+     * Upscale pixels with one pass of the provided algorithm.
+     * @param  {Uint32Array} pixels
+     * @param  {Number} width
+     * @param  {Number} height
+     * @param  {String} algorithm one of UpscaleUtils.ALGORITHMS, other than NEAREST
+     * @return {Uint32Array} the upscaled pixels, getFactor(algorithm) times bigger
+     */
+    upscale : function (pixels, width, height, algorithm) {
+      var algorithms = ns.UpscaleUtils.ALGORITHMS;
+      var source = new Source(pixels, width, height);
+      if (algorithm === algorithms.SCALE2X || algorithm === algorithms.EPX) {
+        return scale2x(source);
+      } else if (algorithm === algorithms.SCALE3X) {
+        return scale3x(source);
+      } else if (algorithm === algorithms.HQ2X) {
+        return hqx(source, 2);
+      } else if (algorithm === algorithms.HQ3X) {
+        return hqx(source, 3);
+      } else if (algorithm === algorithms.XBR) {
+        return xbr(source);
+      }
+      throw new Error('Unknown upscaling algorithm : ' + algorithm);
+    },
+
+    /**
+     * Resize pixels: the algorithm is applied as many times as possible without exceeding
+     * the target size, the remaining scaling uses nearest neighbor.
+     * @return {Uint32Array} pixels of the resized image
+     */
+    resizePixels : function (pixels, width, height, targetWidth, targetHeight, algorithm) {
+      var factor = ns.UpscaleUtils.getFactor(algorithm);
+      if (factor > 1) {
+        while (width * factor <= targetWidth && height * factor <= targetHeight) {
+          pixels = ns.UpscaleUtils.upscale(pixels, width, height, algorithm);
+          width = width * factor;
+          height = height * factor;
+        }
+      }
+
+      if (width !== targetWidth || height !== targetHeight) {
+        pixels = nearest(pixels, width, height, targetWidth, targetHeight);
+      }
+      return pixels;
+    },
+
+    /**
+     * @param  {pskl.model.Frame} frame
+     * @return {pskl.model.Frame} a new frame of the target size
+     */
+    resizeFrame : function (frame, targetWidth, targetHeight, algorithm) {
+      var width = frame.getWidth();
+      var height = frame.getHeight();
+      var resized = new pskl.model.Frame(targetWidth, targetHeight);
+      resized.setPixels(ns.UpscaleUtils.resizePixels(frame.pixels, width, height,
+        targetWidth, targetHeight, algorithm));
+      return resized;
+    },
+
+    /**
+     * Resize an image or a canvas. Falls back to ImageResizer for nearest neighbor.
+     * @return {Canvas} a new canvas of the target size
+     */
+    resizeImage : function (image, targetWidth, targetHeight, algorithm) {
+      if (ns.UpscaleUtils.getFactor(algorithm) === 1) {
+        return pskl.utils.ImageResizer.resize(image, targetWidth, targetHeight, false);
+      }
+
+      // Canvas dimensions are truncated, see ImageResizer.
+      targetWidth = Math.floor(targetWidth);
+      targetHeight = Math.floor(targetHeight);
+
+      var source = pskl.utils.CanvasUtils.createFromImage(image);
+      var data = pskl.utils.CanvasUtils.getImageDataFromCanvas(source);
+      var pixels = ns.UpscaleUtils.resizePixels(new Uint32Array(data.buffer), image.width, image.height,
+        targetWidth, targetHeight, algorithm);
+
+      var canvas = pskl.utils.CanvasUtils.createCanvas(targetWidth, targetHeight);
+      var context = canvas.getContext('2d');
+      var imageData = context.createImageData(targetWidth, targetHeight);
+      imageData.data.set(new Uint8ClampedArray(pixels.buffer));
+      context.putImageData(imageData, 0, 0);
+      return canvas;
+    }
+  };
+})();
@@ -18,12 +18,18 @@
     LAYER_OPACITY : 'LAYER_OPACITY',
     EXPORT_SCALE: 'EXPORT_SCALE',
     EXPORT_TAB: 'EXPORT_TAB',
+    EXPORT_SCALING: 'EXPORT_SCALING',
     EXPORT_GIF_REPEAT: 'EXPORT_GIF_REPEAT',
     PEN_SIZE : 'PEN_SIZE',
+    DITHERING_OPTIONS : 'DITHERING_OPTIONS',
     RESIZE_SETTINGS: 'RESIZE_SETTINGS',
     COLOR_FORMAT: 'COLOR_FORMAT',
     TRANSFORM_SHOW_MORE: 'TRANSFORM_SHOW_MORE',
     PREFERENCES_TAB: 'PREFERENCES_TAB',
+    LOCAL_REVISIONS: 'LOCAL_REVISIONS',
+    REMOTE_STORAGE: 'REMOTE_STORAGE',
+    COLLABORATION: 'COLLABORATION',
+    BACKUPS: 'BACKUPS',
     KEY_TO_DEFAULT_VALUE_MAP_ : {
       'GRID_COLOR' : Constants.TRANSPARENT_COLOR,
       'GRID_ENABLED' : false,
@@ -44,16 +50,58 @@
       'LAYER_PREVIEW' : true,
       'EXPORT_SCALE' : 1,
       'EXPORT_TAB' : 'gif',
+      'EXPORT_SCALING' : 'nearest',
       'EXPORT_GIF_REPEAT' : true,
       'PEN_SIZE' : 1,
+      'DITHERING_OPTIONS' : {
+        pattern : 'checker',
+        density : 0.5,
+        // 4x4 user pattern, see pskl.utils.DitheringUtils.CUSTOM_PATTERN_SIZE.
+        customPattern : [
+          true, false, false, false,
+          false, false, true, false,
+          false, true, false, false,
+          false, false, false, true
+        ],
+        mode : 'pen',
+        algorithm : 'ordered'
+      },
       'RESIZE_SETTINGS': {
         maintainRatio : true,
         resizeContent : false,
-        origin : 'TOPLEFT'
+        origin : 'TOPLEFT',
+        algorithm : 'nearest'
       },
       COLOR_FORMAT: 'hex',
       TRANSFORM_SHOW_MORE: false,
       PREFERENCES_TAB: 'misc',
+      LOCAL_REVISIONS: {
+        // Number of previous saves kept for each sprite saved in the browser.
+        maxCount : 10,
+        // Age in days after which previous saves are deleted, 0 to keep them.
+        maxAge : 0
+      },
+      REMOTE_STORAGE: {
+        // Base URL of the storage server, see cli/storage-server.js.
+        url : '',
+        token : ''
+      },
+      COLLABORATION: {
+        // Url of the relay server, see cli/collaboration-relay.js.
+        url : 'ws://localhost:9902',
+        room : '',
+        name : ''
+      },
+      BACKUPS: {
+        // Minutes between two backups of the current sprite.
+        interval : 1,
+        // Minutes after which a backup is stored as a new snapshot instead of updating
+        // the latest one.
+        snapshotInterval : 5,
+        // Snapshots kept for each session, and number of sessions kept.
+        maxSnapshots : 12,
+        maxSessions : 10
+      },
     },
 
     /**
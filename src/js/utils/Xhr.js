@@ -21,6 +21,27 @@
       xhr.send(formData);
     },
 
+    /**
+     * Send a request with a custom method, headers and body.
+     * @param  {String} method HTTP method, eg PUT or DELETE
+     * @param  {String} url
+     * @param  {Object} options
+     *         - headers: {Object} request headers, by name
+     *         - body: {String} request body, optional
+     * @param  {Function} success called with the xhr for 2xx responses
+     * @param  {Function} error called with the event and the xhr otherwise
+     */
+    request : function (method, url, options, success, error) {
+      var xhr = ns.Xhr.xhr_(url, method, success, error);
+      var headers = options.headers || {};
+      for (var name in headers) {
+        if (headers.hasOwnProperty(name)) {
+          xhr.setRequestHeader(name, headers[name]);
+        }
+      }
+      xhr.send(typeof options.body === 'undefined' ? null : options.body);
+    },
+
     xhr_ : function (url, method, success, error) {
       success = success || function () {};
       error = error || function () {};
@@ -29,7 +50,7 @@
       xhr.open(method, url, true);
 
       xhr.onload = function (e) {
-        if (this.status == 200) {
+        if (this.status >= 200 && this.status < 300) {
           success(this);
         } else {
           this.onerror(this, e);
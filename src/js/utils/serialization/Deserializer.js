@@ -14,6 +14,9 @@
       var deserializer;
       if (data.modelVersion == Constants.MODEL_VERSION) {
         deserializer = new ns.Deserializer(data, onSuccess);
+      } else if (data.modelVersion == 2) {
+        // Model version 2 only differs by the absence of frame durations.
+        deserializer = new ns.Deserializer(data, onSuccess);
       } else if (data.modelVersion == 1) {
         deserializer = new ns.backward.Deserializer_v1(data, onSuccess);
       } else {
@@ -28,6 +31,103 @@
     }
   };
 
+  /**
+   * Create layer groups from their serialized objects.
+   * See pskl.utils.serialization.Serializer.serializeGroups.
+   * @param  {Array<Object>} groupsData
+   * @return {Array<pskl.model.LayerGroup>}
+   */
+  ns.Deserializer.deserializeGroups = function (groupsData) {
+    var groups = groupsData.map(function (groupData) {
+      var group = new pskl.model.LayerGroup(groupData.name);
+      group.setOpacity(groupData.opacity);
+      group.setVisible(groupData.visible !== false);
+      group.setLocked(groupData.locked);
+      group.setCollapsed(groupData.collapsed);
+      return group;
+    });
+    groupsData.forEach(function (groupData, index) {
+      groups[index].setParent(groups[groupData.parent]);
+    });
+    return groups;
+  };
+
+  /**
+   * See pskl.utils.serialization.Serializer.serializePalette.
+   * @param  {Object} paletteData
+   * @return {pskl.model.Palette} the palette, null if no palette data was provided
+   */
+  ns.Deserializer.deserializePalette = function (paletteData) {
+    return paletteData ? pskl.model.Palette.fromObject(paletteData) : null;
+  };
+
+  /**
+   * Set the palette indexes of the provided frames.
+   * See pskl.utils.serialization.Serializer.serializeIndexes.
+   * @param  {String} serializedIndexes
+   * @param  {Array<pskl.model.Frame>} frames
+   */
+  ns.Deserializer.deserializeIndexes = function (serializedIndexes, frames) {
+    var binary = window.atob(serializedIndexes);
+    var offset = 0;
+    frames.forEach(function (frame) {
+      var indexes = new Int16Array(frame.getWidth() * frame.getHeight());
+      for (var i = 0 ; i < indexes.length ; i++) {
+        indexes[i] = (binary.charCodeAt(offset) | (binary.charCodeAt(offset + 1) << 8)) - 1;
+        offset += 2;
+      }
+      frame.setIndexes(indexes);
+    });
+  };
+
+  /**
+   * See pskl.utils.serialization.Serializer.serializeTileset.
+   * @param  {Object} tilesetData
+   * @return {pskl.model.Tileset} the tileset, null if no tileset data was provided
+   */
+  ns.Deserializer.deserializeTileset = function (tilesetData) {
+    if (!tilesetData) {
+      return null;
+    }
+    var tileSize = tilesetData.tileSize;
+    var tileset = new pskl.model.Tileset(tileSize);
+    var pixels = new Uint32Array(ns.Deserializer.base64ToBytes_(tilesetData.tiles).buffer);
+    for (var i = 0 ; i < pixels.length ; i += tileSize * tileSize) {
+      var tile = new pskl.model.Frame(tileSize, tileSize);
+      tile.setPixels(pixels.subarray(i, i + tileSize * tileSize));
+      tileset.addTile(tile);
+    }
+    return tileset;
+  };
+
+  /**
+   * Set the tile maps of the provided frames, the frames are expected to match their tile maps.
+   * See pskl.utils.serialization.Serializer.serializeTileMaps.
+   * @param  {Array<String>} serializedTileMaps
+   * @param  {Array<pskl.model.Frame>} frames
+   * @param  {Number} tileSize
+   */
+  ns.Deserializer.deserializeTileMaps = function (serializedTileMaps, frames, tileSize) {
+    frames.forEach(function (frame, index) {
+      if (!serializedTileMaps[index]) {
+        return;
+      }
+      var tileMap = pskl.utils.TilemapUtils.createTileMap(frame, tileSize);
+      tileMap.getTiles().set(new Int16Array(ns.Deserializer.base64ToBytes_(serializedTileMaps[index]).buffer));
+      tileMap.syncedVersion = frame.version;
+      frame.setTileMap(tileMap);
+    });
+  };
+
+  ns.Deserializer.base64ToBytes_ = function (base64) {
+    var binary = window.atob(base64);
+    var bytes = new Uint8Array(binary.length);
+    for (var i = 0 ; i < binary.length ; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  };
+
   ns.Deserializer.prototype.deserialize = function () {
     var data = this.data_;
     var piskelData = data.piskel;
@@ -38,6 +138,11 @@
     var descriptor = new pskl.model.piskel.Descriptor(name, description);
     this.piskel_ = new pskl.model.Piskel(piskelData.width, piskelData.height, fps, descriptor);
     this.hiddenFrames = piskelData.hiddenFrames || [];
+    this.frameDurations = piskelData.frameDurations || [];
+    this.tags = (piskelData.tags || []).map(pskl.model.piskel.Tag.fromObject);
+    this.groups = ns.Deserializer.deserializeGroups(piskelData.groups || []);
+    this.palette = ns.Deserializer.deserializePalette(piskelData.palette);
+    this.tileset = ns.Deserializer.deserializeTileset(piskelData.tileset);
 
     this.layersToLoad_ = piskelData.layers.length;
     piskelData.layers.forEach(this.deserializeLayer.bind(this));
@@ -47,6 +152,11 @@
     var layerData = JSON.parse(layerString);
     var layer = new pskl.model.Layer(layerData.name);
     layer.setOpacity(layerData.opacity);
+    layer.setBlendMode(layerData.blendMode);
+    layer.setVisible(layerData.visible !== false);
+    layer.setLocked(layerData.locked);
+    layer.setGroup(this.groups[layerData.group]);
+    layer.setTilemap(layerData.tilemap);
 
     // Backward compatibility: if the layerData is not chunked but contains a single base64PNG,
     // create a fake chunk, expected to represent all frames side-by-side.
@@ -75,6 +185,12 @@
       image.src = chunk.base64PNG;
       return deferred.promise;
     })).then(function () {
+      if (layerData.indexes) {
+        ns.Deserializer.deserializeIndexes(layerData.indexes, frames);
+      }
+      if (layerData.tileMaps && this.tileset) {
+        ns.Deserializer.deserializeTileMaps(layerData.tileMaps, frames, this.tileset.getTileSize());
+      }
       frames.forEach(function (frame) {
         layer.addFrame(frame);
       });
@@ -95,6 +211,10 @@
         this.piskel_.addLayer(layer);
       }.bind(this));
       this.piskel_.hiddenFrames = this.hiddenFrames;
+      this.piskel_.frameDurations = this.frameDurations;
+      this.piskel_.tags = this.tags;
+      this.piskel_.setPalette(this.palette);
+      this.piskel_.setTileset(this.tileset);
       this.callback_(this.piskel_);
     }
   };
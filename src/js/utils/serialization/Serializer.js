@@ -16,10 +16,20 @@
     return layout;
   };
 
+  var bytesToBase64 = function (bytes) {
+    // Convert the bytes by chunks to avoid exceeding the maximum number of arguments.
+    var binary = '';
+    for (var i = 0 ; i < bytes.length ; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return window.btoa(binary);
+  };
+
   ns.Serializer = {
     serialize : function (piskel) {
+      var groups = piskel.getGroups();
       var serializedLayers = piskel.getLayers().map(function (l) {
-        return pskl.utils.serialization.Serializer.serializeLayer(l);
+        return pskl.utils.serialization.Serializer.serializeLayer(l, groups);
       });
 
       return JSON.stringify({
@@ -32,16 +42,132 @@
           width : piskel.getWidth(),
           layers : serializedLayers,
           hiddenFrames : piskel.hiddenFrames,
+          frameDurations : piskel.frameDurations,
+          tags : piskel.tags,
+          groups : pskl.utils.serialization.Serializer.serializeGroups(groups),
+          palette : pskl.utils.serialization.Serializer.serializePalette(piskel.getPalette()),
+          tileset : pskl.utils.serialization.Serializer.serializeTileset(piskel.getTileset())
+        }
+      });
+    },
+
+    /**
+     * Serialize layer groups as plain objects, parent groups are referenced by their index.
+     * @param  {Array<pskl.model.LayerGroup>} groups all the groups of a piskel, parents first
+     * @return {Array<Object>}
+     */
+    serializeGroups : function (groups) {
+      return groups.map(function (group) {
+        return {
+          name : group.getName(),
+          parent : groups.indexOf(group.getParent()),
+          opacity : group.getOpacity(),
+          visible : group.isVisible(),
+          locked : group.isLocked(),
+          collapsed : group.isCollapsed()
+        };
+      });
+    },
+
+    /**
+     * @param  {pskl.model.Palette} palette the palette of an indexed piskel, or null
+     * @return {Object} the palette as a plain object, null if no palette was provided
+     */
+    serializePalette : function (palette) {
+      if (!palette) {
+        return null;
+      }
+      return {
+        id : palette.id,
+        name : palette.name,
+        colors : palette.getColors().slice(),
+        cycles : palette.getCycles().map(function (cycle) {
+          return {
+            from : cycle.from,
+            to : cycle.to,
+            rate : cycle.rate
+          };
+        })
+      };
+    },
+
+    /**
+     * Serialize the palette indexes of all the frames of a layer as a base64 string.
+     * Each pixel is stored as a little endian 16 bits integer: 0 for transparent pixels,
+     * palette index + 1 otherwise. Frames are stored one after the other.
+     * @param  {Array<pskl.model.Frame>} frames
+     * @return {String} the serialized indexes, undefined if any frame has outdated indexes
+     */
+    serializeIndexes : function (frames) {
+      var hasIndexes = frames.length > 0 && frames.every(function (frame) {
+        return frame.hasUpToDateIndexes();
+      });
+      if (!hasIndexes) {
+        return undefined;
+      }
+
+      var size = frames[0].getWidth() * frames[0].getHeight();
+      var bytes = new Uint8Array(frames.length * size * 2);
+      frames.forEach(function (frame, frameIndex) {
+        var indexes = frame.getIndexes();
+        for (var i = 0 ; i < size ; i++) {
+          var value = indexes[i] + 1;
+          var offset = (frameIndex * size + i) * 2;
+          bytes[offset] = value & 0xff;
+          bytes[offset + 1] = value >> 8;
         }
       });
+
+      return bytesToBase64(bytes);
+    },
+
+    /**
+     * Serialize the tileset of a piskel. Tiles are stored one after the other as a base64
+     * string of their raw pixels (little endian 32 bits integers).
+     * @param  {pskl.model.Tileset} tileset
+     * @return {Object} the tileset as a plain object, null if no tileset was provided
+     */
+    serializeTileset : function (tileset) {
+      if (!tileset) {
+        return null;
+      }
+      var tileLength = tileset.getTileSize() * tileset.getTileSize();
+      var pixels = new Uint32Array(tileset.size() * tileLength);
+      tileset.getTiles().forEach(function (tile, index) {
+        pixels.set(tile.getPixels(), index * tileLength);
+      });
+      return {
+        tileSize : tileset.getTileSize(),
+        tiles : bytesToBase64(new Uint8Array(pixels.buffer))
+      };
+    },
+
+    /**
+     * Serialize the tile maps of the frames of a tilemap layer, as base64 strings of little
+     * endian 16 bits integers (-1 for empty cells).
+     * @param  {Array<pskl.model.Frame>} frames
+     * @return {Array<String>} one entry per frame, null for frames without tile map
+     */
+    serializeTileMaps : function (frames) {
+      return frames.map(function (frame) {
+        var tileMap = frame.getTileMap();
+        return tileMap ? bytesToBase64(new Uint8Array(tileMap.getTiles().slice().buffer)) : null;
+      });
     },
 
-    serializeLayer : function (layer) {
+    serializeLayer : function (layer, groups) {
       var frames = layer.getFrames();
       var layerToSerialize = {
         name : layer.getName(),
         opacity : layer.getOpacity(),
-        frameCount : frames.length
+        blendMode : layer.getBlendMode(),
+        visible : layer.isVisible(),
+        locked : layer.isLocked(),
+        group : (groups || []).indexOf(layer.getGroup()),
+        frameCount : frames.length,
+        indexes : ns.Serializer.serializeIndexes(frames),
+        tilemap : layer.isTilemap(),
+        tileMaps : layer.isTilemap() ? ns.Serializer.serializeTileMaps(frames) : undefined
       };
 
       // A layer spritesheet data can be chunked in case the spritesheet PNG is to big to be
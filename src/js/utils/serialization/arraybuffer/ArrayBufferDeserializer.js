@@ -36,10 +36,24 @@
       // Layers meta
       var layerCount = arr16[6];
 
-      // Layers meta
+      // Frames meta
       var serializedHiddenFramesLength = arr16[7];
+      var frameDurationsCount = arr16[8];
+      var serializedTagsLength = arr16[9];
+
+      // Groups meta
+      var serializedGroupsLength = arr16[10];
+
+      // Palette meta
+      var serializedPaletteLength = arr16[11];
+
+      // Tiles meta
+      var serializedTilesLength = ((arr16[12] << 16) >>> 0) + arr16[13];
+
+      // Palette indexes meta
+      var serializedIndexesLength = ((arr16[14] << 16) >>> 0) + arr16[15];
 
-      var currentIndex = 8;
+      var currentIndex = 16;
       /********/
       /* DATA */
       /********/
@@ -53,18 +67,70 @@
       // Descriptor description
       var descriptorDescription = '';
       for (i = 0; i < descriptorDescriptionLength; i++) {
-        descriptorDescription = String.fromCharCode(arr16[8 + descriptorNameLength + i]);
+        descriptorDescription += String.fromCharCode(arr16[currentIndex + i]);
       }
       currentIndex += descriptorDescriptionLength;
 
       // Hidden frames
       var serializedHiddenFrames = '';
       for (i = 0; i < serializedHiddenFramesLength; i++) {
-        serializedHiddenFrames = String.fromCharCode(arr16[8 + descriptorNameLength + i]);
+        serializedHiddenFrames += String.fromCharCode(arr16[currentIndex + i]);
       }
-      var hiddenFrames = serializedHiddenFrames.split('-');
+      var hiddenFrames = serializedHiddenFrames.split('-').filter(function (index) {
+        return index !== '';
+      }).map(function (index) {
+        return parseInt(index, 10);
+      });
       currentIndex += serializedHiddenFramesLength;
 
+      // Frame durations
+      var frameDurations = [];
+      for (i = 0; i < frameDurationsCount; i++) {
+        frameDurations.push(arr16[currentIndex + i] || null);
+      }
+      currentIndex += frameDurationsCount;
+
+      // Tags
+      var serializedTags = '';
+      for (i = 0; i < serializedTagsLength; i++) {
+        serializedTags += String.fromCharCode(arr16[currentIndex + i]);
+      }
+      var tags = JSON.parse(serializedTags || '[]').map(pskl.model.piskel.Tag.fromObject);
+      currentIndex += serializedTagsLength;
+
+      // Groups
+      var serializedGroups = '';
+      for (i = 0; i < serializedGroupsLength; i++) {
+        serializedGroups += String.fromCharCode(arr16[currentIndex + i]);
+      }
+      var groups = pskl.utils.serialization.Deserializer.deserializeGroups(JSON.parse(serializedGroups || '[]'));
+      currentIndex += serializedGroupsLength;
+
+      // Palette
+      var serializedPalette = '';
+      for (i = 0; i < serializedPaletteLength; i++) {
+        serializedPalette += String.fromCharCode(arr16[currentIndex + i]);
+      }
+      var palette = pskl.utils.serialization.Deserializer.deserializePalette(JSON.parse(serializedPalette || 'null'));
+      currentIndex += serializedPaletteLength;
+
+      // Tiles
+      var serializedTiles = '';
+      for (i = 0; i < serializedTilesLength; i++) {
+        serializedTiles += String.fromCharCode(arr16[currentIndex + i]);
+      }
+      var tiles = JSON.parse(serializedTiles || '{}');
+      var tileset = pskl.utils.serialization.Deserializer.deserializeTileset(tiles.tileset);
+      currentIndex += serializedTilesLength;
+
+      // Palette indexes
+      var serializedIndexes = '';
+      for (i = 0; i < serializedIndexesLength; i++) {
+        serializedIndexes += String.fromCharCode(arr16[currentIndex + i]);
+      }
+      var indexes = JSON.parse(serializedIndexes || '[]');
+      currentIndex += serializedIndexesLength;
+
       // Layers
       var layers = [];
       var layer;
@@ -79,24 +145,34 @@
         var dataUriLengthFirstHalf = arr16[currentIndex + 3];
         var dataUriLengthSecondHalf = arr16[currentIndex + 4];
         var dataUriLength = (dataUriLengthSecondHalf >>> 0) | (dataUriLengthFirstHalf << 16 >>> 0);
+        var blendMode = pskl.model.Layer.BLEND_MODES[arr16[currentIndex + 5]];
+        var group = groups[arr16[currentIndex + 6] - 1];
+        var layerFlags = arr16[currentIndex + 7];
 
         // Name
         var layerName = '';
         for (j = 0; j < layerNameLength; j++) {
-          layerName += String.fromCharCode(arr16[currentIndex + 5 + j]);
+          layerName += String.fromCharCode(arr16[currentIndex + 8 + j]);
         }
 
         // Data URI
         var dataUri = '';
         for (j = 0; j < dataUriLength; j++) {
-          dataUri += String.fromCharCode(arr8[(currentIndex + 5 + layerNameLength) * 2 + j]);
+          dataUri += String.fromCharCode(arr8[(currentIndex + 8 + layerNameLength) * 2 + j]);
         }
         dataUri = 'data:image/png;base64,' + dataUri;
 
-        currentIndex += Math.ceil(5 + layerNameLength + (dataUriLength / 2));
+        currentIndex += Math.ceil(8 + layerNameLength + (dataUriLength / 2));
 
         layer.name = layerName;
         layer.opacity = opacity;
+        layer.blendMode = blendMode;
+        layer.group = group;
+        layer.visible = (layerFlags & 1) === 0;
+        layer.locked = (layerFlags & 2) !== 0;
+        layer.tilemap = (layerFlags & 4) !== 0;
+        layer.tileMaps = tiles.tileMaps ? tiles.tileMaps[i] : null;
+        layer.indexes = indexes[i] || null;
         layer.frameCount = frameCount;
         layer.dataUri = dataUri;
         layers.push(layer);
@@ -105,12 +181,22 @@
       var descriptor = new pskl.model.piskel.Descriptor(descriptorName, descriptorDescription);
       var piskel = new pskl.model.Piskel(width, height, fps, descriptor);
       piskel.hiddenFrames = hiddenFrames;
+      piskel.frameDurations = frameDurations;
+      piskel.tags = tags;
+      piskel.setPalette(palette);
+      piskel.setTileset(tileset);
       var loadedLayers = 0;
 
       var loadLayerImage = function(layer, cb) {
         var image = new Image();
         image.onload = function() {
           var frames = pskl.utils.FrameUtils.createFramesFromSpritesheet(this, layer.frameCount);
+          if (layer.tileMaps && tileset) {
+            pskl.utils.serialization.Deserializer.deserializeTileMaps(layer.tileMaps, frames, tileset.getTileSize());
+          }
+          if (layer.indexes) {
+            pskl.utils.serialization.Deserializer.deserializeIndexes(layer.indexes, frames);
+          }
           frames.forEach(function (frame) {
             layer.model.addFrame(frame);
           });
@@ -128,6 +214,11 @@
         var nlayer = new pskl.model.Layer(layer.name);
         layer.model = nlayer;
         nlayer.setOpacity(layer.opacity);
+        nlayer.setBlendMode(layer.blendMode);
+        nlayer.setGroup(layer.group);
+        nlayer.setVisible(layer.visible);
+        nlayer.setLocked(layer.locked);
+        nlayer.setTilemap(layer.tilemap);
         piskel.addLayer(nlayer);
 
         loadLayerImage.bind(this, layer, callback)();
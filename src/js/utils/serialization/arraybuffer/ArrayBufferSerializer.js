@@ -25,24 +25,56 @@
    *
    * // Layers
    * [6] = layers count
+   *
+   * // Frames
+   * [7] = serialized hidden frames length
+   * [8] = frame durations count
+   * [9] = serialized tags length
+   *
+   * // Groups
+   * [10] = serialized groups length
+   *
+   * // Palette
+   * [11] = serialized palette length (0 if the piskel is not indexed)
+   *
+   * // Tiles
+   * [12] = serialized tiles length (upper 16 bits)
+   * [13] = serialized tiles length (lower 16 bits)
+   *
+   * // Palette indexes
+   * [14] = serialized palette indexes length (upper 16 bits)
+   * [15] = serialized palette indexes length (lower 16 bits)
+   *
    * [layer data index start] = layer name length
    * [layer data index start + 1] = opacity
    * [layer data index start + 2] = frame count
    * [layer data index start + 3] = base 64 png data url length (upper 16 bits)
    * [layer data index start + 4] = base 64 png data url length (lower 16 bits)
+   * [layer data index start + 5] = blend mode, as an index in pskl.model.Layer.BLEND_MODES
+   * [layer data index start + 6] = group index + 1 (0 if the layer is not in a group)
+   * [layer data index start + 7] = flags, 1 if the layer is hidden + 2 if the layer is locked
+   *                                 + 4 if the layer is a tilemap layer
    *
    *********
    *  DATA *
    *********
-   * [7..name length-1] = name
+   * [9..name length-1] = name
    * [name length..description length-1] = description
-   * [layer data index start + 4..layer name length-1] = layer name
+   * [description length..hidden frames length-1] = hidden frames, as a '-' separated string
+   * [hidden frames length..frame durations count-1] = frame durations (0 if no custom duration)
+   * [frame durations count..tags length-1] = tags, as a JSON string
+   * [tags length..groups length-1] = groups, as a JSON string
+   * [groups length..palette length-1] = palette, as a JSON string
+   * [palette length..tiles length-1] = tileset and tile maps of the tilemap layers, as a JSON string
+   * [tiles length..palette indexes length-1] = palette indexes of each layer, as a JSON string
+   * [layer data index start + 8..layer name length-1] = layer name
    * [layer name length..base 64 png data url length-1] = base 64 png data url
    *
    */
 
   ns.ArrayBufferSerializer = {
-    calculateRequiredBytes : function(piskel, framesData) {
+    calculateRequiredBytes : function(piskel, framesData, serializedHiddenFrames, serializedTags, serializedGroups,
+      serializedPalette, serializedTiles, serializedIndexes) {
       var width = piskel.getWidth();
       var height = piskel.getHeight();
       var descriptorNameLength = piskel.getDescriptor().name.length;
@@ -63,6 +95,21 @@
       // Layers meta
       bytes += 1 * 2;
 
+      // Frames meta
+      bytes += 3 * 2;
+
+      // Groups meta
+      bytes += 1 * 2;
+
+      // Palette meta
+      bytes += 1 * 2;
+
+      // Tiles meta
+      bytes += 2 * 2;
+
+      // Palette indexes meta
+      bytes += 2 * 2;
+
       /********/
       /* DATA */
       /********/
@@ -72,9 +119,30 @@
       // Descriptor description
       bytes += descriptorDescriptionLength * 2;
 
+      // Hidden frames
+      bytes += serializedHiddenFrames.length * 2;
+
+      // Frame durations
+      bytes += piskel.frameDurations.length * 2;
+
+      // Tags
+      bytes += serializedTags.length * 2;
+
+      // Groups
+      bytes += serializedGroups.length * 2;
+
+      // Palette
+      bytes += serializedPalette.length * 2;
+
+      // Tiles
+      bytes += serializedTiles.length * 2;
+
+      // Palette indexes
+      bytes += serializedIndexes.length * 2;
+
       // Layers
       for (var i = 0, layers = piskel.getLayers(); i < layers.length; i++) {
-        bytes += 5 * 2;
+        bytes += 8 * 2;
         bytes += layers[i].name.length * 2;
         bytes += framesData[i].length;
         if (bytes % 2 == 1) {
@@ -104,11 +172,24 @@
       var frames = pskl.app.piskelController.getLayerAt(0).getFrames();
       var hiddenFrames = piskel.hiddenFrames;
       var serializedHiddenFrames = hiddenFrames.join('-');
+      var frameDurations = piskel.frameDurations;
+      var serializedTags = JSON.stringify(piskel.tags);
+      var groups = piskel.getGroups();
+      var serializedGroups = JSON.stringify(pskl.utils.serialization.Serializer.serializeGroups(groups));
+      var palette = pskl.utils.serialization.Serializer.serializePalette(piskel.getPalette());
+      var serializedPalette = palette ? JSON.stringify(palette) : '';
+      var serializedTiles = ns.ArrayBufferSerializer.serializeTiles_(piskel);
+      var serializedIndexes = ns.ArrayBufferSerializer.serializeIndexes_(piskel);
 
       var bytes = ns.ArrayBufferSerializer.calculateRequiredBytes(
         piskel,
         framesData,
-        serializedHiddenFrames
+        serializedHiddenFrames,
+        serializedTags,
+        serializedGroups,
+        serializedPalette,
+        serializedTiles,
+        serializedIndexes
       );
 
       var buffer = new ArrayBuffer(bytes);
@@ -140,8 +221,24 @@
 
       // Frames meta
       arr16[7] = serializedHiddenFrames.length;
+      arr16[8] = frameDurations.length;
+      arr16[9] = serializedTags.length;
+
+      // Groups meta
+      arr16[10] = serializedGroups.length;
+
+      // Palette meta
+      arr16[11] = serializedPalette.length;
 
-      var currentIndex = 8;
+      // Tiles meta
+      arr16[12] = (serializedTiles.length >>> 16) & 0xffff;
+      arr16[13] = serializedTiles.length & 0xffff;
+
+      // Palette indexes meta
+      arr16[14] = (serializedIndexes.length >>> 16) & 0xffff;
+      arr16[15] = serializedIndexes.length & 0xffff;
+
+      var currentIndex = 16;
 
       /********/
       /* DATA */
@@ -164,6 +261,42 @@
       }
       currentIndex = currentIndex + serializedHiddenFrames.length;
 
+      // Frame durations
+      for (i = 0; i < frameDurations.length; i++) {
+        arr16[currentIndex + i] = frameDurations[i] || 0;
+      }
+      currentIndex = currentIndex + frameDurations.length;
+
+      // Tags
+      for (i = 0; i < serializedTags.length; i++) {
+        arr16[currentIndex + i] = serializedTags.charCodeAt(i);
+      }
+      currentIndex = currentIndex + serializedTags.length;
+
+      // Groups
+      for (i = 0; i < serializedGroups.length; i++) {
+        arr16[currentIndex + i] = serializedGroups.charCodeAt(i);
+      }
+      currentIndex = currentIndex + serializedGroups.length;
+
+      // Palette
+      for (i = 0; i < serializedPalette.length; i++) {
+        arr16[currentIndex + i] = serializedPalette.charCodeAt(i);
+      }
+      currentIndex = currentIndex + serializedPalette.length;
+
+      // Tiles
+      for (i = 0; i < serializedTiles.length; i++) {
+        arr16[currentIndex + i] = serializedTiles.charCodeAt(i);
+      }
+      currentIndex = currentIndex + serializedTiles.length;
+
+      // Palette indexes
+      for (i = 0; i < serializedIndexes.length; i++) {
+        arr16[currentIndex + i] = serializedIndexes.charCodeAt(i);
+      }
+      currentIndex = currentIndex + serializedIndexes.length;
+
       // Layers
       for (i = 0, layers = piskel.getLayers(); i < layers.length; i++) {
         var layer = layers[i];
@@ -183,21 +316,52 @@
         arr16[currentIndex + 2] = frameCount;
         arr16[currentIndex + 3] = ((dataUriLength & 0xffff0000) >> 16) >>> 0; // Upper 16
         arr16[currentIndex + 4] = ((dataUriLength & 0x0000ffff)) >>> 0;       // Lower 16
+        arr16[currentIndex + 5] = pskl.model.Layer.BLEND_MODES.indexOf(layer.getBlendMode());
+        arr16[currentIndex + 6] = groups.indexOf(layer.getGroup()) + 1;
+        arr16[currentIndex + 7] = (layer.isVisible() ? 0 : 1) + (layer.isLocked() ? 2 : 0) +
+          (layer.isTilemap() ? 4 : 0);
 
         // Name
         for (j = 0; j < layerNameLength; j++) {
-          arr16[currentIndex + 5 + j] = layerName.charCodeAt(j);
+          arr16[currentIndex + 8 + j] = layerName.charCodeAt(j);
         }
 
         // Data URI
         for (j = 0; j < dataUriLength; j++) {
-          arr8[(currentIndex + 5 + layerNameLength) * 2 + j] = dataUri.charCodeAt(j);
+          arr8[(currentIndex + 8 + layerNameLength) * 2 + j] = dataUri.charCodeAt(j);
         }
 
-        currentIndex += Math.ceil(5 + layerNameLength + (dataUriLength / 2));
+        currentIndex += Math.ceil(8 + layerNameLength + (dataUriLength / 2));
       }
 
       return buffer;
+    },
+
+    serializeTiles_ : function (piskel) {
+      var tileset = piskel.getTileset();
+      if (!tileset) {
+        return '';
+      }
+      var serializer = pskl.utils.serialization.Serializer;
+      return JSON.stringify({
+        tileset : serializer.serializeTileset(tileset),
+        tileMaps : piskel.getLayers().map(function (layer) {
+          return layer.isTilemap() ? serializer.serializeTileMaps(layer.getFrames()) : null;
+        })
+      });
+    },
+
+    /**
+     * Palette indexes can not be computed again from the pixels when the palette contains
+     * the same color several times, so they are stored with the snapshot.
+     */
+    serializeIndexes_ : function (piskel) {
+      if (!piskel.isIndexed()) {
+        return '';
+      }
+      return JSON.stringify(piskel.getLayers().map(function (layer) {
+        return pskl.utils.serialization.Serializer.serializeIndexes(layer.getFrames()) || null;
+      }));
     }
   };
 })();
@@ -0,0 +1,483 @@
+(function () {
+  var ns = $.namespace('pskl.utils.serialization.aseprite');
+
+  /**
+   * Binary reader for Aseprite files (.ase/.aseprite), as described in
+   * https://github.com/aseprite/aseprite/blob/main/docs/ase-file-specs.md
+   *
+   * Only the information that can be represented in a Piskel is extracted:
+   * - normal layers (name, opacity, visibility, blend mode), group and tilemap layers are skipped
+   * - raw, compressed and linked cels
+   * - frame durations, the most common duration is used to compute the FPS
+   * - tags
+   * - RGBA, grayscale and indexed color modes
+   */
+  ns.AsepriteDeserializer = {
+    FILE_MAGIC : 0xA5E0,
+    FRAME_MAGIC : 0xF1FA,
+
+    COLOR_DEPTH : {
+      RGBA : 32,
+      GRAYSCALE : 16,
+      INDEXED : 8
+    },
+
+    CHUNK : {
+      OLD_PALETTE : 0x0004,
+      OLD_PALETTE_64 : 0x0011,
+      LAYER : 0x2004,
+      CEL : 0x2005,
+      TAGS : 0x2018,
+      PALETTE : 0x2019
+    },
+
+    LAYER_FLAGS : {
+      VISIBLE : 1,
+      EDITABLE : 2
+    },
+
+    LAYER_TYPE : {
+      NORMAL : 0,
+      GROUP : 1,
+      TILEMAP : 2
+    },
+
+    // Index of each piskel tag direction in the aseprite format. Aseprite also supports
+    // a "ping-pong reverse" direction (3), imported as ping-pong.
+    TAG_DIRECTIONS : ['forward', 'reverse', 'pingpong'],
+
+    // Piskel blend modes, indexed by their value in the aseprite format. Other aseprite
+    // blend modes (color dodge, hue ...) are imported as normal.
+    BLEND_MODES : {
+      0 : 'normal',
+      1 : 'multiply',
+      2 : 'screen',
+      3 : 'overlay',
+      4 : 'darken',
+      5 : 'lighten',
+      10 : 'difference',
+      16 : 'add'
+    },
+
+    CEL_TYPE : {
+      RAW : 0,
+      LINKED : 1,
+      COMPRESSED : 2,
+      COMPRESSED_TILEMAP : 3
+    },
+
+    /**
+     * Create a Piskel from the content of an Aseprite file.
+     * @param  {ArrayBuffer} buffer content of the .aseprite file
+     * @param  {String} name (optional) name to use for the created piskel
+     * @return {pskl.model.Piskel}
+     */
+    deserialize : function (buffer, name) {
+      var reader = new ns.AsepriteDeserializer.Reader_(buffer);
+      var header = ns.AsepriteDeserializer.readHeader_(reader);
+
+      var sprite = {
+        header : header,
+        // Palette colors, only used by the indexed color mode.
+        palette : [],
+        layers : [],
+        // Parent stack used to resolve the visibility of layers nested in groups.
+        groups : [],
+        cels : [],
+        durations : [],
+        tags : []
+      };
+
+      for (var i = 0 ; i < header.frames ; i++) {
+        ns.AsepriteDeserializer.readFrame_(reader, sprite, i);
+      }
+
+      return ns.AsepriteDeserializer.createPiskel_(sprite, name);
+    },
+
+    readHeader_ : function (reader) {
+      var header = {};
+      header.fileSize = reader.uint32();
+      if (reader.uint16() !== ns.AsepriteDeserializer.FILE_MAGIC) {
+        throw 'Invalid aseprite file: bad magic number';
+      }
+      header.frames = reader.uint16();
+      header.width = reader.uint16();
+      header.height = reader.uint16();
+      header.colorDepth = reader.uint16();
+      header.flags = reader.uint32();
+      header.speed = reader.uint16();
+      reader.skip(8);
+      header.transparentIndex = reader.uint8();
+      reader.skip(3);
+      header.colorCount = reader.uint16() || 256;
+      // Pixel ratio, grid position and size, reserved bytes.
+      reader.skip(94);
+
+      var depths = ns.AsepriteDeserializer.COLOR_DEPTH;
+      var isSupportedDepth = Object.keys(depths).some(function (key) {
+        return depths[key] === header.colorDepth;
+      });
+      if (!isSupportedDepth) {
+        throw 'Unsupported aseprite color depth: ' + header.colorDepth;
+      }
+
+      if (!header.width || !header.height || !header.frames) {
+        throw 'Invalid aseprite file: empty sprite';
+      }
+
+      return header;
+    },
+
+    readFrame_ : function (reader, sprite, frameIndex) {
+      var frameStart = reader.offset;
+      var frameSize = reader.uint32();
+      if (reader.uint16() !== ns.AsepriteDeserializer.FRAME_MAGIC) {
+        throw 'Invalid aseprite file: bad frame magic number';
+      }
+      var oldChunkCount = reader.uint16();
+      sprite.durations[frameIndex] = reader.uint16() || sprite.header.speed;
+      reader.skip(2);
+      var chunkCount = reader.uint32() || oldChunkCount;
+
+      for (var i = 0 ; i < chunkCount ; i++) {
+        var chunkStart = reader.offset;
+        var chunkSize = reader.uint32();
+        var chunkType = reader.uint16();
+        ns.AsepriteDeserializer.readChunk_(reader, sprite, frameIndex, chunkType, chunkStart + chunkSize);
+        reader.seek(chunkStart + chunkSize);
+      }
+
+      reader.seek(frameStart + frameSize);
+    },
+
+    readChunk_ : function (reader, sprite, frameIndex, type, chunkEnd) {
+      var CHUNK = ns.AsepriteDeserializer.CHUNK;
+      if (type === CHUNK.LAYER) {
+        ns.AsepriteDeserializer.readLayerChunk_(reader, sprite);
+      } else if (type === CHUNK.CEL) {
+        ns.AsepriteDeserializer.readCelChunk_(reader, sprite, frameIndex, chunkEnd);
+      } else if (type === CHUNK.TAGS) {
+        ns.AsepriteDeserializer.readTagsChunk_(reader, sprite);
+      } else if (type === CHUNK.PALETTE) {
+        ns.AsepriteDeserializer.readPaletteChunk_(reader, sprite);
+      } else if ((type === CHUNK.OLD_PALETTE || type === CHUNK.OLD_PALETTE_64) && !sprite.hasNewPalette) {
+        ns.AsepriteDeserializer.readOldPaletteChunk_(reader, sprite, type === CHUNK.OLD_PALETTE_64);
+      }
+    },
+
+    readTagsChunk_ : function (reader, sprite) {
+      var count = reader.uint16();
+      reader.skip(8);
+      for (var i = 0 ; i < count ; i++) {
+        var from = reader.uint16();
+        var to = reader.uint16();
+        var direction = reader.uint8();
+        // Repeat count and reserved bytes.
+        reader.skip(8);
+        var color = [reader.uint8(), reader.uint8(), reader.uint8()];
+        reader.skip(1);
+        var name = reader.string();
+
+        sprite.tags.push(new pskl.model.piskel.Tag(
+          name,
+          from,
+          to,
+          window.tinycolor({r : color[0], g : color[1], b : color[2]}).toHexString(),
+          ns.AsepriteDeserializer.TAG_DIRECTIONS[direction] || ns.AsepriteDeserializer.TAG_DIRECTIONS[2]
+        ));
+      }
+    },
+
+    readLayerChunk_ : function (reader, sprite) {
+      var flags = reader.uint16();
+      var type = reader.uint16();
+      var childLevel = reader.uint16();
+      reader.skip(4);
+      var blendMode = reader.uint16();
+      var opacity = reader.uint8();
+      reader.skip(3);
+      var name = reader.string();
+
+      // Layer opacity is only valid if the first bit of the header flags is set.
+      var hasOpacity = (sprite.header.flags & 1) === 1;
+      var isVisible = (flags & ns.AsepriteDeserializer.LAYER_FLAGS.VISIBLE) !== 0;
+      var isEditable = (flags & ns.AsepriteDeserializer.LAYER_FLAGS.EDITABLE) !== 0;
+
+      // A layer is only visible and editable if all its parent groups are.
+      sprite.groups.length = childLevel;
+      var isParentVisible = sprite.groups.every(function (group) {
+        return group.visible;
+      });
+      var isParentEditable = sprite.groups.every(function (group) {
+        return !group.locked;
+      });
+
+      var layer = {
+        name : name,
+        type : type,
+        blendMode : blendMode,
+        opacity : hasOpacity ? opacity / 255 : 1,
+        visible : isVisible && isParentVisible,
+        locked : !isEditable || !isParentEditable
+      };
+
+      if (type === ns.AsepriteDeserializer.LAYER_TYPE.GROUP) {
+        sprite.groups[childLevel] = layer;
+      }
+
+      sprite.layers.push(layer);
+    },
+
+    readCelChunk_ : function (reader, sprite, frameIndex, chunkEnd) {
+      var CEL_TYPE = ns.AsepriteDeserializer.CEL_TYPE;
+      var cel = {
+        layerIndex : reader.uint16(),
+        x : reader.int16(),
+        y : reader.int16(),
+        opacity : reader.uint8() / 255,
+        type : reader.uint16()
+      };
+      reader.skip(7);
+
+      if (cel.type === CEL_TYPE.RAW || cel.type === CEL_TYPE.COMPRESSED) {
+        cel.width = reader.uint16();
+        cel.height = reader.uint16();
+        var data = reader.bytes(chunkEnd - reader.offset);
+        if (cel.type === CEL_TYPE.COMPRESSED) {
+          data = ns.AsepriteDeserializer.inflate_(data);
+        }
+        cel.pixels = ns.AsepriteDeserializer.readPixels_(data, cel.width * cel.height, sprite);
+      } else if (cel.type === CEL_TYPE.LINKED) {
+        cel.linkedFrame = reader.uint16();
+      } else {
+        // Tilemap cels can not be represented in a Piskel.
+        return;
+      }
+
+      sprite.cels[cel.layerIndex] = sprite.cels[cel.layerIndex] || [];
+      sprite.cels[cel.layerIndex][frameIndex] = cel;
+    },
+
+    readPaletteChunk_ : function (reader, sprite) {
+      reader.skip(4);
+      var first = reader.uint32();
+      var last = reader.uint32();
+      reader.skip(8);
+      for (var i = first ; i <= last ; i++) {
+        var flags = reader.uint16();
+        sprite.palette[i] = ns.AsepriteDeserializer.toColorInt_(reader.uint8(), reader.uint8(),
+          reader.uint8(), reader.uint8());
+        if (flags & 1) {
+          // Skip the color name.
+          reader.string();
+        }
+      }
+      sprite.hasNewPalette = true;
+    },
+
+    readOldPaletteChunk_ : function (reader, sprite, is64) {
+      var packets = reader.uint16();
+      var index = 0;
+      for (var i = 0 ; i < packets ; i++) {
+        index += reader.uint8();
+        var count = reader.uint8() || 256;
+        for (var j = 0 ; j < count ; j++) {
+          var r = reader.uint8();
+          var g = reader.uint8();
+          var b = reader.uint8();
+          if (is64) {
+            r = Math.round(r * 255 / 63);
+            g = Math.round(g * 255 / 63);
+            b = Math.round(b * 255 / 63);
+          }
+          sprite.palette[index] = ns.AsepriteDeserializer.toColorInt_(r, g, b, 255);
+          index++;
+        }
+      }
+    },
+
+    /**
+     * Convert raw pixel data to an array of color ints, as used by pskl.model.Frame.
+     */
+    readPixels_ : function (data, count, sprite) {
+      var DEPTH = ns.AsepriteDeserializer.COLOR_DEPTH;
+      var depth = sprite.header.colorDepth;
+      var pixels = new Uint32Array(count);
+      for (var i = 0 ; i < count ; i++) {
+        if (depth === DEPTH.RGBA) {
+          pixels[i] = ns.AsepriteDeserializer.toColorInt_(data[i * 4], data[i * 4 + 1],
+            data[i * 4 + 2], data[i * 4 + 3]);
+        } else if (depth === DEPTH.GRAYSCALE) {
+          var value = data[i * 2];
+          pixels[i] = ns.AsepriteDeserializer.toColorInt_(value, value, value, data[i * 2 + 1]);
+        } else {
+          var index = data[i];
+          var isTransparent = index === sprite.header.transparentIndex;
+          pixels[i] = isTransparent ? 0 : (sprite.palette[index] || 0);
+        }
+      }
+      return pixels;
+    },
+
+    toColorInt_ : function (r, g, b, a) {
+      if (a === 0) {
+        return 0;
+      }
+      return ((a << 24) >>> 0) + (b << 16) + (g << 8) + r;
+    },
+
+    /**
+     * Aseprite compresses cels with zlib. Strip the 2 bytes zlib header and rely on the
+     * raw inflate implementation bundled with JSZip.
+     */
+    inflate_ : function (data) {
+      return window.JSZip.compressions.DEFLATE.uncompress(data.subarray(2));
+    },
+
+    createPiskel_ : function (sprite, name) {
+      var header = sprite.header;
+      var descriptor = new pskl.model.piskel.Descriptor(name || 'Imported piskel', '');
+      var fps = ns.AsepriteDeserializer.getFps_(sprite.durations);
+      var piskel = new pskl.model.Piskel(header.width, header.height, fps, descriptor);
+
+      sprite.layers.forEach(function (layerData, layerIndex) {
+        if (layerData.type !== ns.AsepriteDeserializer.LAYER_TYPE.NORMAL) {
+          return;
+        }
+
+        var layer = new pskl.model.Layer(layerData.name || 'Layer ' + (layerIndex + 1));
+        layer.setOpacity(layerData.opacity);
+        layer.setVisible(layerData.visible);
+        layer.setLocked(layerData.locked);
+        layer.setBlendMode(ns.AsepriteDeserializer.BLEND_MODES[layerData.blendMode] || 'normal');
+
+        var cels = sprite.cels[layerIndex] || [];
+        for (var i = 0 ; i < header.frames ; i++) {
+          var frame = new pskl.model.Frame(header.width, header.height);
+          var cel = cels[i];
+          if (cel && cel.type === ns.AsepriteDeserializer.CEL_TYPE.LINKED) {
+            cel = cels[cel.linkedFrame];
+          }
+          if (cel && cel.pixels) {
+            ns.AsepriteDeserializer.drawCel_(frame, cel);
+          }
+          layer.addFrame(frame);
+        }
+
+        piskel.addLayer(layer);
+      });
+
+      if (piskel.getLayers().length === 0) {
+        throw 'Invalid aseprite file: no image layer found';
+      }
+
+      // Only keep custom durations for frames which do not match the FPS.
+      var defaultDuration = Math.round(1000 / fps);
+      piskel.frameDurations = sprite.durations.map(function (duration) {
+        return duration && duration !== defaultDuration ? duration : null;
+      });
+      piskel.tags = sprite.tags;
+
+      return piskel;
+    },
+
+    drawCel_ : function (frame, cel) {
+      for (var y = 0 ; y < cel.height ; y++) {
+        for (var x = 0 ; x < cel.width ; x++) {
+          var color = cel.pixels[y * cel.width + x];
+          if (color === 0) {
+            continue;
+          }
+          if (cel.opacity < 1) {
+            var alpha = Math.round((color >>> 24) * cel.opacity);
+            color = alpha === 0 ? 0 : (((alpha << 24) >>> 0) + (color & 0xffffff));
+          }
+          frame.setPixel(cel.x + x, cel.y + y, color);
+        }
+      }
+    },
+
+    /**
+     * Piskel only supports a global FPS, use the most frequent frame duration.
+     */
+    getFps_ : function (durations) {
+      var counts = {};
+      var duration = durations[0];
+      durations.forEach(function (d) {
+        counts[d] = (counts[d] || 0) + 1;
+        if (counts[d] > counts[duration]) {
+          duration = d;
+        }
+      });
+
+      if (!duration) {
+        return Constants.DEFAULT.FPS;
+      }
+      return pskl.utils.Math.minmax(Math.round(1000 / duration), 1, 24);
+    }
+  };
+
+  /**
+   * Little endian reader over an ArrayBuffer.
+   * @private
+   */
+  ns.AsepriteDeserializer.Reader_ = function (buffer) {
+    this.view = new DataView(buffer);
+    this.arr8 = new Uint8Array(buffer);
+    this.offset = 0;
+  };
+
+  ns.AsepriteDeserializer.Reader_.prototype.uint8 = function () {
+    var value = this.view.getUint8(this.offset);
+    this.offset += 1;
+    return value;
+  };
+
+  ns.AsepriteDeserializer.Reader_.prototype.uint16 = function () {
+    var value = this.view.getUint16(this.offset, true);
+    this.offset += 2;
+    return value;
+  };
+
+  ns.AsepriteDeserializer.Reader_.prototype.int16 = function () {
+    var value = this.view.getInt16(this.offset, true);
+    this.offset += 2;
+    return value;
+  };
+
+  ns.AsepriteDeserializer.Reader_.prototype.uint32 = function () {
+    var value = this.view.getUint32(this.offset, true);
+    this.offset += 4;
+    return value;
+  };
+
+  ns.AsepriteDeserializer.Reader_.prototype.bytes = function (length) {
+    var value = this.arr8.subarray(this.offset, this.offset + length);
+    this.offset += length;
+    return value;
+  };
+
+  ns.AsepriteDeserializer.Reader_.prototype.string = function () {
+    var length = this.uint16();
+    var bytes = this.bytes(length);
+    var string = '';
+    for (var i = 0 ; i < bytes.length ; i++) {
+      string += String.fromCharCode(bytes[i]);
+    }
+    // Strings are UTF-8 encoded.
+    try {
+      return decodeURIComponent(escape(string));
+    } catch (e) {
+      return string;
+    }
+  };
+
+  ns.AsepriteDeserializer.Reader_.prototype.skip = function (length) {
+    this.offset += length;
+  };
+
+  ns.AsepriteDeserializer.Reader_.prototype.seek = function (offset) {
+    this.offset = offset;
+  };
+})();
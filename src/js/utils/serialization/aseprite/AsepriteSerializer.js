@@ -0,0 +1,338 @@
+(function () {
+  var ns = $.namespace('pskl.utils.serialization.aseprite');
+
+  var HEADER_SIZE = 128;
+  var FRAME_HEADER_SIZE = 16;
+  var CHUNK_HEADER_SIZE = 6;
+
+  /**
+   * Binary writer for Aseprite files (.aseprite), as described in
+   * https://github.com/aseprite/aseprite/blob/main/docs/ase-file-specs.md
+   *
+   * The sprite is saved in RGBA color mode:
+   * - one normal layer per piskel layer (name, opacity, blend mode, visibility and lock)
+   * - one frame per visible piskel frame, Aseprite has no hidden frames
+   * - one compressed cel per non empty frame of a layer
+   * - frames keep their custom duration, or last 1000 / fps milliseconds
+   * - tags (name, range, color and direction), tags containing only hidden frames are skipped
+   */
+  ns.AsepriteSerializer = {
+    /**
+     * Serialize a Piskel to the Aseprite binary format.
+     * @param  {pskl.model.Piskel} piskel
+     * @return {ArrayBuffer}
+     */
+    serialize : function (piskel) {
+      var deserializer = ns.AsepriteDeserializer;
+      var frameIndexes = ns.AsepriteSerializer.getVisibleFrameIndexes_(piskel);
+      var frameCount = frameIndexes.length;
+      var defaultDuration = ns.AsepriteSerializer.getDefaultFrameDuration_(piskel.getFPS());
+      var tags = ns.AsepriteSerializer.getVisibleTags_(piskel.tags, frameIndexes);
+
+      var frames = frameIndexes.map(function (frameIndex, i) {
+        var chunks = [];
+        if (i === 0) {
+          // Layers are all declared in the first frame, from bottom to top.
+          piskel.getLayers().forEach(function (layer) {
+            chunks.push(ns.AsepriteSerializer.createLayerChunk_(layer));
+          });
+          if (tags.length > 0) {
+            chunks.push(ns.AsepriteSerializer.createTagsChunk_(tags));
+          }
+        }
+
+        piskel.getLayers().forEach(function (layer, layerIndex) {
+          var frame = layer.getFrameAt(frameIndex);
+          if (!ns.AsepriteSerializer.isEmptyFrame_(frame)) {
+            chunks.push(ns.AsepriteSerializer.createCelChunk_(frame, layerIndex));
+          }
+        });
+
+        var duration = piskel.frameDurations[frameIndex] || defaultDuration;
+        return ns.AsepriteSerializer.createFrame_(chunks, duration);
+      });
+
+      var fileSize = frames.reduce(function (size, frame) {
+        return size + frame.length;
+      }, HEADER_SIZE);
+
+      var writer = new ns.AsepriteSerializer.Writer_(fileSize);
+      writer.uint32(fileSize);
+      writer.uint16(deserializer.FILE_MAGIC);
+      writer.uint16(frameCount);
+      writer.uint16(piskel.getWidth());
+      writer.uint16(piskel.getHeight());
+      writer.uint16(deserializer.COLOR_DEPTH.RGBA);
+      // Flags: layer opacity has a valid value.
+      writer.uint32(1);
+      // Deprecated speed, kept for old readers.
+      writer.uint16(defaultDuration);
+      writer.skip(8);
+      // Transparent palette index, only used in indexed mode.
+      writer.uint8(0);
+      writer.skip(3);
+      // Number of colors, pixel width and pixel height.
+      writer.uint16(0);
+      writer.uint8(1);
+      writer.uint8(1);
+      // Grid position and size.
+      writer.uint16(0);
+      writer.uint16(0);
+      writer.uint16(16);
+      writer.uint16(16);
+      writer.seek(HEADER_SIZE);
+
+      frames.forEach(function (frame) {
+        writer.bytes(frame);
+      });
+
+      return writer.buffer;
+    },
+
+    getVisibleFrameIndexes_ : function (piskel) {
+      var indexes = [];
+      for (var i = 0 ; i < piskel.getFrameCount() ; i++) {
+        if (piskel.hiddenFrames.indexOf(i) === -1) {
+          indexes.push(i);
+        }
+      }
+      return indexes;
+    },
+
+    /**
+     * Move the tags ranges to the exported frames.
+     * @param  {Array<pskl.model.piskel.Tag>} tags
+     * @param  {Array<Number>} frameIndexes indexes of the exported piskel frames
+     * @return {Array<pskl.model.piskel.Tag>} the exported tags
+     */
+    getVisibleTags_ : function (tags, frameIndexes) {
+      return tags.map(function (tag) {
+        var indexes = frameIndexes.filter(function (index) {
+          return tag.contains(index);
+        });
+        if (indexes.length === 0) {
+          return null;
+        }
+        var from = frameIndexes.indexOf(indexes[0]);
+        var to = frameIndexes.indexOf(indexes[indexes.length - 1]);
+        return new pskl.model.piskel.Tag(tag.name, from, to, tag.color, tag.direction);
+      }).filter(function (tag) {
+        return tag !== null;
+      });
+    },
+
+    getDefaultFrameDuration_ : function (fps) {
+      // A FPS of 0 would result in an infinite duration, use 1 fps instead.
+      return Math.round(1000 / Math.max(1, fps));
+    },
+
+    getBlendMode_ : function (blendMode) {
+      var blendModes = ns.AsepriteDeserializer.BLEND_MODES;
+      for (var key in blendModes) {
+        if (blendModes.hasOwnProperty(key) && blendModes[key] === blendMode) {
+          return parseInt(key, 10);
+        }
+      }
+      return 0;
+    },
+
+    isEmptyFrame_ : function (frame) {
+      var pixels = frame.getPixels();
+      for (var i = 0 ; i < pixels.length ; i++) {
+        if (pixels[i] !== 0) {
+          return false;
+        }
+      }
+      return true;
+    },
+
+    createFrame_ : function (chunks, duration) {
+      var size = chunks.reduce(function (size, chunk) {
+        return size + chunk.length;
+      }, FRAME_HEADER_SIZE);
+
+      var writer = new ns.AsepriteSerializer.Writer_(size);
+      writer.uint32(size);
+      writer.uint16(ns.AsepriteDeserializer.FRAME_MAGIC);
+      writer.uint16(Math.min(chunks.length, 0xFFFF));
+      writer.uint16(duration);
+      writer.skip(2);
+      writer.uint32(chunks.length);
+      chunks.forEach(function (chunk) {
+        writer.bytes(chunk);
+      });
+      return writer.toUint8Array();
+    },
+
+    createChunk_ : function (type, data) {
+      var writer = new ns.AsepriteSerializer.Writer_(data.length + CHUNK_HEADER_SIZE);
+      writer.uint32(data.length + CHUNK_HEADER_SIZE);
+      writer.uint16(type);
+      writer.bytes(data);
+      return writer.toUint8Array();
+    },
+
+    createLayerChunk_ : function (layer) {
+      var name = ns.AsepriteSerializer.encodeString_(layer.getName());
+      var writer = new ns.AsepriteSerializer.Writer_(18 + name.length);
+      // Piskel groups are not exported, layers are visible and editable only if their groups are,
+      // and the opacity of the groups is applied to their layers.
+      var layerFlags = ns.AsepriteDeserializer.LAYER_FLAGS;
+      var flags = (layer.isEffectivelyVisible() ? layerFlags.VISIBLE : 0) +
+        (layer.isEffectivelyLocked() ? 0 : layerFlags.EDITABLE);
+      writer.uint16(flags);
+      writer.uint16(ns.AsepriteDeserializer.LAYER_TYPE.NORMAL);
+      // Child level, default width and default height.
+      writer.uint16(0);
+      writer.uint16(0);
+      writer.uint16(0);
+      writer.uint16(ns.AsepriteSerializer.getBlendMode_(layer.getBlendMode()));
+      writer.uint8(Math.round(layer.getEffectiveOpacity() * 255));
+      writer.skip(3);
+      writer.uint16(name.length);
+      writer.bytes(name);
+      return ns.AsepriteSerializer.createChunk_(ns.AsepriteDeserializer.CHUNK.LAYER, writer.toUint8Array());
+    },
+
+    createTagsChunk_ : function (tags) {
+      var names = tags.map(function (tag) {
+        return ns.AsepriteSerializer.encodeString_(tag.name);
+      });
+      var size = names.reduce(function (size, name) {
+        return size + 19 + name.length;
+      }, 10);
+
+      var writer = new ns.AsepriteSerializer.Writer_(size);
+      writer.uint16(tags.length);
+      writer.skip(8);
+      tags.forEach(function (tag, index) {
+        var color = window.tinycolor(tag.color).toRgb();
+        var direction = ns.AsepriteDeserializer.TAG_DIRECTIONS.indexOf(tag.direction);
+
+        writer.uint16(tag.from);
+        writer.uint16(tag.to);
+        writer.uint8(Math.max(0, direction));
+        // Repeat count (0 = infinite) and reserved bytes.
+        writer.skip(8);
+        writer.uint8(color.r);
+        writer.uint8(color.g);
+        writer.uint8(color.b);
+        writer.skip(1);
+        writer.uint16(names[index].length);
+        writer.bytes(names[index]);
+      });
+      return ns.AsepriteSerializer.createChunk_(ns.AsepriteDeserializer.CHUNK.TAGS, writer.toUint8Array());
+    },
+
+    createCelChunk_ : function (frame, layerIndex) {
+      var width = frame.getWidth();
+      var height = frame.getHeight();
+      var pixels = frame.getPixels();
+
+      var rgba = new Uint8Array(width * height * 4);
+      for (var i = 0 ; i < pixels.length ; i++) {
+        var color = pixels[i];
+        rgba[i * 4] = color & 0xff;
+        rgba[i * 4 + 1] = (color >>> 8) & 0xff;
+        rgba[i * 4 + 2] = (color >>> 16) & 0xff;
+        rgba[i * 4 + 3] = (color >>> 24) & 0xff;
+      }
+      var compressed = ns.AsepriteSerializer.deflate_(rgba);
+
+      var writer = new ns.AsepriteSerializer.Writer_(20 + compressed.length);
+      writer.uint16(layerIndex);
+      // Position of the cel.
+      writer.uint16(0);
+      writer.uint16(0);
+      // Cel opacity, the layer opacity is stored on the layer chunk.
+      writer.uint8(255);
+      writer.uint16(ns.AsepriteDeserializer.CEL_TYPE.COMPRESSED);
+      // Z-index and reserved bytes.
+      writer.skip(7);
+      writer.uint16(width);
+      writer.uint16(height);
+      writer.bytes(compressed);
+      return ns.AsepriteSerializer.createChunk_(ns.AsepriteDeserializer.CHUNK.CEL, writer.toUint8Array());
+    },
+
+    /**
+     * Compress data to the zlib format expected by Aseprite: 2 bytes header,
+     * deflate stream and big endian adler32 checksum of the uncompressed data.
+     */
+    deflate_ : function (data) {
+      var deflated = window.JSZip.compressions.DEFLATE.compress(data);
+      var writer = new ns.AsepriteSerializer.Writer_(deflated.length + 6);
+      writer.uint8(0x78);
+      writer.uint8(0x9c);
+      writer.bytes(deflated);
+
+      var adler = ns.AsepriteSerializer.adler32_(data);
+      writer.uint8(adler >>> 24);
+      writer.uint8((adler >>> 16) & 0xff);
+      writer.uint8((adler >>> 8) & 0xff);
+      writer.uint8(adler & 0xff);
+      return writer.toUint8Array();
+    },
+
+    adler32_ : function (data) {
+      var a = 1;
+      var b = 0;
+      for (var i = 0 ; i < data.length ; i++) {
+        a = (a + data[i]) % 65521;
+        b = (b + a) % 65521;
+      }
+      return ((b << 16) | a) >>> 0;
+    },
+
+    encodeString_ : function (str) {
+      var utf8 = unescape(encodeURIComponent(str));
+      var bytes = new Uint8Array(utf8.length);
+      for (var i = 0 ; i < utf8.length ; i++) {
+        bytes[i] = utf8.charCodeAt(i);
+      }
+      return bytes;
+    }
+  };
+
+  /**
+   * Little endian writer on top of a fixed size ArrayBuffer.
+   * @param {Number} size size of the buffer in bytes
+   */
+  ns.AsepriteSerializer.Writer_ = function (size) {
+    this.buffer = new ArrayBuffer(size);
+    this.view = new DataView(this.buffer);
+    this.offset = 0;
+  };
+
+  ns.AsepriteSerializer.Writer_.prototype.uint8 = function (value) {
+    this.view.setUint8(this.offset, value);
+    this.offset += 1;
+  };
+
+  ns.AsepriteSerializer.Writer_.prototype.uint16 = function (value) {
+    this.view.setUint16(this.offset, value, true);
+    this.offset += 2;
+  };
+
+  ns.AsepriteSerializer.Writer_.prototype.uint32 = function (value) {
+    this.view.setUint32(this.offset, value, true);
+    this.offset += 4;
+  };
+
+  ns.AsepriteSerializer.Writer_.prototype.bytes = function (bytes) {
+    new Uint8Array(this.buffer).set(bytes, this.offset);
+    this.offset += bytes.length;
+  };
+
+  ns.AsepriteSerializer.Writer_.prototype.skip = function (length) {
+    this.offset += length;
+  };
+
+  ns.AsepriteSerializer.Writer_.prototype.seek = function (offset) {
+    this.offset = offset;
+  };
+
+  ns.AsepriteSerializer.Writer_.prototype.toUint8Array = function () {
+    return new Uint8Array(this.buffer);
+  };
+})();
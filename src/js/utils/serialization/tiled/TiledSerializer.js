@@ -0,0 +1,176 @@
+(function () {
+  var ns = $.namespace('pskl.utils.serialization.tiled');
+
+  var TILED_VERSION = '1.10';
+
+  /**
+   * Export the tileset and the tilemap layers of a piskel to the map formats of the Tiled
+   * map editor (https://www.mapeditor.org/): JSON maps and TMX (XML) maps.
+   *
+   * The map references the tileset as an external image, see renderTileset. Tiled global tile
+   * ids start at 1, 0 is used for empty cells. Only one frame of the animation is exported.
+   */
+  ns.TiledSerializer = {
+    /**
+     * @param  {pskl.model.Tileset} tileset
+     * @return {Number} number of tile columns in the tileset image
+     */
+    getTilesetColumns : function (tileset) {
+      return Math.max(1, Math.ceil(Math.sqrt(tileset.size())));
+    },
+
+    /**
+     * Render all the tiles of the tileset in a single image, see getTilesetColumns.
+     * @param  {pskl.model.Tileset} tileset
+     * @return {Canvas}
+     */
+    renderTileset : function (tileset) {
+      var tiles = tileset.getTiles();
+      if (tiles.length === 0) {
+        tiles = [new pskl.model.Frame(tileset.getTileSize(), tileset.getTileSize())];
+      }
+      var renderer = new pskl.rendering.FramesheetRenderer(tiles);
+      return renderer.renderAsCanvas(ns.TiledSerializer.getTilesetColumns(tileset));
+    },
+
+    /**
+     * @param  {pskl.model.Piskel} piskel piskel with a tileset
+     * @param  {Number} frameIndex index of the exported frame
+     * @param  {String} imageName file name of the tileset image
+     * @return {Object} the map, in the Tiled JSON map format
+     */
+    serializeJSON : function (piskel, frameIndex, imageName) {
+      var map = ns.TiledSerializer.getMapInfo_(piskel, frameIndex, imageName);
+      var tileset = map.tileset;
+      return {
+        type : 'map',
+        version : TILED_VERSION,
+        orientation : 'orthogonal',
+        renderorder : 'right-down',
+        infinite : false,
+        width : map.columns,
+        height : map.rows,
+        tilewidth : tileset.tileSize,
+        tileheight : tileset.tileSize,
+        nextlayerid : map.layers.length + 1,
+        nextobjectid : 1,
+        tilesets : [{
+          firstgid : 1,
+          name : tileset.name,
+          image : tileset.image,
+          imagewidth : tileset.imageWidth,
+          imageheight : tileset.imageHeight,
+          tilewidth : tileset.tileSize,
+          tileheight : tileset.tileSize,
+          tilecount : tileset.tileCount,
+          columns : tileset.columns,
+          margin : 0,
+          spacing : 0
+        }],
+        layers : map.layers.map(function (layer, index) {
+          return {
+            id : index + 1,
+            name : layer.name,
+            type : 'tilelayer',
+            x : 0,
+            y : 0,
+            width : map.columns,
+            height : map.rows,
+            opacity : layer.opacity,
+            visible : layer.visible,
+            data : layer.data
+          };
+        })
+      };
+    },
+
+    /**
+     * @param  {pskl.model.Piskel} piskel piskel with a tileset
+     * @param  {Number} frameIndex index of the exported frame
+     * @param  {String} imageName file name of the tileset image
+     * @return {String} the map, in the Tiled TMX format
+     */
+    serializeTMX : function (piskel, frameIndex, imageName) {
+      var map = ns.TiledSerializer.getMapInfo_(piskel, frameIndex, imageName);
+      var tileset = map.tileset;
+      var escape = pskl.utils.escapeHtml;
+
+      var lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<map version="' + TILED_VERSION + '" orientation="orthogonal" renderorder="right-down"' +
+          ' width="' + map.columns + '" height="' + map.rows + '"' +
+          ' tilewidth="' + tileset.tileSize + '" tileheight="' + tileset.tileSize + '"' +
+          ' infinite="0" nextlayerid="' + (map.layers.length + 1) + '" nextobjectid="1">',
+        ' <tileset firstgid="1" name="' + escape(tileset.name) + '"' +
+          ' tilewidth="' + tileset.tileSize + '" tileheight="' + tileset.tileSize + '"' +
+          ' tilecount="' + tileset.tileCount + '" columns="' + tileset.columns + '">',
+        '  <image source="' + escape(tileset.image) + '"' +
+          ' width="' + tileset.imageWidth + '" height="' + tileset.imageHeight + '"/>',
+        ' </tileset>'
+      ];
+
+      map.layers.forEach(function (layer, index) {
+        var rows = [];
+        for (var row = 0 ; row < map.rows ; row++) {
+          rows.push(layer.data.slice(row * map.columns, (row + 1) * map.columns).join(','));
+        }
+        lines.push(
+          ' <layer id="' + (index + 1) + '" name="' + escape(layer.name) + '"' +
+            ' width="' + map.columns + '" height="' + map.rows + '"' +
+            (layer.opacity !== 1 ? ' opacity="' + layer.opacity + '"' : '') +
+            (layer.visible ? '' : ' visible="0"') + '>',
+          '  <data encoding="csv">',
+          rows.join(',\n'),
+          '</data>',
+          ' </layer>'
+        );
+      });
+
+      lines.push('</map>');
+      return lines.join('\n');
+    },
+
+    getMapInfo_ : function (piskel, frameIndex, imageName) {
+      var tileset = piskel.getTileset();
+      var tileSize = tileset.getTileSize();
+      var columns = Math.ceil(piskel.getWidth() / tileSize);
+      var rows = Math.ceil(piskel.getHeight() / tileSize);
+      var tilesetColumns = ns.TiledSerializer.getTilesetColumns(tileset);
+
+      var layers = piskel.getLayers().filter(function (layer) {
+        return layer.isTilemap();
+      }).map(function (layer) {
+        var tileMap = layer.getFrameAt(frameIndex).getTileMap();
+        var data = [];
+        for (var row = 0 ; row < rows ; row++) {
+          for (var column = 0 ; column < columns ; column++) {
+            // Global tile ids start at 1, 0 is an empty cell.
+            data.push(tileMap ? tileMap.getTileAt(column, row) + 1 : 0);
+          }
+        }
+        return {
+          name : layer.getName(),
+          // Groups are not exported, apply their opacity and visibility to their layers.
+          opacity : layer.getEffectiveOpacity(),
+          visible : layer.isEffectivelyVisible(),
+          data : data
+        };
+      });
+
+      return {
+        columns : columns,
+        rows : rows,
+        layers : layers,
+        tileset : {
+          name : piskel.getDescriptor().name,
+          image : imageName,
+          tileSize : tileSize,
+          tileCount : tileset.size(),
+          columns : tilesetColumns,
+          imageWidth : tilesetColumns * tileSize,
+          imageHeight : Math.max(1, Math.ceil(tileset.size() / tilesetColumns)) * tileSize
+        }
+      };
+    }
+  };
+})();
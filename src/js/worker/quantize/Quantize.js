@@ -0,0 +1,47 @@
+(function () {
+  var ns = $.namespace('pskl.worker.quantize');
+
+  /**
+   * Build a palette of at most options.colorCount colors from a list of pixels, in a worker.
+   * @param {Uint32Array} pixels colors as stored in pskl.model.Frame
+   * @param {Object} options {colorCount, algorithm}, algorithm is one of Quantize.ALGORITHMS
+   */
+  ns.Quantize = function (pixels, options, onSuccess, onStep, onError) {
+    this.pixels = pixels;
+    this.colorCount = options.colorCount;
+    this.algorithm = options.algorithm || ns.Quantize.ALGORITHMS.MEDIAN_CUT;
+
+    this.onStep = onStep;
+    this.onSuccess = onSuccess;
+    this.onError = onError;
+
+    this.worker = pskl.utils.WorkerUtils.createWorker(ns.QuantizeWorker, 'quantize');
+    this.worker.onmessage = this.onWorkerMessage.bind(this);
+  };
+
+  ns.Quantize.ALGORITHMS = {
+    MEDIAN_CUT : 'median-cut',
+    K_MEANS : 'k-means',
+    OCTREE : 'octree'
+  };
+
+  ns.Quantize.prototype.process = function () {
+    this.worker.postMessage({
+      pixels : this.pixels,
+      colorCount : this.colorCount,
+      algorithm : this.algorithm
+    });
+  };
+
+  ns.Quantize.prototype.onWorkerMessage = function (event) {
+    if (event.data.type === 'STEP') {
+      this.onStep(event);
+    } else if (event.data.type === 'SUCCESS') {
+      this.onSuccess(event);
+      this.worker.terminate();
+    } else if (event.data.type === 'ERROR') {
+      this.onError(event);
+      this.worker.terminate();
+    }
+  };
+})();
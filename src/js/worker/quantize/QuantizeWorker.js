@@ -0,0 +1,348 @@
+(function () {
+  var ns = $.namespace('pskl.worker.quantize');
+
+  /**
+   * Reduce the colors of a list of pixels to a palette of N colors.
+   *
+   * The worker expects a message with:
+   * - pixels : Uint32Array of colors, as stored in pskl.model.Frame (transparent pixels are ignored)
+   * - colorCount : maximum number of colors of the palette
+   * - algorithm : 'median-cut', 'k-means' or 'octree'
+   *
+   * It answers with the palette colors as hex strings, sorted from the most used to the least used.
+   */
+  ns.QuantizeWorker = function () {
+    // Keep a reference to the worker scope, inner functions are called without context.
+    var worker = this;
+
+    // Maximum number of k-means iterations, the centroids rarely move after that.
+    var MAX_KMEANS_ITERATIONS = 10;
+    var OCTREE_DEPTH = 8;
+
+    var componentToHex = function (c) {
+      var hex = c.toString(16);
+      return hex.length == 1 ? '0' + hex : hex;
+    };
+
+    var toHex = function (color) {
+      return '#' + componentToHex(color.r) + componentToHex(color.g) + componentToHex(color.b);
+    };
+
+    /**
+     * @return {Array} list of the colors used by the pixels, as {r, g, b, count}
+     */
+    var getHistogram = function (pixels) {
+      var counts = {};
+      var histogram = [];
+      for (var i = 0; i < pixels.length; i++) {
+        var color = pixels[i];
+        if (((color >>> 24) & 0xff) === 0) {
+          continue;
+        }
+        var key = color & 0xffffff;
+        if (counts[key] === undefined) {
+          counts[key] = histogram.length;
+          histogram.push({r : key & 0xff, g : (key >> 8) & 0xff, b : (key >> 16) & 0xff, count : 0});
+        }
+        histogram[counts[key]].count++;
+      }
+      return histogram;
+    };
+
+    /**
+     * @return {Object} the average of a list of histogram entries, as {r, g, b, count}
+     */
+    var average = function (entries) {
+      var r = 0;
+      var g = 0;
+      var b = 0;
+      var count = 0;
+      entries.forEach(function (entry) {
+        r += entry.r * entry.count;
+        g += entry.g * entry.count;
+        b += entry.b * entry.count;
+        count += entry.count;
+      });
+      return {
+        r : Math.round(r / count),
+        g : Math.round(g / count),
+        b : Math.round(b / count),
+        count : count
+      };
+    };
+
+    var getWidestChannel = function (entries) {
+      var widest = {channel : 'r', range : -1};
+      ['r', 'g', 'b'].forEach(function (channel) {
+        var min = 255;
+        var max = 0;
+        entries.forEach(function (entry) {
+          min = Math.min(min, entry[channel]);
+          max = Math.max(max, entry[channel]);
+        });
+        if (max - min > widest.range) {
+          widest = {channel : channel, range : max - min};
+        }
+      });
+      return widest;
+    };
+
+    /**
+     * @return {Number} index at which a sorted box should be split to get two halves holding the
+     *         same number of pixels. If two indexes are as good, split where the colors differ most.
+     */
+    var getSplitIndex = function (box, channel) {
+      var half = average(box).count / 2;
+      var total = 0;
+      var bestIndex = 1;
+      var bestDelta = Infinity;
+      var bestGap = -1;
+      for (var i = 1; i < box.length; i++) {
+        total += box[i - 1].count;
+        var delta = Math.abs(total - half);
+        var gap = box[i][channel] - box[i - 1][channel];
+        if (delta < bestDelta || (delta === bestDelta && gap > bestGap)) {
+          bestIndex = i;
+          bestDelta = delta;
+          bestGap = gap;
+        }
+      }
+      return bestIndex;
+    };
+
+    /**
+     * Median cut: split the box with the widest color range in two boxes holding the same
+     * number of pixels, until there are enough boxes.
+     */
+    var medianCut = function (histogram, colorCount) {
+      var boxes = [histogram];
+      while (boxes.length < colorCount) {
+        var boxIndex = -1;
+        var boxChannel = null;
+        var maxScore = 0;
+        boxes.forEach(function (box, index) {
+          if (box.length < 2) {
+            return;
+          }
+          var widest = getWidestChannel(box);
+          // Favor big boxes, they contribute more to the quantization error.
+          var score = widest.range * Math.sqrt(average(box).count);
+          if (score > maxScore) {
+            maxScore = score;
+            boxIndex = index;
+            boxChannel = widest.channel;
+          }
+        });
+
+        if (boxIndex === -1) {
+          break;
+        }
+
+        var box = boxes[boxIndex].slice().sort(function (a, b) {
+          return a[boxChannel] - b[boxChannel];
+        });
+        var splitIndex = getSplitIndex(box, boxChannel);
+        boxes.splice(boxIndex, 1, box.slice(0, splitIndex), box.slice(splitIndex));
+      }
+      return boxes.map(average);
+    };
+
+    var postStep = function (step, total) {
+      worker.postMessage({
+        type : 'STEP',
+        progress : ((step / total) * 100).toFixed(1),
+        currentStep : step,
+        total : total
+      });
+    };
+
+    /**
+     * K-means: start from the median cut palette and move each color to the average of the
+     * pixels closest to it.
+     */
+    var kMeans = function (histogram, colorCount) {
+      var centroids = medianCut(histogram, colorCount);
+      for (var iteration = 0; iteration < MAX_KMEANS_ITERATIONS; iteration++) {
+        var clusters = centroids.map(function () {
+          return [];
+        });
+        histogram.forEach(function (entry) {
+          var nearest = 0;
+          var minDistance = Infinity;
+          centroids.forEach(function (centroid, index) {
+            var dr = entry.r - centroid.r;
+            var dg = entry.g - centroid.g;
+            var db = entry.b - centroid.b;
+            var distance = dr * dr + dg * dg + db * db;
+            if (distance < minDistance) {
+              minDistance = distance;
+              nearest = index;
+            }
+          });
+          clusters[nearest].push(entry);
+        });
+
+        var moved = false;
+        var nextCentroids = [];
+        clusters.forEach(function (cluster, index) {
+          if (cluster.length === 0) {
+            moved = true;
+            return;
+          }
+          var centroid = average(cluster);
+          var previous = centroids[index];
+          if (previous.r !== centroid.r || previous.g !== centroid.g || previous.b !== centroid.b) {
+            moved = true;
+          }
+          nextCentroids.push(centroid);
+        });
+        centroids = nextCentroids;
+
+        postStep(iteration + 1, MAX_KMEANS_ITERATIONS);
+        if (!moved) {
+          break;
+        }
+      }
+      return centroids;
+    };
+
+    /**
+     * Octree: colors are inserted in a tree using one bit of each channel per level, then the
+     * deepest nodes are merged with their siblings until there are enough leaves.
+     */
+    var octree = function (histogram, colorCount) {
+      var levels = [];
+      for (var l = 0; l < OCTREE_DEPTH; l++) {
+        levels.push([]);
+      }
+
+      var createNode = function (level) {
+        var node = {r : 0, g : 0, b : 0, count : 0, children : null, leaf : level === OCTREE_DEPTH};
+        if (!node.leaf) {
+          node.children = [];
+          levels[level].push(node);
+        }
+        return node;
+      };
+
+      var root = createNode(0);
+      var leafCount = 0;
+      histogram.forEach(function (entry) {
+        var node = root;
+        for (var level = 0; level < OCTREE_DEPTH; level++) {
+          var shift = 7 - level;
+          var index = ((entry.r >> shift) & 1) << 2 | ((entry.g >> shift) & 1) << 1 | ((entry.b >> shift) & 1);
+          if (!node.children[index]) {
+            node.children[index] = createNode(level + 1);
+            if (level + 1 === OCTREE_DEPTH) {
+              leafCount++;
+            }
+          }
+          node = node.children[index];
+        }
+        node.r += entry.r * entry.count;
+        node.g += entry.g * entry.count;
+        node.b += entry.b * entry.count;
+        node.count += entry.count;
+      });
+
+      var getNodeCount = function (node) {
+        if (node.leaf) {
+          return node.count;
+        }
+        return node.children.reduce(function (count, child) {
+          return count + (child ? getNodeCount(child) : 0);
+        }, 0);
+      };
+
+      for (var level = OCTREE_DEPTH - 1; level >= 0 && leafCount > colorCount; level--) {
+        // Merge the least used nodes first, they have the smallest impact on the image.
+        var nodes = levels[level].sort(function (a, b) {
+          return getNodeCount(a) - getNodeCount(b);
+        });
+        for (var n = 0; n < nodes.length && leafCount > colorCount; n++) {
+          var node = nodes[n];
+          node.children.forEach(function (child) {
+            if (child) {
+              node.r += child.r;
+              node.g += child.g;
+              node.b += child.b;
+              node.count += child.count;
+              leafCount--;
+            }
+          });
+          node.children = null;
+          node.leaf = true;
+          leafCount++;
+        }
+      }
+
+      var colors = [];
+      var collectLeaves = function (node) {
+        if (node.leaf) {
+          colors.push({
+            r : Math.round(node.r / node.count),
+            g : Math.round(node.g / node.count),
+            b : Math.round(node.b / node.count),
+            count : node.count
+          });
+        } else {
+          node.children.forEach(function (child) {
+            if (child) {
+              collectLeaves(child);
+            }
+          });
+        }
+      };
+      collectLeaves(root);
+      return colors;
+    };
+
+    var ALGORITHMS = {
+      'median-cut' : medianCut,
+      'k-means' : kMeans,
+      'octree' : octree
+    };
+
+    var quantize = function (pixels, colorCount, algorithm) {
+      var histogram = getHistogram(pixels);
+      var colors;
+      if (histogram.length <= colorCount) {
+        colors = histogram;
+      } else {
+        var quantizer = ALGORITHMS[algorithm];
+        if (!quantizer) {
+          throw new Error('Unknown quantization algorithm : ' + algorithm);
+        }
+        colors = quantizer(histogram, colorCount);
+      }
+
+      // Different boxes or nodes can end up with the same average color.
+      var hexColors = [];
+      colors.sort(function (a, b) {
+        return b.count - a.count;
+      }).forEach(function (color) {
+        var hex = toHex(color);
+        if (hexColors.indexOf(hex) === -1) {
+          hexColors.push(hex);
+        }
+      });
+      return hexColors;
+    };
+
+    this.onmessage = function (event) {
+      try {
+        var data = event.data;
+        worker.postMessage({
+          type : 'SUCCESS',
+          colors : quantize(data.pixels, data.colorCount, data.algorithm)
+        });
+      } catch (e) {
+        worker.postMessage({
+          type : 'ERROR',
+          message : e.message
+        });
+      }
+    };
+  };
+})();
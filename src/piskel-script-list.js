@@ -15,8 +15,10 @@
   "js/utils/core.js",
   "js/utils/UserAgent.js",
   "js/utils/Array.js",
+  "js/utils/AsepriteFileUtils.js",
   "js/utils/Base64.js",
   "js/utils/BlobUtils.js",
+  "js/utils/BlendUtils.js",
   "js/utils/CanvasUtils.js",
   "js/utils/ColorUtils.js",
   "js/utils/DateUtils.js",
@@ -29,9 +31,15 @@
   "js/utils/FileUtilsDesktop.js",
   "js/utils/FrameUtils.js",
   "js/utils/ImageResizer.js",
+  "js/utils/UpscaleUtils.js",
   "js/utils/LayerUtils.js",
+  "js/utils/PaletteCycleUtils.js",
+  "js/utils/ColorDistanceUtils.js",
+  "js/utils/DitheringUtils.js",
+  "js/utils/TilemapUtils.js",
   "js/utils/MergeUtils.js",
   "js/utils/PixelUtils.js",
+  "js/utils/PiskelDiffUtils.js",
   "js/utils/PiskelFileUtils.js",
   "js/utils/ResizeUtils.js",
   "js/utils/StringUtils.js",
@@ -45,6 +53,9 @@
   "js/utils/serialization/Deserializer.js",
   "js/utils/serialization/arraybuffer/ArrayBufferDeserializer.js",
   "js/utils/serialization/arraybuffer/ArrayBufferSerializer.js",
+  "js/utils/serialization/aseprite/AsepriteDeserializer.js",
+  "js/utils/serialization/aseprite/AsepriteSerializer.js",
+  "js/utils/serialization/tiled/TiledSerializer.js",
   "js/utils/serialization/backward/Deserializer_v0.js",
   "js/utils/serialization/backward/Deserializer_v1.js",
 
@@ -72,11 +83,16 @@
   // Models
   "js/model/Frame.js",
   "js/model/Layer.js",
+  "js/model/LayerGroup.js",
   "js/model/piskel/Descriptor.js",
+  "js/model/piskel/Tag.js",
   "js/model/frame/CachedFrameProcessor.js",
   "js/model/frame/AsyncCachedFrameProcessor.js",
   "js/model/frame/RenderedFrame.js",
+  "js/model/TileMap.js",
+  "js/model/Tileset.js",
   "js/model/Palette.js",
+  "js/model/palette/ColorCycle.js",
   "js/model/Piskel.js",
 
   // Database (IndexedDB)
@@ -90,6 +106,9 @@
   "js/selection/LassoSelection.js",
   "js/selection/RectangularSelection.js",
   "js/selection/ShapeSelection.js",
+  "js/selection/SelectionOperations.js",
+  "js/selection/SelectionMask.js",
+  "js/selection/MarchingAnts.js",
 
   // Rendering
   "js/rendering/AbstractRenderer.js",
@@ -110,8 +129,11 @@
   "js/controller/DrawingController.js",
   "js/controller/drawing/DragHandler.js",
   "js/controller/FramesListController.js",
+  "js/controller/TagsListController.js",
   "js/controller/HeaderController.js",
   "js/controller/LayersListController.js",
+  "js/controller/TilesetController.js",
+  "js/controller/HistoryListController.js",
   "js/controller/preview/PopupPreviewController.js",
   "js/controller/preview/PreviewActionsController.js",
   "js/controller/preview/PreviewController.js",
@@ -120,6 +142,9 @@
   "js/controller/PaletteController.js",
   "js/controller/PalettesListController.js",
   "js/controller/PenSizeController.js",
+  "js/controller/DitheringOptionsController.js",
+  "js/controller/FreeTransformOptionsController.js",
+  "js/controller/SelectionOptionsController.js",
   "js/controller/ProgressBarController.js",
   "js/controller/NotificationController.js",
   "js/controller/TransformationsController.js",
@@ -135,6 +160,8 @@
   "js/controller/settings/exportimage/GifExportController.js",
   "js/controller/settings/exportimage/PngExportController.js",
   "js/controller/settings/exportimage/ZipExportController.js",
+  "js/controller/settings/exportimage/AsepriteExportController.js",
+  "js/controller/settings/exportimage/TiledExportController.js",
   "js/controller/settings/exportimage/MiscExportController.js",
   "js/controller/settings/exportimage/ExportController.js",
   "js/controller/settings/resize/ResizeController.js",
@@ -149,6 +176,8 @@
   "js/controller/dialogs/AbstractDialogController.js",
   "js/controller/dialogs/CreatePaletteController.js",
   "js/controller/dialogs/BrowseLocalController.js",
+  "js/controller/dialogs/BrowseRemoteController.js",
+  "js/controller/dialogs/CollaborationController.js",
   "js/controller/dialogs/CheatsheetController.js",
   "js/controller/dialogs/backups/steps/SelectSession.js",
   "js/controller/dialogs/backups/steps/SessionDetails.js",
@@ -182,12 +211,17 @@
   "js/service/storage/IndexedDbStorageService.js",
   "js/service/storage/LocalStorageService.js",
   "js/service/storage/GalleryStorageService.js",
+  "js/service/storage/RemoteStorageService.js",
   "js/service/storage/DesktopStorageService.js",
   "js/service/BackupService.js",
   "js/service/BeforeUnloadService.js",
   "js/service/HistoryService.js",
+  "js/service/collaboration/ActionCodec.js",
+  "js/service/collaboration/CollaborationService.js",
+  "js/service/collaboration/RemoteCursors.js",
   "js/service/color/ColorSorter.js",
   "js/service/palette/CurrentColorsPalette.js",
+  "js/service/palette/IndexedPalette.js",
   "js/service/palette/PaletteService.js",
   "js/service/palette/PaletteGplWriter.js",
   "js/service/palette/reader/AbstractPaletteFileReader.js",
@@ -198,6 +232,7 @@
   "js/service/palette/PaletteImportService.js",
   "js/service/palette/PaletteMatchingService.js",
   "js/service/pensize/PenSizeService.js",
+  "js/service/dithering/DitheringService.js",
   "js/service/SavedStatusService.js",
   "js/service/keyboard/KeycodeTranslator.js",
   "js/service/keyboard/KeyUtils.js",
@@ -210,6 +245,7 @@
   "js/service/CurrentColorsService.js",
   "js/service/FileDropperService.js",
   "js/service/SelectedColorsService.js",
+  "js/service/TilemapService.js",
   "js/service/MouseStateService.js",
   "js/service/performance/PerformanceReport.js",
   "js/service/performance/PerformanceReportService.js",
@@ -229,6 +265,7 @@
   "js/tools/drawing/Rectangle.js",
   "js/tools/drawing/Circle.js",
   "js/tools/drawing/Move.js",
+  "js/tools/drawing/selection/SelectionTransform.js",
   "js/tools/drawing/selection/BaseSelect.js",
   "js/tools/drawing/selection/AbstractDragSelect.js",
   "js/tools/drawing/selection/LassoSelect.js",
@@ -237,6 +274,9 @@
   "js/tools/drawing/ColorPicker.js",
   "js/tools/drawing/ColorSwap.js",
   "js/tools/drawing/DitheringTool.js",
+  "js/tools/drawing/FreeTransform.js",
+  "js/tools/drawing/TileBrush.js",
+  "js/tools/drawing/TilePicker.js",
   "js/tools/transform/AbstractTransformTool.js",
   "js/tools/transform/Center.js",
   "js/tools/transform/Clone.js",
@@ -263,6 +303,8 @@
   "js/worker/hash/Hash.js",
   "js/worker/imageprocessor/ImageProcessorWorker.js",
   "js/worker/imageprocessor/ImageProcessor.js",
+  "js/worker/quantize/QuantizeWorker.js",
+  "js/worker/quantize/Quantize.js",
 
   // Application controller and initialization
   "js/app.js",
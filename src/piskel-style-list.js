@@ -15,12 +15,16 @@
   "css/settings-resize.css",
   "css/settings-save.css",
   "css/tools.css",
+  "css/dithering-options.css",
+  "css/free-transform-options.css",
+  "css/selection-options.css",
   "css/icons.css",
   "css/color-picker-slider.css",
   "css/dialogs.css",
   "css/dialogs-browse-backups.css",
   "css/dialogs-browse-local.css",
   "css/dialogs-cheatsheet.css",
+  "css/dialogs-collaboration.css",
   "css/dialogs-create-palette.css",
   "css/dialogs-import.css",
   "css/dialogs-performance-info.css",
@@ -29,6 +33,8 @@
   "css/toolbox.css",
   "css/toolbox-layers-list.css",
   "css/toolbox-palettes-list.css",
+  "css/toolbox-tileset.css",
+  "css/toolbox-history-list.css",
   "css/toolbox-animated-preview.css",
   "css/transformations.css",
   "css/spectrum/spectrum.css",
@@ -36,6 +42,7 @@
   "css/bootstrap/bootstrap.css",
   "css/bootstrap/bootstrap-tooltip-custom.css",
   "css/frames-list.css",
+  "css/tags-list.css",
   "css/minimap.css",
   "css/widgets-anchor.css",
   "css/widgets-frame-picker.css",
@@ -0,0 +1,317 @@
+describe("PiskelController test", function() {
+
+  var createPiskelController = function (frameCount, fps) {
+    var descriptor = new pskl.model.piskel.Descriptor('piskelName', 'piskelDesc');
+    var piskel = new pskl.model.Piskel(1, 1, fps, descriptor);
+    var layer = new pskl.model.Layer('layer1');
+    for (var i = 0 ; i < frameCount ; i++) {
+      layer.addFrame(new pskl.model.Frame(1, 1));
+    }
+    piskel.addLayer(layer);
+    return new pskl.controller.piskel.PiskelController(piskel);
+  };
+
+  it("uses the FPS for frames without a custom duration", function () {
+    var piskelController = createPiskelController(2, 10);
+    expect(piskelController.getFrameDurationAt(0)).toBe(100);
+    expect(piskelController.hasCustomFrameDurationAt(0)).toBe(false);
+
+    piskelController.setFrameDurationAt(1, 250);
+    expect(piskelController.getFrameDurationAt(1)).toBe(250);
+    expect(piskelController.hasCustomFrameDurationAt(1)).toBe(true);
+
+    piskelController.setFPS(20);
+    expect(piskelController.getFrameDurationAt(0)).toBe(50);
+    expect(piskelController.getFrameDurationAt(1)).toBe(250);
+  });
+
+  it("resets frame durations for invalid values", function () {
+    var piskelController = createPiskelController(1, 10);
+    piskelController.setFrameDurationAt(0, '300');
+    expect(piskelController.getFrameDurationAt(0)).toBe(300);
+
+    piskelController.setFrameDurationAt(0, '');
+    expect(piskelController.hasCustomFrameDurationAt(0)).toBe(false);
+
+    piskelController.setFrameDurationAt(0, -20);
+    expect(piskelController.hasCustomFrameDurationAt(0)).toBe(false);
+  });
+
+  it("keeps frame durations in sync when frames are added or removed", function () {
+    var piskelController = createPiskelController(3, 10);
+    piskelController.setFrameDurationAt(1, 200);
+    piskelController.setFrameDurationAt(2, 300);
+
+    piskelController.addFrameAt(0);
+    expect(piskelController.getFrameDurationAt(0)).toBe(100);
+    expect(piskelController.getFrameDurationAt(2)).toBe(200);
+    expect(piskelController.getFrameDurationAt(3)).toBe(300);
+
+    piskelController.removeFrameAt(2);
+    expect(piskelController.getFrameCount()).toBe(3);
+    expect(piskelController.getFrameDurationAt(1)).toBe(100);
+    expect(piskelController.getFrameDurationAt(2)).toBe(300);
+
+    // Add a frame after the last frame with a custom duration.
+    piskelController.addFrame();
+    expect(piskelController.getFrameDurationAt(3)).toBe(100);
+  });
+
+  it("keeps frame durations when frames are duplicated or moved", function () {
+    var piskelController = createPiskelController(3, 10);
+    piskelController.setFrameDurationAt(0, 400);
+
+    piskelController.duplicateFrameAt(0);
+    expect(piskelController.getFrameDurationAt(0)).toBe(400);
+    expect(piskelController.getFrameDurationAt(1)).toBe(400);
+    expect(piskelController.getFrameDurationAt(2)).toBe(100);
+
+    piskelController.moveFrame(0, 3);
+    expect(piskelController.getFrameDurationAt(0)).toBe(400);
+    expect(piskelController.getFrameDurationAt(1)).toBe(100);
+    expect(piskelController.getFrameDurationAt(2)).toBe(100);
+    expect(piskelController.getFrameDurationAt(3)).toBe(400);
+  });
+
+  var getFrames = function (piskelController) {
+    return piskelController.getCurrentLayer().getFrames().slice(0);
+  };
+
+  it("duplicates and removes several frames", function () {
+    var piskelController = createPiskelController(3, 10);
+    var frames = getFrames(piskelController);
+    frames[0].setPixel(0, 0, '#ff0000');
+    piskelController.setFrameDurationAt(2, 400);
+
+    piskelController.duplicateFramesAt([2, 0]);
+    var duplicated = getFrames(piskelController);
+    expect(duplicated.length).toBe(5);
+    expect(duplicated.slice(0, 3)).toEqual(frames);
+    expect(duplicated[3].getPixel(0, 0)).toBe(frames[0].getPixel(0, 0));
+    expect(piskelController.getFrameDurationAt(4)).toBe(400);
+    expect(piskelController.getCurrentFrameIndex()).toBe(3);
+
+    piskelController.removeFramesAt([0, 1, 2]);
+    expect(getFrames(piskelController)).toEqual(duplicated.slice(3));
+
+    // The last frames can not be removed.
+    piskelController.removeFramesAt([0, 1]);
+    expect(piskelController.getFrameCount()).toBe(2);
+  });
+
+  it("reverses several frames", function () {
+    var piskelController = createPiskelController(4, 10);
+    var frames = getFrames(piskelController);
+    piskelController.setFrameDurationAt(0, 400);
+
+    piskelController.reverseFramesAt([0, 1, 3]);
+    expect(getFrames(piskelController)).toEqual([frames[3], frames[1], frames[2], frames[0]]);
+    expect(piskelController.getFrameDurationAt(3)).toBe(400);
+    // The current frame follows its frame.
+    expect(piskelController.getCurrentFrameIndex()).toBe(3);
+  });
+
+  it("moves several frames together", function () {
+    var piskelController = createPiskelController(4, 10);
+    var frames = getFrames(piskelController);
+    piskelController.toggleFrameVisibilityAt(2);
+
+    piskelController.moveFramesAt([2, 0], 1);
+    expect(getFrames(piskelController)).toEqual([frames[1], frames[0], frames[2], frames[3]]);
+    expect(piskelController.getVisibleFrameIndexes()).toEqual([0, 1, 3]);
+
+    piskelController.moveFramesAt([0, 1], 10);
+    expect(getFrames(piskelController)).toEqual([frames[2], frames[3], frames[1], frames[0]]);
+  });
+
+  it("toggles the visibility of several frames", function () {
+    var piskelController = createPiskelController(3, 10);
+    piskelController.toggleFrameVisibilityAt(1);
+
+    piskelController.toggleFramesVisibilityAt([0, 1]);
+    expect(piskelController.getVisibleFrameIndexes()).toEqual([2]);
+
+    piskelController.toggleFramesVisibilityAt([0, 1]);
+    expect(piskelController.getVisibleFrameIndexes()).toEqual([0, 1, 2]);
+  });
+
+  it("copies several frames to a new layer", function () {
+    var piskelController = createPiskelController(3, 10);
+    var frames = getFrames(piskelController);
+    frames[0].setPixel(0, 0, '#ff0000');
+    frames[1].setPixel(0, 0, '#00ff00');
+
+    piskelController.copyFramesToNewLayer([1]);
+    expect(piskelController.getLayers().length).toBe(2);
+    var copies = getFrames(piskelController);
+    expect(copies[1].getPixel(0, 0)).toBe(frames[1].getPixel(0, 0));
+    expect(copies[0].getPixel(0, 0)).toBe(pskl.utils.colorToInt(Constants.TRANSPARENT_COLOR));
+  });
+
+  var getTagRanges = function (piskelController) {
+    return piskelController.getTags().map(function (tag) {
+      return [tag.from, tag.to];
+    });
+  };
+
+  it("clamps tags to the existing frames", function () {
+    var piskelController = createPiskelController(4, 10);
+    piskelController.addTag('walk', 2, 10);
+    piskelController.addTag('idle', 3, 1);
+    expect(getTagRanges(piskelController)).toEqual([[2, 3], [3, 3]]);
+    expect(piskelController.getTagByName('walk').color).toBe(Constants.TAG_COLORS[0]);
+    expect(piskelController.getTagByName('idle').color).toBe(Constants.TAG_COLORS[1]);
+
+    piskelController.updateTagAt(0, {name : 'run', from : -1, direction : 'pingpong'});
+    expect(piskelController.getTagAt(0).name).toBe('run');
+    expect(piskelController.getTagAt(0).direction).toBe('pingpong');
+    expect(getTagRanges(piskelController)).toEqual([[0, 3], [3, 3]]);
+  });
+
+  it("keeps tags in sync when frames are added or removed", function () {
+    var piskelController = createPiskelController(5, 10);
+    piskelController.addTag('walk', 1, 2);
+    piskelController.addTag('idle', 4, 4);
+
+    // Adding a frame inside a tag extends it, following tags are shifted.
+    piskelController.addFrameAt(2);
+    expect(getTagRanges(piskelController)).toEqual([[1, 3], [5, 5]]);
+
+    piskelController.addFrameAt(0);
+    expect(getTagRanges(piskelController)).toEqual([[2, 4], [6, 6]]);
+
+    piskelController.removeFrameAt(3);
+    expect(getTagRanges(piskelController)).toEqual([[2, 3], [5, 5]]);
+
+    // Tags without frames are removed.
+    piskelController.removeFrameAt(5);
+    expect(getTagRanges(piskelController)).toEqual([[2, 3]]);
+  });
+
+  it("keeps tags in sync when frames are moved", function () {
+    var piskelController = createPiskelController(5, 10);
+    piskelController.addTag('walk', 1, 2);
+    piskelController.addTag('idle', 4, 4);
+
+    // Single frame tags follow their frame.
+    piskelController.moveFrame(4, 0);
+    expect(getTagRanges(piskelController)).toEqual([[2, 3], [0, 0]]);
+
+    piskelController.moveFrame(0, 4);
+    expect(getTagRanges(piskelController)).toEqual([[1, 2], [4, 4]]);
+  });
+
+  var createLayeredPiskelController = function (layerNames) {
+    var piskelController = createPiskelController(1, 10);
+    piskelController.renameLayerAt(0, layerNames[0]);
+    for (var i = 1 ; i < layerNames.length ; i++) {
+      piskelController.createLayer(layerNames[i]);
+    }
+    return piskelController;
+  };
+
+  var getLayerNames = function (piskelController) {
+    return piskelController.getLayers().map(function (layer) {
+      return layer.getName();
+    });
+  };
+
+  it("groups and ungroups layers", function () {
+    var piskelController = createLayeredPiskelController(['a', 'b', 'c']);
+
+    piskelController.groupLayerAt(1);
+    var group = piskelController.getGroupAt(0);
+    expect(group.getName()).toBe('Group 1');
+    expect(piskelController.getLayersInGroup(group)).toEqual([piskelController.getLayerAt(1)]);
+
+    // New layers are created in the group of the current layer.
+    piskelController.setCurrentLayerIndex(1);
+    piskelController.createLayer('d');
+    expect(getLayerNames(piskelController)).toEqual(['a', 'b', 'd', 'c']);
+    expect(piskelController.getLayerAt(2).getGroup()).toBe(group);
+
+    piskelController.ungroupAt(0);
+    expect(piskelController.getGroups().length).toBe(0);
+    expect(piskelController.getLayerAt(2).getGroup()).toBe(null);
+    expect(getLayerNames(piskelController)).toEqual(['a', 'b', 'd', 'c']);
+  });
+
+  it("moves layers in and out of groups", function () {
+    var piskelController = createLayeredPiskelController(['a', 'b', 'c', 'd']);
+    piskelController.groupLayerAt(1);
+    piskelController.moveLayerToGroup(2, 2, 0);
+    var group = piskelController.getGroupAt(0);
+    expect(piskelController.getLayersInGroup(group).length).toBe(2);
+
+    // Moving a layer to a group keeps the layers of the group together.
+    piskelController.moveLayerToGroup(3, 0, 0);
+    expect(getLayerNames(piskelController)).toEqual(['d', 'b', 'c', 'a']);
+    expect(piskelController.getLayersInGroup(group).length).toBe(3);
+
+    // The group is moved as a whole.
+    piskelController.setCurrentLayerIndex(3);
+    piskelController.moveLayerDown();
+    expect(getLayerNames(piskelController)).toEqual(['a', 'd', 'b', 'c']);
+
+    // The topmost layer of a group is moved out of the group.
+    piskelController.setCurrentLayerIndex(3);
+    piskelController.moveLayerUp();
+    expect(getLayerNames(piskelController)).toEqual(['a', 'd', 'b', 'c']);
+    expect(piskelController.getLayerAt(3).getGroup()).toBe(null);
+
+    piskelController.setCurrentLayerIndex(2);
+    piskelController.moveLayerDown(true);
+    expect(getLayerNames(piskelController)).toEqual(['a', 'b', 'd', 'c']);
+    expect(piskelController.getLayerAt(1).getGroup()).toBe(group);
+  });
+
+  it("supports nested groups", function () {
+    var piskelController = createLayeredPiskelController(['a', 'b', 'c']);
+    piskelController.groupLayerAt(1);
+    piskelController.groupLayerAt(1);
+    var groups = piskelController.getGroups();
+    expect(groups.length).toBe(2);
+    expect(groups[1].getParent()).toBe(groups[0]);
+
+    piskelController.setGroupOpacityAt(0, 0.5);
+    expect(piskelController.getLayerAt(1).getEffectiveOpacity()).toBe(0.5);
+
+    piskelController.toggleGroupLockAt(0);
+    piskelController.setCurrentLayerIndex(1);
+    expect(piskelController.isCurrentLayerLocked()).toBe(true);
+
+    // Removing the parent group moves its child group to the top level.
+    piskelController.ungroupAt(0);
+    expect(piskelController.getGroups().length).toBe(1);
+    expect(piskelController.getGroupAt(0).getParent()).toBe(null);
+    expect(piskelController.isCurrentLayerLocked()).toBe(false);
+  });
+
+  it("only merges down layers of the same group", function () {
+    var piskelController = createLayeredPiskelController(['a', 'b', 'c']);
+    piskelController.groupLayerAt(1);
+    expect(piskelController.canMergeDownLayerAt(1)).toBe(false);
+    expect(piskelController.canMergeDownLayerAt(2)).toBe(false);
+
+    piskelController.mergeDownLayerAt(1);
+    expect(piskelController.getLayers().length).toBe(3);
+
+    piskelController.moveLayerToGroup(2, 2, 0);
+    expect(piskelController.canMergeDownLayerAt(2)).toBe(true);
+
+    // Locked layers can not be merged.
+    piskelController.toggleLayerLockAt(1);
+    expect(piskelController.canMergeDownLayerAt(2)).toBe(false);
+    piskelController.toggleLayerLockAt(1);
+
+    // Hidden layers can not be merged.
+    piskelController.toggleLayerVisibilityAt(2);
+    expect(piskelController.canMergeDownLayerAt(2)).toBe(false);
+    piskelController.mergeDownLayerAt(2);
+    expect(piskelController.getLayers().length).toBe(3);
+    piskelController.toggleLayerVisibilityAt(2);
+    piskelController.mergeDownLayerAt(2);
+    expect(piskelController.getLayers().length).toBe(2);
+    expect(piskelController.getLayerAt(1).getGroup()).toBe(piskelController.getGroupAt(0));
+  });
+});
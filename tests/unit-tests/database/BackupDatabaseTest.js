@@ -234,4 +234,46 @@ describe('BackupDatabase test', function () {
         done();
       });
   });
+
+  it('can add several snapshots at once', function (done) {
+    var testSnapshots = [
+      _toSnapshot('session_1', 'name1', 'desc1', 5, 'serialized1'),
+      _toSnapshot('session_1', 'name2', 'desc2', 10, 'serialized2')
+    ];
+
+    backupDatabase = new pskl.database.BackupDatabase();
+    backupDatabase.init()
+      .then(function () {
+        return backupDatabase.createSnapshots(testSnapshots);
+      }).then(function () {
+        return backupDatabase.getSnapshotsBySessionId('session_1');
+      }).then(function (snapshots) {
+        expect(snapshots.length).toBe(2);
+        // Snapshots are sorted by descending date.
+        _checkSnapshot(snapshots[0], testSnapshots[1]);
+        _checkSnapshot(snapshots[1], testSnapshots[0]);
+        done();
+      });
+  });
+
+  it('replaces the history of a session and deletes it with the session', function (done) {
+    backupDatabase = new pskl.database.BackupDatabase();
+    backupDatabase.init()
+      .then(function () {
+        return backupDatabase.updateHistory({session_id: 'session_1', date: 5, data: 'history1'});
+      }).then(function () {
+        return backupDatabase.updateHistory({session_id: 'session_1', date: 10, data: 'history2'});
+      }).then(function () {
+        return backupDatabase.getHistory('session_1');
+      }).then(function (history) {
+        expect(history.date).toBe(10);
+        expect(history.data).toBe('history2');
+        return backupDatabase.deleteSnapshotsForSession('session_1');
+      }).then(function () {
+        return backupDatabase.getHistory('session_1');
+      }).then(function (history) {
+        expect(history).toBeUndefined();
+        done();
+      });
+  });
 });
@@ -155,4 +155,80 @@ describe('PiskelDatabase test', function () {
       });
   });
 
+  it('keeps the previous save of an updated piskel as a revision', function (done) {
+    piskelDatabase = new pskl.database.PiskelDatabase();
+    piskelDatabase.init()
+      .then(function (db) {
+        return piskelDatabase.create('n1', 'd1', 10, 's1', {frames: 1, layers: 1, thumbnail: 't1'});
+      }).then(function () {
+        return piskelDatabase.update('n1', 'd1', 20, 's2', {frames: 2, layers: 1, thumbnail: 't2'});
+      }).then(function () {
+        return piskelDatabase.update('n1', 'd1', 30, 's3', {frames: 3, layers: 1, thumbnail: 't3'});
+      }).then(function () {
+        return piskelDatabase.getRevisions('n1');
+      }).then(function (revisions) {
+        expect(revisions.length).toBe(2);
+        expect(revisions[0].date).toBe(20);
+        expect(revisions[0].frames).toBe(2);
+        expect(revisions[0].thumbnail).toBe('t2');
+        expect(revisions[0].serialized).not.toBeDefined();
+        expect(revisions[1].date).toBe(10);
+        return piskelDatabase.getRevision(revisions[1].id);
+      }).then(function (revision) {
+        _checkPiskel(revision, ['n1', 'd1', 10, 's1']);
+        return piskelDatabase.get('n1');
+      }).then(function (piskel) {
+        _checkPiskel(piskel, ['n1', 'd1', 30, 's3']);
+        done();
+      });
+  });
+
+  it('prunes the oldest revisions', function (done) {
+    piskelDatabase = new pskl.database.PiskelDatabase();
+    piskelDatabase.init()
+      .then(function (db) {
+        return _addPiskels([['n1', 'd1', 10, 's1']]);
+      }).then(function () {
+        return piskelDatabase.update('n1', 'd1', 20, 's2');
+      }).then(function () {
+        return piskelDatabase.update('n1', 'd1', 30, 's3');
+      }).then(function () {
+        return piskelDatabase.update('n1', 'd1', 40, 's4');
+      }).then(function () {
+        return piskelDatabase.pruneRevisions('n1', {maxCount: 2, minDate: 0});
+      }).then(function () {
+        return piskelDatabase.getRevisions('n1');
+      }).then(function (revisions) {
+        expect(revisions.map(function (r) {return r.date;})).toEqual([30, 20]);
+        return piskelDatabase.pruneRevisions('n1', {maxCount: 10, minDate: 25});
+      }).then(function () {
+        return piskelDatabase.getRevisions('n1');
+      }).then(function (revisions) {
+        expect(revisions.map(function (r) {return r.date;})).toEqual([30]);
+        done();
+      });
+  });
+
+  it('deletes the revisions of a deleted piskel', function (done) {
+    piskelDatabase = new pskl.database.PiskelDatabase();
+    piskelDatabase.init()
+      .then(function (db) {
+        return _addPiskels([['n1', 'd1', 10, 's1'], ['n2', 'd2', 10, 's2']]);
+      }).then(function () {
+        return piskelDatabase.update('n1', 'd1', 20, 's1_updated');
+      }).then(function () {
+        return piskelDatabase.update('n2', 'd2', 20, 's2_updated');
+      }).then(function () {
+        return piskelDatabase.delete('n1');
+      }).then(function () {
+        return piskelDatabase.getRevisions('n1');
+      }).then(function (revisions) {
+        expect(revisions.length).toBe(0);
+        return piskelDatabase.getRevisions('n2');
+      }).then(function (revisions) {
+        expect(revisions.length).toBe(1);
+        done();
+      });
+  });
+
 });
@@ -0,0 +1,67 @@
+describe("LayerGroup model test", function() {
+
+  it("has proper defaults", function() {
+    var group = new pskl.model.LayerGroup('groupName');
+
+    expect(group.getName()).toBe('groupName');
+    expect(group.getParent()).toBe(null);
+    expect(group.getOpacity()).toBe(1);
+    expect(group.isVisible()).toBe(true);
+    expect(group.isLocked()).toBe(false);
+    expect(group.isCollapsed()).toBe(false);
+    expect(group.getDepth()).toBe(0);
+  });
+
+  it("ignores parents creating cycles", function() {
+    var parent = new pskl.model.LayerGroup('parent');
+    var child = new pskl.model.LayerGroup('child');
+
+    child.setParent(parent);
+    expect(child.getParent()).toBe(parent);
+    expect(child.getDepth()).toBe(1);
+    expect(child.isDescendantOf(parent)).toBe(true);
+
+    parent.setParent(child);
+    expect(parent.getParent()).toBe(null);
+
+    child.setParent(child);
+    expect(child.getParent()).toBe(parent);
+  });
+
+  it("combines opacity and visibility of parent groups", function() {
+    var parent = new pskl.model.LayerGroup('parent');
+    var child = new pskl.model.LayerGroup('child');
+    child.setParent(parent);
+
+    parent.setOpacity(0.5);
+    child.setOpacity(0.5);
+    expect(child.getEffectiveOpacity()).toBe(0.25);
+
+    // Bad opacity values are ignored.
+    child.setOpacity(2);
+    expect(child.getOpacity()).toBe(0.5);
+
+    parent.setVisible(false);
+    expect(child.getEffectiveOpacity()).toBe(0);
+  });
+
+  it("applies group opacity and lock to layers", function() {
+    var parent = new pskl.model.LayerGroup('parent');
+    var child = new pskl.model.LayerGroup('child');
+    child.setParent(parent);
+
+    var layer = new pskl.model.Layer('layer');
+    layer.setOpacity(0.5);
+    layer.setGroup(child);
+    expect(layer.getEffectiveOpacity()).toBe(0.5);
+    expect(layer.isTransparent()).toBe(true);
+    expect(layer.isEffectivelyLocked()).toBe(false);
+
+    parent.setOpacity(0.5);
+    parent.setLocked(true);
+    expect(layer.getOpacity()).toBe(0.5);
+    expect(layer.getEffectiveOpacity()).toBe(0.25);
+    expect(layer.isLocked()).toBe(false);
+    expect(layer.isEffectivelyLocked()).toBe(true);
+  });
+});
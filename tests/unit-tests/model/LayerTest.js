@@ -36,4 +36,38 @@ describe("Layer model test", function() {
     layer.setOpacity(null);
     expect(layer.getOpacity()).toBe(0.3);
   });
-});
\ No newline at end of file
+
+  it("can be hidden and locked", function() {
+    var layer = new pskl.model.Layer('layerName');
+    expect(layer.isVisible()).toBe(true);
+    expect(layer.isLocked()).toBe(false);
+
+    layer.setVisible(false);
+    layer.setLocked(true);
+    expect(layer.isEffectivelyVisible()).toBe(false);
+    expect(layer.isEffectivelyLocked()).toBe(true);
+    // Hiding a layer does not change its opacity.
+    expect(layer.getOpacity()).toBe(1);
+  });
+
+  it("can set blend mode", function() {
+    var layer = new pskl.model.Layer('layerName');
+    expect(layer.getBlendMode()).toBe('normal');
+    expect(layer.hasBlendMode()).toBe(false);
+
+    layer.setBlendMode('multiply');
+    expect(layer.getBlendMode()).toBe('multiply');
+    expect(layer.hasBlendMode()).toBe(true);
+  });
+
+  it("ignores bad blend mode", function() {
+    var layer = new pskl.model.Layer('layerName');
+    layer.setBlendMode('overlay');
+
+    layer.setBlendMode('not-a-blend-mode');
+    expect(layer.getBlendMode()).toBe('overlay');
+
+    layer.setBlendMode(undefined);
+    expect(layer.getBlendMode()).toBe('overlay');
+  });
+});
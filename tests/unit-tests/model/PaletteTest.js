@@ -20,4 +20,36 @@ describe("Palette", function() {
     expect(palette.get(1)).toBe('#000000');
     expect(palette.get(2)).toBe('#111111');
   });
-});
\ No newline at end of file
+
+  it("rotates the colors of color cycles", function() {
+    var palette = new pskl.model.Palette('id', 'name', ['#000000', '#111111', '#222222', '#333333']);
+    palette.addCycle(new pskl.model.palette.ColorCycle(1, 3, 2));
+
+    expect(palette.hasCycles()).toBe(true);
+    // 2 steps per second, colors move forward every 500ms.
+    expect(palette.getCycledColors(499)).toEqual(['#000000', '#111111', '#222222', '#333333']);
+    expect(palette.getCycledColors(500)).toEqual(['#000000', '#333333', '#111111', '#222222']);
+    expect(palette.getCycledColors(1000)).toEqual(['#000000', '#222222', '#333333', '#111111']);
+    expect(palette.getCycledColors(1500)).toEqual(['#000000', '#111111', '#222222', '#333333']);
+    expect(palette.getCycleState(1000)).toBe('2');
+  });
+
+  it("rotates backwards for negative rates", function() {
+    var cycle = new pskl.model.palette.ColorCycle(0, 2, -1);
+    expect(cycle.getOffset(0)).toBe(0);
+    expect(cycle.getOffset(1000)).toBe(2);
+    expect(cycle.getOffset(2000)).toBe(1);
+    expect(cycle.getPeriod()).toBe(3000);
+  });
+
+  it("copies color cycles from objects", function() {
+    var palette = pskl.model.Palette.fromObject({
+      id : 'id',
+      name : 'name',
+      colors : ['#000000', '#111111'],
+      cycles : [{from : 0, to : 1, rate : 3}]
+    });
+    expect(palette.getCycleAt(0) instanceof pskl.model.palette.ColorCycle).toBe(true);
+    expect(palette.getCycleAt(0).rate).toBe(3);
+  });
+});
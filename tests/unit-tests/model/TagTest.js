@@ -0,0 +1,40 @@
+describe("Tag model test", function() {
+
+  var Tag = pskl.model.piskel.Tag;
+
+  it("has proper defaults", function() {
+    var tag = new Tag('walk', 1, 3, '#ff0000');
+
+    expect(tag.name).toBe('walk');
+    expect(tag.direction).toBe(Tag.DIRECTION.FORWARD);
+    expect(tag.contains(0)).toBe(false);
+    expect(tag.contains(1)).toBe(true);
+    expect(tag.contains(3)).toBe(true);
+    expect(tag.contains(4)).toBe(false);
+  });
+
+  it("returns frame indexes in playback order", function() {
+    var tag = new Tag('walk', 1, 4, '#ff0000');
+    expect(tag.getFrameIndexes()).toEqual([1, 2, 3, 4]);
+    expect(tag.getPlaybackFrameIndexes()).toEqual([1, 2, 3, 4]);
+
+    tag.direction = Tag.DIRECTION.REVERSE;
+    expect(tag.getFrameIndexes()).toEqual([1, 2, 3, 4]);
+    expect(tag.getPlaybackFrameIndexes()).toEqual([4, 3, 2, 1]);
+
+    tag.direction = Tag.DIRECTION.PINGPONG;
+    expect(tag.getPlaybackFrameIndexes()).toEqual([1, 2, 3, 4, 3, 2]);
+  });
+
+  it("plays single frame tags in any direction", function() {
+    var tag = new Tag('idle', 2, 2, '#ff0000', Tag.DIRECTION.PINGPONG);
+    expect(tag.getPlaybackFrameIndexes()).toEqual([2]);
+  });
+
+  it("can be created from a plain object", function() {
+    var tag = Tag.fromObject(JSON.parse(JSON.stringify(new Tag('run', 0, 2, '#00ff00', 'reverse'))));
+    expect(tag instanceof Tag).toBe(true);
+    expect(tag.getPlaybackFrameIndexes()).toEqual([2, 1, 0]);
+    expect(tag.color).toBe('#00ff00');
+  });
+});
@@ -69,6 +69,9 @@ describe("Onion Skin Renderer test", function() {
       frames : [],
       getFrameAt : function (index) {
         return this.frames[index];
+      },
+      isEffectivelyVisible : function () {
+        return true;
       }
     };
   };
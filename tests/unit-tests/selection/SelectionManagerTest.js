@@ -12,6 +12,8 @@ describe("SelectionManager suite", function() {
   var selectionManager;
   var selection;
   var currentFrame;
+  var frames;
+  var selectedFrames;
 
   /**
    * @Mock
@@ -26,6 +28,37 @@ describe("SelectionManager suite", function() {
   var piskelController = {
     getCurrentFrame : function () {
       return currentFrame;
+    },
+    isCurrentLayerLocked : function () {
+      return false;
+    },
+    getCurrentLayer : function () {
+      return {
+        getFrameAt : function (index) {
+          return frames[index];
+        },
+        getFrames : function () {
+          return frames;
+        }
+      };
+    },
+    getLayerAt : function () {
+      return piskelController.getCurrentLayer();
+    },
+    getCurrentFrameIndex : function () {
+      return frames.indexOf(currentFrame);
+    },
+    getFrameCount : function () {
+      return frames.length;
+    }
+  };
+
+  /**
+   * @Mock
+   */
+  var framesListController = {
+    getSelectedFrames : function () {
+      return selectedFrames;
     }
   };
 
@@ -48,6 +81,9 @@ describe("SelectionManager suite", function() {
       [R, B, R],
       [T, R, B]
     ]);
+    frames = [currentFrame];
+    selectedFrames = [];
+    pskl.app.framesListController = framesListController;
 
     selectionManager = new pskl.selection.SelectionManager(piskelController);
     selectionManager.init();
@@ -57,6 +93,10 @@ describe("SelectionManager suite", function() {
     selection.pixels = [];
   });
 
+  afterEach(function () {
+    delete pskl.app.framesListController;
+  });
+
   /**
    * Check a basic copy paste scenario
    */
@@ -188,6 +228,149 @@ describe("SelectionManager suite", function() {
     ]);
   });
 
+  /**
+   * Check a cut paste scenario on all the frames selected in the frames list.
+   */
+  it("cut/paste OK on several frames", function () {
+    frames.push(pskl.model.Frame.fromPixelGrid(toFrameGrid([
+      [T, T, T],
+      [B, B, B],
+      [T, T, T]
+    ])));
+    frames.push(pskl.model.Frame.fromPixelGrid(toFrameGrid([
+      [T, T, T],
+      [R, R, R],
+      [T, T, T]
+    ])));
+    selectedFrames = [0, 1];
+    selectMiddleLine();
+
+    selectionManager.copy({ type: Events.CLIPBOARD_CUT }, createMockCopyEvent());
+    frameEqualsGrid(frames[0], [
+      [B, R, T],
+      [T, T, T],
+      [T, R, B]
+    ]);
+    frameEqualsGrid(frames[1], [
+      [T, T, T],
+      [T, T, T],
+      [T, T, T]
+    ]);
+
+    selection.move(0, 1);
+    selectionManager.paste({ type: Events.CLIPBOARD_PASTE }, createMockCopyEvent());
+
+    frameEqualsGrid(frames[0], [
+      [B, R, T],
+      [T, T, T],
+      [R, B, R]
+    ]);
+    frameEqualsGrid(frames[1], [
+      [T, T, T],
+      [T, T, T],
+      [B, B, B]
+    ]);
+    // Frames outside of the frames selection are not modified.
+    frameEqualsGrid(frames[2], [
+      [T, T, T],
+      [R, R, R],
+      [T, T, T]
+    ]);
+  });
+
+  /**
+   * Check that several copied frames are pasted on the current frame and the next ones.
+   */
+  it("paste several frames OK on the next frames", function () {
+    frames.push(pskl.model.Frame.fromPixelGrid(toFrameGrid([
+      [T, T, T],
+      [B, B, B],
+      [T, T, T]
+    ])));
+    frames.push(pskl.model.Frame.fromPixelGrid(toFrameGrid([
+      [T, T, T],
+      [T, T, T],
+      [T, T, T]
+    ])));
+    selectedFrames = [0, 1];
+    selectMiddleLine();
+    selectionManager.copy({ type: Events.CLIPBOARD_COPY }, createMockCopyEvent());
+
+    selectedFrames = [];
+    currentFrame = frames[1];
+    selection.move(0, -1);
+    selectionManager.paste({ type: Events.CLIPBOARD_PASTE }, createMockCopyEvent());
+
+    frameEqualsGrid(frames[1], [
+      [R, B, R],
+      [B, B, B],
+      [T, T, T]
+    ]);
+    frameEqualsGrid(frames[2], [
+      [B, B, B],
+      [T, T, T],
+      [T, T, T]
+    ]);
+  });
+
+  /**
+   * Check that each frame keeps its own selection mask.
+   */
+  it("restores the selection of each frame", function () {
+    pskl.app.drawingController = {
+      currentToolBehavior : null
+    };
+    var frameIndex = 0;
+    var layerFrames = [new pskl.model.Frame(3, 3), new pskl.model.Frame(3, 3)];
+    var layer = {
+      getFrameAt : function (index) {
+        return layerFrames[index];
+      },
+      getFrames : function () {
+        return layerFrames;
+      }
+    };
+    var framesManager = new pskl.selection.SelectionManager({
+      getCurrentFrameIndex : function () {
+        return frameIndex;
+      },
+      getLayerAt : function () {
+        return layer;
+      }
+    });
+    framesManager.init();
+    selectMiddleLine();
+
+    frameIndex = 1;
+    $.publish(Events.PISKEL_RESET);
+    expect(framesManager.getMask()).toBe(null);
+
+    frameIndex = 0;
+    $.publish(Events.PISKEL_RESET);
+    var mask = framesManager.getMask();
+    expect(mask.contains(0, 1)).toBe(true);
+    expect(mask.contains(0, 0)).toBe(false);
+
+    // The selection follows the frame when it is moved.
+    frameIndex = 1;
+    $.publish(Events.PISKEL_RESET);
+    layerFrames.reverse();
+    $.publish(Events.PISKEL_RESET);
+    expect(framesManager.getMask().contains(0, 1)).toBe(true);
+    frameIndex = 0;
+    $.publish(Events.PISKEL_RESET);
+    expect(framesManager.getMask()).toBe(null);
+
+    // Frames of another piskel do not get the selections of the previous one.
+    layerFrames = [new pskl.model.Frame(3, 3), new pskl.model.Frame(3, 3)];
+    $.publish(Events.PISKEL_RESET);
+    frameIndex = 1;
+    $.publish(Events.PISKEL_RESET);
+    expect(framesManager.getMask()).toBe(null);
+
+    delete pskl.app.drawingController;
+  });
+
   // Private helpers
   var createPixel = function(row, col, color) {
     return {
@@ -0,0 +1,110 @@
+describe("SelectionMask suite", function() {
+  var A = '#000000';
+  var B = '#ff0000';
+  var O = Constants.TRANSPARENT_COLOR;
+
+  var toFrameGrid = test.testutils.toFrameGrid;
+  var frameEqualsGrid = test.testutils.frameEqualsGrid;
+
+  // Selection of the 2x2 square at the center of a 4x4 frame.
+  var pixels = [
+    {col : 1, row : 1}, {col : 2, row : 1},
+    {col : 1, row : 2}, {col : 2, row : 2}
+  ];
+
+  var createFrame = function (grid) {
+    return pskl.model.Frame.fromPixelGrid(toFrameGrid(grid));
+  };
+
+  it("restores the pixels outside of the selection", function () {
+    var mask = new pskl.selection.SelectionMask(pixels);
+    var frame = createFrame([
+      [O, O, O, O],
+      [O, O, O, O],
+      [O, O, O, O],
+      [O, O, O, O]
+    ]);
+
+    var saved = mask.save([frame]);
+    frame.forEachPixel(function (color, col, row) {
+      frame.setPixel(col, row, A);
+    });
+
+    expect(mask.restore(saved)).toBe(true);
+    frameEqualsGrid(frame, [
+      [O, O, O, O],
+      [O, A, A, O],
+      [O, A, A, O],
+      [O, O, O, O]
+    ]);
+  });
+
+  it("does not modify frames changed inside of the selection only", function () {
+    var mask = new pskl.selection.SelectionMask(pixels);
+    var frame = createFrame([
+      [B, O, O, O],
+      [O, O, O, O],
+      [O, O, O, O],
+      [O, O, O, B]
+    ]);
+
+    var saved = mask.save([frame]);
+    frame.setPixel(1, 1, A);
+    var hash = frame.getHash();
+
+    expect(mask.restore(saved)).toBe(false);
+    expect(frame.getHash()).toBe(hash);
+  });
+
+  it("ignores frames which were resized", function () {
+    var mask = new pskl.selection.SelectionMask(pixels);
+    var frame = createFrame([
+      [O, O, O, O],
+      [O, O, O, O],
+      [O, O, O, O],
+      [O, O, O, O]
+    ]);
+
+    var saved = mask.save([frame]);
+    frame.pixels = new Uint32Array(4);
+
+    expect(mask.restore(saved)).toBe(false);
+  });
+
+  it("returns the border of the selection", function () {
+    var square = [];
+    for (var col = 0 ; col < 3 ; col++) {
+      for (var row = 0 ; row < 3 ; row++) {
+        square.push({col : col, row : row});
+      }
+    }
+    var mask = new pskl.selection.SelectionMask(square);
+
+    var border = mask.getBorder();
+    expect(border.length).toBe(8);
+    expect(mask.contains(1, 1)).toBe(true);
+    expect(border.some(function (pixel) {
+      return pixel.col === 1 && pixel.row === 1;
+    })).toBe(false);
+  });
+
+  it("draws the border of the mask on a copy of the overlay", function () {
+    var mask = new pskl.selection.SelectionMask(pixels);
+    var overlay = createFrame([
+      [O, O, O, O],
+      [O, O, O, O],
+      [O, O, O, O],
+      [O, O, O, O]
+    ]);
+
+    var marchingAnts = new pskl.selection.MarchingAnts();
+    var decorated = marchingAnts.decorate(overlay, mask);
+
+    expect(decorated).not.toBe(overlay);
+    expect(overlay.getPixel(1, 1)).toBe(pskl.utils.colorToInt(O));
+    pixels.forEach(function (pixel) {
+      expect(decorated.getPixel(pixel.col, pixel.row)).not.toBe(pskl.utils.colorToInt(O));
+    });
+    expect(decorated.getPixel(0, 0)).toBe(pskl.utils.colorToInt(O));
+  });
+});
@@ -0,0 +1,135 @@
+describe("SelectionOperations suite", function() {
+  var A = '#000000';
+  var B = '#ff0000';
+  var O = Constants.TRANSPARENT_COLOR;
+
+  var operations = pskl.selection.SelectionOperations;
+  var toFrameGrid = test.testutils.toFrameGrid;
+
+  var frame;
+
+  /**
+   * Sort the pixels to compare them independently of the order of the operations.
+   */
+  var sorted = function (pixels) {
+    return pixels.slice(0).sort(function (a, b) {
+      return a.row - b.row || a.col - b.col;
+    });
+  };
+
+  /**
+   * @return {Array} the selected pixels described by a grid of booleans (1 : selected)
+   */
+  var toPixels = function (grid) {
+    var pixels = [];
+    grid.forEach(function (line, row) {
+      line.forEach(function (selected, col) {
+        if (selected) {
+          pixels.push({col : col, row : row});
+        }
+      });
+    });
+    return pixels;
+  };
+
+  var expectSelection = function (pixels, grid) {
+    expect(sorted(pixels)).toEqual(toPixels(grid));
+  };
+
+  beforeEach(function () {
+    frame = pskl.model.Frame.fromPixelGrid(toFrameGrid([
+      [A, B, O, O],
+      [O, A, B, O],
+      [O, O, A, B],
+      [B, O, O, A]
+    ]));
+  });
+
+  it("combines selections", function () {
+    var pixels = toPixels([
+      [1, 1, 0, 0],
+      [1, 1, 0, 0]
+    ]);
+    var otherPixels = toPixels([
+      [0, 1, 1, 0],
+      [0, 1, 1, 0]
+    ]);
+
+    expectSelection(operations.combine(pixels, otherPixels, operations.MODES.ADD), [
+      [1, 1, 1, 0],
+      [1, 1, 1, 0]
+    ]);
+    expectSelection(operations.combine(pixels, otherPixels, operations.MODES.SUBTRACT), [
+      [1, 0, 0, 0],
+      [1, 0, 0, 0]
+    ]);
+    expectSelection(operations.combine(pixels, otherPixels, operations.MODES.INTERSECT), [
+      [0, 1, 0, 0],
+      [0, 1, 0, 0]
+    ]);
+    expectSelection(operations.combine(pixels, otherPixels, operations.MODES.REPLACE), [
+      [0, 1, 1, 0],
+      [0, 1, 1, 0]
+    ]);
+  });
+
+  it("does not modify the combined selections", function () {
+    var pixels = toPixels([[1, 1]]);
+    var union = operations.union(pixels, toPixels([[0, 0, 1]]));
+    union[0].col = 5;
+    expect(pixels).toEqual(toPixels([[1, 1]]));
+  });
+
+  it("selects all the pixels and inverts the selection", function () {
+    expect(operations.selectAll(frame).length).toBe(16);
+    expectSelection(operations.invert(toPixels([
+      [1, 1, 1, 1],
+      [1, 0, 0, 1],
+      [1, 0, 0, 1],
+      [1, 1, 1, 1]
+    ]), frame), [
+      [0, 0, 0, 0],
+      [0, 1, 1, 0],
+      [0, 1, 1, 0]
+    ]);
+  });
+
+  it("selects the pixels by color", function () {
+    expectSelection(operations.selectByColor(frame, B), [
+      [0, 1, 0, 0],
+      [0, 0, 1, 0],
+      [0, 0, 0, 1],
+      [1, 0, 0, 0]
+    ]);
+  });
+
+  it("grows the selection without leaving the frame", function () {
+    var pixels = toPixels([[1]]);
+    expectSelection(operations.grow(pixels, 1, frame), [
+      [1, 1],
+      [1, 1]
+    ]);
+    expectSelection(operations.grow(pixels, 2, frame), [
+      [1, 1, 1],
+      [1, 1, 1],
+      [1, 1, 1]
+    ]);
+  });
+
+  it("shrinks the selection", function () {
+    var pixels = toPixels([
+      [0, 0, 0, 0],
+      [0, 1, 1, 1],
+      [0, 1, 1, 1],
+      [0, 1, 1, 1]
+    ]);
+    // The edges of the frame are not a border of the selection.
+    expectSelection(operations.shrink(pixels, 1, frame), [
+      [0, 0, 0, 0],
+      [0, 0, 0, 0],
+      [0, 0, 1, 1],
+      [0, 0, 1, 1]
+    ]);
+    expect(operations.shrink(pixels, 3, frame)).toEqual([]);
+  });
+});
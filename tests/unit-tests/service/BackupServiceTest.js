@@ -29,10 +29,13 @@ describe('BackupService test', function () {
       },
       updateSnapshot: function () { return Promise.resolve(); },
       createSnapshot: function () { return Promise.resolve(); },
+      createSnapshots: function () { return Promise.resolve(); },
       deleteSnapshot: function () { return Promise.resolve(); },
       getSessions: function () { return Promise.resolve([]); },
       deleteSnapshotsForSession: function () { return Promise.resolve(); },
-      findLastSnapshot: function () { return Promise.resolve(null); }
+      findLastSnapshot: function () { return Promise.resolve(null); },
+      updateHistory: function () { return Promise.resolve(); },
+      getHistory: function () { return Promise.resolve(); }
     };
 
     mockPiskel = {
@@ -283,4 +286,112 @@ describe('BackupService test', function () {
       done();
     });
   });
-});
\ No newline at end of file
+
+  it('uses the retention settings to delete old snapshots', function (done) {
+    var session = 1;
+    var backupsSettings = pskl.UserSettings.get(pskl.UserSettings.BACKUPS);
+    spyOn(pskl.UserSettings, 'get').and.returnValue($.extend({}, backupsSettings, {maxSnapshots: 3}));
+
+    preparePiskelMocks(session, 'piskel_name', 'piskel_desc', 'piskel_hash', 'serialized5');
+    snapshotDate = 5 * 6 * ONE_MINUTE;
+
+    spyOn(mockBackupDatabase, 'deleteSnapshot').and.callThrough();
+
+    // Prepare array of already saved snapshots, sorted by descending date.
+    mockBackupDatabase._sessions[session] = [];
+    for (var i = 4 ; i >= 0 ; i--) {
+      mockBackupDatabase._sessions[session].push(
+        createSnapshotObject(session, 'piskel_name', 'piskel_desc', i * 6 * ONE_MINUTE, 'serialized' + i)
+      );
+    }
+
+    backupService.backup().then(function () {
+      // Only the new snapshot and the 2 most recent ones should be kept.
+      var deleted = mockBackupDatabase.deleteSnapshot.calls.allArgs().map(function (args) {
+        return args[0].serialized;
+      });
+      expect(deleted).toEqual(['serialized2', 'serialized1', 'serialized0']);
+      done();
+    });
+  });
+
+  it('saves the undo history once per session, outside of the snapshots', function (done) {
+    var historyService = pskl.app.historyService;
+    pskl.app.historyService = {
+      serialize: function () { return 'serialized_history'; }
+    };
+
+    preparePiskelMocks('session1', 'piskel_name', 'piskel_desc', 'piskel_hash', 'serialized');
+    snapshotDate = 5;
+
+    spyOn(mockBackupDatabase, 'createSnapshot').and.callThrough();
+    spyOn(mockBackupDatabase, 'updateHistory').and.callThrough();
+
+    backupService.backup().then(function () {
+      pskl.app.historyService = historyService;
+
+      var snapshot = mockBackupDatabase.createSnapshot.calls.mostRecent().args[0];
+      expect(snapshot.history).toBeUndefined();
+
+      var history = mockBackupDatabase.updateHistory.calls.mostRecent().args[0];
+      expect(history.session_id).toBe('session1');
+      expect(history.date).toBe(5);
+      expect(history.data).toBe('serialized_history');
+      done();
+    });
+  });
+
+  it('exports all the snapshots of a session', function (done) {
+    var snapshot1 = createSnapshotObject('session1', 'name', 'desc', 2 * ONE_MINUTE, 'serialized2');
+    var snapshot2 = createSnapshotObject('session1', 'name', 'desc', ONE_MINUTE, 'serialized1');
+    snapshot1.id = 2;
+    snapshot2.id = 1;
+    mockBackupDatabase._sessions['session1'] = [snapshot1, snapshot2];
+
+    backupService.exportSession('session1').then(function (archive) {
+      expect(archive.type).toBe('piskel-backup-sessions');
+      expect(archive.snapshots.length).toBe(2);
+      expect(archive.snapshots[0].date).toBe(2 * ONE_MINUTE);
+      expect(archive.snapshots[0].serialized).toBe('serialized2');
+      // Database ids are only valid in the current browser.
+      expect(archive.snapshots[0].id).toBeUndefined();
+      done();
+    });
+  });
+
+  it('imports the snapshots of an archive which are not already stored', function (done) {
+    pskl.app.sessionId = 'current';
+    mockBackupDatabase._sessions['session1'] = [
+      createSnapshotObject('session1', 'name', 'desc', ONE_MINUTE, 'serialized1')
+    ];
+    spyOn(mockBackupDatabase, 'createSnapshots').and.callThrough();
+
+    var archive = {
+      type: 'piskel-backup-sessions',
+      version: 1,
+      snapshots: [
+        createSnapshotObject('session1', 'name', 'desc', 2 * ONE_MINUTE, 'serialized2'),
+        createSnapshotObject('session1', 'name', 'desc', ONE_MINUTE, 'serialized1'),
+        createSnapshotObject('current', 'name', 'desc', ONE_MINUTE, 'serialized3')
+      ]
+    };
+
+    backupService.importSessions(archive).then(function (count) {
+      expect(count).toBe(1);
+      var snapshots = mockBackupDatabase.createSnapshots.calls.mostRecent().args[0];
+      expect(snapshots.length).toBe(1);
+      expect(snapshots[0].serialized).toBe('serialized2');
+      done();
+    });
+  });
+
+  it('rejects invalid archives', function (done) {
+    spyOn(mockBackupDatabase, 'createSnapshots').and.callThrough();
+
+    backupService.importSessions({snapshots: [{}]}).catch(function (errorMessage) {
+      expect(errorMessage).toBe('This file is not a Piskel backup archive.');
+      expect(mockBackupDatabase.createSnapshots).not.toHaveBeenCalled();
+      done();
+    });
+  });
+});
@@ -87,4 +87,158 @@ describe("History Service suite", function() {
     pskl.service.HistoryService.SNAPSHOT_PERIOD = SNAPSHOT_PERIOD_BACKUP;
 
   });
-});
\ No newline at end of file
+
+  describe("undo tree", function () {
+    var mockController;
+    var scope;
+
+    var createTreeHistoryService = function () {
+      mockController = {
+        piskel : {
+          getDescriptor : function () {},
+        },
+        currentFrameIndex : 0,
+        currentLayerIndex : 0,
+        getPiskel : function () {},
+        getFPS : function () { return 12; },
+        setFPS : function () {},
+        setPiskel : function () {},
+        getWidth : function () { return 32; },
+        getHeight : function () { return 32; },
+        setCurrentFrameIndex : function () {},
+        setCurrentLayerIndex : function () {},
+        getLayerAt : function () {
+          return { getFrameAt : function () {} };
+        },
+        addFrameAt : function () {}
+      };
+      var mockShortcutService = {
+        registerShortcut : function () {}
+      };
+      var mockDeserializer = {
+        deserialize : function (data, callback) {
+          callback({ setDescriptor : function () {} });
+        }
+      };
+      var service = new pskl.service.HistoryService(
+        { getWrappedPiskelController : function () { return mockController; }},
+        mockShortcutService,
+        mockDeserializer,
+        { serialize : function () { return SERIALIZED_PISKEL; }}
+      );
+      service.init();
+      return service;
+    };
+
+    var saveState = function (label) {
+      historyService.saveState({
+        type : pskl.service.HistoryService.REPLAY,
+        scope : scope,
+        replay : {},
+        label : label
+      });
+      return getLastState();
+    };
+
+    beforeEach(function () {
+      scope = { replay : jasmine.createSpy('replay') };
+      historyService = createTreeHistoryService();
+    });
+
+    it("keeps the redo branch when saving a state after an undo", function () {
+      var stateA = saveState('A');
+      var stateB = saveState('B');
+
+      historyService.undo();
+      expect(historyService.currentIndex).toBe(1);
+
+      var stateC = saveState('C');
+      expect(historyService.getStates().length).toBe(4);
+      expect(stateA.children).toEqual([stateB, stateC]);
+      expect(historyService.stateQueue).toEqual([historyService.stateQueue[0], stateA, stateC]);
+    });
+
+    it("loads a state of another branch", function () {
+      var stateA = saveState('A');
+      var stateB = saveState('B');
+      historyService.undo();
+      var stateC = saveState('C');
+
+      scope.replay.calls.reset();
+      historyService.loadStateById(stateB.uuid);
+
+      expect(getLastState()).toBe(stateB);
+      expect(historyService.stateQueue.length).toBe(3);
+      // A and B are replayed on top of the initial snapshot.
+      expect(scope.replay.calls.count()).toBe(2);
+
+      // Redo follows the branch last visited.
+      historyService.lastLoadState = -1;
+      historyService.loadStateById(stateA.uuid);
+      expect(historyService.stateQueue[2]).toBe(stateB);
+    });
+
+    it("removes the oldest branches when the history is full", function () {
+      var maxSavedStates = pskl.service.HistoryService.MAX_SAVED_STATES;
+      pskl.service.HistoryService.MAX_SAVED_STATES = 4;
+
+      var stateA = saveState('A');
+      saveState('B');
+      historyService.undo();
+      var stateC = saveState('C');
+      historyService.lastLoadState = -1;
+      historyService.undo();
+      var stateE = saveState('E');
+      expect(historyService.getStates().length).toBe(5);
+
+      // Removing the oldest branch is enough to save a new state.
+      saveState('F');
+      expect(stateA.children).toEqual([stateC, stateE]);
+      expect(historyService.getStates().length).toBe(5);
+
+      pskl.service.HistoryService.MAX_SAVED_STATES = maxSavedStates;
+    });
+
+    it("describes the saved states", function () {
+      historyService.saveState({
+        type : pskl.service.HistoryService.REPLAY,
+        scope : new pskl.tools.Tool(),
+        replay : {}
+      });
+      expect(getLastState().label).toBe('Abstract tool');
+
+      historyService.saveState({
+        type : pskl.service.HistoryService.REPLAY,
+        scope : {},
+        replay : {
+          fn : mockController.addFrameAt,
+          args : [0]
+        }
+      });
+      expect(getLastState().label).toBe('Add frame');
+
+      expect(historyService.stateQueue[0].label).toBe('New sprite');
+    });
+
+    it("restores a serialized history", function () {
+      var stateA = saveState('A');
+      saveState('B');
+      historyService.undo();
+      var stateC = saveState('C');
+
+      var data = historyService.serialize();
+      var restoredService = createTreeHistoryService();
+      restoredService.restore(data);
+
+      expect(restoredService.getStates().length).toBe(4);
+      expect(restoredService.getCurrentStateId()).toBe(stateC.uuid);
+      expect(restoredService.getCurrentState().label).toBe('C');
+
+      // The mock actions can not be serialized, only the snapshots can be loaded.
+      var restoredA = restoredService.stateQueue[1];
+      expect(restoredA.uuid).toBe(stateA.uuid);
+      expect(restoredService.isStateLoadable(restoredA)).toBe(false);
+      expect(restoredService.isStateLoadable(restoredService.getCurrentState())).toBe(true);
+    });
+  });
+});
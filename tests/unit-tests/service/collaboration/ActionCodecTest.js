@@ -0,0 +1,142 @@
+describe("ActionCodec test", function() {
+  var ActionCodec = pskl.service.collaboration.ActionCodec;
+  var REPLAY = pskl.service.HistoryService.REPLAY;
+
+  var appBackup;
+  var tool;
+  var publicController;
+
+  beforeEach(function() {
+    appBackup = {
+      piskelController : pskl.app.piskelController,
+      toolController : pskl.app.toolController,
+      selectionManager : pskl.app.selectionManager
+    };
+
+    var descriptor = new pskl.model.piskel.Descriptor('piskelName', 'piskelDesc');
+    var piskel = new pskl.model.Piskel(1, 1, 12, descriptor);
+    var layer = new pskl.model.Layer('layer1');
+    layer.addFrame(new pskl.model.Frame(1, 1));
+    piskel.addLayer(layer);
+    publicController = new pskl.controller.piskel.PublicPiskelController(
+      new pskl.controller.piskel.PiskelController(piskel));
+
+    tool = {toolId : 'tool-pen', replay : function () {}};
+    pskl.app.piskelController = publicController;
+    pskl.app.toolController = {tools : [tool]};
+    pskl.app.selectionManager = {replay : function () {}};
+  });
+
+  afterEach(function() {
+    pskl.app.piskelController = appBackup.piskelController;
+    pskl.app.toolController = appBackup.toolController;
+    pskl.app.selectionManager = appBackup.selectionManager;
+  });
+
+  var roundTrip = function (action) {
+    return ActionCodec.decode(JSON.parse(JSON.stringify(ActionCodec.encode(action))));
+  };
+
+  it("encodes the actions of tools", function() {
+    var action = {
+      type : REPLAY,
+      scope : tool,
+      replay : {
+        pixels : [{col : 0, row : 1, color : '#ff0000'}],
+        colors : new Uint32Array([1, 2])
+      }
+    };
+
+    var encoded = ActionCodec.encode(action);
+    expect(encoded.scope).toEqual({__scope : 'tool:tool-pen'});
+    expect(ActionCodec.isStructural(encoded)).toBe(false);
+
+    var decoded = roundTrip(action);
+    expect(decoded.type).toBe(REPLAY);
+    expect(decoded.scope).toBe(tool);
+    expect(decoded.replay.pixels).toEqual(action.replay.pixels);
+    expect(decoded.replay.colors instanceof Uint32Array).toBe(true);
+    expect(Array.prototype.slice.call(decoded.replay.colors)).toEqual([1, 2]);
+  });
+
+  it("encodes the methods of the piskel controller by name", function() {
+    var wrapped = publicController.getWrappedPiskelController();
+    var args = (function () {
+      return arguments;
+    })(2, 0);
+    var action = {
+      type : REPLAY,
+      scope : publicController,
+      replay : {
+        fn : wrapped.moveFrame,
+        args : args
+      }
+    };
+
+    var encoded = ActionCodec.encode(action);
+    expect(encoded.replay.fn).toEqual({__method : 'moveFrame'});
+    expect(ActionCodec.isStructural(encoded)).toBe(true);
+
+    var decoded = roundTrip(action);
+    expect(decoded.scope).toBe(publicController);
+    expect(decoded.replay.fn).toBe(wrapped.moveFrame);
+    expect(decoded.replay.args).toEqual([2, 0]);
+  });
+
+  it("encodes actions nested in the actions of the selection manager", function() {
+    var action = {
+      type : REPLAY,
+      scope : pskl.app.selectionManager,
+      replay : {
+        pixels : [{col : 0, row : 0}],
+        action : {
+          type : REPLAY,
+          scope : tool,
+          replay : {color : '#000000'}
+        }
+      }
+    };
+
+    var decoded = roundTrip(action);
+    expect(decoded.scope).toBe(pskl.app.selectionManager);
+    expect(decoded.replay.action.scope).toBe(tool);
+    expect(decoded.replay.action.replay).toEqual({color : '#000000'});
+  });
+
+  it("does not encode snapshots and actions containing models", function() {
+    expect(ActionCodec.encode({type : pskl.service.HistoryService.SNAPSHOT})).toBe(null);
+    expect(ActionCodec.encode({
+      type : REPLAY,
+      scope : tool,
+      replay : {frame : new pskl.model.Frame(1, 1)}
+    })).toBe(null);
+    expect(ActionCodec.encode({
+      type : REPLAY,
+      scope : {toolId : 'unknown'},
+      replay : {}
+    })).toBe(null);
+  });
+
+  it("only decodes typed arrays and methods saved in the history", function() {
+    var decode = function (replay) {
+      return function () {
+        ActionCodec.decode({scope : {__scope : 'controller'}, replay : replay});
+      };
+    };
+
+    expect(decode({fn : {__type : 'Function', values : 'alert(1)'}})).toThrow();
+    expect(decode({fn : {__method : 'setPiskel'}, args : []})).toThrow();
+    expect(decode({fn : {__method : 'constructor'}, args : []})).toThrow();
+    expect(function () {
+      ActionCodec.decode({scope : {__scope : 'window'}, replay : {}});
+    }).toThrow();
+
+    // Methods which are not saved in the history are not encoded either.
+    var wrapped = publicController.getWrappedPiskelController();
+    expect(ActionCodec.encode({
+      type : REPLAY,
+      scope : publicController,
+      replay : {fn : wrapped.setPiskel, args : []}
+    })).toBe(null);
+  });
+});
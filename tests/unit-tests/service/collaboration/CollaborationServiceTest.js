@@ -0,0 +1,155 @@
+describe("CollaborationService test", function() {
+  var REPLAY = pskl.service.HistoryService.REPLAY;
+
+  var appBackup;
+  var service;
+  var socket;
+  var tool;
+  var publicController;
+
+  var receive = function (message) {
+    socket.onmessage({data : JSON.stringify(message)});
+  };
+
+  var getSent = function (type) {
+    return socket.sent.filter(function (message) {
+      return message.type === type;
+    });
+  };
+
+  beforeEach(function(done) {
+    appBackup = {
+      piskelController : pskl.app.piskelController,
+      toolController : pskl.app.toolController
+    };
+
+    var descriptor = new pskl.model.piskel.Descriptor('piskelName', 'piskelDesc');
+    var piskel = new pskl.model.Piskel(2, 2, 12, descriptor);
+    var layer = new pskl.model.Layer('layer1');
+    layer.addFrame(new pskl.model.Frame(2, 2));
+    layer.addFrame(new pskl.model.Frame(2, 2));
+    piskel.addLayer(layer);
+    publicController = new pskl.controller.piskel.PublicPiskelController(
+      new pskl.controller.piskel.PiskelController(piskel));
+    publicController.init();
+
+    tool = {
+      toolId : 'tool-pen',
+      replay : function (frame, replayData) {
+        frame.setPixel(replayData.col, replayData.row, replayData.color);
+      }
+    };
+    pskl.app.piskelController = publicController;
+    pskl.app.toolController = {tools : [tool]};
+
+    socket = {
+      sent : [],
+      send : function (message) {
+        this.sent.push(JSON.parse(message));
+      },
+      close : function () {}
+    };
+
+    service = new pskl.service.collaboration.CollaborationService(publicController, function () {
+      return socket;
+    });
+    service.init();
+    service.connect('ws://relay', 'room', 'me').then(done);
+    socket.onopen();
+    receive({type : 'welcome', id : 'c1', room : 'room', head : null, seq : 0, peers : []});
+  });
+
+  afterEach(function() {
+    service.disconnect();
+    pskl.app.piskelController = appBackup.piskelController;
+    pskl.app.toolController = appBackup.toolController;
+  });
+
+  it("sends the actions saved in the history", function() {
+    expect(getSent('join')).toEqual([{type : 'join', room : 'room', name : 'me'}]);
+    publicController.setCurrentFrameIndex(1);
+
+    $.publish(Events.PISKEL_SAVE_STATE, {
+      type : REPLAY,
+      scope : tool,
+      replay : {col : 0, row : 0, color : '#ff0000'}
+    });
+
+    var action = getSent('action')[0];
+    expect(action.id).toBe('c1-1');
+    expect(action.base).toBe(null);
+    expect(action.structural).toBe(false);
+    expect(action.state).toEqual({frameIndex : 1, layerIndex : 0});
+    expect(action.action.scope).toEqual({__scope : 'tool:tool-pen'});
+  });
+
+  it("replays the actions of other clients on the frame of the action", function(done) {
+    receive({
+      type : 'action',
+      id : 'c2-1',
+      from : 'c2',
+      seq : 1,
+      base : null,
+      structural : false,
+      state : {frameIndex : 1, layerIndex : 0},
+      action : {scope : {__scope : 'tool:tool-pen'}, replay : {col : 1, row : 0, color : '#ff0000'}}
+    });
+
+    service.queue_.then(function () {
+      var frame = publicController.getLayerAt(0).getFrameAt(1);
+      expect(frame.getPixel(1, 0)).toBe(pskl.utils.colorToInt('#ff0000'));
+      // The current frame is not modified, and remote actions are not sent back.
+      expect(publicController.getCurrentFrameIndex()).toBe(0);
+      expect(getSent('action').length).toBe(0);
+    }).then(done);
+  });
+
+  it("requests a snapshot when receiving an action for another structure", function(done) {
+    receive({
+      type : 'action',
+      id : 'c2-2',
+      from : 'c2',
+      seq : 2,
+      base : 'c2-1',
+      structural : false,
+      state : {frameIndex : 0, layerIndex : 0},
+      action : {scope : {__scope : 'tool:tool-pen'}, replay : {col : 1, row : 0, color : '#ff0000'}}
+    });
+
+    service.queue_.then(function () {
+      expect(getSent('sync-request').length).toBe(1);
+      var frame = publicController.getLayerAt(0).getFrameAt(0);
+      expect(frame.getPixel(1, 0)).toBe(pskl.utils.colorToInt(Constants.TRANSPARENT_COLOR));
+    }).then(done);
+  });
+
+  it("requests a snapshot when an action is rejected by the relay", function() {
+    $.publish(Events.PISKEL_SAVE_STATE, {
+      type : REPLAY,
+      scope : tool,
+      replay : {col : 0, row : 0, color : '#ff0000'}
+    });
+
+    receive({type : 'reject', id : 'c1-1'});
+    expect(getSent('sync-request').length).toBe(1);
+  });
+
+  it("sends snapshots once its own actions are acknowledged", function(done) {
+    publicController.addFrameAt(2);
+    var action = getSent('action')[0];
+    expect(action.structural).toBe(true);
+
+    receive({type : 'sync-request', requester : 'c2'});
+    service.queue_.then(function () {
+      expect(getSent('snapshot').length).toBe(0);
+      receive($.extend({}, action, {seq : 1, from : 'c1'}));
+      return service.queue_;
+    }).then(function () {
+      var snapshot = getSent('snapshot')[0];
+      expect(snapshot.to).toBe('c2');
+      expect(snapshot.seq).toBe(1);
+      expect(snapshot.head).toBe(action.id);
+      expect(typeof snapshot.piskel).toBe('string');
+    }).then(done);
+  });
+});
@@ -0,0 +1,48 @@
+describe("Dithering service test", function() {
+  var ditheringService;
+  var storedOptions;
+
+  beforeEach(function() {
+    storedOptions = undefined;
+    spyOn(pskl.UserSettings, 'get').and.callFake(function () {
+      return storedOptions || pskl.UserSettings.KEY_TO_DEFAULT_VALUE_MAP_.DITHERING_OPTIONS;
+    });
+    spyOn(pskl.UserSettings, 'set').and.callFake(function (key, value) {
+      storedOptions = value;
+    });
+    spyOn($, 'publish').and.callThrough();
+
+    ditheringService = new pskl.service.dithering.DitheringService();
+    ditheringService.init();
+  });
+
+  it("updates and saves the options", function() {
+    ditheringService.setOptions({pattern : 'bayer4', density : 0.25});
+
+    var options = ditheringService.getOptions();
+    expect(options.pattern).toBe('bayer4');
+    expect(options.density).toBe(0.25);
+    expect(options.mode).toBe('pen');
+    expect(storedOptions).toEqual(options);
+    expect($.publish).toHaveBeenCalledWith(Events.DITHERING_OPTIONS_CHANGED);
+  });
+
+  it("ignores invalid options", function() {
+    ditheringService.setOptions({pattern : 'unknown', mode : 'spray', density : 3});
+
+    var options = ditheringService.getOptions();
+    expect(options.pattern).toBe('checker');
+    expect(options.mode).toBe('pen');
+    expect(options.density).toBe(1);
+  });
+
+  it("does not publish an event when the options are unchanged", function() {
+    ditheringService.setOptions({pattern : 'checker'});
+    expect($.publish).not.toHaveBeenCalled();
+  });
+
+  it("returns copies of the options", function() {
+    ditheringService.getOptions().customPattern[1] = true;
+    expect(ditheringService.getOptions().customPattern[1]).toBe(false);
+  });
+});
@@ -0,0 +1,163 @@
+describe("PaletteMatchingService test", function() {
+
+  var B = '#000000';
+  var R = '#ff0000';
+  var T = Constants.TRANSPARENT_COLOR;
+
+  var createPiskelController = function (grid) {
+    var descriptor = new pskl.model.piskel.Descriptor('piskelName', 'piskelDesc');
+    var piskel = new pskl.model.Piskel(grid[0].length, grid.length, 12, descriptor);
+    var layer = new pskl.model.Layer('layer1');
+    layer.addFrame(pskl.model.Frame.fromPixelGrid(test.testutils.toFrameGrid(grid)));
+    piskel.addLayer(layer);
+    return new pskl.controller.piskel.PiskelController(piskel);
+  };
+
+  it("indexes pixels using the nearest palette color", function () {
+    var piskelController = createPiskelController([
+      [B, '#ee1111'],
+      [T, R]
+    ]);
+    var service = new pskl.service.palette.PaletteMatchingService(piskelController);
+    service.convertToIndexed(new pskl.model.Palette('id', 'palette', [B, R]));
+
+    expect(piskelController.isIndexed()).toBe(true);
+    var frame = piskelController.getCurrentFrame();
+    expect(frame.hasUpToDateIndexes()).toBe(true);
+    test.testutils.frameEqualsGrid(frame, [
+      [B, R],
+      [T, R]
+    ]);
+    expect(Array.prototype.slice.call(frame.getIndexes())).toEqual([0, 1, -1, 1]);
+  });
+
+  it("keeps the previous index of pixels matching duplicated palette colors", function () {
+    var piskelController = createPiskelController([[R, R]]);
+    var service = new pskl.service.palette.PaletteMatchingService(piskelController);
+    service.convertToIndexed(new pskl.model.Palette('id', 'palette', [B, R, R]));
+
+    var frame = piskelController.getCurrentFrame();
+    frame.setIndexes([1, 2]);
+    frame.setPixel(0, 0, B);
+    expect(frame.hasUpToDateIndexes()).toBe(false);
+
+    service.updateIndexedFrames();
+    expect(Array.prototype.slice.call(frame.getIndexes())).toEqual([0, 2]);
+  });
+
+  it("recolors all pixels linked to an edited palette entry", function () {
+    var piskelController = createPiskelController([[B, R, R]]);
+    var service = new pskl.service.palette.PaletteMatchingService(piskelController);
+    service.convertToIndexed(new pskl.model.Palette('id', 'palette', [B, R]));
+
+    piskelController.setPaletteColorAt(1, '#00ff00');
+    expect(piskelController.getIndexedPalette().get(1)).toBe('#00ff00');
+    test.testutils.frameEqualsGrid(piskelController.getCurrentFrame(), [[B, '#00ff00', '#00ff00']]);
+
+    // Pixels drawn since the last indexing are linked before recoloring.
+    piskelController.getCurrentFrame().setPixel(0, 0, '#00ff00');
+    service.updateIndexedFrames();
+    piskelController.setPaletteColorAt(1, '#0000ff');
+    test.testutils.frameEqualsGrid(piskelController.getCurrentFrame(), [['#0000ff', '#0000ff', '#0000ff']]);
+  });
+
+  it("leaves frames which have not been indexed yet unchanged", function () {
+    var piskelController = createPiskelController([[B, R]]);
+    var service = new pskl.service.palette.PaletteMatchingService(piskelController);
+    service.convertToIndexed(new pskl.model.Palette('id', 'palette', [B, R]));
+
+    // Added frames are only indexed by the next call to updateIndexedFrames.
+    piskelController.addFrame();
+    piskelController.getLayerAt(0).getFrameAt(1).setPixel(0, 0, R);
+    piskelController.setPaletteColorAt(1, '#00ff00');
+    test.testutils.frameEqualsGrid(piskelController.getLayerAt(0).getFrameAt(0), [[B, '#00ff00']]);
+    test.testutils.frameEqualsGrid(piskelController.getLayerAt(0).getFrameAt(1), [[R, T]]);
+  });
+
+  it("unlinks pixels when converting back to RGBA", function () {
+    var piskelController = createPiskelController([[B, R]]);
+    var service = new pskl.service.palette.PaletteMatchingService(piskelController);
+    service.convertToIndexed(new pskl.model.Palette('id', 'palette', [B, R]));
+    service.convertToRGBA();
+
+    expect(piskelController.isIndexed()).toBe(false);
+    expect(piskelController.getCurrentFrame().getIndexes()).toBe(null);
+    test.testutils.frameEqualsGrid(piskelController.getCurrentFrame(), [[B, R]]);
+  });
+
+  it("keeps color cycles inside the indexed palette", function () {
+    var piskelController = createPiskelController([[B, R]]);
+    var service = new pskl.service.palette.PaletteMatchingService(piskelController);
+    service.convertToIndexed(new pskl.model.Palette('id', 'palette', [B, R, '#00ff00']));
+
+    piskelController.addPaletteCycle(5, 1, 2);
+    var cycle = piskelController.getIndexedPalette().getCycleAt(0);
+    expect(cycle.from).toBe(1);
+    expect(cycle.to).toBe(2);
+
+    piskelController.updatePaletteCycleAt(0, {from : 0, rate : 8});
+    expect(cycle.from).toBe(0);
+    expect(cycle.rate).toBe(8);
+
+    piskelController.updatePaletteCycleAt(0, {rate : -1e9});
+    expect(cycle.rate).toBe(-pskl.model.palette.ColorCycle.MAX_RATE);
+
+    piskelController.removePaletteCycleAt(0);
+    expect(piskelController.getIndexedPalette().getCycles().length).toBe(0);
+  });
+
+  describe("matchToPalette", function () {
+    var W = '#ffffff';
+    var G = '#808080';
+
+    var matchGrid = function (grid, colors, options) {
+      var piskelController = createPiskelController(grid);
+      var service = new pskl.service.palette.PaletteMatchingService(piskelController);
+      service.matchToPalette(new pskl.model.Palette('id', 'palette', colors), options);
+      return piskelController.getCurrentFrame();
+    };
+
+    it("replaces colors with the nearest palette color", function () {
+      var frame = matchGrid([['#101010', '#f0f0f0', T]], [B, W]);
+      test.testutils.frameEqualsGrid(frame, [[B, W, T]]);
+    });
+
+    it("dithers with Floyd-Steinberg", function () {
+      var frame = matchGrid([[G, G, G, G], [G, G, G, G]], [B, W], {dithering : 'floyd-steinberg'});
+      test.testutils.frameEqualsGrid(frame, [
+        [W, B, W, B],
+        [B, W, B, W]
+      ]);
+    });
+
+    it("dithers with Atkinson", function () {
+      var frame = matchGrid([[G, G, G, G]], [B, W], {dithering : 'atkinson'});
+      // Atkinson dithering loses a quarter of the error.
+      test.testutils.frameEqualsGrid(frame, [[W, B, B, W]]);
+    });
+
+    it("dithers with a Bayer matrix", function () {
+      var frame = matchGrid([[G, G, G, G], [G, G, G, G]], [B, W], {dithering : 'ordered'});
+      test.testutils.frameEqualsGrid(frame, [
+        [B, W, B, W],
+        [W, B, W, B]
+      ]);
+    });
+
+    it("skips transparent pixels when dithering", function () {
+      var frame = matchGrid([[G, T, G]], [B, W], {dithering : 'floyd-steinberg'});
+      // The error of the first pixel is not carried through the transparent pixel.
+      test.testutils.frameEqualsGrid(frame, [[W, T, W]]);
+    });
+
+    it("uses the requested color metric", function () {
+      // This grey is darker than the middle of the RGB range, but its perceived lightness is
+      // above the middle of the CIELAB range.
+      var grid = [['#7a7a7a']];
+      test.testutils.frameEqualsGrid(matchGrid(grid, [B, W]), [[B]]);
+      test.testutils.frameEqualsGrid(matchGrid(grid, [B, W], {metric : 'weighted-rgb'}), [[B]]);
+      test.testutils.frameEqualsGrid(matchGrid(grid, [B, W], {metric : 'cielab'}), [[W]]);
+      test.testutils.frameEqualsGrid(matchGrid(grid, [B, W], {metric : 'ciede2000'}), [[W]]);
+    });
+  });
+});
@@ -0,0 +1,92 @@
+describe("RemoteStorageService test suite", function() {
+  var remoteStorageService = null;
+  var requests;
+  var piskel;
+
+  // Fake xhr resolving the ETag header and the response body.
+  var createXhr = function (status, etag, responseText) {
+    return {
+      status : status,
+      responseText : responseText,
+      getResponseHeader : function (name) {
+        return name === 'ETag' ? etag : null;
+      }
+    };
+  };
+
+  var respondWith = function (status, etag, responseText) {
+    spyOn(pskl.utils.Xhr, 'request').and.callFake(function (method, url, options, success, error) {
+      requests.push({method : method, url : url, options : options});
+      var xhr = createXhr(status, etag, responseText);
+      if (status >= 200 && status < 300) {
+        success(xhr);
+      } else {
+        error(xhr, xhr);
+      }
+    });
+  };
+
+  beforeEach(function() {
+    requests = [];
+    spyOn(pskl.UserSettings, 'get').and.returnValue({
+      url : 'http://server/',
+      token : 'secret'
+    });
+
+    var descriptor = new pskl.model.piskel.Descriptor('my sprite', 'description');
+    piskel = new pskl.model.Piskel(1, 1, 12, descriptor);
+    var layer = new pskl.model.Layer('l1');
+    layer.addFrame(new pskl.model.Frame(1, 1));
+    piskel.addLayer(layer);
+    spyOn(pskl.utils.serialization.Serializer, 'serialize').and.returnValue('serialized');
+
+    remoteStorageService = new pskl.service.storage.RemoteStorageService();
+  });
+
+  it("lists the sprites of the server", function(done) {
+    respondWith(200, null, '[{"name":"a","date":10}]');
+    remoteStorageService.list().then(function (sprites) {
+      expect(sprites).toEqual([{name : 'a', date : 10}]);
+      expect(requests[0].method).toBe('GET');
+      expect(requests[0].url).toBe('http://server/sprites');
+      expect(requests[0].options.headers.Authorization).toBe('Bearer secret');
+    }).then(done);
+  });
+
+  it("saves a new sprite without overwriting an existing one", function(done) {
+    respondWith(201, '"etag1"');
+    remoteStorageService.save(piskel).then(function () {
+      var request = requests[0];
+      expect(request.method).toBe('PUT');
+      expect(request.url).toBe('http://server/sprites/my%20sprite');
+      expect(request.options.headers['If-None-Match']).toBe('*');
+      var body = JSON.parse(request.options.body);
+      expect(body.description).toBe('description');
+      expect(body.serialized).toBe('serialized');
+      return remoteStorageService.save(piskel);
+    }).then(function () {
+      expect(requests[1].options.headers['If-Match']).toBe('"etag1"');
+      expect(requests[1].options.headers['If-None-Match']).toBeUndefined();
+    }).then(done);
+  });
+
+  it("rejects the save when the sprite was modified on the server", function(done) {
+    respondWith(412, null);
+    remoteStorageService.etags_['my sprite'] = '"etag1"';
+    remoteStorageService.save(piskel).then(function () {
+      expect(false).toBe(true, 'Success callback should not have been called');
+    }, function (errorMessage) {
+      expect(errorMessage).toContain('modified on the storage server');
+    }).then(done);
+  });
+
+  it("rejects requests when no server is configured", function(done) {
+    pskl.UserSettings.get.and.returnValue({url : '', token : ''});
+    spyOn(pskl.utils.Xhr, 'request');
+    remoteStorageService.list().then(function () {
+      expect(false).toBe(true, 'Success callback should not have been called');
+    }, function () {
+      expect(pskl.utils.Xhr.request).not.toHaveBeenCalled();
+    }).then(done);
+  });
+});
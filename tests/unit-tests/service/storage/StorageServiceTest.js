@@ -15,6 +15,9 @@ describe("Storage Service test suite", function() {
     pskl.app.localStorageService = {
       save : function () {}
     };
+    pskl.app.remoteStorageService = {
+      save : function () {}
+    };
     pskl.app.shortcutService = {
       registerShortcut : function () {}
     };
@@ -53,6 +56,14 @@ describe("Storage Service test suite", function() {
     checkSubServiceFailedSave(pskl.app.galleryStorageService, 'saveToGallery', done);
   });
 
+  // RemoteStorage
+  it("calls RemoteStorage#save in saveToRemote", function(done) {
+    checkSubServiceSuccessfulSave(pskl.app.remoteStorageService, 'saveToRemote', done);
+  });
+  it("calls RemoteStorage#save in saveToRemote - error case", function(done) {
+    checkSubServiceFailedSave(pskl.app.remoteStorageService, 'saveToRemote', done);
+  });
+
   // DesktopStorage
   it("calls DesktopStorage#save in saveToDesktop", function(done) {
     checkSubServiceSuccessfulSave(pskl.app.desktopStorageService, 'saveToDesktop', done);
@@ -0,0 +1,82 @@
+describe("SelectionTransform suite", function() {
+  var A = '#000000';
+  var B = '#ff0000';
+  var O = Constants.TRANSPARENT_COLOR;
+
+  // shortcuts
+  var frameEqualsGrid = test.testutils.frameEqualsGrid;
+  var toFrameGrid = test.testutils.toFrameGrid;
+
+  var createTransformation = function () {
+    var selection = new pskl.selection.RectangularSelection(1, 1, 2, 1);
+    return new pskl.tools.drawing.selection.SelectionTransform(selection);
+  };
+
+  it("places the handles around the selection", function () {
+    var transformation = createTransformation();
+    var positions = transformation.getHandles().map(function (handle) {
+      return [handle.col, handle.row, handle.type];
+    });
+
+    expect(positions).toEqual([
+      [0, 0, 'corner'],
+      [2, 0, 'side'],
+      [3, 0, 'corner'],
+      [3, 1, 'side'],
+      [3, 2, 'corner'],
+      [2, 2, 'side'],
+      [0, 2, 'corner'],
+      [0, 1, 'side'],
+      [2, -2, 'rotation']
+    ]);
+    expect(transformation.getHandleAt(1, 1)).toBe(null);
+  });
+
+  it("flips the selection when dragging a handle over the opposite side", function () {
+    var frame = pskl.model.Frame.fromPixelGrid(toFrameGrid([
+      [O, O, O, O],
+      [O, A, B, O],
+      [O, O, O, O]
+    ]));
+    var transformation = createTransformation();
+
+    transformation.startDrag(transformation.getHandleAt(3, 1), 3, 1, frame);
+    transformation.dragTo(0, 1, {});
+    expect(transformation.isPending()).toBe(true);
+    expect(transformation.transform.scaleX).toBe(-1);
+    frameEqualsGrid(frame, [
+      [O, O, O, O],
+      [O, B, A, O],
+      [O, O, O, O]
+    ]);
+    expect(transformation.getTransformedPixels()).toEqual([{col : 1, row : 1}, {col : 2, row : 1}]);
+
+    transformation.restore();
+    frameEqualsGrid(frame, [
+      [O, O, O, O],
+      [O, A, B, O],
+      [O, O, O, O]
+    ]);
+  });
+
+  it("scales the selection with a corner handle", function () {
+    var frame = pskl.model.Frame.fromPixelGrid(toFrameGrid([
+      [O, O, O, O],
+      [O, A, B, O],
+      [O, O, O, O],
+      [O, O, O, O]
+    ]));
+    var transformation = createTransformation();
+
+    // Drag the bottom right corner one pixel down: doubles the height, around the center of the selection.
+    transformation.startDrag(transformation.getHandleAt(3, 2), 3, 2, frame);
+    transformation.dragTo(3, 3, {});
+    expect(transformation.transform.scaleX).toBe(1);
+    frameEqualsGrid(frame, [
+      [O, A, B, O],
+      [O, A, B, O],
+      [O, O, O, O],
+      [O, O, O, O]
+    ]);
+  });
+});
@@ -253,4 +253,132 @@ describe("TransformUtils suite", function() {
     ]);
   });
 
+  /*******************************/
+  /******* FREE TRANSFORM ********/
+  /*******************************/
+
+  var ALGORITHMS = pskl.tools.transform.TransformUtils.ALGORITHMS;
+
+  it("rotates a frame by 90 degrees like rotate", function () {
+    var grid = [
+      [A, B, O],
+      [O, A, O],
+      [O, O, O]
+    ];
+    var expected = pskl.model.Frame.fromPixelGrid(toFrameGrid(grid));
+    pskl.tools.transform.TransformUtils.rotate(expected, CLOCKWISE);
+
+    [ALGORITHMS.NEAREST, ALGORITHMS.ROTSPRITE].forEach(function (algorithm) {
+      var frame = pskl.model.Frame.fromPixelGrid(toFrameGrid(grid));
+      pskl.tools.transform.TransformUtils.freeTransform(frame, {angle : 90, algorithm : algorithm});
+      expect(Array.prototype.slice.call(frame.pixels)).toEqual(Array.prototype.slice.call(expected.pixels));
+    });
+  });
+
+  it("keeps a frame unchanged with RotSprite and no transformation", function () {
+    var grid = [
+      [A, B, O],
+      [B, O, A],
+      [O, A, B]
+    ];
+    var frame = pskl.model.Frame.fromPixelGrid(toFrameGrid(grid));
+    pskl.tools.transform.TransformUtils.freeTransform(frame, {angle : 0, algorithm : ALGORITHMS.ROTSPRITE});
+    frameEqualsGrid(frame, grid);
+  });
+
+  it("scales a frame around a pivot", function () {
+    var frame = pskl.model.Frame.fromPixelGrid(toFrameGrid([
+      [A, B, O, O],
+      [B, A, O, O],
+      [O, O, O, O],
+      [O, O, O, O]
+    ]));
+
+    pskl.tools.transform.TransformUtils.freeTransform(frame, {
+      scaleX : 2,
+      scaleY : 2,
+      pivot : {x : 0, y : 0}
+    });
+    frameEqualsGrid(frame, [
+      [A, A, B, B],
+      [A, A, B, B],
+      [B, B, A, A],
+      [B, B, A, A]
+    ]);
+  });
+
+  it("flips a frame with a negative scale", function () {
+    var frame = pskl.model.Frame.fromPixelGrid(toFrameGrid([
+      [A, B, O]
+    ]));
+
+    pskl.tools.transform.TransformUtils.freeTransform(frame, {scaleX : -1});
+    frameEqualsGrid(frame, [
+      [O, B, A]
+    ]);
+  });
+
+  it("skews a frame", function () {
+    var frame = pskl.model.Frame.fromPixelGrid(toFrameGrid([
+      [O, A, O],
+      [O, A, O],
+      [O, A, O]
+    ]));
+
+    pskl.tools.transform.TransformUtils.freeTransform(frame, {skewX : 45});
+    frameEqualsGrid(frame, [
+      [A, O, O],
+      [O, A, O],
+      [O, O, A]
+    ]);
+  });
+
+  it("inverts transformed vectors", function () {
+    var TransformUtils = pskl.tools.transform.TransformUtils;
+    var options = {angle : 30, scaleX : -2, scaleY : 0.5, skewX : 20, skewY : -10};
+    var vector = TransformUtils.transformVector(3, -4, options);
+    var original = TransformUtils.invertVector(vector.x, vector.y, options);
+    expect(original.x).toBeCloseTo(3, 6);
+    expect(original.y).toBeCloseTo(-4, 6);
+
+    expect(TransformUtils.invertVector(1, 1, {scaleX : 0})).toBe(null);
+    expect(TransformUtils.invertVector(1, 1, {skewX : 45, skewY : 45})).toBe(null);
+  });
+
+  it("only transforms the selected pixels", function () {
+    var frame = pskl.model.Frame.fromPixelGrid(toFrameGrid([
+      [A, O, B],
+      [O, O, O]
+    ]));
+
+    // Rotate the top left pixel around the center of the top left 2x2 square.
+    pskl.tools.transform.TransformUtils.freeTransform(frame, {
+      angle : 90,
+      pivot : {x : 1, y : 1},
+      pixels : [{col : 0, row : 0}]
+    });
+    frameEqualsGrid(frame, [
+      [O, A, B],
+      [O, O, O]
+    ]);
+  });
+
+  it("removes isolated pixels with the nearest + cleanup algorithm", function () {
+    var grid = [
+      [A, A, A],
+      [A, B, A],
+      [A, A, A]
+    ];
+    var frame = pskl.model.Frame.fromPixelGrid(toFrameGrid(grid));
+    pskl.tools.transform.TransformUtils.freeTransform(frame, {algorithm : ALGORITHMS.NEAREST});
+    frameEqualsGrid(frame, grid);
+
+    pskl.tools.transform.TransformUtils.freeTransform(frame, {algorithm : ALGORITHMS.NEAREST_CLEANUP});
+    frameEqualsGrid(frame, [
+      [A, A, A],
+      [A, A, A],
+      [A, A, A]
+    ]);
+  });
+
 });
@@ -0,0 +1,47 @@
+describe("BlendUtils test", function() {
+
+  var toInt = pskl.utils.colorToInt;
+  var blendColors = pskl.utils.BlendUtils.blendColors;
+
+  var BACKDROP = toInt('#ff8000');
+  var SOURCE = toInt('#808080');
+
+  it("blends opaque colors", function() {
+    expect(blendColors(BACKDROP, SOURCE, 'normal')).toBe(toInt('#808080'));
+    expect(blendColors(BACKDROP, SOURCE, 'multiply')).toBe(toInt('#804000'));
+    expect(blendColors(BACKDROP, SOURCE, 'screen')).toBe(toInt('#ffc080'));
+    expect(blendColors(BACKDROP, SOURCE, 'overlay')).toBe(toInt('#ff8000'));
+    expect(blendColors(BACKDROP, SOURCE, 'add')).toBe(toInt('#ffff80'));
+    expect(blendColors(BACKDROP, SOURCE, 'darken')).toBe(toInt('#808000'));
+    expect(blendColors(BACKDROP, SOURCE, 'lighten')).toBe(toInt('#ff8080'));
+    expect(blendColors(BACKDROP, SOURCE, 'difference')).toBe(toInt('#7f0080'));
+  });
+
+  it("applies the opacity of the source", function() {
+    var red = toInt('#ff0000');
+    var blue = toInt('#0000ff');
+    expect(blendColors(red, blue, 'normal', 0.5)).toBe(toInt('#800080'));
+    expect(blendColors(red, blue, 'multiply', 0)).toBe(red);
+  });
+
+  it("ignores transparent pixels", function() {
+    var transparent = toInt(Constants.TRANSPARENT_COLOR);
+    expect(blendColors(BACKDROP, transparent, 'multiply')).toBe(BACKDROP);
+    // Without backdrop, the source color is kept whatever the blend mode.
+    expect(blendColors(transparent, SOURCE, 'multiply')).toBe(SOURCE);
+  });
+
+  it("blends frames", function() {
+    var frame = pskl.model.Frame.fromPixelGrid(test.testutils.toFrameGrid([
+      ['#ff8000', Constants.TRANSPARENT_COLOR]
+    ]));
+    var sourceFrame = pskl.model.Frame.fromPixelGrid(test.testutils.toFrameGrid([
+      ['#808080', '#808080']
+    ]));
+
+    pskl.utils.BlendUtils.blendFrame(frame, sourceFrame, 'multiply');
+    test.testutils.frameEqualsGrid(frame, [
+      ['#804000', '#808080']
+    ]);
+  });
+});
@@ -0,0 +1,48 @@
+describe("ColorDistanceUtils test", function() {
+
+  var utils = pskl.utils.ColorDistanceUtils;
+
+  it("converts RGB colors to CIELAB", function() {
+    var white = utils.rgbToLab(255, 255, 255);
+    expect(white.l).toBeCloseTo(100, 3);
+    expect(white.a).toBeCloseTo(0, 3);
+    expect(white.b).toBeCloseTo(0, 3);
+
+    var red = utils.rgbToLab(255, 0, 0);
+    expect(red.l).toBeCloseTo(53.24, 1);
+    expect(red.a).toBeCloseTo(80.09, 1);
+    expect(red.b).toBeCloseTo(67.20, 1);
+  });
+
+  it("computes the CIEDE2000 distance", function() {
+    // Reference values from Sharma, Wu and Dalal test data.
+    var distance = function (lab1, lab2) {
+      return utils.ciede2000(
+        {l : lab1[0], a : lab1[1], b : lab1[2]},
+        {l : lab2[0], a : lab2[1], b : lab2[2]}
+      );
+    };
+    expect(distance([50, 2.6772, -79.7751], [50, 0, -82.7485])).toBeCloseTo(2.0425, 4);
+    expect(distance([50, -1, 2], [50, 0, 0])).toBeCloseTo(2.3669, 4);
+    expect(distance([50, 2.5, 0], [73, 25, -18])).toBeCloseTo(27.1492, 4);
+    expect(distance([2.0776, 0.0795, -1.1350], [0.9033, -0.0636, -0.5514])).toBeCloseTo(0.9082, 4);
+  });
+
+  it("uses the requested metric", function() {
+    var metrics = utils.METRICS;
+    var color = function (r, g, b) {
+      return {r : r, g : g, b : b, lab : utils.rgbToLab(r, g, b)};
+    };
+    var black = color(0, 0, 0);
+    var grey = color(0, 0, 0);
+    expect(utils.distance(black, grey, metrics.CIEDE2000)).toBe(0);
+
+    // Weighted RGB distances favour blue differences over green differences.
+    var blue = color(0, 0, 100);
+    var green = color(0, 100, 0);
+    expect(utils.distance(black, blue, metrics.WEIGHTED_RGB)).toBeLessThan(
+      utils.distance(black, green, metrics.WEIGHTED_RGB));
+    expect(utils.distance(black, blue)).toBe(utils.redmean(black, blue));
+    expect(utils.distance(black, green, metrics.CIELAB)).toBe(utils.cie76(black.lab, green.lab));
+  });
+});
@@ -0,0 +1,106 @@
+describe("DitheringUtils test", function() {
+
+  var utils = pskl.utils.DitheringUtils;
+
+  var createOptions = function (options) {
+    return $.extend(pskl.utils.copy(pskl.UserSettings.KEY_TO_DEFAULT_VALUE_MAP_.DITHERING_OPTIONS), options);
+  };
+
+  // Render the primary pixels of a pattern as a grid of 0 and 1.
+  var renderPattern = function (options, width, height) {
+    var grid = [];
+    for (var row = 0 ; row < height ; row++) {
+      var line = '';
+      for (var col = 0 ; col < width ; col++) {
+        line += utils.isPrimaryPixel(options, col, row) ? '1' : '0';
+      }
+      grid.push(line);
+    }
+    return grid;
+  };
+
+  it("builds Bayer matrices", function() {
+    expect(utils.getBayerMatrix(2)).toEqual([0, 2 / 4, 3 / 4, 1 / 4]);
+    var values = utils.getBayerMatrix(4).map(function (threshold) {
+      return threshold * 16;
+    });
+    expect(values).toEqual([
+      0, 8, 2, 10,
+      12, 4, 14, 6,
+      3, 11, 1, 9,
+      15, 7, 13, 5
+    ]);
+  });
+
+  it("draws a checkerboard by default", function() {
+    expect(renderPattern(createOptions({}), 4, 2)).toEqual(['0101', '1010']);
+  });
+
+  it("draws Bayer patterns at the selected density", function() {
+    var options = createOptions({pattern : 'bayer2', density : 0.25});
+    expect(renderPattern(options, 4, 2)).toEqual(['1010', '0000']);
+
+    options.density = 0.75;
+    expect(renderPattern(options, 4, 2)).toEqual(['1111', '0101']);
+
+    options = createOptions({pattern : 'bayer8', density : 0.5});
+    var primaryPixels = renderPattern(options, 8, 8).join('').replace(/0/g, '').length;
+    expect(primaryPixels).toBe(32);
+  });
+
+  it("repeats the custom pattern", function() {
+    var customPattern = [
+      true, true, false, false,
+      false, false, false, false,
+      false, false, false, false,
+      false, false, false, true
+    ];
+    var options = createOptions({pattern : 'custom', customPattern : customPattern});
+    expect(renderPattern(options, 6, 1)).toEqual(['110011']);
+    // Negative coordinates, outside of the frame, wrap around the pattern.
+    expect(utils.isPrimaryPixel(options, -1, -1)).toBe(true);
+  });
+
+  it("dithers gradients with an ordered pattern", function() {
+    var options = createOptions({pattern : 'bayer2', algorithm : 'ordered'});
+    var pixels = [];
+    for (var col = 0 ; col < 5 ; col++) {
+      pixels.push({col : col, row : 0});
+    }
+
+    var gradient = utils.getGradientPixels(options, pixels, {col : 0, row : 0}, {col : 4, row : 0});
+    var primary = gradient.map(function (pixel) {
+      return pixel.primary ? 1 : 0;
+    });
+    // Primary color at the start of the vector, secondary color at its end.
+    expect(primary[0]).toBe(1);
+    expect(primary[4]).toBe(0);
+    expect(primary).toEqual([1, 1, 0, 0, 0]);
+  });
+
+  it("dithers gradients with error diffusion", function() {
+    var options = createOptions({algorithm : 'diffusion'});
+    var pixels = [];
+    for (var row = 0 ; row < 4 ; row++) {
+      for (var col = 0 ; col < 9 ; col++) {
+        pixels.push({col : col, row : row});
+      }
+    }
+
+    var gradient = utils.getGradientPixels(options, pixels, {col : 0, row : 0}, {col : 8, row : 0});
+    var countPrimary = function (col) {
+      return gradient.filter(function (pixel) {
+        return pixel.col === col && pixel.primary;
+      }).length;
+    };
+    expect(gradient.length).toBe(pixels.length);
+    expect(countPrimary(0)).toBe(4);
+    expect(countPrimary(8)).toBe(0);
+    // The error is spread to the neighbour pixels, the overall ratio of primary pixels
+    // matches the average value of the gradient.
+    var primaryCount = gradient.filter(function (pixel) {
+      return pixel.primary;
+    }).length;
+    expect(Math.abs(primaryCount - pixels.length / 2)).not.toBeGreaterThan(1);
+  });
+});
@@ -54,6 +54,92 @@ describe("LayerUtils test", function() {
     ]);
   });
 
+  it("skips hidden layers when merging a frame", function() {
+    var l1 = new pskl.model.Layer('l1');
+    l1.addFrame(frame1);
+    var l2 = new pskl.model.Layer('l2');
+    l2.addFrame(frame2);
+    l2.setVisible(false);
+
+    frameEqualsGrid(pskl.utils.LayerUtils.mergeFrameAt([l1, l2], 0), [
+      [B, T],
+      [T, B]
+    ]);
+
+    // Layers in hidden groups are hidden as well.
+    var group = new pskl.model.LayerGroup('group');
+    group.setVisible(false);
+    l1.setGroup(group);
+    frameEqualsGrid(pskl.utils.LayerUtils.mergeFrameAt([l1, l2], 0), [
+      [T, T],
+      [T, T]
+    ]);
+  });
+
+  it("applies the opacity of a group once, on its composited layers", function() {
+    var l1 = new pskl.model.Layer('l1');
+    l1.addFrame(pskl.model.Frame.fromPixelGrid([[R]]));
+    var l2 = new pskl.model.Layer('l2');
+    l2.addFrame(pskl.model.Frame.fromPixelGrid([[R]]));
+
+    var group = new pskl.model.LayerGroup('group');
+    group.setOpacity(0.5);
+    l1.setGroup(group);
+    l2.setGroup(group);
+
+    // The overlapping layers are not more opaque than the group.
+    imageEqualsGrid(pskl.utils.LayerUtils.flattenFrameAt([l1, l2], 0, true), [
+      ['rgba(255,0,0,0.5)']
+    ]);
+
+    l2.setBlendMode('multiply');
+    frameEqualsGrid(pskl.utils.LayerUtils.blendFrameAt([l1, l2], 0, true), [
+      ['rgba(255,0,0,0.5)']
+    ]);
+  });
+
+  it("blends a frame using the layer blend modes", function() {
+    var l1 = new pskl.model.Layer('l1');
+    l1.addFrame(pskl.model.Frame.fromPixelGrid(test.testutils.toFrameGrid([
+      ['#ff8000', '#ff8000']
+    ])));
+    var l2 = new pskl.model.Layer('l2');
+    l2.setBlendMode('multiply');
+    l2.setOpacity(0);
+    l2.addFrame(pskl.model.Frame.fromPixelGrid(test.testutils.toFrameGrid([
+      ['#808080', T]
+    ])));
+
+    frameEqualsGrid(pskl.utils.LayerUtils.blendFrameAt([l1, l2], 0), [
+      ['#804000', '#ff8000']
+    ]);
+
+    // The layer opacity is only applied if preserveOpacity is true.
+    frameEqualsGrid(pskl.utils.LayerUtils.blendFrameAt([l1, l2], 0, true), [
+      ['#ff8000', '#ff8000']
+    ]);
+  });
+
+  it("merges a layer using its blend mode", function() {
+    var down = new pskl.model.Layer('down');
+    down.setBlendMode('screen');
+    down.addFrame(pskl.model.Frame.fromPixelGrid(test.testutils.toFrameGrid([
+      ['#ff8000', T]
+    ])));
+    var up = new pskl.model.Layer('up');
+    up.setBlendMode('difference');
+    up.addFrame(pskl.model.Frame.fromPixelGrid(test.testutils.toFrameGrid([
+      ['#808080', '#808080']
+    ])));
+
+    var merged = pskl.utils.LayerUtils.mergeLayers(up, down);
+    expect(merged.getName()).toBe('up');
+    expect(merged.getBlendMode()).toBe('screen');
+    frameEqualsGrid(merged.getFrameAt(0), [
+      ['#7f0080', '#808080']
+    ]);
+  });
+
   it("clones a layer", function() {
     var grid1 = [
       [B, T],
@@ -79,4 +165,17 @@ describe("LayerUtils test", function() {
     frameEqualsGrid(clone.getFrameAt(1), grid2);
     expect(clone.getName()).toBe('l1 (clone)');
   });
+
+  it("clones the visibility, lock and blend mode of a layer", function() {
+    var layer = new pskl.model.Layer('l1');
+    layer.addFrame(pskl.model.Frame.fromPixelGrid([[B]]));
+    layer.setVisible(false);
+    layer.setLocked(true);
+    layer.setBlendMode('multiply');
+
+    var clone = pskl.utils.LayerUtils.clone(layer);
+    expect(clone.isVisible()).toBe(false);
+    expect(clone.isLocked()).toBe(true);
+    expect(clone.getBlendMode()).toBe('multiply');
+  });
 });
\ No newline at end of file
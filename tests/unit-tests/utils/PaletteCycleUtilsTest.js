@@ -0,0 +1,56 @@
+describe("PaletteCycleUtils test", function() {
+
+  var B = '#000000';
+  var R = '#ff0000';
+  var G = '#00ff00';
+  var T = Constants.TRANSPARENT_COLOR;
+  var frameEqualsGrid = test.testutils.frameEqualsGrid;
+
+  var createPalette = function (cycles) {
+    var palette = new pskl.model.Palette('id', 'name', [B, R, G]);
+    cycles.forEach(function (cycle) {
+      palette.addCycle(new pskl.model.palette.ColorCycle(cycle[0], cycle[1], cycle[2]));
+    });
+    return palette;
+  };
+
+  it("merges frames using the cycled colors", function() {
+    var palette = createPalette([[1, 2, 1]]);
+    var frame = pskl.model.Frame.fromPixelGrid(test.testutils.toFrameGrid([[B, R, G, T]]));
+    frame.setIndexes([0, 1, 2, -1]);
+    var layer = new pskl.model.Layer('l1');
+    layer.addFrame(frame);
+
+    var merged = pskl.utils.PaletteCycleUtils.mergeCycledFrameAt([layer], 0, palette, 1000);
+    frameEqualsGrid(merged, [[B, G, R, T]]);
+    // The original frame is left untouched.
+    frameEqualsGrid(frame, [[B, R, G, T]]);
+  });
+
+  it("does not cycle frames without palette indexes", function() {
+    var palette = createPalette([[1, 2, 1]]);
+    var layer = new pskl.model.Layer('l1');
+    layer.addFrame(pskl.model.Frame.fromPixelGrid(test.testutils.toFrameGrid([[R, G]])));
+
+    var merged = pskl.utils.PaletteCycleUtils.mergeCycledFrameAt([layer], 0, palette, 1000);
+    frameEqualsGrid(merged, [[R, G]]);
+  });
+
+  it("lists the times at which cycled colors change", function() {
+    var palette = createPalette([[0, 1, 4], [1, 2, 2]]);
+    var getChangeTimes = pskl.utils.PaletteCycleUtils.getChangeTimes;
+    expect(getChangeTimes(palette, 0, 1000)).toEqual([250, 500, 750]);
+    expect(getChangeTimes(palette, 250, 600)).toEqual([500]);
+    // Frames lasting forever, at 0 FPS.
+    expect(getChangeTimes(palette, 0, Infinity)).toEqual([]);
+  });
+
+  it("computes the number of loops needed to export the color cycles", function() {
+    var getExportLoopCount = pskl.utils.PaletteCycleUtils.getExportLoopCount;
+    // A cycle of 3 colors at 1 step per second loops every 3 seconds.
+    expect(getExportLoopCount(createPalette([[0, 2, 1]]), 1000)).toBe(3);
+    expect(getExportLoopCount(createPalette([[0, 2, 1]]), 1500)).toBe(2);
+    expect(getExportLoopCount(createPalette([[0, 2, 1]]), 6000)).toBe(1);
+    expect(getExportLoopCount(createPalette([]), 1000)).toBe(1);
+  });
+});
@@ -0,0 +1,69 @@
+describe("PiskelDiffUtils test", function() {
+
+  var B = '#000000';
+  var R = '#ff0000';
+  var T = Constants.TRANSPARENT_COLOR;
+
+  var descriptor = new pskl.model.piskel.Descriptor('name', 'description');
+
+  var createLayer = function (name, grids) {
+    var layer = new pskl.model.Layer(name);
+    grids.forEach(function (grid) {
+      layer.addFrame(pskl.model.Frame.fromPixelGrid(grid));
+    });
+    return layer;
+  };
+
+  var createPiskel = function (layers) {
+    var piskel = new pskl.model.Piskel(2, 2, 12, descriptor);
+    layers.forEach(function (layer) {
+      piskel.addLayer(layer);
+    });
+    return piskel;
+  };
+
+  it("finds no difference between identical piskels", function() {
+    var piskel = createPiskel([createLayer('l1', [[[B, T], [T, B]]])]);
+    var otherPiskel = createPiskel([createLayer('l1', [[[B, T], [T, B]]])]);
+
+    var diff = pskl.utils.PiskelDiffUtils.diff(piskel, otherPiskel);
+
+    expect(pskl.utils.PiskelDiffUtils.isEmpty(diff)).toBe(true);
+    expect(diff.changedFrames).toEqual([]);
+  });
+
+  it("finds the changed frames of common layers", function() {
+    var piskel = createPiskel([
+      createLayer('l1', [[[B, T], [T, B]], [[B, T], [T, B]]])
+    ]);
+    var otherPiskel = createPiskel([
+      createLayer('l1', [[[B, T], [T, B]], [[R, T], [T, B]]])
+    ]);
+
+    var diff = pskl.utils.PiskelDiffUtils.diff(piskel, otherPiskel);
+
+    expect(pskl.utils.PiskelDiffUtils.isEmpty(diff)).toBe(false);
+    expect(diff.changedLayers).toEqual(['l1']);
+    expect(diff.changedFrames).toEqual([1]);
+    expect(diff.frameCount).toEqual({from : 2, to : 2});
+  });
+
+  it("finds the added and removed layers and frames", function() {
+    var piskel = createPiskel([
+      createLayer('l1', [[[B, T], [T, B]]]),
+      createLayer('l2', [[[B, T], [T, B]]])
+    ]);
+    var otherPiskel = createPiskel([
+      createLayer('l1', [[[B, T], [T, B]], [[R, R], [R, R]]]),
+      createLayer('l3', [[[B, T], [T, B]], [[R, R], [R, R]]])
+    ]);
+
+    var diff = pskl.utils.PiskelDiffUtils.diff(piskel, otherPiskel);
+
+    expect(diff.addedLayers).toEqual(['l3']);
+    expect(diff.removedLayers).toEqual(['l2']);
+    expect(diff.changedLayers).toEqual(['l1']);
+    expect(diff.changedFrames).toEqual([]);
+    expect(diff.frameCount).toEqual({from : 1, to : 2});
+  });
+});
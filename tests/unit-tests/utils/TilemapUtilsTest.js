@@ -0,0 +1,114 @@
+describe("TilemapUtils test", function() {
+
+  var R = '#ff0000';
+  var G = '#00ff00';
+  var T = Constants.TRANSPARENT_COLOR;
+  var frameEqualsGrid = test.testutils.frameEqualsGrid;
+  var utils = pskl.utils.TilemapUtils;
+
+  var createFrame = function (grid) {
+    return pskl.model.Frame.fromPixelGrid(test.testutils.toFrameGrid(grid));
+  };
+
+  var createTilemapLayer = function (frames) {
+    var layer = pskl.model.Layer.fromFrames('tilemap', frames);
+    layer.setTilemap(true);
+    return layer;
+  };
+
+  var getTiles = function (frame) {
+    return Array.prototype.slice.call(frame.getTileMap().getTiles());
+  };
+
+  it("extracts tiles from the pixels of a frame", function() {
+    var tileset = new pskl.model.Tileset(2);
+    var frame = createFrame([
+      [R, R, T, T, R, R],
+      [R, R, T, T, R, R],
+      [G, T, T, T, T, T]
+    ]);
+
+    utils.syncFrame(frame, tileset);
+
+    // Identical cells share the same tile, partial cells on the edges are padded.
+    expect(tileset.size()).toBe(2);
+    expect(frame.getTileMap().getColumns()).toBe(3);
+    expect(frame.getTileMap().getRows()).toBe(2);
+    expect(getTiles(frame)).toEqual([0, -1, 0, 1, -1, -1]);
+    frameEqualsGrid(tileset.getTileAt(1), [
+      [G, T],
+      [T, T]
+    ]);
+  });
+
+  it("updates every placement of an edited tile", function() {
+    var tileset = new pskl.model.Tileset(2);
+    var frame1 = createFrame([
+      [R, R, R, R],
+      [R, R, R, R]
+    ]);
+    var frame2 = createFrame([
+      [R, R],
+      [R, R]
+    ]);
+    var layer = createTilemapLayer([frame1, frame2]);
+    utils.syncLayers([layer], tileset);
+    expect(tileset.size()).toBe(1);
+
+    // Edit the second cell of the first frame.
+    frame1.setPixel(3, 1, G);
+    utils.syncLayers([layer], tileset);
+
+    expect(tileset.size()).toBe(1);
+    frameEqualsGrid(frame1, [
+      [R, R, R, R],
+      [R, G, R, G]
+    ]);
+    frameEqualsGrid(frame2, [
+      [R, R],
+      [R, G]
+    ]);
+  });
+
+  it("empties erased cells", function() {
+    var tileset = new pskl.model.Tileset(1);
+    var frame = createFrame([[R, G]]);
+    var layer = createTilemapLayer([frame]);
+    utils.syncLayers([layer], tileset);
+
+    frame.setPixel(1, 0, T);
+    utils.syncLayers([layer], tileset);
+
+    expect(getTiles(frame)).toEqual([0, -1]);
+    expect(tileset.size()).toBe(2);
+  });
+
+  it("renders the tiles referenced by the tile map", function() {
+    var tileset = new pskl.model.Tileset(1);
+    tileset.addTile(createFrame([[R]]));
+    tileset.addTile(createFrame([[G]]));
+    var frame = createFrame([[T, T, T]]);
+    frame.setTileMap(new pskl.model.TileMap(3, 1));
+    frame.getTileMap().setTileAt(0, 0, 1);
+    frame.getTileMap().setTileAt(2, 0, 0);
+
+    utils.renderFrame(frame, tileset);
+
+    frameEqualsGrid(frame, [[G, T, R]]);
+    expect(frame.getTileMap().syncedVersion).toBe(frame.version);
+  });
+
+  it("remaps the tile maps when a tile is removed", function() {
+    var tileset = new pskl.model.Tileset(1);
+    var frame = createFrame([[R, G, R]]);
+    var layer = createTilemapLayer([frame]);
+    utils.syncLayers([layer], tileset);
+    expect(getTiles(frame)).toEqual([0, 1, 0]);
+
+    utils.removeTileAt([layer], tileset, 0);
+
+    expect(tileset.size()).toBe(1);
+    expect(getTiles(frame)).toEqual([-1, 0, -1]);
+    frameEqualsGrid(frame, [[T, G, T]]);
+  });
+});
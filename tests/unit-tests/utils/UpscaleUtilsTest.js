@@ -0,0 +1,143 @@
+describe("UpscaleUtils suite", function() {
+  var A = '#000000';
+  var B = '#ff0000';
+  var O = Constants.TRANSPARENT_COLOR;
+
+  var UpscaleUtils = pskl.utils.UpscaleUtils;
+  var ALGORITHMS = UpscaleUtils.ALGORITHMS;
+
+  // shortcuts
+  var frameEqualsGrid = test.testutils.frameEqualsGrid;
+  var toFrameGrid = test.testutils.toFrameGrid;
+
+  var createFrame = function (grid) {
+    return pskl.model.Frame.fromPixelGrid(toFrameGrid(grid));
+  };
+
+  it("returns the factor of each algorithm", function () {
+    expect(UpscaleUtils.getFactor(ALGORITHMS.NEAREST)).toBe(1);
+    expect(UpscaleUtils.getFactor(undefined)).toBe(1);
+    expect(UpscaleUtils.getFactor(ALGORITHMS.SCALE2X)).toBe(2);
+    expect(UpscaleUtils.getFactor(ALGORITHMS.EPX)).toBe(2);
+    expect(UpscaleUtils.getFactor(ALGORITHMS.HQ2X)).toBe(2);
+    expect(UpscaleUtils.getFactor(ALGORITHMS.XBR)).toBe(2);
+    expect(UpscaleUtils.getFactor(ALGORITHMS.SCALE3X)).toBe(3);
+    expect(UpscaleUtils.getFactor(ALGORITHMS.HQ3X)).toBe(3);
+  });
+
+  it("upscales diagonal edges with Scale2x and EPX", function () {
+    var frame = createFrame([
+      [A, O],
+      [A, A]
+    ]);
+
+    [ALGORITHMS.SCALE2X, ALGORITHMS.EPX].forEach(function (algorithm) {
+      frameEqualsGrid(UpscaleUtils.resizeFrame(frame, 4, 4, algorithm), [
+        [A, A, O, O],
+        [A, A, A, O],
+        [A, A, A, A],
+        [A, A, A, A]
+      ]);
+    });
+  });
+
+  it("upscales diagonal edges with Scale3x", function () {
+    var frame = createFrame([
+      [A, O],
+      [A, A]
+    ]);
+
+    frameEqualsGrid(UpscaleUtils.resizeFrame(frame, 6, 6, ALGORITHMS.SCALE3X), [
+      [A, A, A, O, O, O],
+      [A, A, A, A, O, O],
+      [A, A, A, A, A, O],
+      [A, A, A, A, A, A],
+      [A, A, A, A, A, A],
+      [A, A, A, A, A, A]
+    ]);
+  });
+
+  it("keeps flat areas unchanged", function () {
+    var frame = createFrame([
+      [B, B],
+      [B, B]
+    ]);
+
+    [ALGORITHMS.HQ2X, ALGORITHMS.HQ3X, ALGORITHMS.XBR].forEach(function (algorithm) {
+      var factor = UpscaleUtils.getFactor(algorithm);
+      var resized = UpscaleUtils.resizeFrame(frame, 2 * factor, 2 * factor, algorithm);
+      resized.forEachPixel(function (color) {
+        expect(color).toBe(pskl.utils.colorToInt(B));
+      });
+    });
+  });
+
+  it("blends the pixels of diagonal edges with hqx and xBR", function () {
+    var frame = createFrame([
+      [A, A, O, O],
+      [A, A, A, O],
+      [A, A, A, A],
+      [A, A, A, A]
+    ]);
+
+    [ALGORITHMS.HQ2X, ALGORITHMS.HQ3X, ALGORITHMS.XBR].forEach(function (algorithm) {
+      var factor = UpscaleUtils.getFactor(algorithm);
+      var resized = UpscaleUtils.resizeFrame(frame, 4 * factor, 4 * factor, algorithm);
+
+      var blended = 0;
+      resized.forEachPixel(function (color) {
+        var alpha = color >>> 24;
+        if (alpha > 0 && alpha < 255) {
+          blended++;
+          // Blending with transparent pixels does not change the color.
+          expect(color & 0xffffff).toBe(0);
+        }
+      });
+      expect(blended).toBeGreaterThan(0);
+
+      // Pixels far from the edge are not modified.
+      expect(resized.getPixel(0, 0)).toBe(pskl.utils.colorToInt(A));
+      expect(resized.getPixel(4 * factor - 1, 0)).toBe(pskl.utils.colorToInt(O));
+    });
+  });
+
+  it("completes the resize with nearest neighbor", function () {
+    var frame = createFrame([
+      [A, O],
+      [A, A]
+    ]);
+
+    // One Scale2x pass to 4x4, then nearest neighbor from 4x4 to 6x4.
+    frameEqualsGrid(UpscaleUtils.resizeFrame(frame, 6, 4, ALGORITHMS.SCALE2X), [
+      [A, A, A, O, O, O],
+      [A, A, A, A, A, O],
+      [A, A, A, A, A, A],
+      [A, A, A, A, A, A]
+    ]);
+
+    // Downscaling only uses nearest neighbor.
+    frameEqualsGrid(UpscaleUtils.resizeFrame(frame, 1, 1, ALGORITHMS.SCALE2X), [
+      [A]
+    ]);
+  });
+
+  it("resizes the content of a piskel with an upscaling algorithm", function () {
+    var frame = createFrame([
+      [A, O],
+      [A, A]
+    ]);
+    var resized = pskl.utils.ResizeUtils.resizeFrame(frame, {
+      width : 4,
+      height : 4,
+      resizeContent : true,
+      algorithm : ALGORITHMS.SCALE2X
+    });
+
+    frameEqualsGrid(resized, [
+      [A, A, O, O],
+      [A, A, A, O],
+      [A, A, A, A],
+      [A, A, A, A]
+    ]);
+  });
+});
@@ -0,0 +1,44 @@
+describe("ArrayBuffer Serialization/Deserialization test", function() {
+
+  beforeEach(function() {
+    pskl.app.piskelController = {
+      getFPS: function () {
+        return 1;
+      },
+      getLayerAt: function (index) {
+        return this.piskel.getLayerAt(index);
+      }
+    };
+  });
+
+  afterEach(function() {
+    delete pskl.app.piskelController;
+  });
+
+  it("serializes the palette indexes of indexed piskels", function(done) {
+    var descriptor = new pskl.model.piskel.Descriptor('piskelName', 'piskelDesc');
+    var piskel = new pskl.model.Piskel(2, 1, 1, descriptor);
+    pskl.app.piskelController.piskel = piskel;
+
+    var layer = new pskl.model.Layer('layer1');
+    var frame = pskl.model.Frame.fromPixelGrid(test.testutils.toFrameGrid([
+      ['#ff0000', Constants.TRANSPARENT_COLOR]
+    ]));
+    // The palette contains the same color twice, only the indexes tell them apart.
+    frame.setIndexes([2, -1]);
+    layer.addFrame(frame);
+    piskel.addLayer(layer);
+    piskel.setPalette(new pskl.model.Palette('id', 'palette', ['#000000', '#ff0000', '#ff0000']));
+
+    var buffer = pskl.utils.serialization.arraybuffer.ArrayBufferSerializer.serialize(piskel);
+
+    var deserializer = pskl.utils.serialization.arraybuffer.ArrayBufferDeserializer;
+    deserializer.deserialize(buffer, function (p) {
+      expect(p.getPalette().getColors()).toEqual(['#000000', '#ff0000', '#ff0000']);
+      var deserializedFrame = p.getLayerAt(0).getFrameAt(0);
+      expect(deserializedFrame.hasUpToDateIndexes()).toBe(true);
+      expect(Array.prototype.slice.call(deserializedFrame.getIndexes())).toEqual([2, -1]);
+      done();
+    });
+  });
+});
@@ -0,0 +1,195 @@
+describe("Aseprite deserializer test", function() {
+
+  var deserializer = pskl.utils.serialization.aseprite.AsepriteDeserializer;
+
+  var RED = [255, 0, 0, 255];
+  var BLUE = [0, 0, 255, 255];
+  var TRANSPARENT = [0, 0, 0, 0];
+
+  /**
+   * Minimal little endian writer used to forge aseprite files.
+   */
+  var Writer = function () {
+    this.bytes = [];
+  };
+  Writer.prototype.uint8 = function (v) {
+    this.bytes.push(v & 0xff);
+    return this;
+  };
+  Writer.prototype.uint16 = function (v) {
+    return this.uint8(v).uint8(v >> 8);
+  };
+  Writer.prototype.uint32 = function (v) {
+    return this.uint16(v & 0xffff).uint16(v >>> 16);
+  };
+  Writer.prototype.zeros = function (n) {
+    for (var i = 0 ; i < n ; i++) {
+      this.uint8(0);
+    }
+    return this;
+  };
+  Writer.prototype.string = function (s) {
+    this.uint16(s.length);
+    for (var i = 0 ; i < s.length ; i++) {
+      this.uint8(s.charCodeAt(i));
+    }
+    return this;
+  };
+  Writer.prototype.append = function (bytes) {
+    this.bytes = this.bytes.concat(bytes);
+    return this;
+  };
+
+  var chunk = function (type, data) {
+    return new Writer().uint32(data.length + 6).uint16(type).append(data).bytes;
+  };
+
+  var layerChunk = function (name, flags, opacity) {
+    var data = new Writer().uint16(flags).uint16(0).uint16(0).zeros(4)
+      .uint16(0).uint8(opacity).zeros(3).string(name).bytes;
+    return chunk(0x2004, data);
+  };
+
+  var rawCelChunk = function (layerIndex, x, y, w, h, pixels) {
+    var data = new Writer().uint16(layerIndex).uint16(x).uint16(y).uint8(255).uint16(0).zeros(7)
+      .uint16(w).uint16(h).append(pixels).bytes;
+    return chunk(0x2005, data);
+  };
+
+  var linkedCelChunk = function (layerIndex, linkedFrame) {
+    var data = new Writer().uint16(layerIndex).uint16(0).uint16(0).uint8(255).uint16(1).zeros(7)
+      .uint16(linkedFrame).bytes;
+    return chunk(0x2005, data);
+  };
+
+  var compressedCelChunk = function (layerIndex, w, h, pixels) {
+    var deflated = window.JSZip.compressions.DEFLATE.compress(new Uint8Array(pixels));
+    // zlib header, the adler32 checksum is ignored by the reader.
+    var zlib = [0x78, 0x9c].concat(Array.prototype.slice.call(deflated));
+    var data = new Writer().uint16(layerIndex).uint16(0).uint16(0).uint8(255).uint16(2).zeros(7)
+      .uint16(w).uint16(h).append(zlib).bytes;
+    return chunk(0x2005, data);
+  };
+
+  var paletteChunk = function (colors) {
+    var w = new Writer().uint32(colors.length).uint32(0).uint32(colors.length - 1).zeros(8);
+    colors.forEach(function (c) {
+      w.uint16(0).append(c);
+    });
+    return chunk(0x2019, w.bytes);
+  };
+
+  var frame = function (duration, chunks) {
+    var data = [].concat.apply([], chunks);
+    return new Writer().uint32(data.length + 16).uint16(0xF1FA).uint16(chunks.length)
+      .uint16(duration).zeros(2).uint32(chunks.length).append(data).bytes;
+  };
+
+  var createFile = function (options, frames) {
+    var data = [].concat.apply([], frames);
+    var header = new Writer()
+      .uint32(data.length + 128)
+      .uint16(0xA5E0)
+      .uint16(frames.length)
+      .uint16(options.width)
+      .uint16(options.height)
+      .uint16(options.depth || 32)
+      .uint32(1)
+      .uint16(100)
+      .zeros(8)
+      .uint8(options.transparentIndex || 0)
+      .zeros(3)
+      .uint16(0)
+      .zeros(94);
+    return new Uint8Array(header.append(data).bytes).buffer;
+  };
+
+  var pixels = function (colors) {
+    return [].concat.apply([], colors);
+  };
+
+  it("reads layers, frames and cels of a RGBA sprite", function () {
+    var buffer = createFile({width: 2, height: 2}, [
+      frame(100, [
+        layerChunk('background', 3, 255),
+        layerChunk('hidden', 0, 255),
+        rawCelChunk(0, 0, 0, 2, 1, pixels([RED, BLUE])),
+        rawCelChunk(1, 1, 1, 1, 1, pixels([BLUE]))
+      ]),
+      frame(100, [
+        linkedCelChunk(0, 0)
+      ])
+    ]);
+
+    var piskel = deserializer.deserialize(buffer, 'sprite');
+    expect(piskel.getDescriptor().name).toBe('sprite');
+    expect(piskel.getWidth()).toBe(2);
+    expect(piskel.getHeight()).toBe(2);
+    expect(piskel.getFPS()).toBe(10);
+    expect(piskel.getLayers().length).toBe(2);
+    expect(piskel.getFrameCount()).toBe(2);
+
+    var background = piskel.getLayerAt(0);
+    expect(background.getName()).toBe('background');
+    expect(background.getOpacity()).toBe(1);
+    expect(background.isVisible()).toBe(true);
+    expect(background.isLocked()).toBe(false);
+    test.testutils.frameEqualsGrid(background.getFrameAt(0), [
+      ['red', 'blue'],
+      [Constants.TRANSPARENT_COLOR, Constants.TRANSPARENT_COLOR]
+    ]);
+    // The second frame is a linked cel pointing to the first frame.
+    test.testutils.frameEqualsGrid(background.getFrameAt(1), [
+      ['red', 'blue'],
+      [Constants.TRANSPARENT_COLOR, Constants.TRANSPARENT_COLOR]
+    ]);
+
+    var hidden = piskel.getLayerAt(1);
+    expect(hidden.getOpacity()).toBe(1);
+    expect(hidden.isVisible()).toBe(false);
+    // Layers without the editable flag are locked.
+    expect(hidden.isLocked()).toBe(true);
+    test.testutils.frameEqualsGrid(hidden.getFrameAt(0), [
+      [Constants.TRANSPARENT_COLOR, Constants.TRANSPARENT_COLOR],
+      [Constants.TRANSPARENT_COLOR, 'blue']
+    ]);
+  });
+
+  it("reads indexed sprites using the palette", function () {
+    var buffer = createFile({width: 2, height: 1, depth: 8, transparentIndex: 0}, [
+      frame(250, [
+        paletteChunk([TRANSPARENT, RED, BLUE]),
+        layerChunk('layer', 1, 255),
+        rawCelChunk(0, 0, 0, 2, 1, [0, 2])
+      ])
+    ]);
+
+    var piskel = deserializer.deserialize(buffer);
+    expect(piskel.getFPS()).toBe(4);
+    test.testutils.frameEqualsGrid(piskel.getLayerAt(0).getFrameAt(0), [
+      [Constants.TRANSPARENT_COLOR, 'blue']
+    ]);
+  });
+
+  it("reads compressed cels", function () {
+    var buffer = createFile({width: 2, height: 1}, [
+      frame(100, [
+        layerChunk('layer', 1, 128),
+        compressedCelChunk(0, 2, 1, pixels([BLUE, RED]))
+      ])
+    ]);
+
+    var piskel = deserializer.deserialize(buffer);
+    expect(piskel.getLayerAt(0).getOpacity()).toBe(0.502);
+    test.testutils.frameEqualsGrid(piskel.getLayerAt(0).getFrameAt(0), [
+      ['blue', 'red']
+    ]);
+  });
+
+  it("fails on invalid files", function () {
+    var buffer = new Uint8Array(128).buffer;
+    expect(function () {
+      deserializer.deserialize(buffer);
+    }).toThrow();
+  });
+});
@@ -0,0 +1,162 @@
+describe("Aseprite serializer test", function() {
+
+  var serializer = pskl.utils.serialization.aseprite.AsepriteSerializer;
+  var deserializer = pskl.utils.serialization.aseprite.AsepriteDeserializer;
+
+  var B = 'blue';
+  var R = 'red';
+  var T = Constants.TRANSPARENT_COLOR;
+
+  var createPiskel = function (fps) {
+    var descriptor = new pskl.model.piskel.Descriptor('piskelName', 'piskelDesc');
+    var piskel = new pskl.model.Piskel(2, 2, fps, descriptor);
+
+    var background = new pskl.model.Layer('background');
+    background.addFrame(pskl.model.Frame.fromPixelGrid(test.testutils.toFrameGrid([
+      [R, B],
+      [B, R]
+    ])));
+    background.addFrame(new pskl.model.Frame(2, 2));
+
+    var foreground = new pskl.model.Layer('foreground ★');
+    foreground.setOpacity(0.4);
+    foreground.addFrame(new pskl.model.Frame(2, 2));
+    foreground.addFrame(pskl.model.Frame.fromPixelGrid(test.testutils.toFrameGrid([
+      [T, T],
+      [T, B]
+    ])));
+
+    piskel.addLayer(background);
+    piskel.addLayer(foreground);
+    return piskel;
+  };
+
+  it("writes a valid aseprite header", function () {
+    var buffer = serializer.serialize(createPiskel(5));
+    var view = new DataView(buffer);
+    expect(view.getUint32(0, true)).toBe(buffer.byteLength);
+    expect(view.getUint16(4, true)).toBe(0xA5E0);
+    // frames, width, height and color depth
+    expect(view.getUint16(6, true)).toBe(2);
+    expect(view.getUint16(8, true)).toBe(2);
+    expect(view.getUint16(10, true)).toBe(2);
+    expect(view.getUint16(12, true)).toBe(32);
+    // first frame magic number and duration
+    expect(view.getUint16(128 + 4, true)).toBe(0xF1FA);
+    expect(view.getUint16(128 + 8, true)).toBe(200);
+  });
+
+  it("can be read back by the aseprite deserializer", function () {
+    var piskel = deserializer.deserialize(serializer.serialize(createPiskel(5)), 'roundtrip');
+
+    expect(piskel.getFPS()).toBe(5);
+    expect(piskel.getFrameCount()).toBe(2);
+    expect(piskel.getLayers().length).toBe(2);
+
+    var background = piskel.getLayerAt(0);
+    expect(background.getName()).toBe('background');
+    expect(background.getOpacity()).toBe(1);
+    test.testutils.frameEqualsGrid(background.getFrameAt(0), [
+      [R, B],
+      [B, R]
+    ]);
+    test.testutils.frameEqualsGrid(background.getFrameAt(1), [
+      [T, T],
+      [T, T]
+    ]);
+
+    var foreground = piskel.getLayerAt(1);
+    expect(foreground.getName()).toBe('foreground ★');
+    expect(foreground.getOpacity()).toBe(0.4);
+    test.testutils.frameEqualsGrid(foreground.getFrameAt(1), [
+      [T, T],
+      [T, B]
+    ]);
+  });
+
+  it("skips hidden frames", function () {
+    var piskel = createPiskel(12);
+    piskel.hiddenFrames = [0];
+    piskel.frameDurations = [null, 500];
+    piskel.tags = [
+      new pskl.model.piskel.Tag('walk', 0, 1, '#eb5757'),
+      new pskl.model.piskel.Tag('idle', 0, 0, '#56ccf2')
+    ];
+
+    var result = deserializer.deserialize(serializer.serialize(piskel));
+    expect(result.getFrameCount()).toBe(1);
+    expect(result.getFrameDurationAt(0)).toBe(500);
+    test.testutils.frameEqualsGrid(result.getLayerAt(1).getFrameAt(0), [
+      [T, T],
+      [T, B]
+    ]);
+
+    // Tags are moved to the exported frames, tags of hidden frames only are skipped.
+    expect(result.tags.length).toBe(1);
+    expect(result.tags[0].name).toBe('walk');
+    expect(result.tags[0].from).toBe(0);
+    expect(result.tags[0].to).toBe(0);
+  });
+
+  it("exports custom frame durations", function () {
+    var piskel = createPiskel(10);
+    piskel.frameDurations = [null, 500];
+
+    var view = new DataView(serializer.serialize(piskel));
+    var firstFrameSize = view.getUint32(128, true);
+    expect(view.getUint16(128 + 8, true)).toBe(100);
+    expect(view.getUint16(128 + firstFrameSize + 8, true)).toBe(500);
+
+    var result = deserializer.deserialize(view.buffer);
+    expect(result.getFPS()).toBe(10);
+    expect(result.frameDurations).toEqual([null, 500]);
+  });
+
+  it("exports layer blend modes", function () {
+    var piskel = createPiskel(10);
+    piskel.getLayerAt(1).setBlendMode('add');
+
+    var result = deserializer.deserialize(serializer.serialize(piskel));
+    expect(result.getLayerAt(0).getBlendMode()).toBe('normal');
+    expect(result.getLayerAt(1).getBlendMode()).toBe('add');
+  });
+
+  it("exports layer visibility and lock", function () {
+    var piskel = createPiskel(10);
+    piskel.getLayerAt(0).setLocked(true);
+    piskel.getLayerAt(1).setVisible(false);
+
+    var result = deserializer.deserialize(serializer.serialize(piskel));
+    expect(result.getLayerAt(0).isVisible()).toBe(true);
+    expect(result.getLayerAt(0).isLocked()).toBe(true);
+    expect(result.getLayerAt(1).isVisible()).toBe(false);
+    expect(result.getLayerAt(1).isLocked()).toBe(false);
+  });
+
+  it("exports tags", function () {
+    var piskel = createPiskel(10);
+    piskel.tags = [
+      new pskl.model.piskel.Tag('walk', 0, 1, '#eb5757', 'pingpong'),
+      new pskl.model.piskel.Tag('idle ★', 1, 1, '#56ccf2', 'reverse')
+    ];
+
+    var result = deserializer.deserialize(serializer.serialize(piskel));
+    expect(result.tags.length).toBe(2);
+    expect(result.tags[0] instanceof pskl.model.piskel.Tag).toBe(true);
+    expect(result.tags[0].name).toBe('walk');
+    expect(result.tags[0].from).toBe(0);
+    expect(result.tags[0].to).toBe(1);
+    expect(result.tags[0].color).toBe('#eb5757');
+    expect(result.tags[0].direction).toBe('pingpong');
+    expect(result.tags[1].name).toBe('idle ★');
+    expect(result.tags[1].direction).toBe('reverse');
+  });
+
+  it("computes the adler32 checksum", function () {
+    var data = [];
+    'Wikipedia'.split('').forEach(function (c) {
+      data.push(c.charCodeAt(0));
+    });
+    expect(serializer.adler32_(new Uint8Array(data))).toBe(0x11E60398);
+  });
+});
@@ -72,4 +72,211 @@ describe("Serialization/Deserialization test", function() {
       done();
     });
   });
+
+  it("serializes layer blend modes", function(done) {
+    var descriptor = new pskl.model.piskel.Descriptor('piskelName', 'piskelDesc');
+    var piskel = new pskl.model.Piskel(1, 1, 1, descriptor);
+
+    piskel.addLayer(new pskl.model.Layer('layer1'));
+    piskel.addLayer(new pskl.model.Layer('layer2'));
+    piskel.getLayerAt(1).setBlendMode('multiply');
+
+    var frame = new pskl.model.Frame(1, 1);
+    piskel.getLayers().forEach(function (layer) {
+      layer.addFrame(frame);
+    });
+
+    var serializedPiskel = pskl.utils.serialization.Serializer.serialize(piskel);
+
+    var deserializer = pskl.utils.serialization.Deserializer;
+    deserializer.deserialize(JSON.parse(serializedPiskel), function (p) {
+      expect(p.getLayerAt(0).getBlendMode()).toBe('normal');
+      expect(p.getLayerAt(1).getBlendMode()).toBe('multiply');
+      done();
+    });
+  });
+
+  it("serializes layer visibility and lock", function(done) {
+    var descriptor = new pskl.model.piskel.Descriptor('piskelName', 'piskelDesc');
+    var piskel = new pskl.model.Piskel(1, 1, 1, descriptor);
+
+    ['layer1', 'layer2'].forEach(function (name) {
+      var layer = new pskl.model.Layer(name);
+      layer.addFrame(new pskl.model.Frame(1, 1));
+      piskel.addLayer(layer);
+    });
+    piskel.getLayerAt(0).setLocked(true);
+    piskel.getLayerAt(1).setVisible(false);
+
+    var serializedPiskel = pskl.utils.serialization.Serializer.serialize(piskel);
+
+    var deserializer = pskl.utils.serialization.Deserializer;
+    deserializer.deserialize(JSON.parse(serializedPiskel), function (p) {
+      expect(p.getLayerAt(0).isVisible()).toBe(true);
+      expect(p.getLayerAt(0).isLocked()).toBe(true);
+      expect(p.getLayerAt(1).isVisible()).toBe(false);
+      expect(p.getLayerAt(1).isLocked()).toBe(false);
+      done();
+    });
+  });
+
+  it("serializes layer groups", function(done) {
+    var descriptor = new pskl.model.piskel.Descriptor('piskelName', 'piskelDesc');
+    var piskel = new pskl.model.Piskel(1, 1, 1, descriptor);
+
+    var parent = new pskl.model.LayerGroup('parent');
+    var child = new pskl.model.LayerGroup('child');
+    child.setParent(parent);
+    child.setOpacity(0.5);
+    parent.setVisible(false);
+    parent.setLocked(true);
+
+    ['layer1', 'layer2', 'layer3'].forEach(function (name) {
+      var layer = new pskl.model.Layer(name);
+      layer.addFrame(new pskl.model.Frame(1, 1));
+      piskel.addLayer(layer);
+    });
+    piskel.getLayerAt(1).setGroup(child);
+    piskel.getLayerAt(2).setGroup(parent);
+    piskel.normalizeGroups();
+
+    var serializedPiskel = pskl.utils.serialization.Serializer.serialize(piskel);
+
+    var deserializer = pskl.utils.serialization.Deserializer;
+    deserializer.deserialize(JSON.parse(serializedPiskel), function (p) {
+      var groups = p.getGroups();
+      expect(groups.length).toBe(2);
+      expect(groups[0].getName()).toBe('parent');
+      expect(groups[0].isVisible()).toBe(false);
+      expect(groups[0].isLocked()).toBe(true);
+      expect(groups[1].getName()).toBe('child');
+      expect(groups[1].getParent()).toBe(groups[0]);
+      expect(groups[1].getOpacity()).toBe(0.5);
+
+      expect(p.getLayerAt(0).getGroup()).toBe(null);
+      expect(p.getLayerAt(1).getGroup()).toBe(groups[1]);
+      expect(p.getLayerAt(2).getGroup()).toBe(groups[0]);
+      done();
+    });
+  });
+
+  it("serializes frame durations", function(done) {
+    var descriptor = new pskl.model.piskel.Descriptor('piskelName', 'piskelDesc');
+    var piskel = new pskl.model.Piskel(1, 1, 1, descriptor);
+
+    var layer = new pskl.model.Layer('layer1');
+    layer.addFrame(new pskl.model.Frame(1, 1));
+    layer.addFrame(new pskl.model.Frame(1, 1));
+    piskel.addLayer(layer);
+    piskel.frameDurations = [null, 250];
+
+    var serializedPiskel = pskl.utils.serialization.Serializer.serialize(piskel);
+
+    var deserializer = pskl.utils.serialization.Deserializer;
+    deserializer.deserialize(JSON.parse(serializedPiskel), function (p) {
+      expect(p.getFrameDurationAt(0)).toBe(1000);
+      expect(p.getFrameDurationAt(1)).toBe(250);
+      done();
+    });
+  });
+
+  it("serializes tags", function(done) {
+    var descriptor = new pskl.model.piskel.Descriptor('piskelName', 'piskelDesc');
+    var piskel = new pskl.model.Piskel(1, 1, 1, descriptor);
+
+    var layer = new pskl.model.Layer('layer1');
+    layer.addFrame(new pskl.model.Frame(1, 1));
+    layer.addFrame(new pskl.model.Frame(1, 1));
+    piskel.addLayer(layer);
+    piskel.tags = [new pskl.model.piskel.Tag('walk', 0, 1, '#ff0000', 'pingpong')];
+
+    var serializedPiskel = pskl.utils.serialization.Serializer.serialize(piskel);
+
+    var deserializer = pskl.utils.serialization.Deserializer;
+    deserializer.deserialize(JSON.parse(serializedPiskel), function (p) {
+      expect(p.tags.length).toBe(1);
+      expect(p.tags[0] instanceof pskl.model.piskel.Tag).toBe(true);
+      expect(p.tags[0].name).toBe('walk');
+      expect(p.tags[0].getPlaybackFrameIndexes()).toEqual([0, 1]);
+      done();
+    });
+  });
+
+  it("serializes the indexed palette and palette indexes", function(done) {
+    var descriptor = new pskl.model.piskel.Descriptor('piskelName', 'piskelDesc');
+    var piskel = new pskl.model.Piskel(2, 1, 1, descriptor);
+
+    var layer = new pskl.model.Layer('layer1');
+    var frame = pskl.model.Frame.fromPixelGrid(test.testutils.toFrameGrid([
+      ['#ff0000', Constants.TRANSPARENT_COLOR]
+    ]));
+    // The palette contains the same color twice, only the indexes tell them apart.
+    frame.setIndexes([2, -1]);
+    layer.addFrame(frame);
+    piskel.addLayer(layer);
+    piskel.setPalette(new pskl.model.Palette('id', 'palette', ['#000000', '#ff0000', '#ff0000']));
+    piskel.getPalette().addCycle(new pskl.model.palette.ColorCycle(1, 2, 4));
+
+    var serializedPiskel = pskl.utils.serialization.Serializer.serialize(piskel);
+
+    var deserializer = pskl.utils.serialization.Deserializer;
+    deserializer.deserialize(JSON.parse(serializedPiskel), function (p) {
+      expect(p.isIndexed()).toBe(true);
+      expect(p.getPalette().getColors()).toEqual(['#000000', '#ff0000', '#ff0000']);
+      expect(p.getPalette().getCycleAt(0).rate).toBe(4);
+      var indexes = p.getLayerAt(0).getFrameAt(0).getIndexes();
+      expect(Array.prototype.slice.call(indexes)).toEqual([2, -1]);
+      done();
+    });
+  });
+
+  it("serializes the tileset and the tile maps of tilemap layers", function(done) {
+    var descriptor = new pskl.model.piskel.Descriptor('piskelName', 'piskelDesc');
+    var piskel = new pskl.model.Piskel(2, 1, 1, descriptor);
+
+    var layer = new pskl.model.Layer('layer1');
+    layer.addFrame(pskl.model.Frame.fromPixelGrid(test.testutils.toFrameGrid([
+      ['#ff0000', '#00ff00']
+    ])));
+    layer.setTilemap(true);
+    piskel.addLayer(layer);
+    piskel.setTileset(new pskl.model.Tileset(1));
+    pskl.utils.TilemapUtils.syncLayers(piskel.getLayers(), piskel.getTileset());
+
+    var serializedPiskel = pskl.utils.serialization.Serializer.serialize(piskel);
+
+    var deserializer = pskl.utils.serialization.Deserializer;
+    deserializer.deserialize(JSON.parse(serializedPiskel), function (p) {
+      var tileset = p.getTileset();
+      expect(tileset.getTileSize()).toBe(1);
+      expect(tileset.size()).toBe(2);
+      test.testutils.frameEqualsGrid(tileset.getTileAt(1), [['#00ff00']]);
+
+      var frame = p.getLayerAt(0).getFrameAt(0);
+      expect(p.getLayerAt(0).isTilemap()).toBe(true);
+      expect(Array.prototype.slice.call(frame.getTileMap().getTiles())).toEqual([0, 1]);
+      expect(frame.getTileMap().syncedVersion).toBe(frame.version);
+      done();
+    });
+  });
+
+  it("deserializes model version 2 without frame durations", function(done) {
+    var descriptor = new pskl.model.piskel.Descriptor('piskelName', 'piskelDesc');
+    var piskel = new pskl.model.Piskel(1, 1, 1, descriptor);
+
+    var layer = new pskl.model.Layer('layer1');
+    layer.addFrame(new pskl.model.Frame(1, 1));
+    piskel.addLayer(layer);
+
+    var data = JSON.parse(pskl.utils.serialization.Serializer.serialize(piskel));
+    data.modelVersion = 2;
+    delete data.piskel.frameDurations;
+
+    var deserializer = pskl.utils.serialization.Deserializer;
+    deserializer.deserialize(data, function (p) {
+      expect(p.frameDurations).toEqual([]);
+      expect(p.getFrameDurationAt(0)).toBe(1000);
+      done();
+    });
+  });
 });
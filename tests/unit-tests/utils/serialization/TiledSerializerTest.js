@@ -0,0 +1,57 @@
+describe("Tiled serializer test", function() {
+
+  var R = '#ff0000';
+  var G = '#00ff00';
+  var T = Constants.TRANSPARENT_COLOR;
+  var serializer = pskl.utils.serialization.tiled.TiledSerializer;
+
+  var createPiskel = function () {
+    var descriptor = new pskl.model.piskel.Descriptor('map', '');
+    var piskel = new pskl.model.Piskel(3, 2, 12, descriptor);
+    var tileset = new pskl.model.Tileset(2);
+    piskel.setTileset(tileset);
+
+    var frame = pskl.model.Frame.fromPixelGrid(test.testutils.toFrameGrid([
+      [R, R, G, G],
+      [R, R, G, G]
+    ]));
+    var layer = pskl.model.Layer.fromFrames('ground & walls', [frame]);
+    layer.setTilemap(true);
+    layer.setOpacity(0.5);
+    piskel.addLayer(layer);
+    piskel.addLayer(pskl.model.Layer.fromFrames('regular', [new pskl.model.Frame(3, 2)]));
+
+    pskl.utils.TilemapUtils.syncLayers(piskel.getLayers(), tileset);
+    return piskel;
+  };
+
+  it("serializes tilemap layers to the Tiled JSON format", function() {
+    var map = serializer.serializeJSON(createPiskel(), 0, 'map-tileset.png');
+
+    expect(map.width).toBe(2);
+    expect(map.height).toBe(1);
+    expect(map.tilewidth).toBe(2);
+    expect(map.tilesets[0]).toEqual(jasmine.objectContaining({
+      firstgid : 1,
+      image : 'map-tileset.png',
+      tilecount : 2,
+      columns : 2,
+      imagewidth : 4,
+      imageheight : 2
+    }));
+    // Only tilemap layers are exported.
+    expect(map.layers.length).toBe(1);
+    expect(map.layers[0].name).toBe('ground & walls');
+    expect(map.layers[0].opacity).toBe(0.5);
+    expect(map.layers[0].data).toEqual([1, 2]);
+  });
+
+  it("serializes tilemap layers to the TMX format", function() {
+    var tmx = serializer.serializeTMX(createPiskel(), 0, 'map-tileset.png');
+
+    expect(tmx).toContain('<map version="1.10" orientation="orthogonal"');
+    expect(tmx).toContain('<image source="map-tileset.png" width="4" height="2"/>');
+    expect(tmx).toContain('name="ground &amp; walls"');
+    expect(tmx).toContain('<data encoding="csv">\n1,2\n</data>');
+  });
+});
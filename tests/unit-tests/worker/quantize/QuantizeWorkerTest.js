@@ -0,0 +1,61 @@
+describe("QuantizeWorker test", function() {
+
+  var RED = pskl.utils.colorToInt('#ff0000');
+  var DARK_RED = pskl.utils.colorToInt('#f00000');
+  var BLUE = pskl.utils.colorToInt('#0000ff');
+  var DARK_BLUE = pskl.utils.colorToInt('#0000f0');
+  var TRANSPARENT = pskl.utils.colorToInt(Constants.TRANSPARENT_COLOR);
+
+  // Run the worker synchronously and return its last message.
+  var quantize = function (pixels, colorCount, algorithm) {
+    var worker = new pskl.worker.quantize.QuantizeWorker();
+    var messages = [];
+    worker.postMessage = function (message) {
+      messages.push(message);
+    };
+    worker.onmessage({
+      data : {
+        pixels : new Uint32Array(pixels),
+        colorCount : colorCount,
+        algorithm : algorithm
+      }
+    });
+    return messages[messages.length - 1];
+  };
+
+  var pixels = [RED, RED, RED, DARK_RED, BLUE, DARK_BLUE, DARK_BLUE, TRANSPARENT];
+
+  it("keeps all the colors if there are not too many", function() {
+    var result = quantize(pixels, 8, 'median-cut');
+    expect(result.type).toBe('SUCCESS');
+    // Sorted from the most used color to the least used color.
+    expect(result.colors).toEqual(['#ff0000', '#0000f0', '#f00000', '#0000ff']);
+  });
+
+  ['median-cut', 'k-means', 'octree'].forEach(function (algorithm) {
+    it("reduces colors with " + algorithm, function() {
+      var result = quantize(pixels, 2, algorithm);
+      expect(result.type).toBe('SUCCESS');
+      expect(result.colors.length).toBe(2);
+      // Red colors are averaged together, as well as blue colors.
+      expect(result.colors[0]).toBe('#fb0000');
+      expect(result.colors[1]).toBe('#0000f5');
+    });
+  });
+
+  it("reduces a gradient to the requested number of colors", function() {
+    var gradient = [];
+    for (var i = 0; i < 256; i++) {
+      gradient.push(pskl.utils.colorToInt('rgb(' + i + ',' + i + ',' + i + ')'));
+    }
+    ['median-cut', 'k-means', 'octree'].forEach(function (algorithm) {
+      var result = quantize(gradient, 16, algorithm);
+      expect(result.colors.length).toBe(16);
+    });
+  });
+
+  it("reports unknown algorithms", function() {
+    var result = quantize(pixels, 2, 'unknown');
+    expect(result.type).toBe('ERROR');
+  });
+});